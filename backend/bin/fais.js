@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+import dotenv from 'dotenv'
+import { run } from '../src/cli/index.js'
+
+dotenv.config()
+
+// Exit explicitly: in-process audits can leave browser handles or timers behind
+run(process.argv.slice(2)).then((code) => process.exit(code))
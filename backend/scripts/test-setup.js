@@ -0,0 +1,17 @@
+/**
+ * Preloaded by `npm test` (node --test --import) into every test process.
+ *
+ * db/index.js opens and migrates the database as soon as it is imported,
+ * so tests that reach it - even through a service - get a throwaway SQLite
+ * file instead of data/app.db. Removed again when the process exits.
+ */
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fais-test-'))
+
+process.env.DB_DRIVER = 'sqlite'
+process.env.DATABASE_PATH = path.join(dir, 'app.db')
+
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }))
@@ -0,0 +1,46 @@
+/**
+ * Local webhook receiver for trying out outbound webhooks.
+ *
+ *   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port] [--fail N]
+ *
+ * Logs every event and checks its X-FAIS-Signature against WEBHOOK_SECRET.
+ * `--fail N` answers the first N requests with HTTP 500 to exercise retries.
+ */
+import http from 'http'
+import crypto from 'crypto'
+
+const args = process.argv.slice(2)
+const failIndex = args.indexOf('--fail')
+const failFirst = failIndex !== -1 ? parseInt(args[failIndex + 1]) || 0 : 0
+const port = parseInt(args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--fail')) || 4000
+const secret = process.env.WEBHOOK_SECRET
+
+let received = 0
+
+const verify = (req, body) => {
+    if (!secret) return 'not checked (set WEBHOOK_SECRET)'
+    const timestamp = req.headers['x-fais-timestamp']
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+    const actual = req.headers['x-fais-signature'] || ''
+    const valid = actual.length === expected.length && crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected))
+    return valid ? 'valid' : 'INVALID'
+}
+
+http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+        received++
+        const status = received <= failFirst ? 500 : 200
+        const payload = JSON.parse(body || '{}')
+
+        console.log(`\n#${received} ${req.headers['x-fais-event']} (delivery ${req.headers['x-fais-delivery']}) → ${status}`)
+        console.log(`   signature: ${verify(req, body)}`)
+        console.log(JSON.stringify(payload.data, null, 2))
+
+        res.writeHead(status, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ received: status === 200 }))
+    })
+}).listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}${failFirst ? ` (failing the first ${failFirst} requests)` : ''}`)
+})
@@ -0,0 +1,76 @@
+import fs from 'fs/promises'
+
+// Lighthouse metrics in ms, except CLS (unitless)
+const METRIC_UNITS = { lcp: 'ms', fcp: 'ms', tbt: 'ms', si: 'ms', speedIndex: 'ms', fid: 'ms', cls: '' }
+
+/**
+ * Load a budget file:
+ * {
+ *   "minScore": 80, "maxIssues": 50, "maxCritical": 0,
+ *   "categories": { "accessibility": 95 },      // minimum Lighthouse category scores (performance, accessibility, bestPractices, seo)
+ *   "metrics": { "lcp": 2500, "cls": 0.1 }      // maximum Lighthouse metric values
+ * }
+ */
+export async function loadBudget(file) {
+    let budget
+    try {
+        budget = JSON.parse(await fs.readFile(file, 'utf8'))
+    } catch (err) {
+        throw new Error(`Cannot read budget file ${file}: ${err.message}`)
+    }
+    if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+        throw new Error(`Budget file ${file} must contain a JSON object`)
+    }
+    return budget
+}
+
+/**
+ * Merge the budget file with command-line thresholds (flags win)
+ */
+export function resolveThresholds(budget = {}, { minScore, maxIssues, maxCritical } = {}) {
+    return {
+        minScore: minScore ?? budget.minScore,
+        maxIssues: maxIssues ?? budget.maxIssues,
+        maxCritical: maxCritical ?? budget.maxCritical,
+        categories: budget.categories || {},
+        metrics: budget.metrics || {}
+    }
+}
+
+const atLeast = (name, actual, limit, unit = '') => ({
+    name,
+    actual,
+    limit: `>= ${limit}${unit}`,
+    passed: typeof actual === 'number' && actual >= limit
+})
+
+const atMost = (name, actual, limit, unit = '') => ({
+    name,
+    actual,
+    limit: `<= ${limit}${unit}`,
+    passed: typeof actual === 'number' && actual <= limit
+})
+
+/**
+ * Compare an audit summary with the thresholds.
+ * A threshold on a value the audit doesn't report fails, so typos in a budget don't pass silently.
+ * @returns {Array} [{ name, actual, limit, passed }]
+ */
+export function evaluateThresholds(summary, thresholds) {
+    const checks = []
+
+    if (thresholds.minScore !== undefined) checks.push(atLeast('score', summary.score, thresholds.minScore))
+    if (thresholds.maxIssues !== undefined) checks.push(atMost('issues', summary.issues, thresholds.maxIssues))
+    if (thresholds.maxCritical !== undefined) checks.push(atMost('critical issues', summary.critical, thresholds.maxCritical))
+
+    for (const [category, limit] of Object.entries(thresholds.categories)) {
+        checks.push(atLeast(`${category} score`, summary.categories?.[category] ?? null, limit))
+    }
+    for (const [metric, limit] of Object.entries(thresholds.metrics)) {
+        const unit = METRIC_UNITS[metric] ?? ''
+        const value = summary.metrics?.[metric]
+        checks.push(atMost(metric.toUpperCase(), typeof value === 'number' ? Math.round(value * 1000) / 1000 : null, limit, unit))
+    }
+
+    return checks
+}
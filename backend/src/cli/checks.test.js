@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { evaluateThresholds, resolveThresholds } from './checks.js'
+
+const summary = {
+    score: 82,
+    issues: 12,
+    critical: 0,
+    categories: { performance: 82, accessibility: 96 },
+    metrics: { lcp: 2430.56789, cls: 0.12345 }
+}
+
+test('evaluateThresholds checks scores as minima and counts as maxima', () => {
+    const checks = evaluateThresholds(summary, resolveThresholds({}, { minScore: 90, maxIssues: 12, maxCritical: 0 }))
+
+    assert.deepEqual(checks, [
+        { name: 'score', actual: 82, limit: '>= 90', passed: false },
+        { name: 'issues', actual: 12, limit: '<= 12', passed: true },
+        { name: 'critical issues', actual: 0, limit: '<= 0', passed: true }
+    ])
+})
+
+test('evaluateThresholds checks budget categories and metrics with their units', () => {
+    const checks = evaluateThresholds(summary, resolveThresholds({ categories: { accessibility: 95 }, metrics: { lcp: 2500, cls: 0.1 } }))
+
+    assert.deepEqual(checks, [
+        { name: 'accessibility score', actual: 96, limit: '>= 95', passed: true },
+        { name: 'LCP', actual: 2430.568, limit: '<= 2500ms', passed: true },
+        { name: 'CLS', actual: 0.123, limit: '<= 0.1', passed: false }
+    ])
+})
+
+test('evaluateThresholds fails thresholds on values the audit did not report', () => {
+    const checks = evaluateThresholds({ score: null, issues: 3 }, resolveThresholds({ categories: { seo: 90 }, metrics: { tbt: 200 } }, { minScore: 50 }))
+
+    assert.deepEqual(checks.map(c => [c.name, c.actual, c.passed]), [
+        ['score', null, false],
+        ['seo score', null, false],
+        ['TBT', null, false]
+    ])
+})
+
+test('resolveThresholds lets command-line flags win over the budget file', () => {
+    const thresholds = resolveThresholds({ minScore: 80, maxIssues: 10, metrics: { lcp: 2500 } }, { minScore: 90 })
+
+    assert.deepEqual(thresholds, { minScore: 90, maxIssues: 10, maxCritical: undefined, categories: {}, metrics: { lcp: 2500 } })
+    assert.deepEqual(evaluateThresholds(summary, resolveThresholds()), [])
+})
@@ -0,0 +1,216 @@
+import { parseArgs } from 'util'
+import { readFile } from 'fs/promises'
+import { AUDITS, runRemote, runLocal } from './runners.js'
+import { loadBudget, resolveThresholds, evaluateThresholds } from './checks.js'
+import { formatSummary, toJUnit, writeOutput } from './reporters.js'
+import { MAX_RUNS } from '../services/lighthouse.service.js'
+
+// Exit codes: thresholds met, thresholds violated, bad usage or the audit itself failed
+export const EXIT_OK = 0
+export const EXIT_THRESHOLDS = 1
+export const EXIT_ERROR = 2
+
+const USAGE = `Usage: fais audit <kind> <target...> [options]
+
+Kinds:
+  lighthouse <url>              Lighthouse performance audit
+  a11y <url>                    WCAG accessibility check
+  ux <url>                      UX / design-system audit
+  compare <liveUrl> <stageUrl>  Live vs stage layout comparison
+  newsletter <file.html>        Email template test
+
+Options:
+  --server <url>        Backend to run the audit on (default: $FAIS_SERVER).
+                        Without one the services run in this process (needs Chrome).
+  --token <jwt>         Bearer token for the backend (default: $FAIS_TOKEN)
+  --project <id>        Record the audit under this project (default: $FAIS_PROJECT)
+  --device <type>       lighthouse: mobile | desktop (default: mobile)
+  --runs <n>            lighthouse: audit n times and report the median run (default: 1,
+                        at most $LIGHTHOUSE_MAX_RUNS or 5)
+  --platform <name>     ux: platform hint passed to the crawler (default: custom)
+  --auth-recipe <id>    a11y, ux: log in with this auth recipe first (default: the
+                        recipe whose URL pattern matches, if any)
+  --min-score <n>       Fail when the score is below n
+  --max-issues <n>      Fail when more than n issues are found
+  --max-critical <n>    Fail when more than n critical issues are found
+  --budget <file>       JSON thresholds (minScore, maxIssues, maxCritical, categories, metrics)
+  --json <file>         Write the full report as JSON
+  --junit <file>        Write the threshold checks as JUnit XML
+  --junit-findings <file>
+                        Write the audit findings as JUnit XML (one testcase per rule)
+  --sarif <file>        Write the audit findings as SARIF 2.1.0 (code scanning)
+  --timeout <seconds>   Give up on a remote audit after this long (default: 600)
+  --verbose             Show service logs of in-process runs
+  -h, --help            Show this help
+
+Exit codes: 0 thresholds met, 1 thresholds violated, 2 usage error or audit failure.`
+
+const OPTIONS = {
+    server: { type: 'string' },
+    token: { type: 'string' },
+    project: { type: 'string' },
+    device: { type: 'string', default: 'mobile' },
+    runs: { type: 'string', default: '1' },
+    platform: { type: 'string', default: 'custom' },
+    'auth-recipe': { type: 'string' },
+    'min-score': { type: 'string' },
+    'max-issues': { type: 'string' },
+    'max-critical': { type: 'string' },
+    budget: { type: 'string' },
+    json: { type: 'string' },
+    junit: { type: 'string' },
+    'junit-findings': { type: 'string' },
+    sarif: { type: 'string' },
+    timeout: { type: 'string', default: '600' },
+    verbose: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+}
+
+class UsageError extends Error { }
+
+const parseNumber = (flag, value) => {
+    if (value === undefined) return undefined
+    const number = Number(value)
+    if (!Number.isFinite(number)) throw new UsageError(`--${flag} expects a number, got "${value}"`)
+    return number
+}
+
+/**
+ * Parse argv into the audit to run, its target and options
+ */
+export function parseCommand(argv, env = process.env) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+    if (values.help) return { help: true }
+
+    const [command, kind, ...rest] = positionals
+    if (command !== 'audit') throw new UsageError(command ? `Unknown command "${command}"` : 'Missing command')
+
+    const audit = AUDITS[kind]
+    if (!audit) throw new UsageError(kind ? `Unknown audit kind "${kind}" (use ${Object.keys(AUDITS).join(', ')})` : 'Missing audit kind')
+    if (rest.length !== audit.args.length) {
+        throw new UsageError(`fais audit ${kind} expects ${audit.args.map(a => `<${a}>`).join(' ')}`)
+    }
+    if (kind === 'lighthouse' && !['mobile', 'desktop'].includes(values.device)) {
+        throw new UsageError('--device must be mobile or desktop')
+    }
+    const runs = parseNumber('runs', values.runs)
+    if (!Number.isInteger(runs) || runs < 1 || runs > MAX_RUNS) {
+        throw new UsageError(`--runs must be a whole number between 1 and ${MAX_RUNS}`)
+    }
+
+    return {
+        kind,
+        audit,
+        target: Object.fromEntries(audit.args.map((name, i) => [name, rest[i]])),
+        options: {
+            server: values.server || env.FAIS_SERVER || null,
+            token: values.token || env.FAIS_TOKEN || null,
+            project: values.project || env.FAIS_PROJECT || null,
+            device: values.device,
+            runs,
+            platform: values.platform,
+            authRecipeId: values['auth-recipe'],
+            minScore: parseNumber('min-score', values['min-score']),
+            maxIssues: parseNumber('max-issues', values['max-issues']),
+            maxCritical: parseNumber('max-critical', values['max-critical']),
+            budget: values.budget,
+            json: values.json,
+            junit: values.junit,
+            junitFindings: values['junit-findings'],
+            sarif: values.sarif,
+            timeout: parseNumber('timeout', values.timeout),
+            verbose: values.verbose
+        }
+    }
+}
+
+/**
+ * Result and exporter context of a run's findings. Newsletter findings point at
+ * the tested file, whose HTML resolves line numbers the service didn't report.
+ */
+async function findingsInput(audit, target, report) {
+    const context = { type: audit.historyType, url: target.url || target.liveUrl, timestamp: report.startedAt }
+    if (!target.file) return { result: report.result, context }
+
+    const emailHtml = report.result.emailHtml ?? await readFile(target.file, 'utf8')
+    return { result: { ...report.result, emailHtml }, context: { ...context, artifactUri: target.file } }
+}
+
+/**
+ * CLI entry point
+ * @returns {Promise<number>} Process exit code
+ */
+export async function run(argv, { stdout = console.log, stderr = console.error } = {}) {
+    let command
+    try {
+        command = parseCommand(argv)
+        if (command.help) {
+            stdout(USAGE)
+            return EXIT_OK
+        }
+    } catch (err) {
+        stderr(`${err.message}\n\n${USAGE}`)
+        return EXIT_ERROR
+    }
+
+    const { kind, audit, target, options } = command
+
+    let thresholds
+    try {
+        thresholds = resolveThresholds(options.budget ? await loadBudget(options.budget) : {}, options)
+    } catch (err) {
+        stderr(err.message)
+        return EXIT_ERROR
+    }
+
+    // In-process runs share the services' winston logger; keep it to warnings unless asked
+    if (!options.server && !options.verbose && !process.env.LOG_LEVEL) {
+        const { logger } = await import('../utils/logger.js')
+        logger.level = 'warn'
+    }
+
+    const report = {
+        kind,
+        label: audit.label,
+        target: Object.values(target).join(' vs '),
+        mode: options.server ? `remote ${options.server}` : 'in-process',
+        startedAt: new Date().toISOString(),
+        durationMs: 0,
+        passed: false,
+        summary: null,
+        checks: [],
+        result: null
+    }
+
+    const startTime = Date.now()
+    try {
+        report.result = options.server
+            ? await runRemote(audit, target, options, { onProgress: (stage) => stderr(`  … ${stage}`) })
+            : await runLocal(audit, target, options)
+        report.summary = audit.summarize(report.result)
+        report.checks = evaluateThresholds(report.summary, thresholds)
+        report.passed = report.checks.every(c => c.passed)
+    } catch (err) {
+        report.error = err.message
+    }
+    report.durationMs = Date.now() - startTime
+
+    stdout(formatSummary(report))
+
+    try {
+        if (options.json) await writeOutput(options.json, JSON.stringify(report, null, 2))
+        if (options.junit) await writeOutput(options.junit, toJUnit(report))
+        if (report.result && (options.junitFindings || options.sarif)) {
+            const { default: exportService } = await import('../services/export.service.js')
+            const { result, context } = await findingsInput(audit, target, report)
+            if (options.junitFindings) await writeOutput(options.junitFindings, exportService.exportResult(result, 'junit', context).body)
+            if (options.sarif) await writeOutput(options.sarif, exportService.exportResult(result, 'sarif', context).body)
+        }
+    } catch (err) {
+        stderr(`Failed to write report: ${err.message}`)
+        return EXIT_ERROR
+    }
+
+    if (report.error) return EXIT_ERROR
+    return report.passed ? EXIT_OK : EXIT_THRESHOLDS
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCommand } from './index.js'
+import { MAX_RUNS } from '../services/lighthouse.service.js'
+
+test('parseCommand reads the audit, its targets and options', () => {
+    const command = parseCommand(['audit', 'compare', 'https://live.example.com', 'https://stage.example.com', '--min-score', '80', '--json', 'out.json'], {})
+
+    assert.equal(command.kind, 'compare')
+    assert.deepEqual(command.target, { liveUrl: 'https://live.example.com', stageUrl: 'https://stage.example.com' })
+    assert.equal(command.options.minScore, 80)
+    assert.equal(command.options.maxIssues, undefined)
+    assert.equal(command.options.json, 'out.json')
+    assert.equal(command.options.runs, 1)
+    assert.equal(command.options.timeout, 600)
+})
+
+test('parseCommand falls back to the environment for the server, token and project', () => {
+    const env = { FAIS_SERVER: 'https://fais.example.com', FAIS_TOKEN: 'jwt', FAIS_PROJECT: 'p1' }
+
+    assert.deepEqual(
+        (({ server, token, project }) => ({ server, token, project }))(parseCommand(['audit', 'a11y', 'https://example.com'], env).options),
+        { server: 'https://fais.example.com', token: 'jwt', project: 'p1' }
+    )
+    assert.equal(parseCommand(['audit', 'a11y', 'https://example.com', '--project', 'p2'], env).options.project, 'p2')
+    assert.equal(parseCommand(['audit', 'a11y', 'https://example.com'], {}).options.server, null)
+})
+
+test('parseCommand rejects unknown commands, kinds and missing targets', () => {
+    assert.deepEqual(parseCommand(['--help']), { help: true })
+    assert.throws(() => parseCommand([]), /Missing command/)
+    assert.throws(() => parseCommand(['run', 'a11y']), /Unknown command "run"/)
+    assert.throws(() => parseCommand(['audit', 'seo', 'https://example.com']), /Unknown audit kind "seo"/)
+    assert.throws(() => parseCommand(['audit', 'compare', 'https://example.com']), /expects <liveUrl> <stageUrl>/)
+    assert.throws(() => parseCommand(['audit', 'lighthouse', 'https://example.com', '--device', 'tablet']), /--device must be mobile or desktop/)
+    assert.throws(() => parseCommand(['audit', 'ux', 'https://example.com', '--max-issues', 'ten']), /--max-issues expects a number, got "ten"/)
+})
+
+test('parseCommand accepts up to the server\'s maximum number of runs', () => {
+    assert.equal(parseCommand(['audit', 'lighthouse', 'https://example.com', '--runs', String(MAX_RUNS)], {}).options.runs, MAX_RUNS)
+
+    for (const runs of ['0', '2.5', String(MAX_RUNS + 1)]) {
+        assert.throws(
+            () => parseCommand(['audit', 'lighthouse', 'https://example.com', '--runs', runs], {}),
+            new RegExp(`--runs must be a whole number between 1 and ${MAX_RUNS}`)
+        )
+    }
+})
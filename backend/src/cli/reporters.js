@@ -0,0 +1,84 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+const pad = (value, width) => String(value).padEnd(width)
+
+const formatValue = (value) => value === null || value === undefined ? 'n/a' : String(value)
+
+/**
+ * Summary table of one CLI run for the terminal
+ */
+export function formatSummary(report) {
+    const lines = [`\n${report.label}: ${report.target}  (${report.mode})`]
+
+    if (report.error) {
+        lines.push(`  ✖ Audit failed: ${report.error}`)
+        return lines.join('\n')
+    }
+
+    const { score, issues, critical } = report.summary
+    lines.push(`  Score ${formatValue(score)} · ${issues} issues (${critical} critical) · ${(report.durationMs / 1000).toFixed(1)}s`)
+
+    if (report.checks.length === 0) {
+        lines.push('  No thresholds set (use --min-score, --max-critical, --max-issues or --budget)')
+        return lines.join('\n')
+    }
+
+    const nameWidth = Math.max(5, ...report.checks.map(c => c.name.length)) + 2
+    const actualWidth = Math.max(6, ...report.checks.map(c => formatValue(c.actual).length)) + 2
+    const limitWidth = Math.max(5, ...report.checks.map(c => c.limit.length)) + 2
+
+    lines.push('')
+    lines.push(`  ${pad('Check', nameWidth)}${pad('Actual', actualWidth)}${pad('Limit', limitWidth)}Result`)
+    lines.push(`  ${'─'.repeat(nameWidth + actualWidth + limitWidth + 6)}`)
+    for (const check of report.checks) {
+        lines.push(`  ${pad(check.name, nameWidth)}${pad(formatValue(check.actual), actualWidth)}${pad(check.limit, limitWidth)}${check.passed ? 'pass' : 'FAIL'}`)
+    }
+
+    const failed = report.checks.filter(c => !c.passed).length
+    lines.push('')
+    lines.push(failed > 0 ? `  ✖ ${failed} of ${report.checks.length} thresholds violated` : `  ✔ All ${report.checks.length} thresholds met`)
+    return lines.join('\n')
+}
+
+/**
+ * JUnit XML with one testcase per threshold check (an errored audit becomes a single <error> case)
+ */
+export function toJUnit(report) {
+    const suiteName = `fais ${report.kind} ${report.target}`
+    const seconds = (report.durationMs / 1000).toFixed(3)
+    const cases = report.error
+        ? [`    <testcase classname="fais.${report.kind}" name="audit" time="${seconds}">\n      <error message="${escapeXml(report.error)}"/>\n    </testcase>`]
+        : report.checks.map(check => {
+            const name = `${check.name} ${check.limit}`
+            const body = check.passed
+                ? ''
+                : `\n      <failure message="${escapeXml(`${check.name} is ${formatValue(check.actual)}, expected ${check.limit}`)}"/>\n    `
+            return `    <testcase classname="fais.${report.kind}" name="${escapeXml(name)}" time="0">${body}</testcase>`
+        })
+
+    const failures = report.error ? 0 : report.checks.filter(c => !c.passed).length
+    const errors = report.error ? 1 : 0
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="fais" tests="${cases.length}" failures="${failures}" errors="${errors}" time="${seconds}">`,
+        `  <testsuite name="${escapeXml(suiteName)}" tests="${cases.length}" failures="${failures}" errors="${errors}" time="${seconds}" timestamp="${report.startedAt}">`,
+        ...cases,
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n')
+}
+
+export async function writeOutput(file, content) {
+    await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true })
+    await fs.writeFile(file, content)
+}
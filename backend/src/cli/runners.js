@@ -0,0 +1,185 @@
+import fs from 'fs/promises'
+import axios from 'axios'
+
+const POLL_INTERVAL_MS = 2000
+
+/**
+ * Audit kinds of the CLI. Each one knows how to run against a backend
+ * (`remote`), how to run the services in this process (`local`) and how to
+ * reduce its result to the numbers thresholds are checked against.
+ *
+ * summarize(result) → { score, issues, critical, categories?, metrics? }
+ * historyType is the audit's type in history, which the findings exporters key on.
+ */
+export const AUDITS = {
+    lighthouse: {
+        label: 'Lighthouse',
+        historyType: 'PageSpeed',
+        args: ['url'],
+        jobType: 'lighthouse',
+        body: ({ url }, options) => ({ url: withProtocol(url), device: options.device, runs: options.runs }),
+        local: async ({ url }, options) => {
+            const { runLocalLighthouse } = await import('../services/lighthouse.service.js')
+            const { rawLighthouseResult, ...result } = await runLocalLighthouse(withProtocol(url), options.device, { runs: options.runs })
+            return result
+        },
+        summarize: (result) => ({
+            score: result.scores?.performance ?? null,
+            issues: result.issues?.length ?? 0,
+            critical: (result.issues || []).filter(i => i.severity === 'critical').length,
+            categories: result.scores,
+            metrics: result.metrics
+        })
+    },
+    a11y: {
+        label: 'Accessibility',
+        historyType: 'Accessibility',
+        args: ['url'],
+        jobType: 'accessibility',
+        body: ({ url }, options) => ({ url: withProtocol(url), authRecipeId: options.authRecipeId }),
+        local: async ({ url }, options) => {
+            const { default: accessibilityService } = await import('../services/accessibility.service.js')
+            const auth = await resolveAuth(withProtocol(url), options)
+            return accessibilityService.checkAccessibility(withProtocol(url), { screenshots: false, auth })
+        },
+        summarize: (result) => ({
+            score: result.score ?? null,
+            issues: (result.errors?.length || 0) + (result.alerts?.length || 0),
+            critical: result.errors?.length || 0
+        })
+    },
+    ux: {
+        label: 'UX Audit',
+        historyType: 'Website Audit',
+        args: ['url'],
+        jobType: 'website',
+        body: ({ url }, options) => ({ url: withProtocol(url), platform: options.platform, authRecipeId: options.authRecipeId }),
+        local: async ({ url }, options) => {
+            const { default: crawlerService } = await import('../services/crawler.service.js')
+            const { default: uxAuditorService } = await import('../services/ux-auditor.service.js')
+
+            const auth = await resolveAuth(withProtocol(url), options)
+            const crawlData = await crawlerService.crawlWebsite(withProtocol(url), { platform: options.platform, auth })
+            const auditResults = await uxAuditorService.performFullAudit(crawlData, crawlData.domData.elements)
+            const issues = uxAuditorService.collectIssues(auditResults)
+            return {
+                score: Math.round(uxAuditorService.calculateScore(issues)),
+                platform: auditResults.platform,
+                pageSummary: auditResults.pageSummary,
+                issues
+            }
+        },
+        summarize: (result) => ({
+            score: result.score ?? null,
+            issues: result.issues?.length ?? 0,
+            critical: (result.issues || []).filter(i => i.severity === 'critical').length
+        })
+    },
+    compare: {
+        label: 'Live vs Stage',
+        historyType: 'Advanced Comparison',
+        args: ['liveUrl', 'stageUrl'],
+        jobType: 'compare-layout',
+        body: ({ liveUrl, stageUrl }) => ({ liveUrl, stageUrl }),
+        local: async (target) => {
+            const { parseCompareLayoutRequest } = await import('../controllers/layout-comparator.controller.js')
+            const { default: layoutComparatorService } = await import('../services/layout-comparator.service.js')
+
+            const { error, params } = parseCompareLayoutRequest(target)
+            if (error) throw new Error(`${error.error}: ${error.message}`)
+            const { liveUrl, stageUrl, ...options } = params
+            return layoutComparatorService.compareLayout(liveUrl, stageUrl, options)
+        },
+        // Same score as the history entry of a comparison
+        summarize: (result) => ({
+            score: Math.max(0, 100 - (result.summary?.totalDifferences || 0)),
+            issues: result.summary?.totalDifferences || 0,
+            critical: result.summary?.criticalIssues || 0
+        })
+    },
+    newsletter: {
+        label: 'Newsletter',
+        historyType: 'Newsletter',
+        args: ['file'],
+        route: '/api/audit/newsletter',
+        body: async ({ file }) => ({ emailHtml: await fs.readFile(file, 'utf8') }),
+        local: async ({ file }) => {
+            const { default: newsletterService } = await import('../services/newsletter.service.js')
+            return newsletterService.testNewsletter(await fs.readFile(file, 'utf8'))
+        },
+        summarize: (result) => ({
+            score: result.score ?? null,
+            issues: result.issues?.length ?? 0,
+            critical: (result.issues || []).filter(i => i.severity === 'critical').length
+        })
+    }
+}
+
+const withProtocol = (url) => /^https?:\/\//i.test(url) ? url : `https://${url}`
+
+// Auth recipe of an in-process run, read from the local database
+const resolveAuth = async (url, options) => {
+    const { default: authRecipeService } = await import('../services/auth-recipe.service.js')
+    return authRecipeService.resolve(url, { recipeId: options.authRecipeId, projectId: options.project, local: true })
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Run an audit through a backend: as a background job (polled until it
+ * settles) where the kind has one, otherwise through its synchronous route.
+ * Remote runs are recorded in history, trends and webhooks like any other.
+ */
+export async function runRemote(audit, target, options, { onProgress = () => { } } = {}) {
+    const client = axios.create({
+        baseURL: options.server.replace(/\/+$/, ''),
+        headers: {
+            ...(options.token && { Authorization: `Bearer ${options.token}` }),
+            ...(options.project && { 'X-Project-Id': options.project })
+        }
+    })
+    const body = await audit.body(target, options)
+
+    try {
+        if (!audit.jobType) {
+            const { data } = await client.post(audit.route, body, { timeout: options.timeout * 1000 })
+            return data
+        }
+
+        const { data } = await client.post(`/api/jobs/${audit.jobType}`, body)
+        const deadline = Date.now() + options.timeout * 1000
+        let lastStage = null
+
+        while (Date.now() < deadline) {
+            await sleep(POLL_INTERVAL_MS)
+            const { data: { job } } = await client.get(`/api/jobs/${data.jobId}`)
+
+            if (job.status === 'completed') return job.result
+            if (job.status === 'failed') throw new Error(job.error?.message || 'Audit job failed')
+            if (job.progress?.stage && job.progress.stage !== lastStage) {
+                lastStage = job.progress.stage
+                onProgress(`${job.progress.stage} (${job.progress.percent}%)`)
+            }
+        }
+        throw new Error(`Audit did not finish within ${options.timeout}s (job ${data.jobId})`)
+    } catch (err) {
+        // Surface the API's { error, message } instead of axios' generic status text
+        const apiError = err.response?.data
+        if (apiError?.error) {
+            throw new Error(apiError.message ? `${apiError.error}: ${apiError.message}` : apiError.error)
+        }
+        throw err
+    }
+}
+
+/**
+ * Run the audit services in this process (needs Chrome for the browser-based kinds)
+ */
+export async function runLocal(audit, target, options) {
+    try {
+        return await audit.local(target, options)
+    } finally {
+        const { default: browserPool } = await import('../utils/browser-pool.js')
+        await browserPool.closeBrowser().catch(() => { })
+    }
+}
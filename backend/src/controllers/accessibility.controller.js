@@ -1,92 +1,246 @@
 import accessibilityService from '../services/accessibility.service.js'
+import siteAccessibilityService from '../services/site-accessibility.service.js'
 import aiService from '../services/ai.service.js'
 import storageService from '../services/storage.service.js'
+import authRecipeService from '../services/auth-recipe.service.js'
 import { logger } from '../utils/logger.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
+import { parseViewports } from '../utils/viewports.js'
 
-export async function checkAccessibility(req, res) {
-    try {
-        const { url } = req.body
+/**
+ * Validate an accessibility request body.
+ * Returns { error } with a 400 payload, or { params } ready for performAccessibilityCheck.
+ */
+export function parseAccessibilityRequest(body = {}) {
+    const { url, authRecipeId } = body
 
-        if (!url || url.trim() === '') {
-            return res.status(400).json({
+    if (!url || url.trim() === '') {
+        return {
+            error: {
                 error: 'URL is required',
                 message: 'Please provide a valid URL to check.'
-            })
+            }
         }
+    }
 
-        // Validate URL format
-        if (!url.startsWith('http://') && !url.startsWith('https://')) {
-            return res.status(400).json({
+    // Validate URL format
+    if (!url.startsWith('http://') && !url.startsWith('https://')) {
+        return {
+            error: {
                 error: 'Invalid URL format',
                 message: 'URL must start with http:// or https://'
-            })
+            }
+        }
+    }
+
+    // One breakpoint of the responsive matrix (width, preset or device name)
+    if (body.viewport !== undefined) {
+        const { error, viewports } = parseViewports([body.viewport])
+        if (error) return { error }
+        return { params: { url, authRecipeId: authRecipeId || undefined, viewport: viewports[0] } }
+    }
+
+    return { params: { url, authRecipeId: authRecipeId || undefined } }
+}
+
+export async function checkAccessibility(req, res) {
+    try {
+        const { error, params } = parseAccessibilityRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
         }
 
-        logger.info(`WAVE-style accessibility check for: ${url}`)
+        const response = await performAccessibilityCheck(params, { scope: getAuditScope(req) })
+        res.json(response)
+
+    } catch (error) {
+        logger.error('Accessibility check error:', error)
+        res.status(500).json({
+            error: 'Failed to check accessibility',
+            message: error.message
+        })
+    }
+}
+
+/**
+ * Run the WAVE-style analysis and shape the API response.
+ * Shared by the synchronous route and the job queue.
+ */
+export async function performAccessibilityCheck({ url, authRecipeId, viewport }, { onProgress = () => { }, scope } = {}) {
+    logger.info(`WAVE-style accessibility check for: ${url}`)
+
+    const auth = await authRecipeService.resolve(url, { recipeId: authRecipeId, userId: scope?.userId, projectId: scope?.projectId })
+
+    // Run comprehensive accessibility analysis
+    const results = await accessibilityService.checkAccessibility(url, { onProgress, auth, viewport })
+
+    // Enhance critical issues with AI explanations (if enabled)
+    if (aiService.isEnabled() && results.errors.length > 0) {
+        onProgress('Generating AI explanations', 90)
+        const topErrors = results.errors.slice(0, 2)
+        for (const error of topErrors) {
+            try {
+                error.aiEnhancement = await aiService.explainIssue(error)
+            } catch (err) {
+                logger.warn('AI enhancement failed:', err.message)
+            }
+        }
+    }
+
+    // Return WAVE-style comprehensive response
+    const response = {
+        score: results.score,
+        wcagLevel: results.wcagLevel,
+
+        // Issue categorization
+        errors: results.errors,
+        alerts: results.alerts,
+        features: results.features,
+        passes: results.passes,
+
+        // Category breakdowns
+        colorContrastIssues: results.colorContrastIssues || [],
+        keyboardIssues: results.keyboardIssues || [],
+        ariaIssues: results.ariaIssues || [],
+        imageIssues: results.imageIssues || [],
+        formIssues: results.formIssues || [],
+        structureIssues: results.structureIssues || [],
+        navigationIssues: results.navigationIssues || [],
+        linkIssues: results.linkIssues || [],
+        tableIssues: results.tableIssues || [],
+        motionIssues: results.motionIssues || [],
+
+        // Summary
+        summary: results.summary,
+        nextSteps: results.nextSteps,
 
-        // Run comprehensive accessibility analysis
-        const results = await accessibilityService.checkAccessibility(url)
+        // Metadata
+        metadata: results.metadata
+    }
+
+    // Persist to history
+    await storageService.addAudit({
+        url,
+        type: 'Accessibility',
+        score: results.score,
+        status: results.score >= 80 ? 'pass' : results.score >= 60 ? 'warning' : 'fail',
+        issuesFound: results.errors.length + results.alerts.length,
+        criticalIssues: results.errors.length
+    }, response, scope)
+
+    return response
+}
+
+/**
+ * Validate a site-wide scan request: a start URL and/or a sitemap URL.
+ * Returns { error } with a 400 payload, or { params } ready for performSiteScan.
+ */
+export function parseSiteScanRequest(body = {}) {
+    const { url, sitemapUrl, maxPages = 10, maxDepth = 2, concurrency = 2, include = [], exclude = [], authRecipeId } = body
+
+    if (!url && !sitemapUrl) {
+        return {
+            error: {
+                error: 'URL is required',
+                message: 'Please provide a start URL or a sitemap URL to scan.'
+            }
+        }
+    }
 
-        // Enhance critical issues with AI explanations (if enabled)
-        if (aiService.isEnabled() && results.errors.length > 0) {
-            const topErrors = results.errors.slice(0, 2)
-            for (const error of topErrors) {
-                try {
-                    error.aiEnhancement = await aiService.explainIssue(error)
-                } catch (err) {
-                    logger.warn('AI enhancement failed:', err.message)
+    for (const value of [url, sitemapUrl].filter(Boolean)) {
+        if (!value.startsWith('http://') && !value.startsWith('https://')) {
+            return {
+                error: {
+                    error: 'Invalid URL format',
+                    message: 'URL must start with http:// or https://'
                 }
             }
         }
+    }
 
-        // Return WAVE-style comprehensive response
-        const response = {
-            score: results.score,
-            wcagLevel: results.wcagLevel,
-
-            // Issue categorization
-            errors: results.errors,
-            alerts: results.alerts,
-            features: results.features,
-            passes: results.passes,
-
-            // Category breakdowns
-            colorContrastIssues: results.colorContrastIssues || [],
-            keyboardIssues: results.keyboardIssues || [],
-            ariaIssues: results.ariaIssues || [],
-            imageIssues: results.imageIssues || [],
-            formIssues: results.formIssues || [],
-            structureIssues: results.structureIssues || [],
-            navigationIssues: results.navigationIssues || [],
-            linkIssues: results.linkIssues || [],
-            tableIssues: results.tableIssues || [],
-            motionIssues: results.motionIssues || [],
-
-            // Summary
-            summary: results.summary,
-            nextSteps: results.nextSteps,
-
-            // Metadata
-            metadata: results.metadata
+    const maxPagesNum = parseInt(maxPages)
+    if (isNaN(maxPagesNum) || maxPagesNum < 1 || maxPagesNum > 50) {
+        return {
+            error: {
+                error: 'Invalid maxPages',
+                message: 'maxPages must be a number between 1 and 50'
+            }
         }
+    }
 
-        // Persist to history
-        await storageService.addAudit({
-            url,
-            type: 'Accessibility',
-            score: results.score,
-            status: results.score >= 80 ? 'pass' : results.score >= 60 ? 'warning' : 'fail',
-            issuesFound: results.errors.length + results.alerts.length,
-            criticalIssues: results.errors.length
-        })
+    const maxDepthNum = parseInt(maxDepth)
+    if (isNaN(maxDepthNum) || maxDepthNum < 0 || maxDepthNum > 5) {
+        return {
+            error: {
+                error: 'Invalid maxDepth',
+                message: 'maxDepth must be a number between 0 and 5'
+            }
+        }
+    }
 
-        res.json(response)
+    const concurrencyNum = parseInt(concurrency)
+    if (isNaN(concurrencyNum) || concurrencyNum < 1 || concurrencyNum > 4) {
+        return {
+            error: {
+                error: 'Invalid concurrency',
+                message: 'concurrency must be a number between 1 and 4'
+            }
+        }
+    }
+
+    return {
+        params: {
+            url: url || null,
+            sitemapUrl: sitemapUrl || null,
+            maxPages: maxPagesNum,
+            maxDepth: maxDepthNum,
+            concurrency: concurrencyNum,
+            include,
+            exclude,
+            authRecipeId: authRecipeId || undefined
+        }
+    }
+}
+
+/**
+ * POST /api/audit/accessibility/site
+ * Scan every page of a site and return the WCAG conformance rollup.
+ */
+export async function scanSite(req, res) {
+    try {
+        const { error, params } = parseSiteScanRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const report = await performSiteScan(params, { scope: getAuditScope(req) })
+        res.json(report)
 
     } catch (error) {
-        logger.error('Accessibility check error:', error)
+        logger.error('Site accessibility scan error:', error)
         res.status(500).json({
-            error: 'Failed to check accessibility',
+            error: 'Failed to scan site',
             message: error.message
         })
     }
 }
+
+/**
+ * Run the site-wide scan and record the site-level result.
+ * Shared by the synchronous route and the job queue.
+ */
+export async function performSiteScan({ url, authRecipeId, ...options }, { onProgress, scope } = {}) {
+    const auth = await authRecipeService.resolve(url || options.sitemapUrl, { recipeId: authRecipeId, userId: scope?.userId, projectId: scope?.projectId })
+    const report = await siteAccessibilityService.scanSite(url, { ...options, auth, onProgress })
+
+    await storageService.addAudit({
+        url: url || options.sitemapUrl,
+        type: 'Accessibility Site Scan',
+        score: report.score,
+        status: report.wcagLevel === 'Fail' ? 'fail' : report.wcagLevel === 'A' ? 'warning' : 'pass',
+        issuesFound: report.summary.uniqueIssues,
+        criticalIssues: report.issues.filter(i => i.severity === 'error').length
+    }, report, scope)
+
+    return report
+}
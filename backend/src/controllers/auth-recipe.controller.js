@@ -0,0 +1,261 @@
+import authRecipeService, { AUTH_KINDS, STEP_ACTIONS } from '../services/auth-recipe.service.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
+import { logger } from '../utils/logger.js'
+
+const MAX_WAIT_MS = 60 * 1000
+
+const canManage = (recipe, user) => user?.role === 'admin' || !recipe.createdBy || recipe.createdBy === user?.id
+
+// Recipes the caller's audits could use: the active project's, or their own outside any project
+const canSee = (recipe, req) => req.user?.role === 'admin' || authRecipeService.canUse(recipe, getAuditScope(req))
+
+const isHttpUrl = (value) => typeof value === 'string' && /^https?:\/\//i.test(value.trim())
+const isText = (value) => typeof value === 'string' && value !== ''
+
+const invalid = (error, message) => ({ error: { error, message } })
+
+/**
+ * Validate the credentials of a recipe.
+ * Returns { error } or { auth } with only the parts that are set.
+ */
+function parseAuth({ cookies, basicAuth, headers, steps }) {
+    const auth = {}
+
+    if (cookies !== undefined && cookies !== null) {
+        if (!Array.isArray(cookies) || cookies.some(c => !c || !isText(c.name) || typeof c.value !== 'string')) {
+            return invalid('Invalid cookies', 'cookies must be a list of { name, value, domain?, path? }.')
+        }
+        if (cookies.length > 0) {
+            auth.cookies = cookies.map(({ name, value, domain, path, secure, httpOnly }) => ({
+                name, value,
+                ...(domain && { domain }),
+                ...(path && { path }),
+                ...(secure !== undefined && { secure: !!secure }),
+                ...(httpOnly !== undefined && { httpOnly: !!httpOnly })
+            }))
+        }
+    }
+
+    if (basicAuth !== undefined && basicAuth !== null) {
+        if (!isText(basicAuth.username) || typeof basicAuth.password !== 'string') {
+            return invalid('Invalid basic auth', 'basicAuth needs a username and a password.')
+        }
+        auth.basicAuth = { username: basicAuth.username, password: basicAuth.password }
+    }
+
+    if (headers !== undefined && headers !== null) {
+        if (typeof headers !== 'object' || Array.isArray(headers) || Object.entries(headers).some(([name, value]) => !isText(name) || typeof value !== 'string')) {
+            return invalid('Invalid headers', 'headers must map header names to string values.')
+        }
+        if (Object.keys(headers).length > 0) auth.headers = headers
+    }
+
+    if (steps !== undefined && steps !== null) {
+        if (!Array.isArray(steps)) {
+            return invalid('Invalid steps', 'steps must be a list of login steps.')
+        }
+        for (const [index, step] of steps.entries()) {
+            const at = `Step ${index + 1}`
+            if (!step || !STEP_ACTIONS.includes(step.action)) {
+                return invalid('Invalid step', `${at}: action must be one of ${STEP_ACTIONS.join(', ')}.`)
+            }
+            if (step.action === 'goto' && !isText(step.url)) {
+                return invalid('Invalid step', `${at}: goto needs a url (absolute, or relative to the audited page).`)
+            }
+            if ((step.action === 'type' || step.action === 'click') && !isText(step.selector)) {
+                return invalid('Invalid step', `${at}: ${step.action} needs a selector.`)
+            }
+            if (step.action === 'type' && typeof step.value !== 'string') {
+                return invalid('Invalid step', `${at}: type needs a value.`)
+            }
+            if (step.action === 'waitFor' && !isText(step.selector) && !isText(step.url)) {
+                const ms = Number(step.timeout)
+                if (!Number.isFinite(ms) || ms <= 0 || ms > MAX_WAIT_MS) {
+                    return invalid('Invalid step', `${at}: waitFor needs a selector, a url fragment or a timeout of up to ${MAX_WAIT_MS}ms.`)
+                }
+            }
+        }
+        if (steps.length > 0) {
+            auth.steps = steps.map(({ action, url, selector, value, timeout, waitForNavigation }) => ({
+                action,
+                ...(url && { url }),
+                ...(selector && { selector }),
+                ...(action === 'type' && { value }),
+                ...(action === 'waitFor' && !url && !selector && { timeout: Number(timeout) }),
+                ...(action === 'click' && waitForNavigation && { waitForNavigation: true })
+            }))
+        }
+    }
+
+    return { auth }
+}
+
+/**
+ * Validate a recipe body. On create a name and at least one credential are
+ * required; on update credentials are only replaced when any is sent.
+ * Returns { error } with a 400 payload, or { params }.
+ */
+function parseAuthRecipeRequest(body = {}, { partial = false } = {}) {
+    const { name, urlPattern } = body
+
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            return invalid('Recipe name is required', 'Please provide a name for the auth recipe.')
+        }
+    }
+
+    if (urlPattern !== undefined && urlPattern !== null && urlPattern !== '' && !isHttpUrl(urlPattern)) {
+        return invalid('Invalid URL pattern', 'urlPattern must start with http:// or https:// (use * as a wildcard, or leave it empty to only use the recipe when selected).')
+    }
+
+    const sendsAuth = AUTH_KINDS.some(kind => body[kind] !== undefined)
+    let auth
+    if (!partial || sendsAuth) {
+        const parsed = parseAuth(body)
+        if (parsed.error) return parsed
+        if (Object.keys(parsed.auth).length === 0) {
+            return invalid('Credentials are required', 'Set cookies, basic auth, headers or login steps.')
+        }
+        auth = parsed.auth
+    }
+
+    return {
+        params: {
+            name: name?.trim(),
+            urlPattern: urlPattern === undefined ? undefined : (urlPattern?.trim() || null),
+            auth
+        }
+    }
+}
+
+// The :id recipe, or null after answering 404 (or 403 when `manage` is set and the user can't)
+async function loadRecipe(req, res, { manage = false } = {}) {
+    const recipe = await authRecipeService.getRecipe(req.params.id)
+    if (!recipe || !canSee(recipe, req)) {
+        res.status(404).json({ ok: false, error: 'Auth recipe not found' })
+        return null
+    }
+    if (manage && !canManage(recipe, req.user)) {
+        res.status(403).json({ ok: false, error: 'Only the recipe creator can change it' })
+        return null
+    }
+    return recipe
+}
+
+/**
+ * GET /api/auth-recipes
+ * Recipes (masked) of the active project, or the caller's own outside any
+ * project. Admins see all, optionally narrowed with ?projectId=.
+ */
+export const listAuthRecipes = async (req, res) => {
+    try {
+        const recipes = req.user?.role === 'admin'
+            ? await authRecipeService.listRecipes({ projectId: req.query.projectId || undefined })
+            : (await authRecipeService.listRecipes()).filter(r => canSee(r, req))
+        res.json({ ok: true, recipes, kinds: AUTH_KINDS, actions: STEP_ACTIONS })
+    } catch (err) {
+        logger.error('Error listing auth recipes:', err)
+        res.status(500).json({ ok: false, error: 'Failed to list auth recipes' })
+    }
+}
+
+/**
+ * GET /api/auth-recipes/:id
+ */
+export const getAuthRecipe = async (req, res) => {
+    try {
+        const recipe = await loadRecipe(req, res)
+        if (!recipe) return
+        res.json({ ok: true, recipe })
+    } catch (err) {
+        logger.error('Error fetching auth recipe:', err)
+        res.status(500).json({ ok: false, error: 'Failed to fetch auth recipe' })
+    }
+}
+
+/**
+ * POST /api/auth-recipes
+ * The recipe belongs to the project in the X-Project-Id header, or to its creator when none is set.
+ */
+export const createAuthRecipe = async (req, res) => {
+    try {
+        const { error, params } = parseAuthRecipeRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const recipe = await authRecipeService.createRecipe(params, getAuditScope(req))
+
+        logger.info(`Auth recipe created: ${recipe.name} (${recipe.kinds.join(', ')})`)
+        res.status(201).json({ ok: true, recipe })
+    } catch (err) {
+        logger.error('Error creating auth recipe:', err)
+        res.status(500).json({ ok: false, error: 'Failed to create auth recipe' })
+    }
+}
+
+/**
+ * PATCH /api/auth-recipes/:id
+ * Sending any of cookies, basicAuth, headers or steps replaces all stored credentials.
+ */
+export const updateAuthRecipe = async (req, res) => {
+    try {
+        const recipe = await loadRecipe(req, res, { manage: true })
+        if (!recipe) return
+
+        const { error, params } = parseAuthRecipeRequest(req.body, { partial: true })
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const updated = await authRecipeService.updateRecipe(recipe.id, params)
+        res.json({ ok: true, recipe: updated })
+    } catch (err) {
+        logger.error('Error updating auth recipe:', err)
+        res.status(500).json({ ok: false, error: 'Failed to update auth recipe' })
+    }
+}
+
+/**
+ * DELETE /api/auth-recipes/:id
+ */
+export const deleteAuthRecipe = async (req, res) => {
+    try {
+        const recipe = await loadRecipe(req, res, { manage: true })
+        if (!recipe) return
+
+        await authRecipeService.deleteRecipe(recipe.id)
+
+        logger.info(`Auth recipe deleted: ${recipe.name} (${recipe.id})`)
+        res.json({ ok: true })
+    } catch (err) {
+        logger.error('Error deleting auth recipe:', err)
+        res.status(500).json({ ok: false, error: 'Failed to delete auth recipe' })
+    }
+}
+
+/**
+ * POST /api/auth-recipes/:id/test
+ * Body: { url } - log in with the recipe, open the URL and report where the browser landed.
+ */
+export const testAuthRecipe = async (req, res) => {
+    try {
+        const recipe = await loadRecipe(req, res)
+        if (!recipe) return
+
+        const scope = getAuditScope(req)
+        if (!authRecipeService.canUse(recipe, scope)) {
+            return res.status(404).json({ ok: false, error: 'Auth recipe not found' })
+        }
+
+        const url = req.body?.url
+        if (!isHttpUrl(url)) {
+            return res.status(400).json({ error: 'Invalid URL format', message: 'URL must start with http:// or https://' })
+        }
+
+        res.json({ ok: true, result: await authRecipeService.testRecipe(recipe.id, url.trim(), scope) })
+    } catch (err) {
+        logger.error('Error testing auth recipe:', err)
+        res.status(500).json({ ok: false, error: 'Failed to test auth recipe', message: err.message })
+    }
+}
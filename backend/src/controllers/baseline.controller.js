@@ -0,0 +1,184 @@
+import baselineService, { DEFAULT_DIFF_THRESHOLD, SNAPSHOT_STATUSES } from '../services/baseline.service.js'
+import authRecipeService from '../services/auth-recipe.service.js'
+import storageService from '../services/storage.service.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
+import { parseViewports } from '../utils/viewports.js'
+import { logger } from '../utils/logger.js'
+
+const invalid = (error, message) => ({ error: { error, message } })
+
+/**
+ * Validate a baseline capture or check: a URL and one viewport (width, preset
+ * or device name; desktop by default).
+ * Returns { error } with a 400 payload, or { params } ready for the baseline service.
+ */
+export function parseBaselineRequest(body = {}) {
+    const { url, viewport = 'desktop', threshold, authRecipeId } = body
+
+    if (!url || url.trim() === '') {
+        return invalid('URL is required', 'Please provide the URL to snapshot.')
+    }
+    if (!url.startsWith('http://') && !url.startsWith('https://')) {
+        return invalid('Invalid URL format', 'URL must start with http:// or https://')
+    }
+
+    const { error, viewports } = parseViewports([viewport])
+    if (error) return { error }
+
+    let thresholdPercent = DEFAULT_DIFF_THRESHOLD
+    if (threshold !== undefined && threshold !== null) {
+        thresholdPercent = Number(threshold)
+        if (!Number.isFinite(thresholdPercent) || thresholdPercent < 0 || thresholdPercent > 100) {
+            return invalid('Invalid threshold', 'threshold is the share of changed pixels tolerated, between 0 and 100 (%).')
+        }
+    }
+
+    return {
+        params: {
+            url: url.trim(),
+            viewport: viewports[0],
+            threshold: thresholdPercent,
+            authRecipeId: authRecipeId || undefined
+        }
+    }
+}
+
+// The :id snapshot of the active project, or null after answering 404
+async function loadSnapshot(req, res) {
+    const snapshot = await baselineService.getSnapshot(req.params.id)
+    if (!snapshot || (snapshot.projectId || null) !== getAuditScope(req).projectId) {
+        res.status(404).json({ ok: false, error: 'Snapshot not found' })
+        return null
+    }
+    return snapshot
+}
+
+/**
+ * GET /api/baselines
+ * Snapshots of the active project, newest first. Query: url, viewport, status, limit.
+ */
+export const listBaselines = async (req, res) => {
+    try {
+        const { url, viewport, status, limit = 100 } = req.query
+        if (status && !SNAPSHOT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'Invalid status', message: `status must be one of ${SNAPSHOT_STATUSES.join(', ')}` })
+        }
+
+        const snapshots = await baselineService.listSnapshots({
+            projectId: getAuditScope(req).projectId,
+            url: url || undefined,
+            viewport: viewport || undefined,
+            status: status || undefined,
+            limit: Math.min(parseInt(limit) || 100, 500)
+        })
+        res.json({ ok: true, snapshots, statuses: SNAPSHOT_STATUSES })
+    } catch (err) {
+        logger.error('Error listing baselines:', err)
+        res.status(500).json({ ok: false, error: 'Failed to list baselines' })
+    }
+}
+
+/**
+ * GET /api/baselines/:id
+ */
+export const getBaseline = async (req, res) => {
+    try {
+        const snapshot = await loadSnapshot(req, res)
+        if (!snapshot) return
+        res.json({ ok: true, snapshot })
+    } catch (err) {
+        logger.error('Error fetching baseline:', err)
+        res.status(500).json({ ok: false, error: 'Failed to fetch baseline' })
+    }
+}
+
+/**
+ * POST /api/baselines
+ * Capture the page now and approve it as the baseline of its URL/viewport.
+ */
+export const createBaseline = async (req, res) => {
+    try {
+        const { error, params } = parseBaselineRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const scope = getAuditScope(req)
+        const auth = await authRecipeService.resolve(params.url, { recipeId: params.authRecipeId, userId: scope.userId, projectId: scope.projectId })
+        const baseline = await baselineService.createBaseline(params.url, params.viewport, { auth, scope })
+        res.status(201).json({ ok: true, baseline })
+    } catch (err) {
+        logger.error('Error capturing baseline:', err)
+        res.status(500).json({ ok: false, error: 'Failed to capture baseline', message: err.message })
+    }
+}
+
+/**
+ * POST /api/baselines/:id/approve and /api/baselines/:id/reject
+ * Body: { note? }. Approving promotes the pending snapshot to the baseline.
+ */
+export const reviewBaseline = (decision) => async (req, res) => {
+    try {
+        const snapshot = await loadSnapshot(req, res)
+        if (!snapshot) return
+
+        if (snapshot.status !== 'pending') {
+            return res.status(409).json({ ok: false, error: `Only pending changes can be reviewed (this snapshot is ${snapshot.status})` })
+        }
+
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 500) : null
+        const reviewed = await baselineService.review(snapshot.id, decision, { userId: req.user?.id, note })
+        res.json({ ok: true, snapshot: reviewed })
+    } catch (err) {
+        logger.error(`Error reviewing baseline (${decision}):`, err)
+        res.status(500).json({ ok: false, error: 'Failed to review change' })
+    }
+}
+
+/**
+ * POST /api/audit/visual-regression
+ * Compare the page with its approved baseline.
+ */
+export async function runVisualRegression(req, res) {
+    try {
+        const { error, params } = parseBaselineRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const result = await performVisualRegression(params, { scope: getAuditScope(req) })
+        res.json(result)
+
+    } catch (error) {
+        logger.error('Visual regression error:', error)
+        res.status(500).json({
+            error: 'Failed to run visual regression check',
+            message: error.message
+        })
+    }
+}
+
+/**
+ * Check the page against its baseline and record the run in history.
+ * Shared by the synchronous route and the job queue.
+ */
+export async function performVisualRegression({ url, viewport, threshold, authRecipeId }, { onProgress, scope = {} } = {}) {
+    const auth = await authRecipeService.resolve(url, { recipeId: authRecipeId, userId: scope.userId, projectId: scope.projectId })
+    const result = await baselineService.check(url, viewport, { auth, scope, threshold, onProgress })
+
+    const changes = result.comparison
+        ? result.comparison.elementChanges.length + (result.comparison.mismatchPercent > threshold ? 1 : 0)
+        : 0
+
+    onProgress?.('Saving report', 97)
+    await storageService.addAudit({
+        url,
+        type: 'Visual Regression',
+        score: result.comparison ? Math.max(0, Math.round(100 - result.comparison.mismatchPercent)) : 100,
+        status: result.status === 'pending' ? 'warning' : 'pass',
+        issuesFound: changes,
+        criticalIssues: result.comparison ? result.comparison.elementChanges.filter(c => c.severity === 'critical').length : 0
+    }, result, scope)
+
+    return result
+}
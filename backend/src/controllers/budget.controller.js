@@ -0,0 +1,167 @@
+import budgetService, { BUDGET_LIMITS, BUDGET_GROUPS } from '../services/budget.service.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
+import { logger } from '../utils/logger.js'
+
+const canManage = (budget, user) => user?.role === 'admin' || !budget.createdBy || budget.createdBy === user?.id
+
+/**
+ * Validate a budget body. On create a name and at least one limit are
+ * required; on update only the fields present are checked.
+ * Returns { error } with a 400 payload, or { params }.
+ */
+function parseBudgetRequest(body = {}, { partial = false } = {}) {
+    const { name, url } = body
+
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            return { error: { error: 'Budget name is required', message: 'Please provide a name for the budget.' } }
+        }
+    }
+
+    if (url !== undefined && url !== null && url !== '') {
+        if (typeof url !== 'string' || !/^https?:\/\//i.test(url.trim())) {
+            return { error: { error: 'Invalid URL format', message: 'URL must start with http:// or https:// (use * as a wildcard, or leave it empty for every page).' } }
+        }
+    }
+
+    const limits = {}
+    for (const group of BUDGET_GROUPS) {
+        const values = body[group]
+        if (values === undefined) continue
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            return { error: { error: `Invalid ${group}`, message: `${group} must be an object of limits.` } }
+        }
+
+        const unknown = Object.keys(values).filter(key => !BUDGET_LIMITS[group][key])
+        if (unknown.length > 0) {
+            return { error: { error: `Unknown ${group} limits`, message: `${unknown.join(', ')} (supported: ${Object.keys(BUDGET_LIMITS[group]).join(', ')})` } }
+        }
+
+        // Empty inputs of the form arrive as null and clear the limit
+        limits[group] = {}
+        for (const [key, value] of Object.entries(values)) {
+            if (value === null || value === '') continue
+            const number = Number(value)
+            if (!Number.isFinite(number) || number < 0 || (group === 'categories' && number > 100)) {
+                return { error: { error: 'Invalid limit', message: `${group}.${key} must be a number${group === 'categories' ? ' between 0 and 100' : ' of at least 0'}.` } }
+            }
+            limits[group][key] = number
+        }
+    }
+
+    if (!partial && BUDGET_GROUPS.every(group => Object.keys(limits[group] || {}).length === 0)) {
+        return { error: { error: 'Limits are required', message: 'Set at least one metric, resource or score limit.' } }
+    }
+
+    return {
+        params: {
+            name: name?.trim(),
+            url: url === undefined ? undefined : (url?.trim() || null),
+            ...limits
+        }
+    }
+}
+
+// The :id budget, or null after answering 404 (or 403 when `manage` is set and the user can't)
+async function loadBudget(req, res, { manage = false } = {}) {
+    const budget = await budgetService.getBudget(req.params.id)
+    if (!budget) {
+        res.status(404).json({ ok: false, error: 'Budget not found' })
+        return null
+    }
+    if (manage && !canManage(budget, req.user)) {
+        res.status(403).json({ ok: false, error: 'Only the budget creator can change it' })
+        return null
+    }
+    return budget
+}
+
+/**
+ * GET /api/budgets
+ * All budgets, optionally narrowed with ?projectId=, plus the limits a budget can set.
+ */
+export const listBudgets = async (req, res) => {
+    try {
+        const budgets = await budgetService.listBudgets({ projectId: req.query.projectId || undefined })
+        res.json({ ok: true, budgets, limits: BUDGET_LIMITS })
+    } catch (err) {
+        logger.error('Error listing budgets:', err)
+        res.status(500).json({ ok: false, error: 'Failed to list budgets' })
+    }
+}
+
+/**
+ * GET /api/budgets/:id
+ */
+export const getBudget = async (req, res) => {
+    try {
+        const budget = await loadBudget(req, res)
+        if (!budget) return
+        res.json({ ok: true, budget })
+    } catch (err) {
+        logger.error('Error fetching budget:', err)
+        res.status(500).json({ ok: false, error: 'Failed to fetch budget' })
+    }
+}
+
+/**
+ * POST /api/budgets
+ * The budget applies to Lighthouse runs of the project in the X-Project-Id
+ * header, or of every project when no project is selected.
+ */
+export const createBudget = async (req, res) => {
+    try {
+        const { error, params } = parseBudgetRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const budget = await budgetService.createBudget(params, getAuditScope(req))
+
+        logger.info(`Budget created: ${budget.name} (${budget.url || 'every page'})`)
+        res.status(201).json({ ok: true, budget })
+    } catch (err) {
+        logger.error('Error creating budget:', err)
+        res.status(500).json({ ok: false, error: 'Failed to create budget' })
+    }
+}
+
+/**
+ * PATCH /api/budgets/:id
+ * A limit group sent in the body replaces the stored one.
+ */
+export const updateBudget = async (req, res) => {
+    try {
+        const budget = await loadBudget(req, res, { manage: true })
+        if (!budget) return
+
+        const { error, params } = parseBudgetRequest(req.body, { partial: true })
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const updated = await budgetService.updateBudget(budget.id, params)
+        res.json({ ok: true, budget: updated })
+    } catch (err) {
+        logger.error('Error updating budget:', err)
+        res.status(500).json({ ok: false, error: 'Failed to update budget' })
+    }
+}
+
+/**
+ * DELETE /api/budgets/:id
+ */
+export const deleteBudget = async (req, res) => {
+    try {
+        const budget = await loadBudget(req, res, { manage: true })
+        if (!budget) return
+
+        await budgetService.deleteBudget(budget.id)
+
+        logger.info(`Budget deleted: ${budget.name} (${budget.id})`)
+        res.json({ ok: true })
+    } catch (err) {
+        logger.error('Error deleting budget:', err)
+        res.status(500).json({ ok: false, error: 'Failed to delete budget' })
+    }
+}
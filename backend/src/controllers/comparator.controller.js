@@ -1,6 +1,7 @@
 import comparatorService from '../services/comparator.service.js'
 import storageService from '../services/storage.service.js'
 import { logger } from '../utils/logger.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
 
 export async function compareEnvironments(req, res) {
     try {
@@ -22,7 +23,7 @@ export async function compareEnvironments(req, res) {
             status: (results.visualDiff?.similarity || 100) >= 95 ? 'pass' : 'warning',
             issuesFound: results.differences?.length || 0,
             criticalIssues: results.differences?.filter(d => d.severity === 'high').length || 0
-        })
+        }, results, getAuditScope(req))
 
         res.json(results)
 
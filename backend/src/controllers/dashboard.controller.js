@@ -1,9 +1,16 @@
 import storageService from '../services/storage.service.js'
+import trendService from '../services/trend.service.js'
 import { logger } from '../utils/logger.js'
+import { canAccessAudit, getHistoryScope } from '../middleware/project.middleware.js'
 
 export const getDashboardStats = async (req, res) => {
     try {
-        const stats = await storageService.getStats()
+        const { error, filters } = getHistoryScope(req)
+        if (error) {
+            return res.status(403).json(error)
+        }
+
+        const stats = await storageService.getStats(filters)
         res.json({
             ok: true,
             stats
@@ -16,13 +23,71 @@ export const getDashboardStats = async (req, res) => {
 
 export const getAuditHistory = async (req, res) => {
     try {
-        const history = await storageService.getAudits()
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500)
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0)
+
+        const { error, filters } = getHistoryScope(req)
+        if (error) {
+            return res.status(403).json(error)
+        }
+
+        const history = await storageService.getAudits({ limit, offset, type: req.query.type, ...filters })
         res.json({
             ok: true,
-            history
+            history,
+            limit,
+            offset
         })
     } catch (err) {
         logger.error('Error fetching audit history:', err)
         res.status(500).json({ ok: false, error: 'Failed to fetch audit history' })
     }
 }
+
+/**
+ * GET /api/audit/trends
+ * Score, issue and Web Vitals series per URL + audit type, with regressions
+ * against the rolling baseline. Accepts url, type, days, threshold and window
+ * alongside the project/user filters.
+ */
+export const getTrends = async (req, res) => {
+    try {
+        const { error, filters } = getHistoryScope(req)
+        if (error) {
+            return res.status(403).json(error)
+        }
+
+        const trends = await trendService.getTrends({
+            ...filters,
+            url: req.query.url || undefined,
+            type: req.query.type || undefined,
+            days: parseInt(req.query.days) || undefined,
+            threshold: req.query.threshold !== undefined ? parseFloat(req.query.threshold) : undefined,
+            window: req.query.window !== undefined ? parseInt(req.query.window) : undefined
+        })
+
+        res.json({ ok: true, ...trends })
+    } catch (err) {
+        logger.error('Error fetching trends:', err)
+        res.status(500).json({ ok: false, error: 'Failed to fetch trends' })
+    }
+}
+
+/**
+ * GET /api/audit/history/:id
+ * Full stored report of a past audit, for reopening it in its results viewer.
+ */
+export const getAuditReport = async (req, res) => {
+    try {
+        const report = await storageService.getAuditReport(req.params.id)
+        // Reports outside the caller's scope are indistinguishable from unknown ids
+        if (!report || !canAccessAudit(req, report.audit)) {
+            return res.status(404).json({ ok: false, error: 'Audit not found' })
+        }
+
+        res.json({ ok: true, ...report })
+    } catch (err) {
+        logger.error('Error fetching audit report:', err)
+        res.status(500).json({ ok: false, error: 'Failed to fetch audit report' })
+    }
+}
@@ -0,0 +1,243 @@
+import designComparatorService from '../services/design-comparator.service.js'
+import storageService from '../services/storage.service.js'
+import authRecipeService from '../services/auth-recipe.service.js'
+import { logger } from '../utils/logger.js'
+import multer from 'multer'
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { getAuditScope } from '../middleware/project.middleware.js'
+import { parseIgnoreOptions } from '../utils/ignore-regions.js'
+
+const MAX_DESIGN_SIZE_MB = 20
+
+// Design exports are read in memory; they are saved again once scaled
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_DESIGN_SIZE_MB * 1024 * 1024,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = /jpeg|jpg|png|webp/
+        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase())
+        const mimetype = allowedTypes.test(file.mimetype)
+
+        if (mimetype && extname) {
+            return cb(null, true)
+        } else {
+            cb(new Error('Only PNG, JPG and WebP design exports are allowed'))
+        }
+    }
+})
+
+// Wrap multer middleware to handle errors gracefully
+const multerUpload = upload.single('design')
+export const designUploadMiddleware = (req, res, next) => {
+    multerUpload(req, res, (err) => {
+        if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                ok: false,
+                error: 'File too large',
+                message: `The design image exceeds the ${MAX_DESIGN_SIZE_MB}MB size limit.`
+            })
+        } else if (err) {
+            return res.status(400).json({
+                ok: false,
+                error: 'Upload Error',
+                message: err.message
+            })
+        }
+        next()
+    })
+}
+
+/**
+ * Design Comparator Controller
+ * POST /api/audit/compare-design (multipart/form-data)
+ *
+ * Fields:
+ * {
+ *   design: file (required, PNG/JPG/WebP mockup export)
+ *   url: string (required)
+ *   designScale: 1 | 2 | 3 (optional, export scale of the mockup, default 1)
+ *   fullPage: boolean (optional, compare the page below the mockup's height too)
+ *   analyze: boolean (optional, describe regions with the vision model, default true)
+ *   maxElements: number (optional, default 500, max 800)
+ *   ignore: JSON string of { mask?, hide?, freeze?, css? } (optional)
+ *   authRecipeId: string (optional)
+ * }
+ */
+export const compareDesign = async (req, res) => {
+    const startTime = Date.now()
+
+    try {
+        const { error, params } = parseDesignComparisonRequest(req.body, req.file)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const result = await performDesignComparison(params, { scope: getAuditScope(req) })
+        res.json(result)
+
+    } catch (error) {
+        const requestDuration = Date.now() - startTime
+        logger.error(`❌ Design comparison failed after ${requestDuration}ms:`, error.message)
+
+        const statusCode = error.message.includes('timeout') ? 504 :
+            error.message.includes('Input buffer') || error.message.includes('unsupported image') ? 400 :
+                error.message.includes('Browser') ? 503 :
+                    500
+
+        res.status(statusCode).json({
+            ok: false,
+            error: 'Design comparison failed',
+            message: error.message,
+            details: { durationMs: requestDuration }
+        })
+    }
+}
+
+// Multipart fields arrive as strings
+const parseFlag = (value, fallback) => value === undefined || value === '' ? fallback : value === true || value === 'true'
+
+/**
+ * Validate a compare-design request (multipart fields and the uploaded design).
+ * Returns { error } with a 400 payload, or { params } ready for performDesignComparison.
+ */
+export function parseDesignComparisonRequest(body = {}, file) {
+    const { url, designScale = 1, maxElements = 500, authRecipeId } = body
+
+    if (!file) {
+        return {
+            error: {
+                ok: false,
+                error: 'Design image is required',
+                message: 'Upload the mockup as a PNG, JPG or WebP file in the "design" field'
+            }
+        }
+    }
+
+    if (!url || !isValidUrl(url)) {
+        return {
+            error: {
+                ok: false,
+                error: 'Invalid URL format',
+                message: 'url must be a valid http or https URL'
+            }
+        }
+    }
+
+    const scale = Number(designScale)
+    if (![1, 2, 3].includes(scale)) {
+        return {
+            error: {
+                ok: false,
+                error: 'Invalid designScale',
+                message: 'designScale must be 1, 2 or 3 (the export scale of the mockup)'
+            }
+        }
+    }
+
+    const maxElementsNum = parseInt(maxElements)
+    if (isNaN(maxElementsNum) || maxElementsNum < 1 || maxElementsNum > 800) {
+        return {
+            error: {
+                ok: false,
+                error: 'Invalid maxElements',
+                message: 'maxElements must be a number between 1 and 800'
+            }
+        }
+    }
+
+    let ignoreValue = body.ignore
+    if (typeof ignoreValue === 'string') {
+        try {
+            ignoreValue = ignoreValue.trim() ? JSON.parse(ignoreValue) : undefined
+        } catch (e) {
+            return {
+                error: {
+                    ok: false,
+                    error: 'Invalid ignore options',
+                    message: 'ignore must be a JSON object with mask, hide, freeze and/or css'
+                }
+            }
+        }
+    }
+    const { error: ignoreError, ignore } = parseIgnoreOptions(ignoreValue)
+    if (ignoreError) {
+        return { error: ignoreError }
+    }
+
+    return {
+        params: {
+            design: file.buffer,
+            designName: file.originalname,
+            url,
+            designScale: scale,
+            fullPage: parseFlag(body.fullPage, false),
+            analyze: parseFlag(body.analyze, true),
+            maxElements: maxElementsNum,
+            ignore,
+            authRecipeId: authRecipeId || undefined
+        }
+    }
+}
+
+/**
+ * Job payloads are stored as JSON, so a queued comparison keeps its design in
+ * the temp dir instead of the request's buffer. Removed once the job has run.
+ */
+export async function stageDesignUpload({ design, ...params }) {
+    const designPath = path.join(os.tmpdir(), `design-${crypto.randomUUID()}${path.extname(params.designName || '').toLowerCase()}`)
+    await fs.writeFile(designPath, design)
+    return { ...params, designPath }
+}
+
+const readStagedDesign = async (designPath) => {
+    try {
+        return await fs.readFile(designPath)
+    } catch (err) {
+        throw new Error('The uploaded design is no longer available, upload it again')
+    }
+}
+
+/**
+ * Execute the design comparison and record it in history.
+ * The design is the uploaded buffer, or the file staged by stageDesignUpload.
+ */
+export async function performDesignComparison({ design, designPath, designName, url, authRecipeId, ...options }, { onProgress, scope } = {}) {
+    try {
+        logger.info(`🎨 Compare Design Request: ${designName} vs ${url}`)
+
+        const image = design || await readStagedDesign(designPath)
+        const auth = await authRecipeService.resolve(url, { recipeId: authRecipeId, userId: scope?.userId, projectId: scope?.projectId })
+        const result = await designComparatorService.compareDesign(image, url, { ...options, designName, auth, onProgress })
+
+        const { summary } = result
+        logger.info(`✅ Design comparison: ${summary.mismatchPercent}% mismatch, ${summary.changedRegions} regions, ${summary.findings} findings`)
+
+        await storageService.addAudit({
+            url,
+            type: 'Design Comparison',
+            score: Math.max(0, Math.round(100 - (summary.mismatchPercent || 0))),
+            status: summary.criticalIssues > 0 || summary.mismatchPercent > 5 ? 'warning' : 'pass',
+            issuesFound: summary.findings || summary.changedRegions,
+            criticalIssues: summary.criticalIssues
+        }, result, scope)
+
+        return result
+    } finally {
+        if (designPath) await fs.rm(designPath, { force: true })
+    }
+}
+
+function isValidUrl(urlString) {
+    try {
+        const url = new URL(urlString)
+        return url.protocol === 'http:' || url.protocol === 'https:'
+    } catch (error) {
+        return false
+    }
+}
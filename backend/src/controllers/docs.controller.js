@@ -2,6 +2,7 @@ import docsService from '../services/docs.service.js'
 import storageService from '../services/storage.service.js'
 import { logger } from '../utils/logger.js'
 import multer from 'multer'
+import { getAuditScope } from '../middleware/project.middleware.js'
 
 // Configure multer for file uploads
 const upload = multer({
@@ -38,7 +39,7 @@ export async function generateDocs(req, res) {
             status: 'pass',
             issuesFound: results.components?.length || 0,
             criticalIssues: results.accessibility?.issues?.filter(i => i.severity === 'High').length || 0
-        })
+        }, null, getAuditScope(req))
 
         res.json(results)
 
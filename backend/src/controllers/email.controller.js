@@ -7,8 +7,10 @@ import emailVisionService from '../services/email-vision.service.js';
 import emailGeneratorService from '../services/email-generator.service.js';
 import emailValidatorService from '../services/email-validator.service.js';
 import emailAccessibilityService from '../services/email-accessibility.service.js';
+import storageService from '../services/storage.service.js';
 import { logger } from '../utils/logger.js';
 import fs from 'fs/promises';
+import { getAuditScope } from '../middleware/project.middleware.js';
 
 class EmailController {
     constructor() {
@@ -155,23 +157,35 @@ class EmailController {
             const validation = await emailValidatorService.validateEmail(html);
             const accessibility = await emailAccessibilityService.auditAccessibility(html);
 
+            const metrics = {
+                qualityScore: validation?.metrics?.overall || 0,
+                compatibility: this.calculateCompatibilityMatrix(validation || {}, accessibility || {}),
+                accessibility: {
+                    score: accessibility?.score || 0,
+                    issues: accessibility?.issues || [],
+                    level: accessibility?.level || 'N/A'
+                },
+                spamRisk: validation?.spamRisk || { score: 0, status: 'unknown' },
+                validation: {
+                    issues: (validation?.issues || []).filter(i => i.severity === 'error'),
+                    warnings: (validation?.issues || []).filter(i => i.severity === 'warning'),
+                    scores: validation?.metrics || {}
+                }
+            };
+
+            // Persist to history (with the HTML so the editor can be restored)
+            await storageService.addAudit({
+                url: 'Email Template',
+                type: 'Email Validation',
+                score: metrics.qualityScore,
+                status: metrics.qualityScore >= 80 ? 'pass' : metrics.qualityScore >= 60 ? 'warning' : 'fail',
+                issuesFound: metrics.validation.issues.length + metrics.validation.warnings.length + metrics.accessibility.issues.length,
+                criticalIssues: metrics.validation.issues.length
+            }, { html, metrics }, getAuditScope(req));
+
             res.json({
                 success: true,
-                metrics: {
-                    qualityScore: validation?.metrics?.overall || 0,
-                    compatibility: this.calculateCompatibilityMatrix(validation || {}, accessibility || {}),
-                    accessibility: {
-                        score: accessibility?.score || 0,
-                        issues: accessibility?.issues || [],
-                        level: accessibility?.level || 'N/A'
-                    },
-                    spamRisk: validation?.spamRisk || { score: 0, status: 'unknown' },
-                    validation: {
-                        issues: (validation?.issues || []).filter(i => i.severity === 'error'),
-                        warnings: (validation?.issues || []).filter(i => i.severity === 'warning'),
-                        scores: validation?.metrics || {}
-                    }
-                }
+                metrics
             });
         } catch (error) {
             res.status(500).json({ success: false, error: error.message });
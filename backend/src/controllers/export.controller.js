@@ -0,0 +1,66 @@
+import exportService, { EXPORT_FORMATS } from '../services/export.service.js'
+import storageService from '../services/storage.service.js'
+import { logger } from '../utils/logger.js'
+import { canAccessAudit } from '../middleware/project.middleware.js'
+
+const invalidFormat = (format) => ({
+    error: 'Invalid export format',
+    message: `format must be one of ${EXPORT_FORMATS.join(', ')}${format ? ` (got "${format}")` : ''}`
+})
+
+const sendExport = (res, { contentType, extension, body }, filename) => {
+    res.setHeader('Content-Type', `${contentType}; charset=utf-8`)
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`)
+    res.send(body)
+}
+
+/**
+ * GET /api/audit/history/:id/export?format=junit|sarif
+ * Findings of a stored audit report as JUnit XML or SARIF 2.1.0.
+ */
+export const exportStoredAudit = async (req, res) => {
+    const { format } = req.query
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json(invalidFormat(format))
+    }
+
+    try {
+        const report = await storageService.getAuditReport(req.params.id)
+        if (!report || !canAccessAudit(req, report.audit)) {
+            return res.status(404).json({ ok: false, error: 'Audit not found' })
+        }
+        if (!report.result) {
+            return res.status(404).json({ ok: false, error: 'No stored report', message: 'This audit was recorded without its full report.' })
+        }
+
+        const { audit, result } = report
+        const exported = exportService.exportResult(result, format, { type: audit.type, url: audit.url, timestamp: audit.date })
+        sendExport(res, exported, `audit-${audit.id}`)
+    } catch (err) {
+        logger.error('Error exporting audit report:', err)
+        res.status(500).json({ ok: false, error: 'Failed to export audit report' })
+    }
+}
+
+/**
+ * POST /api/audit/export
+ * Body: { format, type, url?, result } - converts a result the client already holds
+ * (type is the history type of the module, e.g. "Accessibility" or "Newsletter").
+ */
+export const exportAuditResult = async (req, res) => {
+    const { format, type, url, result } = req.body || {}
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json(invalidFormat(format))
+    }
+    if (!result || typeof result !== 'object') {
+        return res.status(400).json({ error: 'Missing result', message: 'Provide the audit result to export.' })
+    }
+
+    try {
+        const exported = exportService.exportResult(result, format, { type, url })
+        sendExport(res, exported, `${(type || 'audit').toLowerCase().replace(/[^a-z0-9]+/g, '-')}-findings`)
+    } catch (err) {
+        logger.error('Error exporting audit result:', err)
+        res.status(500).json({ ok: false, error: 'Failed to export audit result' })
+    }
+}
@@ -6,6 +6,7 @@ import path from 'path'
 import fs from 'fs'
 
 import os from 'os'
+import { getAuditScope } from '../middleware/project.middleware.js'
 
 // Configure multer for image uploads using system temp dir (Vercel compatible)
 const storage = multer.diskStorage({
@@ -117,7 +118,7 @@ export const optimizeImages = async (req, res, next) => {
             status: results.averageReductionPercent > 20 ? 'pass' : 'warning',
             issuesFound: results.totalImages,
             criticalIssues: results.failedImages
-        })
+        }, null, getAuditScope(req))
 
         res.json(results)
 
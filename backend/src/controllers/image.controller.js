@@ -1,11 +1,13 @@
 import imageService from '../services/image.service.js'
 import storageService from '../services/storage.service.js'
+import authRecipeService from '../services/auth-recipe.service.js'
 import { logger } from '../utils/logger.js'
 import multer from 'multer'
 import path from 'path'
 import fs from 'fs'
 
 import os from 'os'
+import { getAuditScope } from '../middleware/project.middleware.js'
 
 // Configure multer for image uploads using system temp dir (Vercel compatible)
 const storage = multer.diskStorage({
@@ -60,7 +62,7 @@ export async function optimizeAndDownload(req, res) {
             status: 'pass',
             issuesFound: results.summary?.totalImages || 0,
             criticalIssues: results.summary?.brokenImages || 0
-        })
+        }, null, getAuditScope(req))
 
         res.json(results)
 
@@ -76,7 +78,7 @@ export async function optimizeAndDownload(req, res) {
 // Existing: Analyze only (no optimization)
 export async function optimizeImages(req, res) {
     try {
-        const { url } = req.body
+        const { url, authRecipeId } = req.body
 
         if (!url) {
             return res.status(400).json({ error: 'URL is required' })
@@ -84,7 +86,9 @@ export async function optimizeImages(req, res) {
 
         logger.info(`Image analysis requested for: ${url}`)
 
-        const results = await imageService.analyzeImages(url)
+        const scope = getAuditScope(req)
+        const auth = await authRecipeService.resolve(url, { recipeId: authRecipeId, userId: scope.userId, projectId: scope.projectId })
+        const results = await imageService.analyzeImages(url, { auth })
 
         // Persist to history
         await storageService.addAudit({
@@ -94,7 +98,7 @@ export async function optimizeImages(req, res) {
             status: results.score >= 80 ? 'pass' : results.score >= 60 ? 'warning' : 'fail',
             issuesFound: results.issues?.length || 0,
             criticalIssues: results.metadata?.missingImages || 0
-        })
+        }, null, scope)
 
         res.json(results)
 
@@ -0,0 +1,185 @@
+import jobQueue from '../services/job-queue.service.js'
+import schedulerService from '../services/scheduler.service.js'
+import { parseWebsiteAuditRequest, performWebsiteAudit, parseSiteAuditRequest, performSiteAudit } from './website.controller.js'
+import { parseAccessibilityRequest, performAccessibilityCheck, parseSiteScanRequest, performSiteScan } from './accessibility.controller.js'
+import { parseCompareLayoutRequest, performLayoutComparison, parseEnvironmentComparisonRequest, performEnvironmentComparison } from './layout-comparator.controller.js'
+import { parseLighthouseRequest, performLighthouseAudit } from './lighthouse.controller.js'
+import { parseUserFlowRequest, performUserFlow } from './user-flow.controller.js'
+import { parseBaselineRequest, performVisualRegression } from './baseline.controller.js'
+import { parseDesignComparisonRequest, performDesignComparison, stageDesignUpload, designUploadMiddleware } from './design-comparator.controller.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
+import { issueStreamToken } from '../middleware/auth.middleware.js'
+import { logger } from '../utils/logger.js'
+
+// Audit types that can run in the background, keyed by the route segment.
+// Types with an `upload` take multipart bodies; `stage` turns their parsed
+// params into a payload that can be stored, and they cannot be scheduled.
+const JOB_TYPES = {
+    'website': { parse: parseWebsiteAuditRequest, perform: performWebsiteAudit },
+    'website-crawl': { parse: parseSiteAuditRequest, perform: performSiteAudit },
+    'accessibility': { parse: parseAccessibilityRequest, perform: performAccessibilityCheck },
+    'accessibility-site': { parse: parseSiteScanRequest, perform: performSiteScan },
+    'compare-layout': { parse: parseCompareLayoutRequest, perform: performLayoutComparison },
+    'compare-layout-site': { parse: parseEnvironmentComparisonRequest, perform: performEnvironmentComparison },
+    'lighthouse': { parse: parseLighthouseRequest, perform: performLighthouseAudit },
+    'user-flow': { parse: parseUserFlowRequest, perform: performUserFlow },
+    'visual-regression': { parse: parseBaselineRequest, perform: performVisualRegression },
+    'compare-design': { parse: parseDesignComparisonRequest, perform: performDesignComparison, upload: designUploadMiddleware, stage: stageDesignUpload }
+}
+
+const HEARTBEAT_MS = 15000
+
+for (const [type, { parse, perform, upload }] of Object.entries(JOB_TYPES)) {
+    jobQueue.registerHandler(type, (payload, { onProgress, job }) => perform(payload, {
+        onProgress,
+        scope: { userId: job.userId, projectId: job.projectId || null }
+    }))
+    if (!upload) schedulerService.registerType(type, parse)
+}
+
+/**
+ * Reads the multipart upload of job types that take one, before submitJob
+ */
+export const acceptJobUpload = (req, res, next) => {
+    const upload = JOB_TYPES[req.params.type]?.upload
+    return upload ? upload(req, res, next) : next()
+}
+
+/**
+ * POST /api/jobs/:type
+ * Accepts the same body as the matching /api/audit route (multipart for
+ * compare-design) and returns 202 with a job id.
+ */
+export const submitJob = async (req, res) => {
+    try {
+        const jobType = JOB_TYPES[req.params.type]
+        if (!jobType) {
+            return res.status(400).json({
+                ok: false,
+                error: 'Unknown job type',
+                message: `Supported types: ${Object.keys(JOB_TYPES).join(', ')}`
+            })
+        }
+
+        const { error, params } = jobType.parse(req.body, req.file)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const payload = jobType.stage ? await jobType.stage(params) : params
+        const job = await jobQueue.enqueue(req.params.type, payload, getAuditScope(req))
+
+        res.status(202).json({
+            ok: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+            // EventSource cannot send headers: the stream takes this job-scoped token as ?token=
+            streamToken: req.headers.authorization ? issueStreamToken(req.user.id, job.id) : null
+        })
+    } catch (err) {
+        logger.error('Error submitting job:', err)
+        res.status(500).json({ ok: false, error: 'Failed to submit job', message: err.message })
+    }
+}
+
+/**
+ * GET /api/jobs/:id
+ * Reports status, progress stages and (once completed) the audit result.
+ */
+export const getJob = async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.id)
+        if (!job || (job.userId && job.userId !== req.user?.id)) {
+            return res.status(404).json({ ok: false, error: 'Job not found' })
+        }
+
+        const { payload, ...publicJob } = job
+        res.json({ ok: true, job: publicJob })
+    } catch (err) {
+        logger.error('Error fetching job:', err)
+        res.status(500).json({ ok: false, error: 'Failed to fetch job' })
+    }
+}
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events stream of a job's stages, partial results and elapsed time.
+ * Emits `progress` while running, then a final `completed` or `failed` event carrying the result.
+ */
+export const streamJob = async (req, res) => {
+    const job = await jobQueue.getJob(req.params.id)
+    if (!job || (job.userId && job.userId !== req.user?.id)) {
+        return res.status(404).json({ ok: false, error: 'Job not found' })
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    })
+    res.flushHeaders()
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+
+    const snapshot = (current) => ({
+        id: current.id,
+        type: current.type,
+        status: current.status,
+        progress: current.progress,
+        partial: current.partial || null,
+        startedAt: current.startedAt,
+        elapsedMs: current.startedAt
+            ? new Date(current.finishedAt || Date.now()) - new Date(current.startedAt)
+            : 0
+    })
+
+    const sendUpdate = (current) => {
+        if (current.status === 'completed') {
+            send('completed', { ...snapshot(current), result: current.result })
+            return true
+        }
+        if (current.status === 'failed') {
+            send('failed', { ...snapshot(current), error: current.error })
+            return true
+        }
+        send('progress', snapshot(current))
+        return false
+    }
+
+    if (sendUpdate(job)) {
+        return res.end()
+    }
+
+    const onUpdate = (updated) => {
+        if (updated.id !== job.id) return
+        if (sendUpdate(updated)) cleanup(true)
+    }
+
+    // Comment lines keep proxies from closing an idle stream during slow stages
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS)
+
+    const cleanup = (end = false) => {
+        clearInterval(heartbeat)
+        jobQueue.off('update', onUpdate)
+        if (end) res.end()
+    }
+
+    jobQueue.on('update', onUpdate)
+    req.on('close', () => cleanup())
+}
+
+/**
+ * GET /api/jobs
+ * Lists the current user's recent jobs without their result payloads.
+ */
+export const listJobs = async (req, res) => {
+    try {
+        const jobs = await jobQueue.listJobs({ userId: req.user?.id })
+        res.json({ ok: true, jobs })
+    } catch (err) {
+        logger.error('Error listing jobs:', err)
+        res.status(500).json({ ok: false, error: 'Failed to list jobs' })
+    }
+}
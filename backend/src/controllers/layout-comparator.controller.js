@@ -1,6 +1,12 @@
 import layoutComparatorService from '../services/layout-comparator.service.js'
+import environmentComparatorService from '../services/environment-comparator.service.js'
 import storageService from '../services/storage.service.js'
+import authRecipeService from '../services/auth-recipe.service.js'
 import { logger } from '../utils/logger.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
+import { parseViewports } from '../utils/viewports.js'
+import { parseIgnoreOptions } from '../utils/ignore-regions.js'
+import { toRelativePath } from '../utils/url-discovery.js'
 
 /**
  * Production-Ready Layout Comparator Controller
@@ -12,113 +18,308 @@ import { logger } from '../utils/logger.js'
  *   stageUrl: string (required)
  *   maxElements: number (optional, default 500, max 800)
  *   viewport: { width: number, height: number } (optional)
+ *   viewports: true | (number | string | { width, height })[] (optional, responsive matrix)
  *   screenshot: boolean (optional, default false)
+ *   ignore: { mask?: (selector | { x, y, width, height })[], hide?: string[], freeze?: string[], css?: string } (optional)
  * }
  */
 export const compareLayout = async (req, res) => {
     const startTime = Date.now()
 
     try {
-        const {
-            liveUrl,
-            stageUrl,
-            maxElements = 500,
-            viewport = { width: 1366, height: 900 },
-            screenshot = false
-        } = req.body
-
-        // Validation
-        if (!liveUrl || !stageUrl) {
-            return res.status(400).json({
+        const { error, params } = parseCompareLayoutRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const result = await performLayoutComparison(params, { scope: getAuditScope(req) })
+
+        // Return successful result
+        res.json(result)
+
+    } catch (error) {
+        const requestDuration = Date.now() - startTime
+        logger.error(`❌ Layout comparison failed after ${requestDuration}ms:`, error.message)
+        logger.error(error.stack)
+
+        // Determine appropriate error response
+        const statusCode = error.message.includes('timeout') ? 504 :
+            error.message.includes('navigation') ? 502 :
+                error.message.includes('Browser') ? 503 :
+                    500
+
+        res.status(statusCode).json({
+            ok: false,
+            error: 'Comparison failed',
+            message: error.message,
+            details: process.env.NODE_ENV === 'development' ? {
+                stack: error.stack,
+                durationMs: requestDuration
+            } : {
+                durationMs: requestDuration
+            }
+        })
+    }
+}
+
+/**
+ * Validate a compare-layout request body.
+ * Returns { error } with a 400 payload, or { params } ready for performLayoutComparison.
+ */
+export function parseCompareLayoutRequest(body = {}) {
+    const {
+        liveUrl,
+        stageUrl,
+        maxElements = 500,
+        viewport = { width: 1366, height: 900 },
+        screenshot = false,
+        liveAuthRecipeId,
+        stageAuthRecipeId
+    } = body
+
+    // Validation
+    if (!liveUrl || !stageUrl) {
+        return {
+            error: {
                 ok: false,
                 error: 'Both liveUrl and stageUrl are required',
                 message: 'Please provide both liveUrl and stageUrl in the request body'
-            })
+            }
         }
+    }
 
-        // Validate URLs
-        if (!isValidUrl(liveUrl) || !isValidUrl(stageUrl)) {
-            return res.status(400).json({
+    // Validate URLs
+    if (!isValidUrl(liveUrl) || !isValidUrl(stageUrl)) {
+        return {
+            error: {
                 ok: false,
                 error: 'Invalid URL format',
                 message: 'Both URLs must be valid http or https URLs'
-            })
+            }
         }
+    }
 
-        // Validate maxElements
-        const maxElementsNum = parseInt(maxElements)
-        if (isNaN(maxElementsNum) || maxElementsNum < 1 || maxElementsNum > 800) {
-            return res.status(400).json({
+    // Validate maxElements
+    const maxElementsNum = parseInt(maxElements)
+    if (isNaN(maxElementsNum) || maxElementsNum < 1 || maxElementsNum > 800) {
+        return {
+            error: {
                 ok: false,
                 error: 'Invalid maxElements',
                 message: 'maxElements must be a number between 1 and 800'
-            })
+            }
         }
+    }
 
-        // Validate viewport
-        if (!viewport.width || !viewport.height ||
-            viewport.width < 320 || viewport.width > 3840 ||
-            viewport.height < 240 || viewport.height > 2160) {
-            return res.status(400).json({
+    // Validate viewport
+    if (!viewport.width || !viewport.height ||
+        viewport.width < 320 || viewport.width > 3840 ||
+        viewport.height < 240 || viewport.height > 2160) {
+        return {
+            error: {
                 ok: false,
                 error: 'Invalid viewport',
                 message: 'Viewport dimensions must be between 320x240 and 3840x2160'
-            })
+            }
         }
+    }
 
-        logger.info(`📊 Compare Layout Request: ${liveUrl} vs ${stageUrl}`)
-        logger.info(`   Options: maxElements=${maxElementsNum}, viewport=${viewport.width}x${viewport.height}, screenshot=${screenshot}`)
+    const { error: viewportsError, viewports } = parseViewports(body.viewports)
+    if (viewportsError) {
+        return { error: { ok: false, ...viewportsError } }
+    }
 
-        // Execute comparison
-        const result = await layoutComparatorService.compareLayout(liveUrl, stageUrl, {
+    const { error: ignoreError, ignore } = parseIgnoreOptions(body.ignore)
+    if (ignoreError) {
+        return { error: ignoreError }
+    }
+
+    return {
+        params: {
+            liveUrl,
+            stageUrl,
             maxElements: maxElementsNum,
             viewport,
-            screenshot
-        })
+            viewports,
+            screenshot,
+            ignore,
+            liveAuthRecipeId: liveAuthRecipeId || undefined,
+            stageAuthRecipeId: stageAuthRecipeId || undefined
+        }
+    }
+}
 
-        // Log summary
-        const requestDuration = Date.now() - startTime
-        logger.info(`✅ Comparison completed in ${requestDuration}ms`)
-        logger.info(`   Results: ${result.summary.totalDifferences} differences across ${result.summary.totalElementsCompared} elements`)
-
-        // Persist to history
-        await storageService.addAudit({
-            url: `${liveUrl} vs ${stageUrl}`,
-            type: 'Advanced Comparison',
-            score: Math.max(0, 100 - (result.summary?.totalDifferences || 0)),
-            status: (result.summary?.totalDifferences || 0) < 10 ? 'pass' : 'warning',
-            issuesFound: result.summary?.totalDifferences || 0,
-            criticalIssues: result.summary?.layoutDifferences || 0
-        })
+/**
+ * Execute the comparison and record it in history.
+ * Shared by the synchronous route and the job queue.
+ */
+export async function performLayoutComparison({ liveUrl, stageUrl, maxElements, viewport, viewports, screenshot, ignore, liveAuthRecipeId, stageAuthRecipeId }, { onProgress, scope } = {}) {
+    const startTime = Date.now()
 
-        // Return successful result
-        res.json(result)
+    logger.info(`📊 Compare Layout Request: ${liveUrl} vs ${stageUrl}`)
+    logger.info(`   Options: maxElements=${maxElements}, viewport=${viewports ? viewports.map(v => v.label).join(', ') : `${viewport.width}x${viewport.height}`}, screenshot=${screenshot}`)
 
-    } catch (error) {
-        const requestDuration = Date.now() - startTime
-        logger.error(`❌ Layout comparison failed after ${requestDuration}ms:`, error.message)
-        logger.error(error.stack)
+    // Each environment can sit behind its own login
+    const [liveAuth, stageAuth] = await Promise.all([
+        authRecipeService.resolve(liveUrl, { recipeId: liveAuthRecipeId, userId: scope?.userId, projectId: scope?.projectId }),
+        authRecipeService.resolve(stageUrl, { recipeId: stageAuthRecipeId, userId: scope?.userId, projectId: scope?.projectId })
+    ])
 
-        // Determine appropriate error response
-        const statusCode = error.message.includes('timeout') ? 504 :
-            error.message.includes('navigation') ? 502 :
-                error.message.includes('Browser') ? 503 :
-                    500
+    // Execute comparison, once or at every breakpoint of the matrix
+    const options = { maxElements, screenshot, ignore, liveAuth, stageAuth, onProgress }
+    const result = viewports
+        ? await layoutComparatorService.compareLayoutMatrix(liveUrl, stageUrl, viewports, options)
+        : await layoutComparatorService.compareLayout(liveUrl, stageUrl, { ...options, viewport })
 
-        res.status(statusCode).json({
-            ok: false,
-            error: 'Comparison failed',
-            message: error.message,
-            details: process.env.NODE_ENV === 'development' ? {
-                stack: error.stack,
-                durationMs: requestDuration
-            } : {
-                durationMs: requestDuration
+    // Log summary
+    const requestDuration = Date.now() - startTime
+    logger.info(`✅ Comparison completed in ${requestDuration}ms`)
+    logger.info(`   Results: ${result.summary.totalDifferences} differences across ${result.summary.totalElementsCompared} elements`)
+
+    // Persist to history
+    await storageService.addAudit({
+        url: `${liveUrl} vs ${stageUrl}`,
+        type: 'Advanced Comparison',
+        score: Math.max(0, 100 - (result.summary?.totalDifferences || 0)),
+        status: (result.summary?.totalDifferences || 0) < 10 ? 'pass' : 'warning',
+        issuesFound: result.summary?.totalDifferences || 0,
+        criticalIssues: result.summary?.layoutDifferences || 0
+    }, result, scope)
+
+    return result
+}
+
+/**
+ * Validate an environment-wide comparison: two base URLs and the pages to map
+ * across them (a path list, the live sitemap or a crawl of the live site).
+ * Comparison options (viewport(s), ignore, maxElements) are validated like a
+ * single comparison and apply to every page.
+ * Returns { error } with a 400 payload, or { params } ready for performEnvironmentComparison.
+ */
+export function parseEnvironmentComparisonRequest(body = {}) {
+    const {
+        liveBaseUrl,
+        stageBaseUrl,
+        paths = [],
+        discover,
+        sitemapUrl,
+        maxPages = 20,
+        maxDepth = 1,
+        concurrency = 2,
+        include = [],
+        exclude = []
+    } = body
+
+    if (!liveBaseUrl || !stageBaseUrl) {
+        return {
+            error: {
+                ok: false,
+                error: 'Both liveBaseUrl and stageBaseUrl are required',
+                message: 'Please provide the base URL of each environment'
             }
+        }
+    }
+
+    const { error, params } = parseCompareLayoutRequest({ ...body, liveUrl: liveBaseUrl, stageUrl: stageBaseUrl })
+    if (error) return { error }
+
+    if (!Array.isArray(paths) || !paths.every(p => typeof p === 'string' && p.trim() !== '')) {
+        return { error: { ok: false, error: 'Invalid paths', message: 'paths must be a list of paths such as "/pricing"' } }
+    }
+    if (discover !== undefined && !['sitemap', 'crawl'].includes(discover)) {
+        return { error: { ok: false, error: 'Invalid discover', message: 'discover must be "sitemap" or "crawl"' } }
+    }
+    if (sitemapUrl && !isValidUrl(sitemapUrl)) {
+        return { error: { ok: false, error: 'Invalid sitemapUrl', message: 'sitemapUrl must be a valid http or https URL' } }
+    }
+
+    const maxPagesNum = parseInt(maxPages)
+    if (isNaN(maxPagesNum) || maxPagesNum < 1 || maxPagesNum > 50) {
+        return { error: { ok: false, error: 'Invalid maxPages', message: 'maxPages must be a number between 1 and 50' } }
+    }
+    const maxDepthNum = parseInt(maxDepth)
+    if (isNaN(maxDepthNum) || maxDepthNum < 0 || maxDepthNum > 3) {
+        return { error: { ok: false, error: 'Invalid maxDepth', message: 'maxDepth must be a number between 0 and 3' } }
+    }
+    const concurrencyNum = parseInt(concurrency)
+    if (isNaN(concurrencyNum) || concurrencyNum < 1 || concurrencyNum > 4) {
+        return { error: { ok: false, error: 'Invalid concurrency', message: 'concurrency must be a number between 1 and 4' } }
+    }
+
+    // Full URLs of either environment are reduced to their path
+    const relativePaths = paths.map(p => {
+        const path = p.trim()
+        if (!isValidUrl(path)) return path
+        const host = new URL(path).host
+        return toRelativePath(path, host === new URL(stageBaseUrl).host ? stageBaseUrl : liveBaseUrl)
+    })
+
+    const { liveUrl, stageUrl, ...options } = params
+    return {
+        params: {
+            ...options,
+            liveBaseUrl: liveUrl,
+            stageBaseUrl: stageUrl,
+            paths: relativePaths,
+            discover: discover || null,
+            sitemapUrl: sitemapUrl || null,
+            maxPages: maxPagesNum,
+            maxDepth: maxDepthNum,
+            concurrency: concurrencyNum,
+            include,
+            exclude
+        }
+    }
+}
+
+/**
+ * POST /api/audit/compare-layout/site
+ * Compare every mapped page of two environments and return the release-readiness matrix.
+ */
+export const compareEnvironmentPages = async (req, res) => {
+    try {
+        const { error, params } = parseEnvironmentComparisonRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const report = await performEnvironmentComparison(params, { scope: getAuditScope(req) })
+        res.json(report)
+
+    } catch (error) {
+        logger.error('Environment comparison error:', error)
+        res.status(500).json({
+            ok: false,
+            error: 'Environment comparison failed',
+            message: error.message
         })
     }
 }
 
+/**
+ * Run the environment-wide comparison and record it in history.
+ * Shared by the synchronous route and the job queue.
+ */
+export async function performEnvironmentComparison({ liveBaseUrl, stageBaseUrl, liveAuthRecipeId, stageAuthRecipeId, screenshot, ...options }, { onProgress, scope } = {}) {
+    const [liveAuth, stageAuth] = await Promise.all([
+        authRecipeService.resolve(liveBaseUrl, { recipeId: liveAuthRecipeId, userId: scope?.userId, projectId: scope?.projectId }),
+        authRecipeService.resolve(stageBaseUrl, { recipeId: stageAuthRecipeId, userId: scope?.userId, projectId: scope?.projectId })
+    ])
+
+    const report = await environmentComparatorService.compareEnvironments(liveBaseUrl, stageBaseUrl, { ...options, liveAuth, stageAuth, onProgress })
+
+    await storageService.addAudit({
+        url: `${liveBaseUrl} vs ${stageBaseUrl}`,
+        type: 'Environment Comparison',
+        score: report.score,
+        status: report.readiness === 'blocked' ? 'fail' : report.readiness === 'review' ? 'warning' : 'pass',
+        issuesFound: report.summary.totalDifferences,
+        criticalIssues: report.summary.criticalIssues
+    }, report, scope)
+
+    return report
+}
+
 /**
  * Validate URL format and protocol
  */
@@ -1,9 +1,12 @@
 import axios from 'axios'
 import dotenv from 'dotenv'
 import { logger } from '../utils/logger.js'
-import { runLocalLighthouse } from '../services/lighthouse.service.js'
+import { runLocalLighthouse, extractResourceSummary, selectMedianRun, summarizeRuns, MAX_RUNS } from '../services/lighthouse.service.js'
 import { generateAutoFixReport } from '../services/autofix.service.js'
 import storageService from '../services/storage.service.js'
+import budgetService from '../services/budget.service.js'
+import { VITALS } from '../services/trend.service.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
 
 dotenv.config()
 
@@ -14,15 +17,41 @@ const get = (obj, path, defaultValue = null) => {
     return path.split('.').reduce((o, p) => (o ? o[p] : defaultValue), obj) || defaultValue
 }
 
+// Core Web Vitals kept on the history entry for trend charts (ms, CLS unitless)
+const pickVitals = (metrics = {}) => Object.fromEntries(
+    VITALS.map(key => [key, key === 'cls' ? Math.round((metrics[key] || 0) * 1000) / 1000 : Math.round(metrics[key] || 0)])
+)
+
 export const runLighthouse = async (req, res) => {
-    let { url, device = 'mobile' } = req.body // Changed from req.query to req.body for consistency with other routes
+    const { error, params } = parseLighthouseRequest(req.body) // Uses req.body for consistency with other routes
+    if (error) {
+        return res.status(400).json(error)
+    }
+
+    try {
+        const result = await performLighthouseAudit(params, { scope: getAuditScope(req) })
+        return res.json(result)
+    } catch (localError) {
+        logger.error('Lighthouse analysis failed completely:', localError.message)
+        return res.status(500).json({ ok: false, error: localError.message })
+    }
+}
+
+/**
+ * Validate a Lighthouse request body.
+ * Returns { error } with a 400 payload, or { params } ready for performLighthouseAudit.
+ */
+export function parseLighthouseRequest(body = {}) {
+    let { url, device = 'mobile', runs = 1 } = body
 
     if (!url) {
-        return res.status(400).json({
-            ok: false,
-            error: 'Missing URL',
-            message: 'Please provide a URL parameter'
-        })
+        return {
+            error: {
+                ok: false,
+                error: 'Missing URL',
+                message: 'Please provide a URL parameter'
+            }
+        }
     }
 
     // Add protocol if missing
@@ -33,7 +62,60 @@ export const runLighthouse = async (req, res) => {
     // Validate device strategy
     const strategy = ['mobile', 'desktop'].includes(device) ? device : 'mobile'
 
-    logger.info(`Running Lighthouse analysis for ${url} on ${strategy}`)
+    runs = Number(runs)
+    if (!Number.isInteger(runs) || runs < 1 || runs > MAX_RUNS) {
+        return {
+            error: {
+                ok: false,
+                error: 'Invalid runs',
+                message: `runs must be a whole number between 1 and ${MAX_RUNS}`
+            }
+        }
+    }
+
+    return { params: { url, strategy, runs } }
+}
+
+/**
+ * Run PageSpeed Insights (or the local fallback) and store the report in history.
+ * With `runs` > 1 the median run is reported along with the spread across runs.
+ * Shared by the synchronous route and the job queue.
+ */
+export async function performLighthouseAudit({ url, strategy, runs = 1 }, { onProgress = () => { }, scope } = {}) {
+    const result = await fetchLighthouseResult({ url, strategy, runs }, { onProgress })
+
+    // Budgets are part of the report, so a reopened run shows the verdict it had at the time
+    try {
+        const budget = await budgetService.evaluateRun(url, result, { projectId: scope?.projectId })
+        if (budget) result.budget = budget
+    } catch (err) {
+        logger.warn(`Could not evaluate performance budgets for ${url}: ${err.message}`)
+    }
+
+    // The raw Lighthouse JSON is several MB and not used by the report viewer;
+    // it is neither stored in history nor kept in the job result
+    const { rawLighthouseResult, ...report } = result
+    await storageService.addAudit({
+        url,
+        type: 'PageSpeed',
+        score: result.scores.performance,
+        status: result.scores.performance < 50 ? 'error' : result.scores.performance < 90 ? 'warning' : 'pass',
+        issuesFound: (result.opportunities?.length || 0) + (result.diagnostics?.length || 0),
+        criticalIssues: result.issues?.filter(i => i.severity === 'critical').length || 0,
+        vitals: pickVitals(result.metrics),
+        ...(result.runs && { runs: result.runs.count }),
+        ...(result.budget && { budget: { passed: result.budget.passed, failedChecks: result.budget.failedChecks } })
+    }, report, scope)
+
+    return report
+}
+
+/**
+ * Run PageSpeed Insights, falling back to a local Lighthouse run.
+ */
+async function fetchLighthouseResult({ url, strategy, runs }, { onProgress }) {
+    logger.info(`Running Lighthouse analysis for ${url} on ${strategy}${runs > 1 ? ` (${runs} runs)` : ''}`)
+    const runLabel = (label, run) => runs > 1 ? `${label} (run ${run} of ${runs})` : label
 
     // 1. Try Google PageSpeed API
     try {
@@ -49,9 +131,13 @@ export const runLighthouse = async (req, res) => {
             ]
         }
 
-        const response = await axios.get(GOOGLE_PAGESPEED_API_URL, { params })
-        const data = response.data
-        const lh = data.lighthouseResult
+        const lhrs = []
+        for (let run = 1; run <= runs; run++) {
+            onProgress(runLabel('Querying PageSpeed Insights', run), 10 + Math.round(80 * (run - 1) / runs))
+            const response = await axios.get(GOOGLE_PAGESPEED_API_URL, { params })
+            lhrs.push(response.data.lighthouseResult)
+        }
+        const lh = selectMedianRun(lhrs)
 
         logger.info('Google PageSpeed API success')
 
@@ -129,6 +215,7 @@ export const runLighthouse = async (req, res) => {
             finalScreenshot,
             scores,
             metrics,
+            resources: extractResourceSummary(lh),
             issues,
             autoFixSummary,
             fixPriorityList,
@@ -147,30 +234,18 @@ export const runLighthouse = async (req, res) => {
             })),
             passedAudits,
             waterfallScreenshotFrames,
+            ...(runs > 1 && { runs: summarizeRuns(lhrs, lh) }),
             rawLighthouseResult: lh
         }
 
-        // Log to history
-        await storageService.addAudit({
-            url: url,
-            type: 'PageSpeed',
-            score: result.scores.performance,
-            status: result.scores.performance < 50 ? 'error' : result.scores.performance < 90 ? 'warning' : 'pass',
-            issuesFound: (result.opportunities?.length || 0) + (result.diagnostics?.length || 0),
-            criticalIssues: result.issues?.filter(i => i.severity === 'critical').length || 0
-        })
-
-        return res.json(result)
+        return result
 
     } catch (error) {
-        // ... (Error handling remains similar, ensuring local fallback also logs to storage if it can)
         logger.warn('Google API failed or quota exceeded. Trying local fallback...')
-        try {
-            const localResult = await runLocalLighthouse(url, strategy)
-            return res.json({ ok: true, ...localResult })
-        } catch (localError) {
-            logger.error('Lighthouse analysis failed completely:', localError.message)
-            return res.status(500).json({ ok: false, error: localError.message })
-        }
+        const localResult = await runLocalLighthouse(url, strategy, {
+            runs,
+            onRun: (run) => onProgress(runLabel('Running local Lighthouse', run), 30 + Math.round(60 * (run - 1) / runs))
+        })
+        return { ok: true, ...localResult }
     }
 }
@@ -1,6 +1,7 @@
 import newsletterService from '../services/newsletter.service.js'
 import storageService from '../services/storage.service.js'
 import { logger } from '../utils/logger.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
 
 export async function testNewsletter(req, res) {
     try {
@@ -22,7 +23,7 @@ export async function testNewsletter(req, res) {
             status: results.score >= 80 ? 'pass' : results.score >= 60 ? 'warning' : 'fail',
             issuesFound: results.issues.length,
             criticalIssues: results.issues.filter(i => i.severity === 'critical').length
-        })
+        }, { ...results, emailHtml }, getAuditScope(req))
 
         res.json(results)
 
@@ -55,7 +56,7 @@ export async function autoFixNewsletter(req, res) {
             status: 'pass',
             issuesFound: Object.values(results.summary).reduce((a, b) => a + b, 0),
             criticalIssues: 0
-        })
+        }, { ...results, emailHtml }, getAuditScope(req))
 
         res.json(results)
 
@@ -1,6 +1,7 @@
 import performanceService from '../services/performance.service.js'
 import storageService from '../services/storage.service.js'
 import { logger } from '../utils/logger.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
 
 export async function analyzePerformance(req, res) {
     try {
@@ -22,7 +23,7 @@ export async function analyzePerformance(req, res) {
             status: (results.score || 0) >= 80 ? 'pass' : (results.score || 0) >= 60 ? 'warning' : 'fail',
             issuesFound: results.metrics?.filter(m => m.status === 'error').length || 0,
             criticalIssues: results.metrics?.filter(m => m.severity === 'high').length || 0
-        })
+        }, results, getAuditScope(req))
 
         res.json(results)
 
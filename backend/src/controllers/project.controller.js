@@ -0,0 +1,138 @@
+import projectService from '../services/project.service.js'
+import storageService from '../services/storage.service.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Validate a project body. On create `name` is required; on update only the
+ * fields present are checked.
+ */
+function parseProjectRequest(body = {}, { partial = false } = {}) {
+    const { name, url, description } = body
+
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            return { error: { error: 'Project name is required', message: 'Please provide a name for the project.' } }
+        }
+        if (name.trim().length > 100) {
+            return { error: { error: 'Project name is too long', message: 'Project names are limited to 100 characters.' } }
+        }
+    }
+
+    if (url && !url.startsWith('http://') && !url.startsWith('https://')) {
+        return { error: { error: 'Invalid URL format', message: 'URL must start with http:// or https://' } }
+    }
+
+    return {
+        params: {
+            name: name?.trim(),
+            url: url === undefined ? undefined : (url || null),
+            description: description === undefined ? undefined : (description || null)
+        }
+    }
+}
+
+/**
+ * GET /api/projects
+ */
+export const listProjects = async (req, res) => {
+    try {
+        const projects = await projectService.listProjects()
+        res.json({ ok: true, projects })
+    } catch (err) {
+        logger.error('Error listing projects:', err)
+        res.status(500).json({ ok: false, error: 'Failed to list projects' })
+    }
+}
+
+/**
+ * GET /api/projects/:id
+ * Project with its audit stats (all members, and the current user's own).
+ */
+export const getProject = async (req, res) => {
+    try {
+        const project = await projectService.getProject(req.params.id)
+        if (!project) {
+            return res.status(404).json({ ok: false, error: 'Project not found' })
+        }
+
+        const [stats, myStats] = await Promise.all([
+            storageService.getStats({ projectId: project.id }),
+            storageService.getStats({ projectId: project.id, userId: req.user?.id })
+        ])
+
+        res.json({ ok: true, project, stats, myStats })
+    } catch (err) {
+        logger.error('Error fetching project:', err)
+        res.status(500).json({ ok: false, error: 'Failed to fetch project' })
+    }
+}
+
+/**
+ * POST /api/projects
+ */
+export const createProject = async (req, res) => {
+    try {
+        const { error, params } = parseProjectRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const project = await projectService.createProject(params, req.user?.id)
+
+        logger.info(`Project created: ${project.name} (${project.id})`)
+        res.status(201).json({ ok: true, project })
+    } catch (err) {
+        logger.error('Error creating project:', err)
+        res.status(500).json({ ok: false, error: 'Failed to create project' })
+    }
+}
+
+/**
+ * PATCH /api/projects/:id
+ */
+export const updateProject = async (req, res) => {
+    try {
+        const project = await projectService.getProject(req.params.id)
+        if (!project) {
+            return res.status(404).json({ ok: false, error: 'Project not found' })
+        }
+        if (!projectService.canManage(project, req.user)) {
+            return res.status(403).json({ ok: false, error: 'Only the project creator can change it' })
+        }
+
+        const { error, params } = parseProjectRequest(req.body, { partial: true })
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const updated = await projectService.updateProject(project.id, params)
+        res.json({ ok: true, project: updated })
+    } catch (err) {
+        logger.error('Error updating project:', err)
+        res.status(500).json({ ok: false, error: 'Failed to update project' })
+    }
+}
+
+/**
+ * DELETE /api/projects/:id
+ * Audits recorded under the project are kept and become unassigned.
+ */
+export const deleteProject = async (req, res) => {
+    try {
+        const project = await projectService.getProject(req.params.id)
+        if (!project) {
+            return res.status(404).json({ ok: false, error: 'Project not found' })
+        }
+        if (!projectService.canManage(project, req.user)) {
+            return res.status(403).json({ ok: false, error: 'Only the project creator can delete it' })
+        }
+
+        await projectService.deleteProject(project.id)
+
+        logger.info(`Project deleted: ${project.name} (${project.id})`)
+        res.json({ ok: true })
+    } catch (err) {
+        logger.error('Error deleting project:', err)
+        res.status(500).json({ ok: false, error: 'Failed to delete project' })
+    }
+}
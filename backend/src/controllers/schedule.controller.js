@@ -0,0 +1,190 @@
+import schedulerService from '../services/scheduler.service.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
+import { logger } from '../utils/logger.js'
+
+const canManage = (schedule, user) => user?.role === 'admin' || !schedule.userId || schedule.userId === user?.id
+
+// Schedules of the active project, or the caller's own ones outside any project
+const canSee = (schedule, req) => req.user?.role === 'admin' || (schedule.projectId
+    ? schedule.projectId === String(req.project?.id)
+    : !!schedule.userId && schedule.userId === req.user?.id)
+
+// The :id schedule, or null after answering 404 (or 403 when `manage` is set and the user can't)
+async function loadSchedule(req, res, { manage = false, action = 'change' } = {}) {
+    const schedule = await schedulerService.getSchedule(req.params.id)
+    if (!schedule || !canSee(schedule, req)) {
+        res.status(404).json({ ok: false, error: 'Schedule not found' })
+        return null
+    }
+    if (manage && !canManage(schedule, req.user)) {
+        res.status(403).json({ ok: false, error: `Only the schedule creator can ${action} it` })
+        return null
+    }
+    return schedule
+}
+
+/**
+ * Validate a schedule body. On create every field except timezone/options/enabled
+ * is required; on update only the fields present are checked (against the
+ * existing schedule, so targets are re-validated when the type changes).
+ * Returns { error } with a 400 payload, or { params }.
+ */
+function parseScheduleRequest(body = {}, existing = null) {
+    const { name, cron, timezone, type, targets, options, enabled } = body
+
+    if (!existing || name !== undefined) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            return { error: { error: 'Schedule name is required', message: 'Please provide a name for the schedule.' } }
+        }
+    }
+
+    const merged = { ...existing, ...Object.fromEntries(Object.entries({ cron, timezone, type, targets, options }).filter(([, v]) => v !== undefined)) }
+
+    if (typeof merged.cron !== 'string' || merged.cron.trim() === '') {
+        return { error: { error: 'Cron expression is required', message: 'Use five fields, e.g. "0 2 * * *" for every night at 02:00.' } }
+    }
+    try {
+        schedulerService.getNextRun(merged.cron.trim(), { timezone: merged.timezone || undefined })
+    } catch (err) {
+        return { error: { error: 'Invalid cron expression', message: err.message } }
+    }
+
+    if (merged.options !== undefined && (typeof merged.options !== 'object' || merged.options === null || Array.isArray(merged.options))) {
+        return { error: { error: 'Invalid options', message: 'Options must be an object of audit settings.' } }
+    }
+
+    const { error } = schedulerService.buildPayloads(merged)
+    if (error) {
+        return { error }
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return { error: { error: 'Invalid enabled flag', message: 'enabled must be true or false.' } }
+    }
+
+    return {
+        params: {
+            name: name?.trim(),
+            cron: cron?.trim(),
+            timezone: timezone === undefined ? undefined : (timezone || null),
+            type,
+            targets,
+            options,
+            enabled
+        }
+    }
+}
+
+/**
+ * GET /api/schedules
+ * Schedules of the active project (or the caller's own outside any project),
+ * plus the schedulable audit types. Admins see all, optionally narrowed with ?projectId=.
+ */
+export const listSchedules = async (req, res) => {
+    try {
+        const schedules = req.user?.role === 'admin'
+            ? await schedulerService.listSchedules({ projectId: req.query.projectId || undefined })
+            : (await schedulerService.listSchedules()).filter(s => canSee(s, req))
+        res.json({ ok: true, schedules, types: schedulerService.getTypes() })
+    } catch (err) {
+        logger.error('Error listing schedules:', err)
+        res.status(500).json({ ok: false, error: 'Failed to list schedules' })
+    }
+}
+
+/**
+ * GET /api/schedules/:id
+ */
+export const getSchedule = async (req, res) => {
+    try {
+        const schedule = await loadSchedule(req, res)
+        if (!schedule) return
+        res.json({ ok: true, schedule })
+    } catch (err) {
+        logger.error('Error fetching schedule:', err)
+        res.status(500).json({ ok: false, error: 'Failed to fetch schedule' })
+    }
+}
+
+/**
+ * POST /api/schedules
+ * Audits created by the schedule are recorded under the creator and the
+ * project from the X-Project-Id header.
+ */
+export const createSchedule = async (req, res) => {
+    try {
+        const { error, params } = parseScheduleRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const schedule = await schedulerService.createSchedule({ ...params, enabled: params.enabled ?? true }, getAuditScope(req))
+
+        logger.info(`Schedule created: ${schedule.name} (${schedule.cron}, ${schedule.type})`)
+        res.status(201).json({ ok: true, schedule })
+    } catch (err) {
+        logger.error('Error creating schedule:', err)
+        res.status(500).json({ ok: false, error: 'Failed to create schedule' })
+    }
+}
+
+/**
+ * PATCH /api/schedules/:id
+ */
+export const updateSchedule = async (req, res) => {
+    try {
+        const schedule = await loadSchedule(req, res, { manage: true })
+        if (!schedule) return
+
+        const { error, params } = parseScheduleRequest(req.body, schedule)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const updated = await schedulerService.updateSchedule(schedule, params)
+        res.json({ ok: true, schedule: updated })
+    } catch (err) {
+        logger.error('Error updating schedule:', err)
+        res.status(500).json({ ok: false, error: 'Failed to update schedule' })
+    }
+}
+
+/**
+ * DELETE /api/schedules/:id
+ * Jobs already queued by the schedule still run.
+ */
+export const deleteSchedule = async (req, res) => {
+    try {
+        const schedule = await loadSchedule(req, res, { manage: true, action: 'delete' })
+        if (!schedule) return
+
+        await schedulerService.deleteSchedule(schedule.id)
+
+        logger.info(`Schedule deleted: ${schedule.name} (${schedule.id})`)
+        res.json({ ok: true })
+    } catch (err) {
+        logger.error('Error deleting schedule:', err)
+        res.status(500).json({ ok: false, error: 'Failed to delete schedule' })
+    }
+}
+
+/**
+ * POST /api/schedules/:id/run
+ * Enqueue the schedule's audits now without moving its next regular run.
+ */
+export const runSchedule = async (req, res) => {
+    try {
+        const schedule = await loadSchedule(req, res)
+        if (!schedule) return
+
+        const updated = await schedulerService.runSchedule(schedule, { manual: true })
+        if (updated.lastStatus === 'failed') {
+            return res.status(400).json({ ok: false, error: 'Schedule could not run', message: updated.lastError })
+        }
+
+        res.status(202).json({ ok: true, schedule: updated, jobIds: updated.lastJobIds })
+    } catch (err) {
+        logger.error('Error running schedule:', err)
+        res.status(500).json({ ok: false, error: 'Failed to run schedule' })
+    }
+}
@@ -0,0 +1,136 @@
+import userFlowService, { MEASURE_MODES } from '../services/user-flow.service.js'
+import authRecipeService from '../services/auth-recipe.service.js'
+import storageService from '../services/storage.service.js'
+import { PAGE_ACTIONS, REQUIRED_FIELDS } from '../utils/page-steps.js'
+import { logger } from '../utils/logger.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
+
+const MAX_STEPS = parseInt(process.env.FLOW_MAX_STEPS) || 25
+const MAX_WAIT_MS = 60 * 1000
+
+const invalid = (error, message) => ({ error: { error, message } })
+
+/**
+ * Validate one step of a flow.
+ * Returns an error message, or null when the step is valid.
+ */
+function validateStep(step, index) {
+    const at = `Step ${index + 1}`
+
+    if (!step || typeof step !== 'object' || !PAGE_ACTIONS.includes(step.action)) {
+        return `${at}: action must be one of ${PAGE_ACTIONS.join(', ')}.`
+    }
+    for (const field of REQUIRED_FIELDS[step.action]) {
+        if (typeof step[field] !== 'string' || (field !== 'value' && step[field].trim() === '')) {
+            return `${at}: ${step.action} needs a ${field}.`
+        }
+    }
+    if (step.action === 'waitFor' && !step.selector && !step.url) {
+        const ms = Number(step.timeout)
+        if (!Number.isFinite(ms) || ms <= 0 || ms > MAX_WAIT_MS) {
+            return `${at}: waitFor needs a selector, a url fragment or a timeout of up to ${MAX_WAIT_MS}ms.`
+        }
+    }
+    if (step.action === 'scroll' && step.y !== undefined && !Number.isFinite(Number(step.y))) {
+        return `${at}: scroll y must be a number of pixels.`
+    }
+    if (step.measure !== undefined && step.measure !== null && !MEASURE_MODES.includes(step.measure)) {
+        return `${at}: measure must be one of ${MEASURE_MODES.join(', ')}.`
+    }
+    return null
+}
+
+/**
+ * Validate a user-flow definition.
+ * Returns { error } with a 400 payload, or { params } ready for performUserFlow.
+ */
+export function parseUserFlowRequest(body = {}) {
+    const { name, url, device = 'mobile', steps, authRecipeId } = body
+
+    if (!url || url.trim() === '') {
+        return invalid('URL is required', 'Please provide the URL the flow starts on.')
+    }
+    if (!url.startsWith('http://') && !url.startsWith('https://')) {
+        return invalid('Invalid URL format', 'URL must start with http:// or https://')
+    }
+    if (!['mobile', 'desktop'].includes(device)) {
+        return invalid('Invalid device', 'device must be mobile or desktop')
+    }
+    if (!Array.isArray(steps) || steps.length === 0) {
+        return invalid('Steps are required', 'Please provide the list of steps of the flow.')
+    }
+    if (steps.length > MAX_STEPS) {
+        return invalid('Too many steps', `A flow can have at most ${MAX_STEPS} steps.`)
+    }
+    for (const [index, step] of steps.entries()) {
+        const message = validateStep(step, index)
+        if (message) return invalid('Invalid step', message)
+    }
+
+    return {
+        params: {
+            name: typeof name === 'string' && name.trim() ? name.trim() : 'User flow',
+            url: url.trim(),
+            device,
+            steps: steps.map(({ name: stepName, action, url: stepUrl, selector, value, key, y, timeout, waitForNavigation, measure, screenshot, accessibility }) => ({
+                action,
+                ...(stepName && { name: String(stepName) }),
+                ...(stepUrl && { url: stepUrl }),
+                ...(selector && { selector }),
+                ...(value !== undefined && { value }),
+                ...(key && { key }),
+                ...(y !== undefined && { y: Number(y) }),
+                ...(timeout !== undefined && { timeout: Number(timeout) }),
+                ...(waitForNavigation && { waitForNavigation: true }),
+                ...(measure && { measure }),
+                ...(screenshot && { screenshot: true }),
+                ...(accessibility && { accessibility: true })
+            })),
+            authRecipeId: authRecipeId || undefined
+        }
+    }
+}
+
+/**
+ * POST /api/audit/user-flow
+ * Run a scripted multi-step journey and report on every step.
+ */
+export async function runUserFlow(req, res) {
+    try {
+        const { error, params } = parseUserFlowRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const result = await performUserFlow(params, { scope: getAuditScope(req) })
+        res.json(result)
+
+    } catch (error) {
+        logger.error('User flow error:', error)
+        res.status(500).json({
+            error: 'Failed to run user flow',
+            message: error.message
+        })
+    }
+}
+
+/**
+ * Run the flow and record it in history.
+ * Shared by the synchronous route and the job queue.
+ */
+export async function performUserFlow({ authRecipeId, ...flow }, { onProgress, scope } = {}) {
+    const auth = await authRecipeService.resolve(flow.url, { recipeId: authRecipeId, userId: scope?.userId, projectId: scope?.projectId })
+    const result = await userFlowService.runFlow(flow, { onProgress, auth })
+
+    onProgress?.('Saving report', 97)
+    await storageService.addAudit({
+        url: flow.url,
+        type: 'User Flow',
+        score: result.score,
+        status: !result.completed ? 'fail' : result.score >= 80 ? 'pass' : result.score >= 60 ? 'warning' : 'fail',
+        issuesFound: result.summary.failedAudits + result.summary.accessibilityErrors + result.summary.accessibilityAlerts,
+        criticalIssues: result.summary.accessibilityErrors + (result.completed ? 0 : 1)
+    }, result, scope)
+
+    return result
+}
@@ -0,0 +1,225 @@
+import webhookService, { WEBHOOK_EVENTS } from '../services/webhook.service.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
+import { logger } from '../utils/logger.js'
+
+const canManage = (webhook, user) => user?.role === 'admin' || !webhook.createdBy || webhook.createdBy === user?.id
+
+// Webhooks of the active project, or the caller's own ones outside any project
+const canSee = (webhook, req) => req.user?.role === 'admin' || webhookService.inScope(webhook, getAuditScope(req))
+
+// Only people who can change a webhook get to see its signing secret
+const present = (webhook, user) => canManage(webhook, user)
+    ? webhook
+    : { ...webhook, secret: `${webhook.secret.slice(0, 10)}…` }
+
+/**
+ * Validate a webhook body. On create name, url and events are required; on
+ * update only the fields present are checked.
+ * Returns { error } with a 400 payload, or { params }.
+ */
+function parseWebhookRequest(body = {}, { partial = false } = {}) {
+    const { name, url, events, enabled, rotateSecret } = body
+
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            return { error: { error: 'Webhook name is required', message: 'Please provide a name for the webhook.' } }
+        }
+    }
+
+    if (!partial || url !== undefined) {
+        if (typeof url !== 'string' || !(url.startsWith('http://') || url.startsWith('https://'))) {
+            return { error: { error: 'Invalid URL format', message: 'URL must start with http:// or https://' } }
+        }
+        try {
+            new URL(url)
+        } catch {
+            return { error: { error: 'Invalid URL format', message: `"${url}" is not a valid URL.` } }
+        }
+    }
+
+    if (!partial || events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) {
+            return { error: { error: 'Events are required', message: `Subscribe to at least one of: ${Object.keys(WEBHOOK_EVENTS).join(', ')}` } }
+        }
+        const unknown = events.filter(e => !WEBHOOK_EVENTS[e])
+        if (unknown.length > 0) {
+            return { error: { error: 'Unknown events', message: `${unknown.join(', ')} (supported: ${Object.keys(WEBHOOK_EVENTS).join(', ')})` } }
+        }
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return { error: { error: 'Invalid enabled flag', message: 'enabled must be true or false.' } }
+    }
+
+    return {
+        params: {
+            name: name?.trim(),
+            url: url?.trim(),
+            events: events && Array.from(new Set(events)),
+            enabled,
+            rotateSecret: rotateSecret === true
+        }
+    }
+}
+
+// The :id webhook, or null after answering 404 (or 403 when `manage` is set and the user can't)
+async function loadWebhook(req, res, { manage = false } = {}) {
+    const webhook = await webhookService.getWebhook(req.params.id)
+    if (!webhook || !canSee(webhook, req)) {
+        res.status(404).json({ ok: false, error: 'Webhook not found' })
+        return null
+    }
+    if (manage && !canManage(webhook, req.user)) {
+        res.status(403).json({ ok: false, error: 'Only the webhook creator can change it' })
+        return null
+    }
+    return webhook
+}
+
+/**
+ * GET /api/webhooks
+ * Webhooks of the active project (or the caller's own outside any project),
+ * plus the events they can subscribe to. Admins see all, optionally narrowed with ?projectId=.
+ */
+export const listWebhooks = async (req, res) => {
+    try {
+        const webhooks = req.user?.role === 'admin'
+            ? await webhookService.listWebhooks({ projectId: req.query.projectId || undefined })
+            : (await webhookService.listWebhooks()).filter(w => canSee(w, req))
+        res.json({ ok: true, webhooks: webhooks.map(w => present(w, req.user)), events: WEBHOOK_EVENTS })
+    } catch (err) {
+        logger.error('Error listing webhooks:', err)
+        res.status(500).json({ ok: false, error: 'Failed to list webhooks' })
+    }
+}
+
+/**
+ * GET /api/webhooks/:id
+ */
+export const getWebhook = async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res)
+        if (!webhook) return
+        res.json({ ok: true, webhook: present(webhook, req.user) })
+    } catch (err) {
+        logger.error('Error fetching webhook:', err)
+        res.status(500).json({ ok: false, error: 'Failed to fetch webhook' })
+    }
+}
+
+/**
+ * POST /api/webhooks
+ * The webhook receives events of the project in the X-Project-Id header,
+ * or of the creator's audits outside any project when no project is selected.
+ */
+export const createWebhook = async (req, res) => {
+    try {
+        const { error, params } = parseWebhookRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const webhook = await webhookService.createWebhook({ ...params, enabled: params.enabled ?? true }, getAuditScope(req))
+
+        logger.info(`Webhook created: ${webhook.name} → ${webhook.url} (${webhook.events.join(', ')})`)
+        res.status(201).json({ ok: true, webhook })
+    } catch (err) {
+        logger.error('Error creating webhook:', err)
+        res.status(500).json({ ok: false, error: 'Failed to create webhook' })
+    }
+}
+
+/**
+ * PATCH /api/webhooks/:id
+ * Accepts { rotateSecret: true } to issue a new signing secret.
+ */
+export const updateWebhook = async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res, { manage: true })
+        if (!webhook) return
+
+        const { error, params } = parseWebhookRequest(req.body, { partial: true })
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const updated = await webhookService.updateWebhook(webhook.id, params)
+        res.json({ ok: true, webhook: updated })
+    } catch (err) {
+        logger.error('Error updating webhook:', err)
+        res.status(500).json({ ok: false, error: 'Failed to update webhook' })
+    }
+}
+
+/**
+ * DELETE /api/webhooks/:id
+ * Pending retries are dropped together with the delivery log.
+ */
+export const deleteWebhook = async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res, { manage: true })
+        if (!webhook) return
+
+        await webhookService.deleteWebhook(webhook.id)
+
+        logger.info(`Webhook deleted: ${webhook.name} (${webhook.id})`)
+        res.json({ ok: true })
+    } catch (err) {
+        logger.error('Error deleting webhook:', err)
+        res.status(500).json({ ok: false, error: 'Failed to delete webhook' })
+    }
+}
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a signed `ping` event and return the outcome of the first attempt.
+ */
+export const testWebhook = async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res, { manage: true })
+        if (!webhook) return
+
+        const delivery = await webhookService.sendTest(webhook)
+        res.json({ ok: true, delivery })
+    } catch (err) {
+        logger.error('Error testing webhook:', err)
+        res.status(500).json({ ok: false, error: 'Failed to send test event' })
+    }
+}
+
+/**
+ * GET /api/webhooks/:id/deliveries?limit=50
+ */
+export const listDeliveries = async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res, { manage: true })
+        if (!webhook) return
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200)
+        const deliveries = await webhookService.listDeliveries(webhook.id, { limit })
+        res.json({ ok: true, deliveries })
+    } catch (err) {
+        logger.error('Error listing webhook deliveries:', err)
+        res.status(500).json({ ok: false, error: 'Failed to list deliveries' })
+    }
+}
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ */
+export const redeliver = async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res, { manage: true })
+        if (!webhook) return
+
+        const delivery = await webhookService.getDelivery(req.params.deliveryId)
+        if (!delivery || delivery.webhookId !== webhook.id) {
+            return res.status(404).json({ ok: false, error: 'Delivery not found' })
+        }
+
+        res.json({ ok: true, delivery: await webhookService.redeliver(delivery) })
+    } catch (err) {
+        logger.error('Error redelivering webhook:', err)
+        res.status(500).json({ ok: false, error: 'Failed to redeliver' })
+    }
+}
@@ -2,145 +2,348 @@ import crawlerService from '../services/crawler.service.js'
 import uxAuditorService from '../services/ux-auditor.service.js'
 import aiService from '../services/ai.service.js'
 import storageService from '../services/storage.service.js'
+import siteAuditService from '../services/site-audit.service.js'
+import authRecipeService from '../services/auth-recipe.service.js'
 import { logger } from '../utils/logger.js'
 import browserPool from '../utils/browser-pool.js'
 import path from 'path'
+import { parseViewports } from '../utils/viewports.js'
+import { getAuditScope } from '../middleware/project.middleware.js'
 
-export async function auditWebsite(req, res) {
-    try {
-        const { url, platform } = req.body
+/**
+ * Validate an audit request body.
+ * Returns { error } with a 400 payload, or { params } ready for performWebsiteAudit.
+ */
+export function parseWebsiteAuditRequest(body = {}) {
+    const { url, platform, authRecipeId } = body
 
-        if (!url || url.trim() === '') {
-            return res.status(400).json({
+    if (!url || url.trim() === '') {
+        return {
+            error: {
                 error: 'URL is required',
                 message: 'Please provide a valid URL to audit.'
-            })
+            }
         }
+    }
 
-        // Validate URL format
-        if (!url.startsWith('http://') && !url.startsWith('https://')) {
-            return res.status(400).json({
+    // Validate URL format
+    if (!url.startsWith('http://') && !url.startsWith('https://')) {
+        return {
+            error: {
                 error: 'Invalid URL format',
                 message: 'URL must start with http:// or https://'
-            })
+            }
         }
+    }
+
+    const { error, viewports } = parseViewports(body.viewports)
+    if (error) return { error }
+
+    return { params: { url, platform, authRecipeId: authRecipeId || undefined, viewports } }
+}
 
-        logger.info(`Website UX audit requested for: ${url}`)
-
-        // Crawl the website
-        const crawlData = await crawlerService.crawlWebsite(url, { platform })
-
-        // Perform comprehensive UX audit
-        const auditResults = await uxAuditorService.performFullAudit(
-            crawlData,
-            crawlData.domData.elements
-        )
-
-        // Combine all issues
-        const allIssues = [
-            ...auditResults.layoutIssues,
-            ...auditResults.spacingIssues,
-            ...auditResults.typographyIssues,
-            ...auditResults.colorIssues,
-            ...auditResults.componentIssues,
-            ...auditResults.responsiveIssues
-        ]
-
-        // Calculate overall score
-        const criticalCount = allIssues.filter(i => i.severity === 'critical').length
-        const warningCount = allIssues.filter(i => i.severity === 'warning').length
-        const minorCount = allIssues.filter(i => i.severity === 'minor').length
-
-        const score = Math.max(0, 100 - (criticalCount * 15) - (warningCount * 7) - (minorCount * 3))
-
-        // Category scores
-        const categories = {
-            layout: Math.max(0, 100 - (auditResults.layoutIssues.length * 10)),
-            spacing: Math.max(0, 100 - (auditResults.spacingIssues.length * 10)),
-            typography: Math.max(0, 100 - (auditResults.typographyIssues.length * 10)),
-            colors: Math.max(0, 100 - (auditResults.colorIssues.length * 10)),
-            components: Math.max(0, 100 - (auditResults.componentIssues.length * 10)),
-            responsive: Math.max(0, 100 - (auditResults.responsiveIssues.length * 10))
+export async function auditWebsite(req, res) {
+    try {
+        const { error, params } = parseWebsiteAuditRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
         }
 
-        // Enhance critical issues with AI explanations and screenshots
-        const timestamp = Date.now()
-        const fullScreenshotBuffer = Buffer.from(crawlData.screenshot, 'base64')
-        const fullScreenshotPath = await storageService.saveScreenshot(`ux-audit-full-${timestamp}.png`, fullScreenshotBuffer)
-        const fullScreenshotUrl = fullScreenshotPath
-
-        // Capture issue-specific screenshots
-        const browser = await browserPool.getBrowser()
-        const page = await browser.newPage()
-        await page.setViewport({ width: 1920, height: 1080 })
-        await page.setContent(crawlData.html)
-
-        let screenshotCount = 0
-        const MAX_ISSUE_SCREENSHOTS = 15
-
-        for (const issue of allIssues) {
-            if (issue.severity === 'critical' || issue.severity === 'warning') {
-                try {
-                    if (issue.coordinates && screenshotCount < MAX_ISSUE_SCREENSHOTS) {
-                        const { x, y, width, height } = issue.coordinates
-                        const clipX = Math.max(0, x - 50)
-                        const clipY = Math.max(0, y - 50)
-                        const clipWidth = Math.min(1920 - clipX, width + 100)
-                        const clipHeight = Math.min(height + 100, 1080)
-
-                        const issueBuffer = await page.screenshot({
-                            clip: { x: clipX, y: clipY, width: clipWidth, height: clipHeight },
-                            encoding: 'binary'
-                        })
-                        const issuePath = await storageService.saveScreenshot(`ux-issue-${timestamp}-${Math.random().toString(36).substr(2, 5)}.png`, issueBuffer)
-                        issue.screenshotUrl = issuePath
-                        screenshotCount++
-                    }
-
-                    if (aiService.isEnabled() && issue.severity === 'critical') {
-                        issue.aiExplanation = await aiService.explainIssue(issue)
-                    }
-                } catch (err) {
-                    logger.warn(`Failed to process issue ${issue.category}:`, err.message)
-                }
+        const results = await performWebsiteAudit(params, { scope: getAuditScope(req) })
+        res.json(results)
+
+    } catch (error) {
+        logger.error('Website audit error:', error)
+        res.status(500).json({
+            error: 'Failed to audit website',
+            message: error.message
+        })
+    }
+}
+
+const SEVERITY_RANK = { minor: 0, warning: 1, critical: 2 }
+const MAX_ISSUE_SCREENSHOTS = 15
+
+/**
+ * Crawl and audit the page at one viewport, with issue screenshots taken at
+ * that viewport. Progress is reported on the 0-100 scale of a single audit.
+ */
+async function auditAtViewport(url, viewport, { platform, auth, breakpoints, timestamp, onProgress }) {
+    // Crawl the website
+    onProgress('Crawling website', 10)
+    const crawlData = await crawlerService.crawlWebsite(url, { platform, auth, viewport })
+
+    // Perform comprehensive UX audit
+    onProgress('Running UX audit', 40, {
+        platform: crawlData.platform,
+        loadTime: crawlData.loadTime,
+        elementCount: crawlData.elementCount
+    })
+    const auditResults = await uxAuditorService.performFullAudit(
+        crawlData,
+        crawlData.domData.elements,
+        { breakpoints }
+    )
+
+    // Combine all issues
+    const issues = uxAuditorService.collectIssues(auditResults)
+    const score = uxAuditorService.calculateScore(issues)
+
+    // Category scores
+    const categories = {
+        layout: Math.max(0, 100 - (auditResults.layoutIssues.length * 10)),
+        spacing: Math.max(0, 100 - (auditResults.spacingIssues.length * 10)),
+        typography: Math.max(0, 100 - (auditResults.typographyIssues.length * 10)),
+        colors: Math.max(0, 100 - (auditResults.colorIssues.length * 10)),
+        components: Math.max(0, 100 - (auditResults.componentIssues.length * 10)),
+        responsive: Math.max(0, 100 - (auditResults.responsiveIssues.length * 10))
+    }
+
+    onProgress('Capturing issue screenshots', 60, {
+        score: Math.round(score),
+        issuesFound: issues.length,
+        criticalIssues: issues.filter(i => i.severity === 'critical').length
+    })
+    const suffix = breakpoints ? `-${crawlData.viewport.width}` : ''
+    const fullScreenshotBuffer = Buffer.from(crawlData.screenshot, 'base64')
+    const fullScreenshotUrl = await storageService.saveScreenshot(`ux-audit-full-${timestamp}${suffix}.png`, fullScreenshotBuffer)
+
+    // Capture issue-specific screenshots
+    const { width: viewportWidth, height: viewportHeight } = crawlData.viewport
+    const browser = await browserPool.getBrowser()
+    const page = await browser.newPage()
+    await page.setViewport({ width: viewportWidth, height: viewportHeight })
+    await page.setContent(crawlData.html)
+
+    let screenshotCount = 0
+    for (const issue of issues) {
+        if ((issue.severity === 'critical' || issue.severity === 'warning') && issue.coordinates && screenshotCount < MAX_ISSUE_SCREENSHOTS) {
+            try {
+                const { x, y, width, height } = issue.coordinates
+                const clipX = Math.max(0, x - 50)
+                const clipY = Math.max(0, y - 50)
+                const clipWidth = Math.min(viewportWidth - clipX, width + 100)
+                const clipHeight = Math.min(height + 100, viewportHeight)
+
+                const issueBuffer = await page.screenshot({
+                    clip: { x: clipX, y: clipY, width: clipWidth, height: clipHeight },
+                    encoding: 'binary'
+                })
+                issue.screenshotUrl = await storageService.saveScreenshot(`ux-issue-${timestamp}-${Math.random().toString(36).substr(2, 5)}.png`, issueBuffer)
+                screenshotCount++
+            } catch (err) {
+                logger.warn(`Failed to process issue ${issue.category}:`, err.message)
             }
         }
-        await page.close()
-
-        const results = {
-            ok: true,
-            score: Math.round(score),
-            platform: auditResults.platform,
-            pageSummary: auditResults.pageSummary,
-            issues: allIssues,
-            categories,
-            metadata: {
-                url,
-                platform: auditResults.platform,
-                loadTime: crawlData.loadTime,
-                timestamp: crawlData.timestamp
-            },
-            screenshotUrl: fullScreenshotUrl,
-            fullScreenshotUrl
+    }
+    await page.close()
+
+    return { crawlData, auditResults, issues, score, categories, fullScreenshotUrl }
+}
+
+/**
+ * One entry per distinct issue across the viewports, tagged with the
+ * breakpoints it occurs at and kept at its worst severity.
+ */
+function mergeViewportIssues(runs) {
+    const merged = new Map()
+    for (const { viewport, issues } of runs) {
+        for (const issue of issues) {
+            const key = [issue.type, issue.category, issue.cssSelector || issue.element].join('|')
+            const existing = merged.get(key)
+            if (!existing) {
+                merged.set(key, { ...issue, breakpoints: [viewport.label] })
+            } else if (SEVERITY_RANK[issue.severity] > SEVERITY_RANK[existing.severity]) {
+                merged.set(key, { ...issue, breakpoints: [...existing.breakpoints, viewport.label] })
+            } else {
+                existing.breakpoints.push(viewport.label)
+            }
         }
+    }
+    return [...merged.values()]
+}
+
+/**
+ * Run the full crawl + UX audit pipeline, once or at every viewport of the matrix.
+ * Shared by the synchronous route and the job queue.
+ */
+export async function performWebsiteAudit({ url, platform, authRecipeId, viewports }, { onProgress = () => { }, scope } = {}) {
+    logger.info(`Website UX audit requested for: ${url}${viewports ? ` at ${viewports.map(v => v.label).join(', ')}` : ''}`)
+
+    const auth = await authRecipeService.resolve(url, { recipeId: authRecipeId, userId: scope?.userId, projectId: scope?.projectId })
+    const timestamp = Date.now()
+    const runs = []
 
-        // Persist to history
-        await storageService.addAudit({
+    if (!viewports) {
+        runs.push(await auditAtViewport(url, undefined, { platform, auth, breakpoints: false, timestamp, onProgress }))
+    } else {
+        for (const [index, viewport] of viewports.entries()) {
+            const run = await auditAtViewport(url, viewport, {
+                platform,
+                auth,
+                breakpoints: true,
+                timestamp,
+                onProgress: (stage, percent, extra) => onProgress(
+                    `${stage} (${viewport.label})`,
+                    Math.round(5 + ((index + percent / 100) / viewports.length) * 80),
+                    { ...extra, viewport: viewport.label }
+                )
+            })
+            runs.push({ ...run, viewport })
+        }
+    }
+
+    // Reports read the widest render (the only one in single-viewport mode)
+    const primary = runs[runs.length - 1]
+    const allIssues = viewports ? mergeViewportIssues(runs) : primary.issues
+    const criticalCount = allIssues.filter(i => i.severity === 'critical').length
+    const score = uxAuditorService.calculateScore(allIssues)
+
+    // A category is only as good as its worst breakpoint
+    const categories = Object.fromEntries(Object.keys(primary.categories).map(key =>
+        [key, Math.min(...runs.map(run => run.categories[key]))]
+    ))
+
+    // Enhance critical issues with AI explanations
+    if (aiService.isEnabled()) {
+        onProgress('Explaining critical issues', 88)
+        for (const issue of allIssues.filter(i => i.severity === 'critical')) {
+            try {
+                issue.aiExplanation = await aiService.explainIssue(issue)
+            } catch (err) {
+                logger.warn(`Failed to process issue ${issue.category}:`, err.message)
+            }
+        }
+    }
+
+    const results = {
+        ok: true,
+        score: Math.round(score),
+        platform: primary.auditResults.platform,
+        pageSummary: primary.auditResults.pageSummary,
+        issues: allIssues,
+        categories,
+        metadata: {
             url,
-            type: 'Website Audit',
-            score: Math.round(score),
-            status: score >= 80 ? 'pass' : score >= 60 ? 'warning' : 'fail',
-            issuesFound: allIssues.length,
-            criticalIssues: criticalCount
-        })
+            platform: primary.auditResults.platform,
+            loadTime: primary.crawlData.loadTime,
+            timestamp: primary.crawlData.timestamp
+        },
+        screenshotUrl: primary.fullScreenshotUrl,
+        fullScreenshotUrl: primary.fullScreenshotUrl
+    }
 
-        res.json(results)
+    if (viewports) {
+        results.viewports = runs.map(({ viewport, crawlData, issues, score: viewportScore, fullScreenshotUrl }) => ({
+            label: viewport.label,
+            width: viewport.width,
+            height: viewport.height,
+            isMobile: viewport.isMobile,
+            score: Math.round(viewportScore),
+            issuesFound: issues.length,
+            criticalIssues: issues.filter(i => i.severity === 'critical').length,
+            horizontalScroll: crawlData.scrollWidth > viewport.width + 1,
+            loadTime: crawlData.loadTime,
+            screenshotUrl: fullScreenshotUrl
+        }))
+    }
+
+    // Persist to history
+    onProgress('Saving report', 95)
+    await storageService.addAudit({
+        url,
+        type: 'Website Audit',
+        score: Math.round(score),
+        status: score >= 80 ? 'pass' : score >= 60 ? 'warning' : 'fail',
+        issuesFound: allIssues.length,
+        criticalIssues: criticalCount
+    }, results, scope)
+
+    return results
+}
+
+/**
+ * Validate a site crawl request body.
+ * Returns { error } with a 400 payload, or { params } ready for performSiteAudit.
+ */
+export function parseSiteAuditRequest(body = {}) {
+    // Crawl mode audits every page at the default viewport
+    const { error, params } = parseWebsiteAuditRequest({ ...body, viewports: undefined })
+    if (error) return { error }
+
+    const { maxPages = 10, maxDepth = 2, include = [], exclude = [], useSitemap = true } = body
+
+    const maxPagesNum = parseInt(maxPages)
+    if (isNaN(maxPagesNum) || maxPagesNum < 1 || maxPagesNum > 50) {
+        return {
+            error: {
+                error: 'Invalid maxPages',
+                message: 'maxPages must be a number between 1 and 50'
+            }
+        }
+    }
+
+    const maxDepthNum = parseInt(maxDepth)
+    if (isNaN(maxDepthNum) || maxDepthNum < 0 || maxDepthNum > 5) {
+        return {
+            error: {
+                error: 'Invalid maxDepth',
+                message: 'maxDepth must be a number between 0 and 5'
+            }
+        }
+    }
+
+    return {
+        params: {
+            ...params,
+            maxPages: maxPagesNum,
+            maxDepth: maxDepthNum,
+            include,
+            exclude,
+            useSitemap: useSitemap !== false
+        }
+    }
+}
+
+/**
+ * POST /api/audit/website/crawl
+ * Multi-page crawl mode of the Website Auditor.
+ */
+export async function auditSite(req, res) {
+    try {
+        const { error, params } = parseSiteAuditRequest(req.body)
+        if (error) {
+            return res.status(400).json(error)
+        }
+
+        const report = await performSiteAudit(params, { scope: getAuditScope(req) })
+        res.json(report)
 
     } catch (error) {
-        logger.error('Website audit error:', error)
+        logger.error('Site crawl audit error:', error)
         res.status(500).json({
-            error: 'Failed to audit website',
+            error: 'Failed to crawl website',
             message: error.message
         })
     }
 }
+
+/**
+ * Crawl and audit every discovered page, then record the site-level result.
+ * Shared by the synchronous route and the job queue.
+ */
+export async function performSiteAudit({ url, authRecipeId, ...options }, { onProgress, scope } = {}) {
+    const auth = await authRecipeService.resolve(url, { recipeId: authRecipeId, userId: scope?.userId, projectId: scope?.projectId })
+    const report = await siteAuditService.auditSite(url, { ...options, auth, onProgress })
+
+    await storageService.addAudit({
+        url,
+        type: 'Site Crawl',
+        score: report.score,
+        status: report.score >= 80 ? 'pass' : report.score >= 60 ? 'warning' : 'fail',
+        issuesFound: report.summary.uniqueIssues,
+        criticalIssues: report.summary.criticalIssues
+    }, report, scope)
+
+    return report
+}
@@ -0,0 +1,47 @@
+import path from 'path'
+import { logger } from '../utils/logger.js'
+import { JsonAdapter } from './json.adapter.js'
+
+/**
+ * Database Layer
+ * Picks the repository implementation from DB_DRIVER:
+ *   sqlite (default) - embedded SQLite at DATABASE_PATH (data/app.db)
+ *   json             - legacy data/*.json files
+ * Falls back to JSON when the native SQLite module can't be loaded
+ * (e.g. serverless builds without compiled binaries), unless DB_DRIVER
+ * asks for sqlite explicitly - then startup fails instead.
+ */
+
+const dataDir = path.resolve(process.cwd(), 'data')
+
+async function createDatabase() {
+    const driver = (process.env.DB_DRIVER || 'sqlite').toLowerCase()
+
+    if (driver === 'sqlite') {
+        try {
+            const { SqliteAdapter } = await import('./sqlite.adapter.js')
+            const adapter = new SqliteAdapter({
+                dataDir,
+                filename: path.resolve(process.env.DATABASE_PATH || path.join(dataDir, 'app.db'))
+            })
+            await adapter.init()
+            return adapter
+        } catch (err) {
+            // Only the implicit default may degrade; an explicit choice must not silently lose data
+            if (process.env.DB_DRIVER) {
+                throw new Error(`DB_DRIVER=sqlite is configured but SQLite could not be opened: ${err.message}`)
+            }
+            logger.error(`SQLite unavailable (${err.message}), falling back to JSON file storage`)
+        }
+    } else if (driver !== 'json') {
+        logger.warn(`Unknown DB_DRIVER "${driver}", using JSON file storage`)
+    }
+
+    const adapter = new JsonAdapter({ dataDir })
+    await adapter.init()
+    return adapter
+}
+
+const database = await createDatabase()
+
+export default database
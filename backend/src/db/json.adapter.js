@@ -0,0 +1,530 @@
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+import { logger } from '../utils/logger.js'
+
+// Legacy caps so the files stay small enough to rewrite on every write
+const MAX_JSON_AUDITS = 100
+const MAX_JSON_ARTIFACTS = 1000
+const MAX_JSON_DELIVERIES_PER_WEBHOOK = 200
+
+const matchesFilters = (audit, { type, url, userId, projectId, since, until } = {}) =>
+    (!since || audit.date >= since) &&
+    (!until || audit.date <= until) &&
+    (!type || audit.type === type) &&
+    (!url || audit.url === url) &&
+    (!userId || String(audit.userId) === String(userId)) &&
+    (!projectId || String(audit.projectId) === String(projectId))
+
+/**
+ * JSON File Repository
+ * Keeps the original data/*.json layout (users.json with embedded sessions,
+ * audit-history.json) for setups that can't load the native SQLite module.
+ * Writes to each file are serialized and replaced atomically so concurrent
+ * requests don't lose each other's changes within one process.
+ */
+export class JsonAdapter {
+    constructor({ dataDir }) {
+        this.driver = 'json'
+        this.dataDir = dataDir
+        this.files = {
+            users: path.join(dataDir, 'users.json'),
+            audits: path.join(dataDir, 'audit-history.json'),
+            artifacts: path.join(dataDir, 'artifacts.json'),
+            projects: path.join(dataDir, 'projects.json'),
+            schedules: path.join(dataDir, 'schedules.json'),
+            webhooks: path.join(dataDir, 'webhooks.json'),
+            webhookDeliveries: path.join(dataDir, 'webhook-deliveries.json'),
+            budgets: path.join(dataDir, 'budgets.json'),
+            authRecipes: path.join(dataDir, 'auth-recipes.json'),
+            baselines: path.join(dataDir, 'baselines.json')
+        }
+        this.resultsDir = path.join(dataDir, 'audit-results')
+        this.writeChains = new Map()
+    }
+
+    async init() {
+        await fs.mkdir(this.resultsDir, { recursive: true })
+        for (const file of Object.values(this.files)) {
+            try {
+                await fs.access(file)
+            } catch {
+                await fs.writeFile(file, JSON.stringify([], null, 2))
+            }
+        }
+        logger.info(`JSON file storage ready at ${path.resolve(this.dataDir)}`)
+    }
+
+    async read(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'))
+        } catch {
+            return []
+        }
+    }
+
+    /**
+     * Read-modify-write a file, queued behind any pending write to the same file
+     */
+    mutate(file, fn) {
+        const previous = this.writeChains.get(file) || Promise.resolve()
+        const next = previous.catch(() => { }).then(async () => {
+            const data = await this.read(file)
+            const { value, data: updated = data } = await fn(data)
+            const tmp = `${file}.${process.pid}.tmp`
+            await fs.writeFile(tmp, JSON.stringify(updated, null, 2))
+            await fs.rename(tmp, file)
+            return value
+        })
+        this.writeChains.set(file, next)
+        return next
+    }
+
+    // ── Users ────────────────────────────────────────────────────────────────
+
+    async getUserById(id) {
+        const users = await this.read(this.files.users)
+        const user = users.find(u => u.id === String(id))
+        if (!user) return undefined
+        const { sessions, ...rest } = user
+        return rest
+    }
+
+    async getUserByEmail(email) {
+        const users = await this.read(this.files.users)
+        const user = users.find(u => u.email.toLowerCase() === email.toLowerCase())
+        if (!user) return undefined
+        const { sessions, ...rest } = user
+        return rest
+    }
+
+    async createUser(user) {
+        await this.mutate(this.files.users, (users) => {
+            if (users.find(u => u.email.toLowerCase() === user.email.toLowerCase())) {
+                throw new Error('User already exists')
+            }
+            return { data: [...users, { ...user, sessions: [] }] }
+        })
+        return this.getUserById(user.id)
+    }
+
+    async updateUser(id, updates) {
+        const defined = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined))
+
+        await this.mutate(this.files.users, (users) => {
+            const index = users.findIndex(u => u.id === String(id))
+            if (index === -1) return { value: null }
+
+            if (defined.email && users.some((u, i) => i !== index && u.email.toLowerCase() === defined.email.toLowerCase())) {
+                throw new Error('Email already in use')
+            }
+
+            users[index] = { ...users[index], ...defined }
+            return { data: users }
+        })
+        return this.getUserById(id)
+    }
+
+    // ── Sessions ─────────────────────────────────────────────────────────────
+
+    async addSession(userId, session, { keep = 5 } = {}) {
+        await this.mutate(this.files.users, (users) => {
+            const user = users.find(u => u.id === String(userId))
+            if (!user) return { value: null }
+
+            user.sessions = [
+                { id: crypto.randomUUID(), ...session, lastActive: new Date().toISOString() },
+                ...(user.sessions || [])
+            ].slice(0, keep)
+            return { data: users }
+        })
+    }
+
+    async listSessions(userId, { limit = 5 } = {}) {
+        const users = await this.read(this.files.users)
+        const user = users.find(u => u.id === String(userId))
+        return (user?.sessions || []).slice(0, limit)
+    }
+
+    // ── Audits ───────────────────────────────────────────────────────────────
+
+    async addAudit(audit) {
+        await this.mutate(this.files.audits, (history) => ({
+            data: [audit, ...history].slice(0, MAX_JSON_AUDITS)
+        }))
+        return audit
+    }
+
+    async getAudit(id) {
+        const history = await this.read(this.files.audits)
+        return history.find(a => String(a.id) === String(id))
+    }
+
+    async listAudits({ limit = 100, offset = 0, ...filters } = {}) {
+        const history = await this.read(this.files.audits)
+        return history
+            .filter(a => matchesFilters(a, filters))
+            .slice(offset, offset + limit)
+    }
+
+    async getAuditStats(filters = {}) {
+        const history = (await this.read(this.files.audits)).filter(a => matchesFilters(a, filters))
+        return {
+            totalAudits: history.length,
+            avgScore: history.length > 0 ? history.reduce((sum, a) => sum + (a.score || 0), 0) / history.length : 0,
+            issuesFound: history.reduce((sum, a) => sum + (a.issuesFound || 0), 0),
+            criticalIssues: history.reduce((sum, a) => sum + (a.criticalIssues || 0), 0)
+        }
+    }
+
+    // ── Projects ─────────────────────────────────────────────────────────────
+
+    async listProjects() {
+        const projects = await this.read(this.files.projects)
+        return projects.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+    }
+
+    async getProject(id) {
+        const projects = await this.read(this.files.projects)
+        return projects.find(p => p.id === String(id))
+    }
+
+    async createProject(project) {
+        const created = { ...project, id: String(project.id) }
+        await this.mutate(this.files.projects, (projects) => ({ data: [...projects, created] }))
+        return created
+    }
+
+    async updateProject(id, updates) {
+        const defined = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined))
+
+        return this.mutate(this.files.projects, (projects) => {
+            const index = projects.findIndex(p => p.id === String(id))
+            if (index === -1) return { value: undefined }
+
+            projects[index] = { ...projects[index], ...defined }
+            return { value: projects[index], data: projects }
+        })
+    }
+
+    /**
+     * Delete a project; its audits are kept but no longer assigned to a project,
+     * its webhooks, budgets and auth recipes are deleted with it
+     */
+    async deleteProject(id) {
+        const deleted = await this.mutate(this.files.projects, (projects) => {
+            const remaining = projects.filter(p => p.id !== String(id))
+            return { value: remaining.length < projects.length, data: remaining }
+        })
+
+        if (deleted) {
+            await this.mutate(this.files.audits, (history) => ({
+                data: history.map(a => String(a.projectId) === String(id) ? { ...a, projectId: null } : a)
+            }))
+            await this.mutate(this.files.schedules, (schedules) => ({
+                data: schedules.map(s => s.projectId === String(id) ? { ...s, projectId: null } : s)
+            }))
+            const webhooks = await this.listWebhooks({ projectId: id })
+            for (const webhook of webhooks) {
+                await this.deleteWebhook(webhook.id)
+            }
+            await this.mutate(this.files.budgets, (budgets) => ({
+                data: budgets.filter(b => b.projectId !== String(id))
+            }))
+            await this.mutate(this.files.authRecipes, (recipes) => ({
+                data: recipes.filter(r => r.projectId !== String(id))
+            }))
+            await this.mutate(this.files.baselines, (baselines) => ({
+                data: baselines.filter(b => b.projectId !== String(id))
+            }))
+        }
+        return deleted
+    }
+
+    // ── Schedules ────────────────────────────────────────────────────────────
+
+    async listSchedules({ userId, projectId } = {}) {
+        const schedules = await this.read(this.files.schedules)
+        return schedules
+            .filter(s => (!userId || s.userId === String(userId)) && (!projectId || s.projectId === String(projectId)))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    }
+
+    async listDueSchedules(now) {
+        const schedules = await this.read(this.files.schedules)
+        return schedules
+            .filter(s => s.enabled && s.nextRunAt && s.nextRunAt <= now)
+            .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt))
+    }
+
+    async getSchedule(id) {
+        const schedules = await this.read(this.files.schedules)
+        return schedules.find(s => s.id === String(id))
+    }
+
+    async createSchedule(schedule) {
+        const created = { ...schedule, id: String(schedule.id) }
+        await this.mutate(this.files.schedules, (schedules) => ({ data: [...schedules, created] }))
+        return created
+    }
+
+    async updateSchedule(id, updates) {
+        const defined = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined))
+
+        return this.mutate(this.files.schedules, (schedules) => {
+            const index = schedules.findIndex(s => s.id === String(id))
+            if (index === -1) return { value: undefined }
+
+            schedules[index] = { ...schedules[index], ...defined }
+            return { value: schedules[index], data: schedules }
+        })
+    }
+
+    async deleteSchedule(id) {
+        return this.mutate(this.files.schedules, (schedules) => {
+            const remaining = schedules.filter(s => s.id !== String(id))
+            return { value: remaining.length < schedules.length, data: remaining }
+        })
+    }
+
+    // ── Webhooks ─────────────────────────────────────────────────────────────
+
+    async listWebhooks({ projectId, enabled } = {}) {
+        const webhooks = await this.read(this.files.webhooks)
+        return webhooks
+            .filter(w => (!projectId || w.projectId === String(projectId)) && (enabled === undefined || w.enabled === enabled))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    }
+
+    async getWebhook(id) {
+        const webhooks = await this.read(this.files.webhooks)
+        return webhooks.find(w => w.id === String(id))
+    }
+
+    async createWebhook(webhook) {
+        const created = { ...webhook, id: String(webhook.id) }
+        await this.mutate(this.files.webhooks, (webhooks) => ({ data: [...webhooks, created] }))
+        return created
+    }
+
+    async updateWebhook(id, updates) {
+        const defined = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined))
+
+        return this.mutate(this.files.webhooks, (webhooks) => {
+            const index = webhooks.findIndex(w => w.id === String(id))
+            if (index === -1) return { value: undefined }
+
+            webhooks[index] = { ...webhooks[index], ...defined }
+            return { value: webhooks[index], data: webhooks }
+        })
+    }
+
+    /**
+     * Delete a webhook together with its delivery log
+     */
+    async deleteWebhook(id) {
+        const deleted = await this.mutate(this.files.webhooks, (webhooks) => {
+            const remaining = webhooks.filter(w => w.id !== String(id))
+            return { value: remaining.length < webhooks.length, data: remaining }
+        })
+
+        if (deleted) {
+            await this.mutate(this.files.webhookDeliveries, (deliveries) => ({
+                data: deliveries.filter(d => d.webhookId !== String(id))
+            }))
+        }
+        return deleted
+    }
+
+    /**
+     * Delivery log, newest first
+     * @param {Object} [filters] - { webhookId, status, limit }
+     */
+    async listWebhookDeliveries({ webhookId, status, limit = 50 } = {}) {
+        const deliveries = await this.read(this.files.webhookDeliveries)
+        return deliveries
+            .filter(d => (!webhookId || d.webhookId === String(webhookId)) && (!status || d.status === status))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit)
+    }
+
+    async getWebhookDelivery(id) {
+        const deliveries = await this.read(this.files.webhookDeliveries)
+        return deliveries.find(d => d.id === String(id))
+    }
+
+    /**
+     * Record a delivery and trim the webhook's log to its most recent entries
+     */
+    async createWebhookDelivery(delivery) {
+        const created = { ...delivery, id: String(delivery.id) }
+        await this.mutate(this.files.webhookDeliveries, (deliveries) => {
+            const others = deliveries.filter(d => d.webhookId !== created.webhookId)
+            const own = [...deliveries.filter(d => d.webhookId === created.webhookId), created]
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(0, MAX_JSON_DELIVERIES_PER_WEBHOOK)
+            return { data: [...others, ...own] }
+        })
+        return created
+    }
+
+    async updateWebhookDelivery(id, updates) {
+        const defined = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined))
+
+        return this.mutate(this.files.webhookDeliveries, (deliveries) => {
+            const index = deliveries.findIndex(d => d.id === String(id))
+            if (index === -1) return { value: undefined }
+
+            deliveries[index] = { ...deliveries[index], ...defined }
+            return { value: deliveries[index], data: deliveries }
+        })
+    }
+
+    // ── Performance budgets ──────────────────────────────────────────────────
+
+    async listBudgets({ projectId } = {}) {
+        const budgets = await this.read(this.files.budgets)
+        return budgets
+            .filter(b => !projectId || b.projectId === String(projectId))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    }
+
+    async getBudget(id) {
+        const budgets = await this.read(this.files.budgets)
+        return budgets.find(b => b.id === String(id))
+    }
+
+    async createBudget(budget) {
+        const created = { ...budget, id: String(budget.id) }
+        await this.mutate(this.files.budgets, (budgets) => ({ data: [...budgets, created] }))
+        return created
+    }
+
+    async updateBudget(id, updates) {
+        const defined = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined))
+
+        return this.mutate(this.files.budgets, (budgets) => {
+            const index = budgets.findIndex(b => b.id === String(id))
+            if (index === -1) return { value: undefined }
+
+            budgets[index] = { ...budgets[index], ...defined }
+            return { value: budgets[index], data: budgets }
+        })
+    }
+
+    async deleteBudget(id) {
+        return this.mutate(this.files.budgets, (budgets) => {
+            const remaining = budgets.filter(b => b.id !== String(id))
+            return { value: remaining.length < budgets.length, data: remaining }
+        })
+    }
+
+    // ── Auth recipes ─────────────────────────────────────────────────────────
+
+    async listAuthRecipes({ projectId } = {}) {
+        const recipes = await this.read(this.files.authRecipes)
+        return recipes
+            .filter(r => !projectId || r.projectId === String(projectId))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    }
+
+    async getAuthRecipe(id) {
+        const recipes = await this.read(this.files.authRecipes)
+        return recipes.find(r => r.id === String(id))
+    }
+
+    async createAuthRecipe(recipe) {
+        const created = { ...recipe, id: String(recipe.id) }
+        await this.mutate(this.files.authRecipes, (recipes) => ({ data: [...recipes, created] }))
+        return created
+    }
+
+    async updateAuthRecipe(id, updates) {
+        const defined = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined))
+
+        return this.mutate(this.files.authRecipes, (recipes) => {
+            const index = recipes.findIndex(r => r.id === String(id))
+            if (index === -1) return { value: undefined }
+
+            recipes[index] = { ...recipes[index], ...defined }
+            return { value: recipes[index], data: recipes }
+        })
+    }
+
+    async deleteAuthRecipe(id) {
+        return this.mutate(this.files.authRecipes, (recipes) => {
+            const remaining = recipes.filter(r => r.id !== String(id))
+            return { value: remaining.length < recipes.length, data: remaining }
+        })
+    }
+
+    // ── Visual baselines ─────────────────────────────────────────────────────
+
+    async listBaselines({ projectId, url, viewport, status, limit } = {}) {
+        const baselines = await this.read(this.files.baselines)
+        const matches = baselines
+            .filter(b => projectId === undefined || (b.projectId ?? null) === (projectId === null ? null : String(projectId)))
+            .filter(b => (!url || b.url === url) && (!viewport || b.viewport === viewport) && (!status || b.status === status))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        return limit ? matches.slice(0, parseInt(limit)) : matches
+    }
+
+    async getBaseline(id) {
+        const baselines = await this.read(this.files.baselines)
+        return baselines.find(b => b.id === String(id))
+    }
+
+    async createBaseline(baseline) {
+        const created = { ...baseline, id: String(baseline.id) }
+        await this.mutate(this.files.baselines, (baselines) => ({ data: [...baselines, created] }))
+        return created
+    }
+
+    async updateBaseline(id, updates) {
+        const defined = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined))
+
+        return this.mutate(this.files.baselines, (baselines) => {
+            const index = baselines.findIndex(b => b.id === String(id))
+            if (index === -1) return { value: undefined }
+
+            baselines[index] = { ...baselines[index], ...defined }
+            return { value: baselines[index], data: baselines }
+        })
+    }
+
+    // ── Audit results & artifacts ────────────────────────────────────────────
+
+    resultFile(auditId) {
+        return path.join(this.resultsDir, `${String(auditId).replace(/[^\w-]/g, '_')}.json`)
+    }
+
+    async saveAuditResult(auditId, result) {
+        await fs.writeFile(this.resultFile(auditId), JSON.stringify(result))
+    }
+
+    async getAuditResult(auditId) {
+        try {
+            return JSON.parse(await fs.readFile(this.resultFile(auditId), 'utf8'))
+        } catch {
+            return null
+        }
+    }
+
+    async addArtifact({ auditId = null, kind, path: artifactPath, meta = null }) {
+        const artifact = {
+            id: crypto.randomUUID(),
+            auditId: auditId ? String(auditId) : null,
+            kind,
+            path: artifactPath,
+            meta,
+            createdAt: new Date().toISOString()
+        }
+        await this.mutate(this.files.artifacts, (artifacts) => ({ data: [...artifacts, artifact].slice(-MAX_JSON_ARTIFACTS) }))
+        return artifact
+    }
+
+    async listArtifacts(auditId) {
+        const artifacts = await this.read(this.files.artifacts)
+        return artifacts.filter(a => a.auditId === String(auditId))
+    }
+}
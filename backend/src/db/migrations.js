@@ -0,0 +1,325 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * SQLite schema migrations
+ * Each migration runs once, in order, inside a transaction; applied versions
+ * are recorded in schema_migrations. Never edit a released migration — add a new one.
+ */
+
+const readLegacyJson = (dataDir, filename) => {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dataDir, filename), 'utf8'))
+    } catch {
+        return []
+    }
+}
+
+export const migrations = [
+    {
+        version: 1,
+        name: 'create_core_tables',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE users (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                    password TEXT NOT NULL,
+                    role TEXT NOT NULL DEFAULT 'user',
+                    verified INTEGER NOT NULL DEFAULT 0,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT
+                );
+
+                CREATE TABLE sessions (
+                    id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    ip TEXT,
+                    user_agent TEXT,
+                    device TEXT,
+                    last_active TEXT NOT NULL
+                );
+                CREATE INDEX idx_sessions_user ON sessions(user_id, last_active DESC);
+
+                CREATE TABLE audits (
+                    id TEXT PRIMARY KEY,
+                    date TEXT NOT NULL,
+                    url TEXT,
+                    type TEXT NOT NULL,
+                    score REAL,
+                    status TEXT,
+                    issues_found INTEGER NOT NULL DEFAULT 0,
+                    critical_issues INTEGER NOT NULL DEFAULT 0,
+                    meta TEXT
+                );
+                CREATE INDEX idx_audits_date ON audits(date DESC);
+                CREATE INDEX idx_audits_type ON audits(type, date DESC);
+                CREATE INDEX idx_audits_url ON audits(url, date DESC);
+
+                CREATE TABLE audit_results (
+                    audit_id TEXT PRIMARY KEY REFERENCES audits(id) ON DELETE CASCADE,
+                    result TEXT NOT NULL,
+                    created_at TEXT NOT NULL
+                );
+
+                CREATE TABLE artifacts (
+                    id TEXT PRIMARY KEY,
+                    audit_id TEXT REFERENCES audits(id) ON DELETE CASCADE,
+                    kind TEXT NOT NULL,
+                    path TEXT NOT NULL,
+                    meta TEXT,
+                    created_at TEXT NOT NULL
+                );
+                CREATE INDEX idx_artifacts_audit ON artifacts(audit_id);
+            `)
+        }
+    },
+    {
+        version: 2,
+        name: 'import_legacy_json_files',
+        up: (db, { dataDir }) => {
+            const users = readLegacyJson(dataDir, 'users.json')
+            const insertUser = db.prepare(`
+                INSERT OR IGNORE INTO users (id, name, email, password, role, verified, created_at, updated_at)
+                VALUES (@id, @name, @email, @password, @role, @verified, @createdAt, @updatedAt)
+            `)
+            const insertSession = db.prepare(`
+                INSERT OR IGNORE INTO sessions (id, user_id, ip, user_agent, device, last_active)
+                VALUES (@id, @userId, @ip, @userAgent, @device, @lastActive)
+            `)
+
+            for (const user of users) {
+                insertUser.run({
+                    id: String(user.id),
+                    name: user.name,
+                    email: user.email,
+                    password: user.password,
+                    role: user.role || 'user',
+                    verified: user.verified ? 1 : 0,
+                    createdAt: user.createdAt || new Date().toISOString(),
+                    updatedAt: user.updatedAt || null
+                })
+                for (const session of user.sessions || []) {
+                    insertSession.run({
+                        id: `${user.id}-${session.id}`,
+                        userId: String(user.id),
+                        ip: session.ip || null,
+                        userAgent: session.userAgent || null,
+                        device: session.device || null,
+                        lastActive: session.lastActive || new Date().toISOString()
+                    })
+                }
+            }
+
+            const audits = readLegacyJson(dataDir, 'audit-history.json')
+            const insertAudit = db.prepare(`
+                INSERT OR IGNORE INTO audits (id, date, url, type, score, status, issues_found, critical_issues)
+                VALUES (@id, @date, @url, @type, @score, @status, @issuesFound, @criticalIssues)
+            `)
+
+            for (const audit of audits) {
+                insertAudit.run({
+                    id: String(audit.id),
+                    date: audit.date,
+                    url: audit.url || null,
+                    type: audit.type || 'Unknown',
+                    score: audit.score ?? null,
+                    status: audit.status || null,
+                    issuesFound: audit.issuesFound || 0,
+                    criticalIssues: audit.criticalIssues || 0
+                })
+            }
+        }
+    },
+    {
+        version: 3,
+        name: 'add_projects_and_audit_ownership',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE projects (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    url TEXT,
+                    description TEXT,
+                    created_by TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT
+                );
+                CREATE INDEX idx_projects_name ON projects(name COLLATE NOCASE);
+
+                ALTER TABLE audits ADD COLUMN user_id TEXT;
+                ALTER TABLE audits ADD COLUMN project_id TEXT REFERENCES projects(id) ON DELETE SET NULL;
+                CREATE INDEX idx_audits_user ON audits(user_id, date DESC);
+                CREATE INDEX idx_audits_project ON audits(project_id, date DESC);
+            `)
+        }
+    },
+    {
+        version: 4,
+        name: 'create_schedules',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE schedules (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    cron TEXT NOT NULL,
+                    timezone TEXT,
+                    type TEXT NOT NULL,
+                    targets TEXT NOT NULL,
+                    options TEXT,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    user_id TEXT,
+                    project_id TEXT REFERENCES projects(id) ON DELETE SET NULL,
+                    next_run_at TEXT,
+                    last_run_at TEXT,
+                    last_status TEXT,
+                    last_error TEXT,
+                    last_job_ids TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT
+                );
+                CREATE INDEX idx_schedules_due ON schedules(enabled, next_run_at);
+            `)
+        }
+    },
+    {
+        version: 5,
+        name: 'create_webhooks',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE webhooks (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    url TEXT NOT NULL,
+                    secret TEXT NOT NULL,
+                    events TEXT NOT NULL,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    project_id TEXT REFERENCES projects(id) ON DELETE CASCADE,
+                    created_by TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT
+                );
+                CREATE INDEX idx_webhooks_project ON webhooks(project_id);
+
+                CREATE TABLE webhook_deliveries (
+                    id TEXT PRIMARY KEY,
+                    webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+                    event TEXT NOT NULL,
+                    payload TEXT NOT NULL,
+                    status TEXT NOT NULL,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    response_status INTEGER,
+                    error TEXT,
+                    duration_ms INTEGER,
+                    next_attempt_at TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT
+                );
+                CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+                CREATE INDEX idx_webhook_deliveries_status ON webhook_deliveries(status);
+            `)
+        }
+    },
+    {
+        version: 6,
+        name: 'create_budgets',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE budgets (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    url TEXT,
+                    metrics TEXT NOT NULL,
+                    resources TEXT NOT NULL,
+                    categories TEXT NOT NULL,
+                    project_id TEXT REFERENCES projects(id) ON DELETE CASCADE,
+                    created_by TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT
+                );
+                CREATE INDEX idx_budgets_project ON budgets(project_id);
+            `)
+        }
+    },
+    {
+        version: 7,
+        name: 'create_auth_recipes',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE auth_recipes (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    url_pattern TEXT,
+                    kinds TEXT NOT NULL,
+                    summary TEXT NOT NULL,
+                    secret TEXT NOT NULL,
+                    project_id TEXT REFERENCES projects(id) ON DELETE CASCADE,
+                    created_by TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT
+                );
+                CREATE INDEX idx_auth_recipes_project ON auth_recipes(project_id);
+            `)
+        }
+    },
+    {
+        version: 8,
+        name: 'create_baselines',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE baselines (
+                    id TEXT PRIMARY KEY,
+                    url TEXT NOT NULL,
+                    viewport TEXT NOT NULL,
+                    width INTEGER NOT NULL,
+                    height INTEGER NOT NULL,
+                    status TEXT NOT NULL,
+                    screenshot TEXT,
+                    elements TEXT NOT NULL,
+                    baseline_id TEXT,
+                    comparison TEXT,
+                    project_id TEXT REFERENCES projects(id) ON DELETE CASCADE,
+                    created_by TEXT,
+                    created_at TEXT NOT NULL,
+                    reviewed_by TEXT,
+                    reviewed_at TEXT,
+                    review_note TEXT,
+                    updated_at TEXT
+                );
+                CREATE INDEX idx_baselines_target ON baselines(project_id, url, viewport, created_at DESC);
+                CREATE INDEX idx_baselines_status ON baselines(status);
+            `)
+        }
+    }
+]
+
+/**
+ * Apply pending migrations
+ * @returns {number[]} Versions applied in this run
+ */
+export const runMigrations = (db, context = {}) => {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `)
+
+    const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version))
+    const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+    const ran = []
+
+    for (const migration of migrations) {
+        if (applied.has(migration.version)) continue
+
+        db.transaction(() => {
+            migration.up(db, context)
+            record.run(migration.version, migration.name, new Date().toISOString())
+        })()
+        ran.push(migration.version)
+    }
+
+    return ran
+}
@@ -0,0 +1,840 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import Database from 'better-sqlite3'
+import { logger } from '../utils/logger.js'
+import { runMigrations } from './migrations.js'
+
+const parseJson = (value, fallback = null) => {
+    if (!value) return fallback
+    try {
+        return JSON.parse(value)
+    } catch {
+        return fallback
+    }
+}
+
+const toUser = (row) => row && ({
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    password: row.password,
+    role: row.role,
+    verified: !!row.verified,
+    createdAt: row.created_at,
+    ...(row.updated_at && { updatedAt: row.updated_at })
+})
+
+const toSession = (row) => ({
+    id: row.id,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    device: row.device,
+    lastActive: row.last_active
+})
+
+const toAudit = (row) => row && ({
+    ...parseJson(row.meta, {}),
+    id: row.id,
+    date: row.date,
+    url: row.url,
+    type: row.type,
+    score: row.score,
+    status: row.status,
+    issuesFound: row.issues_found,
+    criticalIssues: row.critical_issues,
+    userId: row.user_id,
+    projectId: row.project_id
+})
+
+const toProject = (row) => row && ({
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    description: row.description,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    ...(row.updated_at && { updatedAt: row.updated_at })
+})
+
+const toSchedule = (row) => row && ({
+    id: row.id,
+    name: row.name,
+    cron: row.cron,
+    timezone: row.timezone,
+    type: row.type,
+    targets: parseJson(row.targets, []),
+    options: parseJson(row.options, {}),
+    enabled: !!row.enabled,
+    userId: row.user_id,
+    projectId: row.project_id,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    lastStatus: row.last_status,
+    lastError: row.last_error,
+    lastJobIds: parseJson(row.last_job_ids, []),
+    createdAt: row.created_at,
+    ...(row.updated_at && { updatedAt: row.updated_at })
+})
+
+// Schedule fields -> columns (JSON-encoded where noted)
+const SCHEDULE_COLUMNS = {
+    name: 'name',
+    cron: 'cron',
+    timezone: 'timezone',
+    type: 'type',
+    targets: 'targets',
+    options: 'options',
+    enabled: 'enabled',
+    userId: 'user_id',
+    projectId: 'project_id',
+    nextRunAt: 'next_run_at',
+    lastRunAt: 'last_run_at',
+    lastStatus: 'last_status',
+    lastError: 'last_error',
+    lastJobIds: 'last_job_ids',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+}
+
+// Named statement params for the mapped fields that are set, JSON-encoding objects and 0/1-encoding booleans
+const toColumnParams = (columns, { json = [], booleans = [] } = {}) => (fields) => Object.fromEntries(Object.entries(fields)
+    .filter(([key, value]) => columns[key] && value !== undefined)
+    .map(([key, value]) => {
+        if (json.includes(key)) return [key, value === null ? null : JSON.stringify(value)]
+        if (booleans.includes(key)) return [key, value ? 1 : 0]
+        return [key, value]
+    }))
+
+const toScheduleParams = toColumnParams(SCHEDULE_COLUMNS, { json: ['targets', 'options', 'lastJobIds'], booleans: ['enabled'] })
+
+const toWebhook = (row) => row && ({
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    secret: row.secret,
+    events: parseJson(row.events, []),
+    enabled: !!row.enabled,
+    projectId: row.project_id,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    ...(row.updated_at && { updatedAt: row.updated_at })
+})
+
+const WEBHOOK_COLUMNS = {
+    name: 'name',
+    url: 'url',
+    secret: 'secret',
+    events: 'events',
+    enabled: 'enabled',
+    projectId: 'project_id',
+    createdBy: 'created_by',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+}
+
+const toWebhookParams = toColumnParams(WEBHOOK_COLUMNS, { json: ['events'], booleans: ['enabled'] })
+
+const toDelivery = (row) => row && ({
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    payload: parseJson(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    durationMs: row.duration_ms,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    ...(row.updated_at && { updatedAt: row.updated_at })
+})
+
+const DELIVERY_COLUMNS = {
+    webhookId: 'webhook_id',
+    event: 'event',
+    payload: 'payload',
+    status: 'status',
+    attempts: 'attempts',
+    responseStatus: 'response_status',
+    error: 'error',
+    durationMs: 'duration_ms',
+    nextAttemptAt: 'next_attempt_at',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+}
+
+const toDeliveryParams = toColumnParams(DELIVERY_COLUMNS, { json: ['payload'] })
+
+// Delivery log entries kept per webhook
+const MAX_DELIVERIES_PER_WEBHOOK = 200
+
+const toBudget = (row) => row && ({
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    metrics: parseJson(row.metrics, {}),
+    resources: parseJson(row.resources, {}),
+    categories: parseJson(row.categories, {}),
+    projectId: row.project_id,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    ...(row.updated_at && { updatedAt: row.updated_at })
+})
+
+const BUDGET_COLUMNS = {
+    name: 'name',
+    url: 'url',
+    metrics: 'metrics',
+    resources: 'resources',
+    categories: 'categories',
+    projectId: 'project_id',
+    createdBy: 'created_by',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+}
+
+const toBudgetParams = toColumnParams(BUDGET_COLUMNS, { json: ['metrics', 'resources', 'categories'] })
+
+const toAuthRecipe = (row) => row && ({
+    id: row.id,
+    name: row.name,
+    urlPattern: row.url_pattern,
+    kinds: parseJson(row.kinds, []),
+    summary: parseJson(row.summary, {}),
+    secret: row.secret,
+    projectId: row.project_id,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    ...(row.updated_at && { updatedAt: row.updated_at })
+})
+
+const AUTH_RECIPE_COLUMNS = {
+    name: 'name',
+    urlPattern: 'url_pattern',
+    kinds: 'kinds',
+    summary: 'summary',
+    secret: 'secret',
+    projectId: 'project_id',
+    createdBy: 'created_by',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+}
+
+const toAuthRecipeParams = toColumnParams(AUTH_RECIPE_COLUMNS, { json: ['kinds', 'summary'] })
+
+const toBaseline = (row) => row && ({
+    id: row.id,
+    url: row.url,
+    viewport: row.viewport,
+    width: row.width,
+    height: row.height,
+    status: row.status,
+    screenshot: row.screenshot,
+    elements: parseJson(row.elements, []),
+    baselineId: row.baseline_id,
+    comparison: parseJson(row.comparison),
+    projectId: row.project_id,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    reviewNote: row.review_note,
+    ...(row.updated_at && { updatedAt: row.updated_at })
+})
+
+const BASELINE_COLUMNS = {
+    url: 'url',
+    viewport: 'viewport',
+    width: 'width',
+    height: 'height',
+    status: 'status',
+    screenshot: 'screenshot',
+    elements: 'elements',
+    baselineId: 'baseline_id',
+    comparison: 'comparison',
+    projectId: 'project_id',
+    createdBy: 'created_by',
+    createdAt: 'created_at',
+    reviewedBy: 'reviewed_by',
+    reviewedAt: 'reviewed_at',
+    reviewNote: 'review_note',
+    updatedAt: 'updated_at'
+}
+
+const toBaselineParams = toColumnParams(BASELINE_COLUMNS, { json: ['elements', 'comparison'] })
+
+const toArtifact = (row) => ({
+    id: row.id,
+    auditId: row.audit_id,
+    kind: row.kind,
+    path: row.path,
+    meta: parseJson(row.meta),
+    createdAt: row.created_at
+})
+
+// WHERE clause for the optional { type, url, userId, projectId, since, until } audit filters
+const auditFilters = ({ type, url, userId, projectId, since, until } = {}) => {
+    const columns = { type: 'type', url: 'url', userId: 'user_id', projectId: 'project_id' }
+    const values = { type, url, userId, projectId }
+    const active = Object.keys(columns).filter(key => values[key])
+    const conditions = active.map(key => `${columns[key]} = @${key}`)
+    const params = Object.fromEntries(active.map(key => [key, String(values[key])]))
+
+    if (since) {
+        conditions.push('date >= @since')
+        params.since = since
+    }
+    if (until) {
+        conditions.push('date <= @until')
+        params.until = until
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    }
+}
+
+// Audit fields stored in their own columns; anything else goes to the meta JSON column
+const AUDIT_COLUMNS = ['id', 'date', 'url', 'type', 'score', 'status', 'issuesFound', 'criticalIssues', 'userId', 'projectId']
+
+/**
+ * SQLite Repository (default)
+ * Embedded database in WAL mode: every write is a single statement or transaction,
+ * so concurrent requests can no longer overwrite each other's changes.
+ */
+export class SqliteAdapter {
+    constructor({ dataDir, filename }) {
+        this.driver = 'sqlite'
+        this.dataDir = dataDir
+        this.filename = filename
+    }
+
+    async init() {
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true })
+
+        this.db = new Database(this.filename)
+        this.db.pragma('journal_mode = WAL')
+        this.db.pragma('foreign_keys = ON')
+        this.db.pragma('busy_timeout = 5000')
+
+        const applied = runMigrations(this.db, { dataDir: this.dataDir })
+        if (applied.length > 0) {
+            logger.info(`Database migrations applied: ${applied.join(', ')}`)
+        }
+        logger.info(`SQLite database ready at ${path.resolve(this.filename)}`)
+    }
+
+    // ── Users ────────────────────────────────────────────────────────────────
+
+    async getUserById(id) {
+        return toUser(this.db.prepare('SELECT * FROM users WHERE id = ?').get(String(id)))
+    }
+
+    async getUserByEmail(email) {
+        return toUser(this.db.prepare('SELECT * FROM users WHERE email = ?').get(email))
+    }
+
+    async createUser(user) {
+        try {
+            this.db.prepare(`
+                INSERT INTO users (id, name, email, password, role, verified, created_at)
+                VALUES (@id, @name, @email, @password, @role, @verified, @createdAt)
+            `).run({ ...user, verified: user.verified ? 1 : 0 })
+        } catch (err) {
+            if (err.code === 'SQLITE_CONSTRAINT_UNIQUE' || err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+                throw new Error('User already exists')
+            }
+            throw err
+        }
+        return this.getUserById(user.id)
+    }
+
+    async updateUser(id, updates) {
+        const fields = { name: 'name', email: 'email', password: 'password', role: 'role', verified: 'verified', updatedAt: 'updated_at' }
+        const entries = Object.entries(updates).filter(([key, value]) => fields[key] && value !== undefined)
+        if (entries.length === 0) return this.getUserById(id)
+
+        const params = Object.fromEntries(entries.map(([key, value]) => [key, key === 'verified' ? (value ? 1 : 0) : value]))
+        const assignments = entries.map(([key]) => `${fields[key]} = @${key}`).join(', ')
+
+        try {
+            this.db.prepare(`UPDATE users SET ${assignments} WHERE id = @id`).run({ ...params, id: String(id) })
+        } catch (err) {
+            if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') throw new Error('Email already in use')
+            throw err
+        }
+        return this.getUserById(id)
+    }
+
+    // ── Sessions ─────────────────────────────────────────────────────────────
+
+    async addSession(userId, session, { keep = 5 } = {}) {
+        const insert = this.db.prepare(`
+            INSERT INTO sessions (id, user_id, ip, user_agent, device, last_active)
+            VALUES (@id, @userId, @ip, @userAgent, @device, @lastActive)
+        `)
+        const prune = this.db.prepare(`
+            DELETE FROM sessions WHERE user_id = @userId AND id NOT IN (
+                SELECT id FROM sessions WHERE user_id = @userId ORDER BY last_active DESC LIMIT @keep
+            )
+        `)
+
+        this.db.transaction(() => {
+            insert.run({
+                id: crypto.randomUUID(),
+                userId: String(userId),
+                ip: session.ip || null,
+                userAgent: session.userAgent || null,
+                device: session.device || null,
+                lastActive: new Date().toISOString()
+            })
+            prune.run({ userId: String(userId), keep })
+        })()
+    }
+
+    async listSessions(userId, { limit = 5 } = {}) {
+        return this.db.prepare('SELECT * FROM sessions WHERE user_id = ? ORDER BY last_active DESC LIMIT ?')
+            .all(String(userId), limit)
+            .map(toSession)
+    }
+
+    // ── Audits ───────────────────────────────────────────────────────────────
+
+    async addAudit(audit) {
+        const meta = Object.fromEntries(Object.entries(audit).filter(([key]) => !AUDIT_COLUMNS.includes(key)))
+
+        this.db.prepare(`
+            INSERT INTO audits (id, date, url, type, score, status, issues_found, critical_issues, user_id, project_id, meta)
+            VALUES (@id, @date, @url, @type, @score, @status, @issuesFound, @criticalIssues, @userId, @projectId, @meta)
+        `).run({
+            id: String(audit.id),
+            date: audit.date,
+            url: audit.url ?? null,
+            type: audit.type || 'Unknown',
+            score: audit.score ?? null,
+            status: audit.status ?? null,
+            issuesFound: audit.issuesFound || 0,
+            criticalIssues: audit.criticalIssues || 0,
+            userId: audit.userId ? String(audit.userId) : null,
+            projectId: audit.projectId ? String(audit.projectId) : null,
+            meta: Object.keys(meta).length > 0 ? JSON.stringify(meta) : null
+        })
+
+        return this.getAudit(audit.id)
+    }
+
+    async getAudit(id) {
+        return toAudit(this.db.prepare('SELECT * FROM audits WHERE id = ?').get(String(id)))
+    }
+
+    async listAudits({ limit = 100, offset = 0, ...filters } = {}) {
+        const { where, params } = auditFilters(filters)
+
+        return this.db.prepare(`
+            SELECT * FROM audits
+            ${where}
+            ORDER BY date DESC
+            LIMIT @limit OFFSET @offset
+        `).all({ ...params, limit, offset }).map(toAudit)
+    }
+
+    async getAuditStats(filters = {}) {
+        const { where, params } = auditFilters(filters)
+
+        return this.db.prepare(`
+            SELECT COUNT(*) AS totalAudits,
+                   COALESCE(AVG(COALESCE(score, 0)), 0) AS avgScore,
+                   COALESCE(SUM(issues_found), 0) AS issuesFound,
+                   COALESCE(SUM(critical_issues), 0) AS criticalIssues
+            FROM audits
+            ${where}
+        `).get(params)
+    }
+
+    // ── Projects ─────────────────────────────────────────────────────────────
+
+    async listProjects() {
+        return this.db.prepare('SELECT * FROM projects ORDER BY name COLLATE NOCASE').all().map(toProject)
+    }
+
+    async getProject(id) {
+        return toProject(this.db.prepare('SELECT * FROM projects WHERE id = ?').get(String(id)))
+    }
+
+    async createProject(project) {
+        this.db.prepare(`
+            INSERT INTO projects (id, name, url, description, created_by, created_at)
+            VALUES (@id, @name, @url, @description, @createdBy, @createdAt)
+        `).run({
+            id: String(project.id),
+            name: project.name,
+            url: project.url || null,
+            description: project.description || null,
+            createdBy: project.createdBy ? String(project.createdBy) : null,
+            createdAt: project.createdAt
+        })
+        return this.getProject(project.id)
+    }
+
+    async updateProject(id, updates) {
+        const fields = { name: 'name', url: 'url', description: 'description', updatedAt: 'updated_at' }
+        const entries = Object.entries(updates).filter(([key, value]) => fields[key] && value !== undefined)
+        if (entries.length > 0) {
+            const assignments = entries.map(([key]) => `${fields[key]} = @${key}`).join(', ')
+            this.db.prepare(`UPDATE projects SET ${assignments} WHERE id = @id`)
+                .run({ ...Object.fromEntries(entries), id: String(id) })
+        }
+        return this.getProject(id)
+    }
+
+    /**
+     * Delete a project; its audits are kept but no longer assigned to a project
+     */
+    async deleteProject(id) {
+        return this.db.prepare('DELETE FROM projects WHERE id = ?').run(String(id)).changes > 0
+    }
+
+    // ── Schedules ────────────────────────────────────────────────────────────
+
+    async listSchedules({ userId, projectId } = {}) {
+        const where = []
+        const params = {}
+        if (userId) {
+            where.push('user_id = @userId')
+            params.userId = String(userId)
+        }
+        if (projectId) {
+            where.push('project_id = @projectId')
+            params.projectId = String(projectId)
+        }
+
+        return this.db.prepare(`
+            SELECT * FROM schedules
+            ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+            ORDER BY created_at DESC
+        `).all(params).map(toSchedule)
+    }
+
+    async listDueSchedules(now) {
+        return this.db.prepare('SELECT * FROM schedules WHERE enabled = 1 AND next_run_at <= ? ORDER BY next_run_at')
+            .all(now)
+            .map(toSchedule)
+    }
+
+    async getSchedule(id) {
+        return toSchedule(this.db.prepare('SELECT * FROM schedules WHERE id = ?').get(String(id)))
+    }
+
+    async createSchedule(schedule) {
+        const params = toScheduleParams(schedule)
+        const keys = Object.keys(params)
+
+        this.db.prepare(`
+            INSERT INTO schedules (id, ${keys.map(key => SCHEDULE_COLUMNS[key]).join(', ')})
+            VALUES (@id, ${keys.map(key => `@${key}`).join(', ')})
+        `).run({ ...params, id: String(schedule.id) })
+
+        return this.getSchedule(schedule.id)
+    }
+
+    async updateSchedule(id, updates) {
+        const params = toScheduleParams(updates)
+        const keys = Object.keys(params)
+        if (keys.length > 0) {
+            this.db.prepare(`UPDATE schedules SET ${keys.map(key => `${SCHEDULE_COLUMNS[key]} = @${key}`).join(', ')} WHERE id = @id`)
+                .run({ ...params, id: String(id) })
+        }
+        return this.getSchedule(id)
+    }
+
+    async deleteSchedule(id) {
+        return this.db.prepare('DELETE FROM schedules WHERE id = ?').run(String(id)).changes > 0
+    }
+
+    // ── Webhooks ─────────────────────────────────────────────────────────────
+
+    async listWebhooks({ projectId, enabled } = {}) {
+        const where = []
+        const params = {}
+        if (projectId) {
+            where.push('project_id = @projectId')
+            params.projectId = String(projectId)
+        }
+        if (enabled !== undefined) {
+            where.push('enabled = @enabled')
+            params.enabled = enabled ? 1 : 0
+        }
+
+        return this.db.prepare(`
+            SELECT * FROM webhooks
+            ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+            ORDER BY created_at DESC
+        `).all(params).map(toWebhook)
+    }
+
+    async getWebhook(id) {
+        return toWebhook(this.db.prepare('SELECT * FROM webhooks WHERE id = ?').get(String(id)))
+    }
+
+    async createWebhook(webhook) {
+        const params = toWebhookParams(webhook)
+        const keys = Object.keys(params)
+
+        this.db.prepare(`
+            INSERT INTO webhooks (id, ${keys.map(key => WEBHOOK_COLUMNS[key]).join(', ')})
+            VALUES (@id, ${keys.map(key => `@${key}`).join(', ')})
+        `).run({ ...params, id: String(webhook.id) })
+
+        return this.getWebhook(webhook.id)
+    }
+
+    async updateWebhook(id, updates) {
+        const params = toWebhookParams(updates)
+        const keys = Object.keys(params)
+        if (keys.length > 0) {
+            this.db.prepare(`UPDATE webhooks SET ${keys.map(key => `${WEBHOOK_COLUMNS[key]} = @${key}`).join(', ')} WHERE id = @id`)
+                .run({ ...params, id: String(id) })
+        }
+        return this.getWebhook(id)
+    }
+
+    /**
+     * Delete a webhook together with its delivery log
+     */
+    async deleteWebhook(id) {
+        return this.db.prepare('DELETE FROM webhooks WHERE id = ?').run(String(id)).changes > 0
+    }
+
+    /**
+     * Delivery log, newest first
+     * @param {Object} [filters] - { webhookId, status, limit }
+     */
+    async listWebhookDeliveries({ webhookId, status, limit = 50 } = {}) {
+        const where = []
+        const params = { limit }
+        if (webhookId) {
+            where.push('webhook_id = @webhookId')
+            params.webhookId = String(webhookId)
+        }
+        if (status) {
+            where.push('status = @status')
+            params.status = status
+        }
+
+        return this.db.prepare(`
+            SELECT * FROM webhook_deliveries
+            ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+            ORDER BY created_at DESC
+            LIMIT @limit
+        `).all(params).map(toDelivery)
+    }
+
+    async getWebhookDelivery(id) {
+        return toDelivery(this.db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(String(id)))
+    }
+
+    /**
+     * Record a delivery and trim the webhook's log to its most recent entries
+     */
+    async createWebhookDelivery(delivery) {
+        const params = toDeliveryParams(delivery)
+        const keys = Object.keys(params)
+
+        this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO webhook_deliveries (id, ${keys.map(key => DELIVERY_COLUMNS[key]).join(', ')})
+                VALUES (@id, ${keys.map(key => `@${key}`).join(', ')})
+            `).run({ ...params, id: String(delivery.id) })
+
+            this.db.prepare(`
+                DELETE FROM webhook_deliveries WHERE webhook_id = @webhookId AND id NOT IN (
+                    SELECT id FROM webhook_deliveries WHERE webhook_id = @webhookId ORDER BY created_at DESC LIMIT @keep
+                )
+            `).run({ webhookId: params.webhookId, keep: MAX_DELIVERIES_PER_WEBHOOK })
+        })()
+
+        return this.getWebhookDelivery(delivery.id)
+    }
+
+    async updateWebhookDelivery(id, updates) {
+        const params = toDeliveryParams(updates)
+        const keys = Object.keys(params)
+        if (keys.length > 0) {
+            this.db.prepare(`UPDATE webhook_deliveries SET ${keys.map(key => `${DELIVERY_COLUMNS[key]} = @${key}`).join(', ')} WHERE id = @id`)
+                .run({ ...params, id: String(id) })
+        }
+        return this.getWebhookDelivery(id)
+    }
+
+    // ── Audit results & artifacts ────────────────────────────────────────────
+
+    async saveAuditResult(auditId, result) {
+        this.db.prepare(`
+            INSERT INTO audit_results (audit_id, result, created_at) VALUES (?, ?, ?)
+            ON CONFLICT(audit_id) DO UPDATE SET result = excluded.result
+        `).run(String(auditId), JSON.stringify(result), new Date().toISOString())
+    }
+
+    async getAuditResult(auditId) {
+        const row = this.db.prepare('SELECT result FROM audit_results WHERE audit_id = ?').get(String(auditId))
+        return row ? parseJson(row.result) : null
+    }
+
+    async addArtifact({ auditId = null, kind, path: artifactPath, meta = null }) {
+        const artifact = {
+            id: crypto.randomUUID(),
+            audit_id: auditId ? String(auditId) : null,
+            kind,
+            path: artifactPath,
+            meta: meta ? JSON.stringify(meta) : null,
+            created_at: new Date().toISOString()
+        }
+
+        this.db.prepare(`
+            INSERT INTO artifacts (id, audit_id, kind, path, meta, created_at)
+            VALUES (@id, @audit_id, @kind, @path, @meta, @created_at)
+        `).run(artifact)
+
+        return toArtifact(artifact)
+    }
+
+    async listArtifacts(auditId) {
+        return this.db.prepare('SELECT * FROM artifacts WHERE audit_id = ? ORDER BY created_at')
+            .all(String(auditId))
+            .map(toArtifact)
+    }
+
+    // ── Performance budgets ──────────────────────────────────────────────────
+
+    async listBudgets({ projectId } = {}) {
+        const rows = projectId
+            ? this.db.prepare('SELECT * FROM budgets WHERE project_id = ? ORDER BY created_at DESC').all(String(projectId))
+            : this.db.prepare('SELECT * FROM budgets ORDER BY created_at DESC').all()
+        return rows.map(toBudget)
+    }
+
+    async getBudget(id) {
+        return toBudget(this.db.prepare('SELECT * FROM budgets WHERE id = ?').get(String(id)))
+    }
+
+    async createBudget(budget) {
+        const params = toBudgetParams(budget)
+        const keys = Object.keys(params)
+
+        this.db.prepare(`
+            INSERT INTO budgets (id, ${keys.map(key => BUDGET_COLUMNS[key]).join(', ')})
+            VALUES (@id, ${keys.map(key => `@${key}`).join(', ')})
+        `).run({ ...params, id: String(budget.id) })
+
+        return this.getBudget(budget.id)
+    }
+
+    async updateBudget(id, updates) {
+        const params = toBudgetParams(updates)
+        const keys = Object.keys(params)
+        if (keys.length > 0) {
+            this.db.prepare(`UPDATE budgets SET ${keys.map(key => `${BUDGET_COLUMNS[key]} = @${key}`).join(', ')} WHERE id = @id`)
+                .run({ ...params, id: String(id) })
+        }
+        return this.getBudget(id)
+    }
+
+    async deleteBudget(id) {
+        return this.db.prepare('DELETE FROM budgets WHERE id = ?').run(String(id)).changes > 0
+    }
+
+    // ── Auth recipes ─────────────────────────────────────────────────────────
+
+    async listAuthRecipes({ projectId } = {}) {
+        const rows = projectId
+            ? this.db.prepare('SELECT * FROM auth_recipes WHERE project_id = ? ORDER BY created_at DESC').all(String(projectId))
+            : this.db.prepare('SELECT * FROM auth_recipes ORDER BY created_at DESC').all()
+        return rows.map(toAuthRecipe)
+    }
+
+    async getAuthRecipe(id) {
+        return toAuthRecipe(this.db.prepare('SELECT * FROM auth_recipes WHERE id = ?').get(String(id)))
+    }
+
+    async createAuthRecipe(recipe) {
+        const params = toAuthRecipeParams(recipe)
+        const keys = Object.keys(params)
+
+        this.db.prepare(`
+            INSERT INTO auth_recipes (id, ${keys.map(key => AUTH_RECIPE_COLUMNS[key]).join(', ')})
+            VALUES (@id, ${keys.map(key => `@${key}`).join(', ')})
+        `).run({ ...params, id: String(recipe.id) })
+
+        return this.getAuthRecipe(recipe.id)
+    }
+
+    async updateAuthRecipe(id, updates) {
+        const params = toAuthRecipeParams(updates)
+        const keys = Object.keys(params)
+        if (keys.length > 0) {
+            this.db.prepare(`UPDATE auth_recipes SET ${keys.map(key => `${AUTH_RECIPE_COLUMNS[key]} = @${key}`).join(', ')} WHERE id = @id`)
+                .run({ ...params, id: String(id) })
+        }
+        return this.getAuthRecipe(id)
+    }
+
+    async deleteAuthRecipe(id) {
+        return this.db.prepare('DELETE FROM auth_recipes WHERE id = ?').run(String(id)).changes > 0
+    }
+
+    // ── Visual baselines ─────────────────────────────────────────────────────
+
+    /**
+     * Snapshots of a URL/viewport, newest first. projectId null means
+     * unassigned snapshots; leave it undefined to list every project.
+     */
+    async listBaselines({ projectId, url, viewport, status, limit } = {}) {
+        const where = []
+        const params = {}
+        if (projectId !== undefined) {
+            where.push('project_id IS @projectId')
+            params.projectId = projectId === null ? null : String(projectId)
+        }
+        for (const [key, value] of Object.entries({ url, viewport, status })) {
+            if (value) {
+                where.push(`${BASELINE_COLUMNS[key]} = @${key}`)
+                params[key] = value
+            }
+        }
+
+        return this.db.prepare(`
+            SELECT * FROM baselines
+            ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+            ORDER BY created_at DESC
+            ${limit ? `LIMIT ${parseInt(limit)}` : ''}
+        `).all(params).map(toBaseline)
+    }
+
+    async getBaseline(id) {
+        return toBaseline(this.db.prepare('SELECT * FROM baselines WHERE id = ?').get(String(id)))
+    }
+
+    async createBaseline(baseline) {
+        const params = toBaselineParams(baseline)
+        const keys = Object.keys(params)
+
+        this.db.prepare(`
+            INSERT INTO baselines (id, ${keys.map(key => BASELINE_COLUMNS[key]).join(', ')})
+            VALUES (@id, ${keys.map(key => `@${key}`).join(', ')})
+        `).run({ ...params, id: String(baseline.id) })
+
+        return this.getBaseline(baseline.id)
+    }
+
+    async updateBaseline(id, updates) {
+        const params = toBaselineParams(updates)
+        const keys = Object.keys(params)
+        if (keys.length > 0) {
+            this.db.prepare(`UPDATE baselines SET ${keys.map(key => `${BASELINE_COLUMNS[key]} = @${key}`).join(', ')} WHERE id = @id`)
+                .run({ ...params, id: String(id) })
+        }
+        return this.getBaseline(id)
+    }
+}
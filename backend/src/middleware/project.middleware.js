@@ -0,0 +1,73 @@
+import projectService from '../services/project.service.js'
+import { logger } from '../utils/logger.js'
+
+/**
+ * Resolve the active project from the `X-Project-Id` header into req.project.
+ * Requests without one run unassigned.
+ */
+export const resolveProject = async (req, res, next) => {
+    try {
+        const projectId = req.get('x-project-id')
+        if (!projectId) {
+            req.project = null
+            return next()
+        }
+
+        const project = await projectService.getProject(projectId)
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found', message: 'The selected project no longer exists.' })
+        }
+
+        req.project = project
+        next()
+    } catch (error) {
+        logger.error('Project resolution error:', error.message)
+        res.status(500).json({ error: 'Failed to resolve project' })
+    }
+}
+
+/**
+ * Owner and project an audit run from this request should be recorded under
+ */
+export const getAuditScope = (req) => ({
+    userId: req.user?.id || null,
+    projectId: req.project?.id || null
+})
+
+/**
+ * Whether the caller may read a stored audit: their own runs and the active
+ * project's runs; admins may read any
+ */
+export const canAccessAudit = (req, audit) =>
+    req.user?.role === 'admin' ||
+    (!!audit.userId && String(audit.userId) === String(req.user?.id)) ||
+    (!!audit.projectId && String(audit.projectId) === String(req.project?.id))
+
+/**
+ * History filters limited to what the caller may read. Inside a project the
+ * project's audits are listed (`userId=me` narrows to the caller's own);
+ * without one, only the caller's own. Admins may filter freely.
+ * Returns { error } with a 403 payload, or { filters }.
+ */
+export const getHistoryScope = (req) => {
+    const { projectId, userId } = req.query
+    const requestedUser = userId === 'me' ? req.user?.id : userId
+
+    if (req.user?.role === 'admin') {
+        return { filters: { projectId: projectId || undefined, userId: requestedUser || undefined } }
+    }
+
+    if (projectId && String(projectId) !== String(req.project?.id)) {
+        return {
+            error: {
+                ok: false,
+                error: 'Project not selected',
+                message: 'History can only be read for the active project (X-Project-Id header).'
+            }
+        }
+    }
+
+    return req.project
+        ? { filters: { projectId: req.project.id, userId: requestedUser || undefined } }
+        : { filters: { userId: req.user?.id } }
+}
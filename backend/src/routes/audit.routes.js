@@ -1,23 +1,29 @@
 import { Router } from 'express'
-import { auditWebsite } from '../controllers/website.controller.js'
-import { checkAccessibility } from '../controllers/accessibility.controller.js'
+import { auditWebsite, auditSite } from '../controllers/website.controller.js'
+import { checkAccessibility, scanSite } from '../controllers/accessibility.controller.js'
 import { analyzePerformance } from '../controllers/performance.controller.js'
 import { optimizeImages, analyzeUploadedImages, optimizeAndDownload, uploadMiddleware as imageUploadMiddleware } from '../controllers/image.controller.js'
 import { compareEnvironments } from '../controllers/comparator.controller.js'
 import { generateDocs, uploadMiddleware } from '../controllers/docs.controller.js'
 import { testNewsletter, autoFixNewsletter } from '../controllers/newsletter.controller.js'
-import { compareLayout, getExampleResponse } from '../controllers/layout-comparator.controller.js'
+import { compareLayout, compareEnvironmentPages, getExampleResponse } from '../controllers/layout-comparator.controller.js'
+import { compareDesign, designUploadMiddleware } from '../controllers/design-comparator.controller.js'
 import { optimizeImages as batchOptimizeImages, uploadMiddleware as optimizerUploadMiddleware, generateAINames, applyAINames } from '../controllers/image-optimizer.controller.js'
 import { runLighthouse } from '../controllers/lighthouse.controller.js'
-import { getDashboardStats, getAuditHistory } from '../controllers/dashboard.controller.js'
+import { runUserFlow } from '../controllers/user-flow.controller.js'
+import { runVisualRegression } from '../controllers/baseline.controller.js'
+import { getDashboardStats, getAuditHistory, getAuditReport, getTrends } from '../controllers/dashboard.controller.js'
+import { exportStoredAudit, exportAuditResult } from '../controllers/export.controller.js'
 
 const router = Router()
 
 // Website Auditor
 router.post('/website', auditWebsite)
+router.post('/website/crawl', auditSite)
 
 // Accessibility Checker
 router.post('/accessibility', checkAccessibility)
+router.post('/accessibility/site', scanSite)
 
 // Performance Analyzer
 router.post('/performance', analyzePerformance)
@@ -38,8 +44,12 @@ router.post('/compare', compareEnvironments)
 
 // Layout Comparator (CSS/Visual differences) - Production Ready
 router.post('/compare-layout', compareLayout)
+router.post('/compare-layout/site', compareEnvironmentPages)
 router.get('/compare-layout/example', getExampleResponse)
 
+// Design mockup vs rendered page (with file upload)
+router.post('/compare-design', designUploadMiddleware, compareDesign)
+
 // Auto Documentation Generator (with file upload)
 router.post('/docs', uploadMiddleware, generateDocs)
 
@@ -50,8 +60,20 @@ router.post('/newsletter/fix', autoFixNewsletter)
 // Lighthouse
 router.post('/lighthouse', runLighthouse)
 
+// User Flows (scripted multi-step journeys)
+router.post('/user-flow', runUserFlow)
+
+// Visual regression against approved baselines
+router.post('/visual-regression', runVisualRegression)
+
 // Dashboard & Stats
 router.get('/dashboard/stats', getDashboardStats)
 router.get('/dashboard/history', getAuditHistory)
+router.get('/trends', getTrends)
+router.get('/history/:id', getAuditReport)
+
+// Export (JUnit XML / SARIF)
+router.get('/history/:id/export', exportStoredAudit)
+router.post('/export', exportAuditResult)
 
 export default router
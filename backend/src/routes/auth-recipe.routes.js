@@ -0,0 +1,14 @@
+import { Router } from 'express'
+import { listAuthRecipes, getAuthRecipe, createAuthRecipe, updateAuthRecipe, deleteAuthRecipe, testAuthRecipe } from '../controllers/auth-recipe.controller.js'
+
+const router = Router()
+
+// Login recipes (cookies, basic auth, headers, login steps) run before browser-based audits
+router.get('/', listAuthRecipes)
+router.post('/', createAuthRecipe)
+router.get('/:id', getAuthRecipe)
+router.patch('/:id', updateAuthRecipe)
+router.delete('/:id', deleteAuthRecipe)
+router.post('/:id/test', testAuthRecipe)
+
+export default router
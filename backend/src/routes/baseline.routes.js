@@ -0,0 +1,13 @@
+import { Router } from 'express'
+import { listBaselines, getBaseline, createBaseline, reviewBaseline } from '../controllers/baseline.controller.js'
+
+const router = Router()
+
+// Visual regression baselines and the review of changes against them
+router.get('/', listBaselines)
+router.post('/', createBaseline)
+router.get('/:id', getBaseline)
+router.post('/:id/approve', reviewBaseline('approve'))
+router.post('/:id/reject', reviewBaseline('reject'))
+
+export default router
@@ -0,0 +1,13 @@
+import { Router } from 'express'
+import { listBudgets, getBudget, createBudget, updateBudget, deleteBudget } from '../controllers/budget.controller.js'
+
+const router = Router()
+
+// Performance budgets checked against every Lighthouse run
+router.get('/', listBudgets)
+router.post('/', createBudget)
+router.get('/:id', getBudget)
+router.patch('/:id', updateBudget)
+router.delete('/:id', deleteBudget)
+
+export default router
@@ -5,7 +5,6 @@
 import express from 'express';
 import multer from 'multer';
 import emailController from '../controllers/email.controller.js';
-import { authenticate } from '../middleware/auth.middleware.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -45,9 +44,6 @@ const upload = multer({
     }
 });
 
-// Apply authentication to all email routes
-router.use(authenticate);
-
 // Analyze email design image
 router.post('/analyze', upload.single('image'), emailController.analyzeDesign);
 
@@ -0,0 +1,12 @@
+import { Router } from 'express'
+import { submitJob, acceptJobUpload, getJob, streamJob, listJobs } from '../controllers/jobs.controller.js'
+
+const router = Router()
+
+// Background audit jobs (submit, then poll or stream status/result)
+router.get('/', listJobs)
+router.post('/:type', acceptJobUpload, submitJob)
+router.get('/:id', getJob)
+router.get('/:id/events', streamJob)
+
+export default router
@@ -3,7 +3,7 @@ import { runLighthouse } from '../controllers/lighthouse.controller.js'
 
 const router = Router()
 
-// GET /api/pagespeed?url=...&device=mobile|desktop
+// GET /api/pagespeed?url=...&device=mobile|desktop&runs=1
 // Compatible with legacy calling pattern but using the enhanced service
 router.get('/', (req, res) => {
     // Map query to body for consistency with the new runLighthouse
@@ -0,0 +1,13 @@
+import { Router } from 'express'
+import { listProjects, getProject, createProject, updateProject, deleteProject } from '../controllers/project.controller.js'
+
+const router = Router()
+
+// Projects (clients/sites that audits are grouped under)
+router.get('/', listProjects)
+router.post('/', createProject)
+router.get('/:id', getProject)
+router.patch('/:id', updateProject)
+router.delete('/:id', deleteProject)
+
+export default router
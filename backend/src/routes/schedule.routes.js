@@ -0,0 +1,14 @@
+import { Router } from 'express'
+import { listSchedules, getSchedule, createSchedule, updateSchedule, deleteSchedule, runSchedule } from '../controllers/schedule.controller.js'
+
+const router = Router()
+
+// Recurring audits (cron schedules that enqueue background jobs)
+router.get('/', listSchedules)
+router.post('/', createSchedule)
+router.get('/:id', getSchedule)
+router.patch('/:id', updateSchedule)
+router.delete('/:id', deleteSchedule)
+router.post('/:id/run', runSchedule)
+
+export default router
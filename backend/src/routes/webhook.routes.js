@@ -0,0 +1,16 @@
+import { Router } from 'express'
+import { listWebhooks, getWebhook, createWebhook, updateWebhook, deleteWebhook, testWebhook, listDeliveries, redeliver } from '../controllers/webhook.controller.js'
+
+const router = Router()
+
+// Outbound webhooks (signed event notifications) and their delivery log
+router.get('/', listWebhooks)
+router.post('/', createWebhook)
+router.get('/:id', getWebhook)
+router.patch('/:id', updateWebhook)
+router.delete('/:id', deleteWebhook)
+router.post('/:id/test', testWebhook)
+router.get('/:id/deliveries', listDeliveries)
+router.post('/:id/deliveries/:deliveryId/redeliver', redeliver)
+
+export default router
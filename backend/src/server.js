@@ -10,7 +10,17 @@ import auditRoutes from './routes/audit.routes.js'
 import authRoutes from './routes/auth.routes.js'
 import pagespeedRoutes from './routes/pagespeed.routes.js'
 import emailRoutes from './routes/email.routes.js'
+import jobsRoutes from './routes/jobs.routes.js'
+import projectRoutes from './routes/project.routes.js'
+import scheduleRoutes from './routes/schedule.routes.js'
+import webhookRoutes from './routes/webhook.routes.js'
+import budgetRoutes from './routes/budget.routes.js'
+import authRecipeRoutes from './routes/auth-recipe.routes.js'
+import baselineRoutes from './routes/baseline.routes.js'
 import { authenticate } from './middleware/auth.middleware.js'
+import { resolveProject } from './middleware/project.middleware.js'
+import schedulerService from './services/scheduler.service.js'
+import webhookService from './services/webhook.service.js'
 import { logger } from './utils/logger.js'
 
 const app = express()
@@ -58,15 +68,24 @@ if (process.env.NODE_ENV === 'development') {
 const limiter = rateLimit({
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
     max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-    message: 'Too many requests from this IP, please try again later.'
+    message: 'Too many requests from this IP, please try again later.',
+    // Job status polling would otherwise exhaust the budget during a single long audit
+    skip: (req) => req.method === 'GET' && req.path.startsWith('/jobs/')
 })
 app.use('/api/', limiter)
 
 // Routes
 app.use('/api/auth', authRoutes)
-app.use('/api/audit', authenticate, auditRoutes)
-app.use('/api/pagespeed', authenticate, pagespeedRoutes)
-app.use('/api/email', emailRoutes)
+app.use('/api/audit', authenticate, resolveProject, auditRoutes)
+app.use('/api/pagespeed', authenticate, resolveProject, pagespeedRoutes)
+app.use('/api/email', authenticate, resolveProject, emailRoutes)
+app.use('/api/jobs', authenticate, resolveProject, jobsRoutes)
+app.use('/api/projects', authenticate, projectRoutes)
+app.use('/api/schedules', authenticate, resolveProject, scheduleRoutes)
+app.use('/api/webhooks', authenticate, resolveProject, webhookRoutes)
+app.use('/api/budgets', authenticate, resolveProject, budgetRoutes)
+app.use('/api/auth-recipes', authenticate, resolveProject, authRecipeRoutes)
+app.use('/api/baselines', authenticate, resolveProject, baselineRoutes)
 
 // Health check
 app.get('/health', (req, res) => {
@@ -118,6 +137,8 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
     app.listen(PORT, () => {
         logger.info(`🚀 Server running on port ${PORT}`)
         logger.info(`📊 Environment: ${process.env.NODE_ENV}`)
+        schedulerService.start()
+        webhookService.start().catch(err => logger.error('Failed to resume webhook deliveries:', err))
     })
 }
 
@@ -3,21 +3,37 @@ import path from 'path'
 import { logger } from '../utils/logger.js'
 import storageService from './storage.service.js'
 import browserPool from '../utils/browser-pool.js'
+import authRecipeService from './auth-recipe.service.js'
 import contrastAnalyzer from '../utils/contrast-analyzer.js'
 import fixGenerator from '../utils/fix-generator.js'
+import { applyViewport } from '../utils/viewports.js'
+
+const DEFAULT_VIEWPORT = { label: '1440', width: 1440, height: 900 }
 
 export class AccessibilityService {
-    async checkAccessibility(url) {
+    /**
+     * Options: onProgress, screenshots (false skips page/issue captures, used by site scans),
+     * auth (decrypted auth recipe applied before loading the page),
+     * viewport (resolved breakpoint to render at, 1440x900 by default)
+     */
+    async checkAccessibility(url, options = {}) {
+        const { onProgress = () => { }, screenshots = true, auth = null, viewport = DEFAULT_VIEWPORT } = options
         let page = null
 
         try {
             logger.info(`WAVE-style accessibility check for: ${url}`)
 
             const browser = await browserPool.getBrowser()
-            page = await browser.newPage()
+            page = await authRecipeService.openPage(browser, auth)
 
-            await page.setViewport({ width: 1440, height: 900 })
+            await applyViewport(page, viewport)
 
+            if (auth) {
+                onProgress(`Signing in with "${auth.name}"`, 5)
+                await authRecipeService.authenticate(page, url, auth)
+            }
+
+            onProgress('Loading page', 10)
             await page.goto(url, {
                 waitUntil: 'networkidle2',
                 timeout: 60000
@@ -31,123 +47,7 @@ export class AccessibilityService {
             // Stabilize page
             await new Promise(r => setTimeout(r, 2000))
 
-            // Inject axe-core
-            try {
-                await page.addScriptTag({
-                    path: path.resolve(process.cwd(), 'node_modules/axe-core/axe.js')
-                })
-            } catch (err) {
-                logger.warn('Loading axe from CDN...')
-                await page.addScriptTag({
-                    url: 'https://cdn.jsdelivr.net/npm/axe-core@4.8.0/axe.min.js'
-                })
-            }
-
-            // Capture Full Page Screenshot
-            const fullPageScreenshot = await page.screenshot({ fullPage: true })
-            const screenshotFilename = `accessibility-full-${Date.now()}.png`
-            const screenshotUrl = await storageService.saveScreenshot(screenshotFilename, fullPageScreenshot)
-
-            // Run axe analysis
-            const axeResults = await page.evaluate(() => {
-                return new Promise((resolve) => {
-                    axe.run((err, results) => {
-                        if (err) throw err
-                        resolve(results)
-                    })
-                })
-            })
-
-            // Extract comprehensive DOM data for custom checks
-            const domData = await this.extractDOMData(page)
-
-            // Perform custom accessibility checks
-            const contrastIssues = await this.checkColorContrast(page, domData.elements)
-            const imageIssues = this.checkImages(domData.elements)
-            const formIssues = this.checkForms(domData.elements)
-            const keyboardIssues = await this.checkKeyboardAccessibility(page, domData.elements)
-            const structureIssues = this.checkStructure(domData.elements, domData.structure)
-            const ariaIssues = this.checkARIA(domData.elements)
-            const navigationIssues = this.checkNavigation(domData.structure)
-            const linkIssues = this.checkLinks(domData.elements)
-
-            // Process axe violations
-            const axeViolations = this.processAxeResults(axeResults)
-
-            // Merge all issues
-            const allIssues = [
-                ...axeViolations,
-                ...contrastIssues,
-                ...imageIssues,
-                ...formIssues,
-                ...keyboardIssues,
-                ...structureIssues,
-                ...ariaIssues,
-                ...navigationIssues,
-                ...linkIssues
-            ]
-
-            // Highlight and capture elements for critical issues
-            const issuesWithScreenshots = await this.captureIssueScreenshots(page, allIssues)
-
-            // Categorize by severity
-            const errors = issuesWithScreenshots.filter(i => i.severity === 'error')
-            const alerts = issuesWithScreenshots.filter(i => i.severity === 'alert')
-            const features = this.detectFeatures(domData.elements, domData.structure)
-            const passes = axeResults.passes.map(p => ({
-                rule: p.help,
-                type: 'pass',
-                wcag: p.tags.filter(t => t.startsWith('wcag')).join(', ')
-            }))
-
-            // Calculate score and WCAG level
-            const score = this.calculateScore(errors, alerts)
-            const wcagLevel = this.calculateWCAGLevel(errors, axeResults)
-
-            // Group by category
-            const categorized = {
-                colorContrastIssues: issuesWithScreenshots.filter(i => i.category === 'contrast'),
-                keyboardIssues: issuesWithScreenshots.filter(i => i.category === 'keyboard'),
-                ariaIssues: issuesWithScreenshots.filter(i => i.category === 'aria'),
-                imageIssues: issuesWithScreenshots.filter(i => i.category === 'image'),
-                formIssues: issuesWithScreenshots.filter(i => i.category === 'form'),
-                structureIssues: issuesWithScreenshots.filter(i => i.category === 'structure'),
-                navigationIssues: issuesWithScreenshots.filter(i => i.category === 'navigation'),
-                linkIssues: issuesWithScreenshots.filter(i => i.category === 'link'),
-                tableIssues: issuesWithScreenshots.filter(i => i.category === 'table'),
-                motionIssues: issuesWithScreenshots.filter(i => i.category === 'motion')
-            }
-
-            const result = {
-                score,
-                wcagLevel,
-                screenshotUrl,
-                errors,
-                alerts,
-                features,
-                passes: passes.slice(0, 10),
-                ...categorized,
-                summary: this.generateSummary(score, wcagLevel, errors, alerts),
-                nextSteps: this.generateNextSteps(errors, alerts),
-                metadata: {
-                    url,
-                    totalIssues: issuesWithScreenshots.length,
-                    errorCount: errors.length,
-                    alertCount: alerts.length,
-                    featureCount: features.length,
-                    timestamp: new Date().toISOString()
-                }
-            }
-
-            // Log to history
-            await storageService.addAudit({
-                url: result.metadata.url,
-                type: 'Accessibility',
-                score: result.score,
-                status: result.wcagLevel === 'Fail' ? 'error' : result.wcagLevel === 'A' ? 'warning' : 'pass',
-                issuesFound: result.metadata.totalIssues,
-                criticalIssues: result.metadata.errorCount
-            })
+            const result = await this.analyzePage(page, url, { onProgress, screenshots })
 
             await page.close()
             return result
@@ -159,6 +59,140 @@ export class AccessibilityService {
         }
     }
 
+    /**
+     * Run axe and the custom WCAG checks on a page that is already loaded
+     * (also used on intermediate states of user flows)
+     */
+    async analyzePage(page, url, { onProgress = () => { }, screenshots = true } = {}) {
+        // Inject axe-core
+        try {
+            await page.addScriptTag({
+                path: path.resolve(process.cwd(), 'node_modules/axe-core/axe.js')
+            })
+        } catch (err) {
+            logger.warn('Loading axe from CDN...')
+            await page.addScriptTag({
+                url: 'https://cdn.jsdelivr.net/npm/axe-core@4.8.0/axe.min.js'
+            })
+        }
+
+        // Capture Full Page Screenshot
+        let screenshotUrl = null
+        if (screenshots) {
+            const fullPageScreenshot = await page.screenshot({ fullPage: true })
+            const screenshotFilename = `accessibility-full-${Date.now()}.png`
+            screenshotUrl = await storageService.saveScreenshot(screenshotFilename, fullPageScreenshot)
+        }
+
+        // Run axe analysis
+        onProgress('Running axe-core analysis', 35)
+        const axeResults = await page.evaluate(() => {
+            return new Promise((resolve) => {
+                axe.run((err, results) => {
+                    if (err) throw err
+                    resolve(results)
+                })
+            })
+        })
+
+        // Extract comprehensive DOM data for custom checks
+        const domData = await this.extractDOMData(page)
+
+        // Perform custom accessibility checks
+        onProgress('Running custom WCAG checks', 55, {
+            axeViolations: axeResults.violations.length,
+            axePasses: axeResults.passes.length
+        })
+        const contrastIssues = await this.checkColorContrast(page, domData.elements)
+        const imageIssues = this.checkImages(domData.elements)
+        const formIssues = this.checkForms(domData.elements)
+        const keyboardIssues = await this.checkKeyboardAccessibility(page, domData.elements)
+        const structureIssues = this.checkStructure(domData.elements, domData.structure)
+        const ariaIssues = this.checkARIA(domData.elements)
+        const navigationIssues = this.checkNavigation(domData.structure)
+        const linkIssues = this.checkLinks(domData.elements)
+
+        // Process axe violations
+        const axeViolations = this.processAxeResults(axeResults)
+
+        // Merge all issues
+        const allIssues = [
+            ...axeViolations,
+            ...contrastIssues,
+            ...imageIssues,
+            ...formIssues,
+            ...keyboardIssues,
+            ...structureIssues,
+            ...ariaIssues,
+            ...navigationIssues,
+            ...linkIssues
+        ]
+
+        // Highlight and capture elements for critical issues
+        onProgress('Capturing issue screenshots', 75, {
+            totalIssues: allIssues.length,
+            errorCount: allIssues.filter(i => i.severity === 'error').length
+        })
+        const issuesWithScreenshots = screenshots
+            ? await this.captureIssueScreenshots(page, allIssues)
+            : allIssues
+
+        // Categorize by severity
+        const errors = issuesWithScreenshots.filter(i => i.severity === 'error')
+        const alerts = issuesWithScreenshots.filter(i => i.severity === 'alert')
+        const features = this.detectFeatures(domData.elements, domData.structure)
+        const passes = axeResults.passes.map(p => ({
+            rule: p.help,
+            type: 'pass',
+            wcag: p.tags.filter(t => t.startsWith('wcag')).join(', ')
+        }))
+
+        // Calculate score and WCAG level
+        const score = this.calculateScore(errors, alerts)
+        const wcagLevel = this.calculateWCAGLevel(errors, axeResults)
+
+        // Group by category
+        const categorized = {
+            colorContrastIssues: issuesWithScreenshots.filter(i => i.category === 'contrast'),
+            keyboardIssues: issuesWithScreenshots.filter(i => i.category === 'keyboard'),
+            ariaIssues: issuesWithScreenshots.filter(i => i.category === 'aria'),
+            imageIssues: issuesWithScreenshots.filter(i => i.category === 'image'),
+            formIssues: issuesWithScreenshots.filter(i => i.category === 'form'),
+            structureIssues: issuesWithScreenshots.filter(i => i.category === 'structure'),
+            navigationIssues: issuesWithScreenshots.filter(i => i.category === 'navigation'),
+            linkIssues: issuesWithScreenshots.filter(i => i.category === 'link'),
+            tableIssues: issuesWithScreenshots.filter(i => i.category === 'table'),
+            motionIssues: issuesWithScreenshots.filter(i => i.category === 'motion')
+        }
+
+        // Outgoing links let site scans discover further pages
+        const links = await page.$$eval('a[href]', anchors => anchors.map(a => a.href))
+
+        const result = {
+            score,
+            wcagLevel,
+            screenshotUrl,
+            links,
+            errors,
+            alerts,
+            features,
+            passes: passes.slice(0, 10),
+            ...categorized,
+            summary: this.generateSummary(score, wcagLevel, errors, alerts),
+            nextSteps: this.generateNextSteps(errors, alerts),
+            metadata: {
+                url,
+                totalIssues: issuesWithScreenshots.length,
+                errorCount: errors.length,
+                alertCount: alerts.length,
+                featureCount: features.length,
+                timestamp: new Date().toISOString()
+            }
+        }
+
+        return result
+    }
+
     /**
      * Extract comprehensive DOM data
      */
@@ -0,0 +1,213 @@
+import crypto from 'crypto'
+import database from '../db/index.js'
+import { sealJson, openJson } from '../utils/secret-box.js'
+import { logger } from '../utils/logger.js'
+import browserPool from '../utils/browser-pool.js'
+import { runPageStep, describeStep } from '../utils/page-steps.js'
+
+const STEP_TIMEOUT_MS = parseInt(process.env.AUTH_STEP_TIMEOUT_MS) || 30 * 1000
+const MASK = '••••••'
+
+export const AUTH_KINDS = ['cookies', 'basicAuth', 'headers', 'steps']
+export const STEP_ACTIONS = ['goto', 'type', 'click', 'waitFor']
+
+const normalizeUrl = (url) => String(url).trim().replace(/\/+$/, '').toLowerCase()
+
+/**
+ * What a recipe does, without its secrets: cookie names, the basic auth
+ * user, header names and the login steps with typed values masked.
+ */
+const summarize = ({ cookies, basicAuth, headers, steps }) => ({
+    ...(cookies && { cookies: cookies.map(({ name, domain, path }) => ({ name, ...(domain && { domain }), ...(path && { path }) })) }),
+    ...(basicAuth && { basicAuth: { username: basicAuth.username } }),
+    ...(headers && { headers: Object.keys(headers) }),
+    ...(steps && { steps: steps.map(step => step.action === 'type' ? { ...step, value: MASK } : step) })
+})
+
+/**
+ * Auth Recipes
+ * Per-project recipes that get Puppeteer past a login before an audit:
+ * cookies, HTTP basic auth, extra headers and/or scripted login steps
+ * (goto, type, click, waitFor). The credentials are stored encrypted and only
+ * decrypted when an audit runs; the API returns a masked summary.
+ */
+class AuthRecipeService {
+    /**
+     * Recipe as returned by the API (no secret)
+     */
+    present({ secret, ...recipe }) {
+        return recipe
+    }
+
+    async listRecipes(filters = {}) {
+        const recipes = await database.listAuthRecipes(filters)
+        return recipes.map(r => this.present(r))
+    }
+
+    async getRecipe(id) {
+        const recipe = await database.getAuthRecipe(id)
+        return recipe ? this.present(recipe) : null
+    }
+
+    /**
+     * @param {Object} params - { name, urlPattern, auth: { cookies?, basicAuth?, headers?, steps? } }
+     */
+    async createRecipe({ name, urlPattern = null, auth }, { userId, projectId } = {}) {
+        const recipe = await database.createAuthRecipe({
+            id: crypto.randomUUID(),
+            name,
+            urlPattern: urlPattern || null,
+            ...this.seal(auth),
+            projectId: projectId || null,
+            createdBy: userId || null,
+            createdAt: new Date().toISOString()
+        })
+        return this.present(recipe)
+    }
+
+    /**
+     * `auth`, when given, replaces every stored credential of the recipe
+     */
+    async updateRecipe(id, { name, urlPattern, auth }) {
+        const recipe = await database.updateAuthRecipe(id, {
+            name,
+            urlPattern,
+            ...(auth && this.seal(auth)),
+            updatedAt: new Date().toISOString()
+        })
+        return recipe ? this.present(recipe) : null
+    }
+
+    async deleteRecipe(id) {
+        return database.deleteAuthRecipe(id)
+    }
+
+    seal(auth) {
+        return {
+            kinds: AUTH_KINDS.filter(kind => auth[kind]),
+            summary: summarize(auth),
+            secret: sealJson(auth)
+        }
+    }
+
+    matchesUrl(recipe, url) {
+        if (!recipe.urlPattern || !url) return false
+        const pattern = normalizeUrl(recipe.urlPattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+        return new RegExp(`^${pattern}$`).test(normalizeUrl(url))
+    }
+
+    /**
+     * Whether an audit run under { userId, projectId } may use a recipe: a
+     * project's recipes only inside that project, the others only by their
+     * creator (recipes created before creators were recorded by anyone).
+     * Local runs (the CLI reading the database directly) have no user and
+     * may use any recipe outside a project.
+     */
+    canUse(recipe, { userId, projectId, local = false } = {}) {
+        if (recipe.projectId) return recipe.projectId === String(projectId)
+        return local || !recipe.createdBy || recipe.createdBy === String(userId)
+    }
+
+    /**
+     * The decrypted recipe to run before auditing a URL: the one asked for by
+     * id, otherwise the first recipe usable by the caller whose URL pattern
+     * matches. Recipes without a pattern are only used when asked for.
+     * @returns {Object|null} { id, name, cookies?, basicAuth?, headers?, steps? }
+     */
+    async resolve(url, { recipeId, ...scope } = {}) {
+        let recipe
+        if (recipeId) {
+            recipe = await database.getAuthRecipe(recipeId)
+            if (!recipe || !this.canUse(recipe, scope)) {
+                throw new Error(`Auth recipe ${recipeId} not found`)
+            }
+        } else {
+            const recipes = await database.listAuthRecipes()
+            recipe = recipes.find(r => this.canUse(r, scope) && this.matchesUrl(r, url))
+            if (!recipe) return null
+        }
+
+        logger.info(`Using auth recipe "${recipe.name}" for ${url}`)
+        return { id: recipe.id, name: recipe.name, ...openJson(recipe.secret) }
+    }
+
+    /**
+     * A new page for an audit. Authenticated audits get their own browser
+     * context so their cookies never leak into other audits on the shared browser;
+     * the context is disposed of when the page is closed.
+     */
+    async openPage(browser, auth) {
+        if (!auth) return browser.newPage()
+
+        const context = await browser.createBrowserContext()
+        const page = await context.newPage()
+        page.once('close', () => context.close().catch(() => { }))
+        return page
+    }
+
+    /**
+     * Apply a recipe to a page before it navigates to `url`. Login steps run
+     * once per audit: the session cookies they produce are kept on the recipe
+     * and reused for further pages (site crawls).
+     */
+    async authenticate(page, url, auth) {
+        if (!auth) return
+
+        if (auth.basicAuth) {
+            await page.authenticate({ username: auth.basicAuth.username, password: auth.basicAuth.password })
+        }
+        if (auth.headers) {
+            await page.setExtraHTTPHeaders(auth.headers)
+        }
+        if (auth.cookies?.length) {
+            await page.setCookie(...auth.cookies.map(cookie => cookie.domain ? cookie : { ...cookie, url }))
+        }
+
+        if (!auth.steps?.length) return
+        if (auth.session) {
+            await page.setCookie(...auth.session)
+            return
+        }
+
+        // Steps run on the audited page unless the recipe starts somewhere else
+        if (auth.steps[0].action !== 'goto') {
+            await page.goto(url, { waitUntil: 'networkidle2', timeout: STEP_TIMEOUT_MS })
+        }
+        for (const [index, step] of auth.steps.entries()) {
+            try {
+                await runPageStep(page, step, url, { timeout: STEP_TIMEOUT_MS })
+            } catch (err) {
+                throw new Error(`Login step ${index + 1} (${describeStep(step)}) of auth recipe "${auth.name}" failed: ${err.message}`)
+            }
+        }
+        auth.session = await page.cookies()
+    }
+
+    /**
+     * Dry run of a recipe against a URL: log in, open the URL and report
+     * where the browser ended up, so a recipe can be checked before audits use it.
+     * @returns {Object} { ok, status, finalUrl, title, error? }
+     */
+    async testRecipe(id, url, scope = {}) {
+        const auth = await this.resolve(url, { recipeId: id, ...scope })
+        const browser = await browserPool.getBrowser()
+        const page = await this.openPage(browser, auth)
+
+        try {
+            await this.authenticate(page, url, auth)
+            const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: STEP_TIMEOUT_MS })
+            return {
+                ok: !!response && response.ok(),
+                status: response?.status() ?? null,
+                finalUrl: page.url(),
+                title: await page.title()
+            }
+        } catch (err) {
+            return { ok: false, status: null, finalUrl: page.url(), title: null, error: err.message }
+        } finally {
+            await page.close().catch(() => { })
+        }
+    }
+}
+
+export default new AuthRecipeService()
@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import authRecipeService from './auth-recipe.service.js'
+
+const recipe = (fields) => ({ id: 'r1', name: 'Staging login', urlPattern: null, projectId: null, createdBy: 'u1', ...fields })
+
+test('matchesUrl compares whole URLs, ignoring case and trailing slashes', () => {
+    const staging = recipe({ urlPattern: 'https://Staging.example.com/' })
+
+    assert.ok(authRecipeService.matchesUrl(staging, 'https://staging.example.com'))
+    assert.ok(authRecipeService.matchesUrl(staging, ' https://staging.example.com/// '))
+    assert.ok(!authRecipeService.matchesUrl(staging, 'https://staging.example.com/account'))
+})
+
+test('matchesUrl treats * as a wildcard and everything else literally', () => {
+    const account = recipe({ urlPattern: 'https://*.example.com/account/*' })
+
+    assert.ok(authRecipeService.matchesUrl(account, 'https://staging.example.com/account/orders'))
+    assert.ok(!authRecipeService.matchesUrl(account, 'https://staging.example.com/blog/post'))
+    assert.ok(!authRecipeService.matchesUrl(recipe({ urlPattern: 'https://a.example.com/x' }), 'https://aXexample.com/x'))
+})
+
+test('matchesUrl never matches without a pattern or a URL', () => {
+    assert.ok(!authRecipeService.matchesUrl(recipe({ urlPattern: null }), 'https://example.com'))
+    assert.ok(!authRecipeService.matchesUrl(recipe({ urlPattern: '*' }), null))
+})
+
+test('canUse keeps project recipes inside their project', () => {
+    const project = recipe({ projectId: 'p1' })
+
+    assert.ok(authRecipeService.canUse(project, { userId: 'u2', projectId: 'p1' }))
+    assert.ok(!authRecipeService.canUse(project, { userId: 'u1', projectId: 'p2' }))
+    assert.ok(!authRecipeService.canUse(project, { userId: 'u1' }))
+    assert.ok(!authRecipeService.canUse(project, { local: true }))
+})
+
+test('canUse limits recipes outside projects to their creator, or local runs', () => {
+    const own = recipe({})
+
+    assert.ok(authRecipeService.canUse(own, { userId: 'u1' }))
+    assert.ok(authRecipeService.canUse(own, { userId: 'u1', projectId: 'p1' }))
+    assert.ok(!authRecipeService.canUse(own, { userId: 'u2' }))
+    assert.ok(authRecipeService.canUse(own, { local: true }))
+    // Created before creators were recorded
+    assert.ok(authRecipeService.canUse(recipe({ createdBy: null }), { userId: 'u2' }))
+})
+
+test('seal stores the credentials encrypted next to a masked summary', () => {
+    const { kinds, summary, secret } = authRecipeService.seal({
+        basicAuth: { username: 'qa', password: 'hunter2' },
+        steps: [{ action: 'type', selector: '#password', value: 'hunter2' }, { action: 'click', selector: 'button' }]
+    })
+
+    assert.deepEqual(kinds, ['basicAuth', 'steps'])
+    assert.deepEqual(summary.basicAuth, { username: 'qa' })
+    assert.notEqual(summary.steps[0].value, 'hunter2')
+    assert.ok(!JSON.stringify(summary).includes('hunter2'))
+    assert.ok(!secret.includes('hunter2'))
+})
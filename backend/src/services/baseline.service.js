@@ -0,0 +1,235 @@
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+import database from '../db/index.js'
+import { logger } from '../utils/logger.js'
+import browserPool from '../utils/browser-pool.js'
+import { matchElements } from '../utils/visual-diff-helpers.js'
+import layoutComparatorService from './layout-comparator.service.js'
+import authRecipeService from './auth-recipe.service.js'
+import storageService from './storage.service.js'
+
+const NAVIGATION_TIMEOUT_MS = 90 * 1000
+const MAX_ELEMENTS = 500
+
+// Share of changed pixels (in %) a check tolerates before it needs review
+export const DEFAULT_DIFF_THRESHOLD = parseFloat(process.env.BASELINE_DIFF_THRESHOLD) || 0.1
+
+/**
+ * Snapshot states:
+ *   approved   - the current baseline of its URL/viewport
+ *   superseded - an earlier baseline, replaced by a later approval
+ *   pending    - a check that differs from the baseline, waiting for review
+ *   rejected   - a change the reviewer turned down (the baseline stays)
+ *   unchanged  - a check that matched the baseline
+ */
+export const SNAPSHOT_STATUSES = ['approved', 'superseded', 'pending', 'rejected', 'unchanged']
+
+/**
+ * Visual Baselines
+ * Percy-style visual regression: a full-page screenshot and element snapshot
+ * of a URL at one viewport is approved as its baseline, later checks are
+ * compared against it (pixelmatch for pixels, the comparator's style diff for
+ * elements) and a reviewer approves the change as the new baseline or rejects
+ * it. Every snapshot is kept, so each URL/viewport has a baseline history
+ * per project.
+ */
+class BaselineService {
+    /**
+     * Snapshot as returned by the API (element snapshot reduced to a count)
+     */
+    present({ elements, ...snapshot }) {
+        return { ...snapshot, elementCount: elements?.length || 0 }
+    }
+
+    async listSnapshots(filters = {}) {
+        const snapshots = await database.listBaselines(filters)
+        return snapshots.map(s => this.present(s))
+    }
+
+    async getSnapshot(id) {
+        const snapshot = await database.getBaseline(id)
+        return snapshot ? this.present(snapshot) : null
+    }
+
+    /**
+     * The approved baseline of a URL/viewport in a project (null for unassigned), if any
+     */
+    async approvedBaseline(url, viewport, projectId = null) {
+        const [baseline] = await database.listBaselines({ projectId, url, viewport, status: 'approved', limit: 1 })
+        return baseline || null
+    }
+
+    /**
+     * Render the page at the viewport and take its full-page screenshot and element snapshot
+     */
+    async capture(url, viewport, { auth = null } = {}) {
+        const browser = await browserPool.getBrowser()
+        const page = await authRecipeService.openPage(browser, auth)
+
+        try {
+            await layoutComparatorService.emulateViewport(page, viewport)
+            await authRecipeService.authenticate(page, url, auth)
+            await page.goto(url, { waitUntil: 'networkidle0', timeout: NAVIGATION_TIMEOUT_MS })
+            await layoutComparatorService.stabilizePage(page)
+
+            const screenshot = await page.screenshot({ type: 'png', fullPage: true })
+            const elements = await layoutComparatorService.extractElementData(page, MAX_ELEMENTS)
+            return { screenshot, elements }
+        } finally {
+            await page.close().catch(() => { })
+        }
+    }
+
+    /**
+     * Capture the page and approve it as the baseline of its URL/viewport
+     */
+    async createBaseline(url, viewport, { auth = null, scope = {}, onProgress = () => { } } = {}) {
+        onProgress('Capturing page', 10)
+        const { screenshot, elements } = await this.capture(url, viewport, { auth })
+
+        onProgress('Saving baseline', 80)
+        const screenshotUrl = await storageService.saveScreenshot(`baseline-${Date.now()}.png`, screenshot)
+        const baseline = await this.saveSnapshot({ url, viewport, screenshotUrl, elements, status: 'approved', scope })
+        await this.supersede(baseline)
+
+        logger.info(`📌 Baseline approved for ${url} @ ${viewport.label}`)
+        return this.present(baseline)
+    }
+
+    /**
+     * Compare the page with its approved baseline. The first check of a
+     * URL/viewport has nothing to compare with and becomes its baseline.
+     * @returns {Object} { ok, status: 'new' | 'unchanged' | 'pending', url, viewport, snapshot, baseline, comparison }
+     */
+    async check(url, viewport, { auth = null, scope = {}, threshold = DEFAULT_DIFF_THRESHOLD, onProgress = () => { } } = {}) {
+        const baseline = await this.approvedBaseline(url, viewport.label, scope.projectId || null)
+
+        onProgress('Capturing page', 10)
+        const current = await this.capture(url, viewport, { auth })
+        const timestamp = Date.now()
+        const screenshotUrl = await storageService.saveScreenshot(`baseline-${timestamp}.png`, current.screenshot)
+
+        if (!baseline) {
+            onProgress('Saving baseline', 80)
+            const created = await this.saveSnapshot({ url, viewport, screenshotUrl, elements: current.elements, status: 'approved', scope })
+            logger.info(`📌 First snapshot of ${url} @ ${viewport.label} saved as its baseline`)
+            return { ok: true, status: 'new', url, viewport: viewport.label, snapshot: this.present(created), baseline: this.present(created), comparison: null }
+        }
+
+        onProgress('Comparing with baseline', 60)
+        const { diffBuffer, ...comparison } = await this.compare(baseline, current)
+        const diffUrl = await storageService.saveScreenshot(`baseline-diff-${timestamp}.png`, diffBuffer)
+
+        const changed = comparison.mismatchPercent > threshold ||
+            comparison.elementChanges.length > 0 ||
+            comparison.addedElements > 0 ||
+            comparison.removedElements > 0
+        const status = changed ? 'pending' : 'unchanged'
+
+        onProgress('Saving snapshot', 90)
+        const snapshot = await this.saveSnapshot({
+            url,
+            viewport,
+            screenshotUrl,
+            elements: current.elements,
+            status,
+            baselineId: baseline.id,
+            comparison: { ...comparison, threshold, diffUrl },
+            scope
+        })
+
+        logger.info(`🔍 ${url} @ ${viewport.label}: ${comparison.mismatchPercent}% pixels changed, ${comparison.elementChanges.length} element changes (${status})`)
+        return { ok: true, status, url, viewport: viewport.label, snapshot: this.present(snapshot), baseline: this.present(baseline), comparison: snapshot.comparison }
+    }
+
+    /**
+     * Pixel and element differences between a stored baseline and a fresh capture
+     */
+    async compare(baseline, current) {
+        const baselineScreenshot = await fs.readFile(path.join('.', baseline.screenshot))
+        const { diffBuffer, width, height, diffPixels } = await layoutComparatorService.generateVisualDiff(baselineScreenshot, current.screenshot)
+
+        const pairs = matchElements(baseline.elements, current.elements)
+        const differences = await layoutComparatorService.compareElements(pairs, null, null, layoutComparatorService.defaultConfig)
+
+        return {
+            diffBuffer,
+            width,
+            height,
+            diffPixels,
+            // An unreadable screenshot counts as fully changed
+            mismatchPercent: diffPixels === null || !width ? 100 : Math.round((diffPixels / (width * height)) * 10000) / 100,
+            elementChanges: differences.map(({ selector, category, property, liveValue, stageValue, liveRect, stageRect, section, nodeText, severity }) => ({
+                selector,
+                category,
+                property,
+                baselineValue: liveValue,
+                currentValue: stageValue,
+                baselineRect: liveRect,
+                currentRect: stageRect,
+                section,
+                nodeText,
+                severity
+            })),
+            addedElements: Math.max(0, current.elements.length - pairs.length),
+            removedElements: Math.max(0, baseline.elements.length - pairs.length)
+        }
+    }
+
+    /**
+     * Approve a pending change (it becomes the baseline) or reject it
+     * (the baseline stays). Only pending snapshots can be reviewed.
+     */
+    async review(id, decision, { userId = null, note = null } = {}) {
+        const snapshot = await database.updateBaseline(id, {
+            status: decision === 'approve' ? 'approved' : 'rejected',
+            reviewedBy: userId,
+            reviewedAt: new Date().toISOString(),
+            reviewNote: note || null,
+            updatedAt: new Date().toISOString()
+        })
+        if (decision === 'approve') await this.supersede(snapshot)
+
+        logger.info(`${decision === 'approve' ? '✅ Approved' : '🚫 Rejected'} visual change of ${snapshot.url} @ ${snapshot.viewport}`)
+        return this.present(snapshot)
+    }
+
+    /**
+     * Mark every other approved baseline of the snapshot's URL/viewport as superseded
+     */
+    async supersede(baseline) {
+        const approved = await database.listBaselines({
+            projectId: baseline.projectId || null,
+            url: baseline.url,
+            viewport: baseline.viewport,
+            status: 'approved'
+        })
+        for (const previous of approved.filter(b => b.id !== baseline.id)) {
+            await database.updateBaseline(previous.id, { status: 'superseded', updatedAt: new Date().toISOString() })
+        }
+    }
+
+    async saveSnapshot({ url, viewport, screenshotUrl, elements, status, baselineId = null, comparison = null, scope = {} }) {
+        const now = new Date().toISOString()
+        return database.createBaseline({
+            id: crypto.randomUUID(),
+            url,
+            viewport: viewport.label,
+            width: viewport.width,
+            height: viewport.height,
+            status,
+            screenshot: screenshotUrl,
+            elements,
+            baselineId,
+            comparison,
+            projectId: scope.projectId || null,
+            createdBy: scope.userId || null,
+            createdAt: now,
+            // Snapshots approved on capture are reviewed by whoever captured them
+            ...(status === 'approved' && { reviewedBy: scope.userId || null, reviewedAt: now })
+        })
+    }
+}
+
+export default new BaselineService()
@@ -0,0 +1,167 @@
+import crypto from 'crypto'
+import database from '../db/index.js'
+
+/**
+ * Limits a budget can set. Metrics and resources are maxima, categories are
+ * minimum Lighthouse scores. Resource limits read the `resources` summary of
+ * a Lighthouse result ({ [type]: { sizeKB, requests } }).
+ */
+export const BUDGET_LIMITS = {
+    metrics: {
+        lcp: { label: 'Largest Contentful Paint', unit: 'ms' },
+        fcp: { label: 'First Contentful Paint', unit: 'ms' },
+        cls: { label: 'Cumulative Layout Shift', unit: '' },
+        tbt: { label: 'Total Blocking Time', unit: 'ms' },
+        speedIndex: { label: 'Speed Index', unit: 'ms' }
+    },
+    resources: {
+        totalKB: { label: 'Total transfer size', unit: 'KB', type: 'total', field: 'sizeKB' },
+        scriptKB: { label: 'JavaScript size', unit: 'KB', type: 'script', field: 'sizeKB' },
+        imageKB: { label: 'Image size', unit: 'KB', type: 'image', field: 'sizeKB' },
+        stylesheetKB: { label: 'CSS size', unit: 'KB', type: 'stylesheet', field: 'sizeKB' },
+        fontKB: { label: 'Font size', unit: 'KB', type: 'font', field: 'sizeKB' },
+        thirdPartyKB: { label: 'Third-party size', unit: 'KB', type: 'thirdParty', field: 'sizeKB' },
+        requests: { label: 'Requests', unit: '', type: 'total', field: 'requests' },
+        scriptRequests: { label: 'JavaScript requests', unit: '', type: 'script', field: 'requests' },
+        imageRequests: { label: 'Image requests', unit: '', type: 'image', field: 'requests' },
+        thirdPartyRequests: { label: 'Third-party requests', unit: '', type: 'thirdParty', field: 'requests' }
+    },
+    categories: {
+        performance: { label: 'Performance score', unit: '' },
+        accessibility: { label: 'Accessibility score', unit: '' },
+        bestPractices: { label: 'Best Practices score', unit: '' },
+        seo: { label: 'SEO score', unit: '' }
+    }
+}
+
+export const BUDGET_GROUPS = Object.keys(BUDGET_LIMITS)
+
+const round = (value, unit) => {
+    if (typeof value !== 'number') return null
+    // CLS keeps three decimals, KB one, milliseconds and counts none
+    const factor = unit === 'ms' ? 1 : unit === 'KB' ? 10 : 1000
+    return Math.round(value * factor) / factor
+}
+
+const normalizeUrl = (url) => String(url).trim().replace(/\/+$/, '').toLowerCase()
+
+/**
+ * Performance Budgets
+ * Per project (or global) limits on Lighthouse metrics, resource weight and
+ * category scores, optionally narrowed to one URL or a `*` URL pattern.
+ * Every Lighthouse run is checked against the budgets that apply to it.
+ */
+class BudgetService {
+    async listBudgets(filters = {}) {
+        return database.listBudgets(filters)
+    }
+
+    async getBudget(id) {
+        return database.getBudget(id)
+    }
+
+    async createBudget({ name, url = null, metrics = {}, resources = {}, categories = {} }, { userId, projectId } = {}) {
+        return database.createBudget({
+            id: crypto.randomUUID(),
+            name,
+            url: url || null,
+            metrics,
+            resources,
+            categories,
+            projectId: projectId || null,
+            createdBy: userId || null,
+            createdAt: new Date().toISOString()
+        })
+    }
+
+    async updateBudget(id, updates) {
+        return database.updateBudget(id, { ...updates, updatedAt: new Date().toISOString() })
+    }
+
+    async deleteBudget(id) {
+        return database.deleteBudget(id)
+    }
+
+    /**
+     * Whether a budget applies to a URL: no URL means every page, `*` matches any characters
+     */
+    matchesUrl(budget, url) {
+        if (!budget.url) return true
+        if (!url) return false
+
+        const pattern = normalizeUrl(budget.url).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+        return new RegExp(`^${pattern}$`).test(normalizeUrl(url))
+    }
+
+    /**
+     * Budgets of the project (and global ones) that apply to a URL
+     */
+    async budgetsFor(url, { projectId } = {}) {
+        const budgets = await database.listBudgets()
+        return budgets.filter(b => (!b.projectId || b.projectId === String(projectId)) && this.matchesUrl(b, url))
+    }
+
+    /**
+     * Check a Lighthouse result against one budget.
+     * Overage is how far the value is past the limit (0 when within it); a limit
+     * on a value the run didn't measure fails so it can't pass silently.
+     */
+    evaluate(result, budget) {
+        const measured = {
+            metrics: (key) => result.metrics?.[key],
+            resources: (key) => {
+                const { type, field } = BUDGET_LIMITS.resources[key]
+                return result.resources ? (result.resources[type]?.[field] ?? 0) : undefined
+            },
+            categories: (key) => result.scores?.[key]
+        }
+
+        const checks = BUDGET_GROUPS.flatMap(group => Object.entries(budget[group] || {})
+            .filter(([key]) => BUDGET_LIMITS[group][key])
+            .map(([key, limit]) => {
+                const { label, unit } = BUDGET_LIMITS[group][key]
+                const actual = round(measured[group](key), unit)
+                const comparison = group === 'categories' ? 'min' : 'max'
+                const excess = actual === null ? null : comparison === 'max' ? actual - limit : limit - actual
+
+                return {
+                    group,
+                    key,
+                    label,
+                    unit,
+                    comparison,
+                    limit,
+                    actual,
+                    overage: excess === null ? null : round(Math.max(0, excess), unit),
+                    passed: excess !== null && excess <= 0
+                }
+            }))
+
+        return {
+            id: budget.id,
+            name: budget.name,
+            url: budget.url,
+            passed: checks.every(c => c.passed),
+            checks
+        }
+    }
+
+    /**
+     * Budget report of a Lighthouse run, or null when no budget applies to its URL
+     * @returns {Object|null} { passed, failedChecks, evaluatedAt, budgets: [{ id, name, url, passed, checks }] }
+     */
+    async evaluateRun(url, result, { projectId } = {}) {
+        const budgets = await this.budgetsFor(url, { projectId })
+        if (budgets.length === 0) return null
+
+        const reports = budgets.map(budget => this.evaluate(result, budget))
+        return {
+            passed: reports.every(r => r.passed),
+            failedChecks: reports.reduce((sum, r) => sum + r.checks.filter(c => !c.passed).length, 0),
+            evaluatedAt: new Date().toISOString(),
+            budgets: reports
+        }
+    }
+}
+
+export default new BudgetService()
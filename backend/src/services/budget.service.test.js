@@ -0,0 +1,80 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import budgetService from './budget.service.js'
+
+const result = {
+    metrics: { lcp: 2812.4, cls: 0.1234, tbt: 150 },
+    scores: { performance: 88, seo: 100 },
+    resources: {
+        total: { sizeKB: 1520.26, requests: 64 },
+        script: { sizeKB: 480.04, requests: 21 }
+    }
+}
+
+test('matchesUrl: no URL applies everywhere, * matches any characters', () => {
+    assert.ok(budgetService.matchesUrl({ url: null }, 'https://example.com/'))
+    assert.ok(budgetService.matchesUrl({ url: 'https://Example.com/' }, 'https://example.com'))
+    assert.ok(budgetService.matchesUrl({ url: 'https://example.com/blog/*' }, 'https://example.com/blog/2024/hello'))
+    assert.ok(!budgetService.matchesUrl({ url: 'https://example.com/blog/*' }, 'https://example.com/about'))
+    assert.ok(!budgetService.matchesUrl({ url: 'https://example.com/a.b' }, 'https://example.com/aXb'))
+    assert.ok(!budgetService.matchesUrl({ url: 'https://example.com/' }, null))
+})
+
+test('evaluate passes a run within every limit', () => {
+    const report = budgetService.evaluate(result, {
+        id: 'b1',
+        name: 'Home',
+        url: null,
+        metrics: { lcp: 3000 },
+        resources: { scriptKB: 500 },
+        categories: { performance: 80 }
+    })
+
+    assert.equal(report.passed, true)
+    assert.deepEqual(report.checks.map(c => [c.key, c.comparison, c.actual, c.overage, c.passed]), [
+        ['lcp', 'max', 2812, 0, true],
+        ['scriptKB', 'max', 480, 0, true],
+        ['performance', 'min', 88, 0, true]
+    ])
+})
+
+test('evaluate reports how far a run is past its maxima and minima', () => {
+    const report = budgetService.evaluate(result, {
+        metrics: { cls: 0.1, tbt: 150 },
+        resources: { totalKB: 1500, requests: 50 },
+        categories: { performance: 90 }
+    })
+
+    assert.equal(report.passed, false)
+    const byKey = Object.fromEntries(report.checks.map(c => [c.key, c]))
+    assert.deepEqual([byKey.cls.actual, byKey.cls.overage, byKey.cls.passed], [0.123, 0.023, false])
+    // Exactly at the limit passes
+    assert.equal(byKey.tbt.passed, true)
+    assert.deepEqual([byKey.totalKB.actual, byKey.totalKB.overage], [1520.3, 20.3])
+    assert.deepEqual([byKey.requests.actual, byKey.requests.overage], [64, 14])
+    assert.deepEqual([byKey.performance.overage, byKey.performance.passed], [2, false])
+})
+
+test('evaluate fails limits on values the run did not measure', () => {
+    const report = budgetService.evaluate({ metrics: {}, scores: {} }, {
+        metrics: { fcp: 1800 },
+        resources: { imageKB: 300 },
+        categories: { accessibility: 90 }
+    })
+
+    assert.equal(report.passed, false)
+    assert.ok(report.checks.every(c => c.actual === null && c.overage === null && !c.passed))
+})
+
+test('evaluate counts a resource type missing from the summary as zero', () => {
+    const report = budgetService.evaluate(result, { resources: { fontKB: 100, imageRequests: 10 } })
+
+    assert.equal(report.passed, true)
+    assert.deepEqual(report.checks.map(c => c.actual), [0, 0])
+})
+
+test('evaluate ignores limits it does not know', () => {
+    const report = budgetService.evaluate(result, { metrics: { lcp: 3000, ttfb: 100 }, resources: { videoKB: 1 } })
+
+    assert.deepEqual(report.checks.map(c => c.key), ['lcp'])
+})
@@ -1,8 +1,16 @@
 import puppeteer from 'puppeteer'
 import { logger } from '../utils/logger.js'
 import browserPool from '../utils/browser-pool.js'
+import authRecipeService from './auth-recipe.service.js'
+import { applyViewport } from '../utils/viewports.js'
+
+const DEFAULT_VIEWPORT = { label: '1920', width: 1920, height: 1080 }
 
 export class CrawlerService {
+    /**
+     * Options: auth (decrypted auth recipe applied before loading the page),
+     * viewport (resolved breakpoint to render at, 1920x1080 by default)
+     */
     async crawlWebsite(url, options = {}) {
         let page = null
         let browser = null
@@ -11,10 +19,12 @@ export class CrawlerService {
             logger.info(`Crawling website: ${url}`)
 
             browser = await browserPool.getBrowser()
-            page = await browser.newPage()
+            page = await authRecipeService.openPage(browser, options.auth)
 
             // Set viewport
-            await page.setViewport({ width: 1920, height: 1080 })
+            const viewport = options.viewport || DEFAULT_VIEWPORT
+            await applyViewport(page, viewport)
+            await authRecipeService.authenticate(page, url, options.auth)
 
             // Collect console errors
             const consoleErrors = []
@@ -58,6 +68,14 @@ export class CrawlerService {
                 }).join('\\n')
             })
 
+            // Wider than the viewport means the page scrolls sideways
+            const scrollWidth = await page.evaluate(() => document.documentElement.scrollWidth)
+
+            // Collect outgoing links (used by multi-page crawl mode)
+            const links = await page.evaluate(() =>
+                Array.from(document.querySelectorAll('a[href]')).map(a => a.href)
+            )
+
             // Extract comprehensive DOM data with computed styles
             const domData = await this.extractComprehensiveDOMData(page)
 
@@ -85,7 +103,10 @@ export class CrawlerService {
                 html,
                 styles,
                 consoleErrors,
+                links,
                 platform,
+                viewport,
+                scrollWidth,
                 domData,
                 layoutIssues,
                 typographyIssues,
@@ -0,0 +1,283 @@
+import sharp from 'sharp'
+import { logger } from '../utils/logger.js'
+import browserPool from '../utils/browser-pool.js'
+import storageService from './storage.service.js'
+import aiService from './ai.service.js'
+import authRecipeService from './auth-recipe.service.js'
+import layoutComparatorService from './layout-comparator.service.js'
+import { prepareIgnoredContent, applyMasks } from '../utils/ignore-regions.js'
+
+// Regions described by the vision model (largest first) and the time each may take
+const MAX_ANALYZED_REGIONS = 6
+const VISION_TIMEOUT_MS = 45 * 1000
+
+// Widest side-by-side image sent to the vision model (px)
+const MAX_VISION_WIDTH = 1600
+const SIDE_GAP = 24
+
+const FINDING_CATEGORIES = ['spacing', 'color', 'font', 'missing-element', 'extra-element', 'size', 'content', 'other']
+const SEVERITIES = ['critical', 'medium', 'low']
+const SEVERITY_RANK = { low: 1, medium: 2, critical: 3 }
+
+/**
+ * Design Comparator Service
+ * Verifies a build against a designer's mockup: the page is rendered at the
+ * mockup's width (in CSS px, after its export scale), both images are aligned
+ * top-left and pixel-diffed with the layout comparator, and the largest
+ * changed regions are described by the vision model (spacing, color, font,
+ * missing elements). Regions have the same shape as a layout comparison's,
+ * with the design as the live side and the page as the stage side.
+ */
+export class DesignComparatorService {
+    constructor() {
+        this.defaultConfig = {
+            designScale: 1,
+            viewportHeight: 900,
+            fullPage: false,
+            analyze: true,
+            maxElements: 500
+        }
+    }
+
+    async compareDesign(designBuffer, url, options = {}) {
+        const startTime = Date.now()
+        const config = { ...this.defaultConfig, ...options }
+        const onProgress = options.onProgress || (() => { })
+
+        onProgress('Preparing design', 5)
+        const design = await this.prepareDesign(designBuffer, config.designScale)
+        const viewport = { width: design.width, height: config.viewportHeight }
+
+        logger.info(`🎨 Design comparison: ${url} at ${design.width}px (${config.designScale}x export)`)
+
+        const browser = await browserPool.getBrowser()
+        const page = await authRecipeService.openPage(browser, config.auth)
+
+        try {
+            await layoutComparatorService.emulateViewport(page, viewport)
+            await authRecipeService.authenticate(page, url, config.auth)
+
+            onProgress('Rendering page', 15)
+            await page.goto(url, { waitUntil: layoutComparatorService.defaultConfig.waitForNetworkIdle, timeout: layoutComparatorService.defaultConfig.timeout })
+                .catch(e => logger.warn(`Navigation warning: ${e.message}`))
+            await page.waitForFunction(() => document.readyState === 'complete')
+
+            const ignore = config.ignore || null
+            const unmatchedSelectors = new Set()
+            if (ignore) {
+                (await prepareIgnoredContent(page, ignore)).forEach(s => unmatchedSelectors.add(s))
+            }
+
+            onProgress('Stabilizing page', 30)
+            const pageHeight = await layoutComparatorService.stabilizePage(page)
+            const masks = await applyMasks(page, ignore)
+            if (ignore) masks.unmatched.forEach(s => unmatchedSelectors.add(s))
+
+            onProgress('Capturing page', 45)
+            const screenshot = await page.screenshot({ type: 'png', fullPage: true })
+            const elements = await layoutComparatorService.extractElementData(page, config.maxElements)
+
+            // Only the part of the page the mockup covers is compared, unless asked otherwise
+            const pageImage = await this.alignPage(screenshot, design, config.fullPage)
+
+            onProgress('Diffing design and page', 60)
+            const { diffBuffer, width, height, diffPixels, regions: changedRegions } = await layoutComparatorService.generateVisualDiff(design.buffer, pageImage, { masks: masks.regions, crops: true })
+
+            // The page is both sides of each element pair: its elements are drawn over both crops
+            const pairs = elements.filter(el => !el.ignored).map(el => ({ live: el, stage: el, matchType: 'page' }))
+            const timestamp = Date.now()
+            const [designUrl, pageUrl, diffUrl, regions] = await Promise.all([
+                storageService.saveScreenshot(`design-${timestamp}.png`, design.buffer),
+                storageService.saveScreenshot(`design-page-${timestamp}.png`, pageImage),
+                storageService.saveScreenshot(`design-diff-${timestamp}.png`, diffBuffer),
+                layoutComparatorService.describeRegions(changedRegions, pairs, [], timestamp)
+            ])
+
+            const ai = config.analyze
+                ? await this.analyzeRegions(regions, changedRegions, onProgress)
+                : { available: false, message: 'AI analysis was not requested', analyzedRegions: 0 }
+
+            const findings = regions.flatMap(r => r.findings || [])
+            const byCategory = Object.fromEntries(FINDING_CATEGORIES.map(c => [c, findings.filter(f => f.category === c).length]))
+            const worstSeverity = findings.reduce((worst, f) =>
+                !worst || SEVERITY_RANK[f.severity] > SEVERITY_RANK[worst] ? f.severity : worst, null)
+
+            return {
+                ok: true,
+                summary: {
+                    mismatchPercent: diffPixels === null || !width ? null : Math.round((diffPixels / (width * height)) * 10000) / 100,
+                    diffPixels,
+                    changedRegions: regions.length,
+                    analyzedRegions: ai.analyzedRegions,
+                    findings: findings.length,
+                    criticalIssues: findings.filter(f => f.severity === 'critical').length,
+                    worstSeverity,
+                    byCategory
+                },
+                visualDiff: {
+                    designUrl,
+                    pageUrl,
+                    diffUrl,
+                    width,
+                    height,
+                    diffPixels,
+                    designHeight: design.height,
+                    pageHeight,
+                    masks: masks.regions,
+                    regions
+                },
+                ...(ignore && {
+                    ignored: {
+                        regions: masks.regions.length,
+                        hiddenSelectors: ignore.hide.length,
+                        frozenSelectors: ignore.freeze.length,
+                        unmatchedSelectors: [...unmatchedSelectors]
+                    }
+                }),
+                ai: { available: ai.available, message: ai.message },
+                meta: {
+                    url,
+                    designName: config.designName || null,
+                    designWidth: design.sourceWidth,
+                    designHeight: design.sourceHeight,
+                    designScale: config.designScale,
+                    viewport,
+                    fullPage: config.fullPage,
+                    ignore,
+                    durationMs: Date.now() - startTime,
+                    timestamp: new Date().toISOString()
+                }
+            }
+        } finally {
+            await page.close().catch(() => { })
+        }
+    }
+
+    /**
+     * The mockup in CSS px: scaled down by its export scale (2x/3x) and
+     * flattened on white so transparent exports compare like a page
+     */
+    async prepareDesign(buffer, scale) {
+        const { width: sourceWidth, height: sourceHeight } = await sharp(buffer).metadata()
+        const width = Math.round(sourceWidth / scale)
+
+        const { data, info } = await sharp(buffer)
+            .resize({ width })
+            .flatten({ background: '#ffffff' })
+            .png()
+            .toBuffer({ resolveWithObject: true })
+
+        return { buffer: data, width: info.width, height: info.height, sourceWidth, sourceHeight }
+    }
+
+    /**
+     * The page screenshot aligned with the design: same width (overflow is
+     * cut off) and, unless the full page is compared, cut at the design's height
+     */
+    async alignPage(screenshot, design, fullPage) {
+        const { width, height } = await sharp(screenshot).metadata()
+        const cropWidth = Math.min(width, design.width)
+        const cropHeight = fullPage ? height : Math.min(height, design.height)
+        if (cropWidth === width && cropHeight === height) return screenshot
+
+        return sharp(screenshot)
+            .extract({ left: 0, top: 0, width: cropWidth, height: cropHeight })
+            .png()
+            .toBuffer()
+    }
+
+    /**
+     * Describe the largest changed regions with the vision model. Findings are
+     * attached to each region (`findings`, null when not analyzed).
+     */
+    async analyzeRegions(regions, changedRegions, onProgress) {
+        regions.forEach(region => { region.findings = null })
+
+        const candidates = regions
+            .map((region, index) => ({ region, crops: changedRegions[index].crops }))
+            .filter(({ crops }) => crops)
+            .sort((a, b) => b.region.changedPixels - a.region.changedPixels)
+            .slice(0, MAX_ANALYZED_REGIONS)
+
+        let analyzedRegions = 0
+        for (const [i, { region, crops }] of candidates.entries()) {
+            onProgress(`Describing region ${region.id} (${i + 1}/${candidates.length})`, 70 + (i / Math.max(1, candidates.length)) * 25)
+
+            try {
+                const image = await this.sideBySide(crops.live, crops.stage)
+                const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error('AI analysis timed out')), VISION_TIMEOUT_MS))
+                const response = await Promise.race([
+                    aiService.analyzeImageWithVision(image.toString('base64'), this.getVisionPrompt(region)),
+                    timeout
+                ])
+
+                if (!response || /not (available|configured)/i.test(response)) {
+                    return { available: false, message: response || 'No AI provider configured for vision', analyzedRegions }
+                }
+
+                region.findings = this.parseFindings(response)
+                analyzedRegions++
+            } catch (error) {
+                logger.warn(`Design region ${region.id} analysis failed: ${error.message}`)
+                region.analysisError = error.message
+            }
+        }
+
+        return { available: true, message: null, analyzedRegions }
+    }
+
+    /**
+     * Design crop (left) and page crop (right) in one image
+     */
+    async sideBySide(designCrop, pageCrop) {
+        const { width, height } = await sharp(designCrop).metadata()
+        const image = await sharp({
+            create: { width: width * 2 + SIDE_GAP, height, channels: 3, background: '#ffffff' }
+        })
+            .composite([
+                { input: designCrop, left: 0, top: 0 },
+                { input: pageCrop, left: width + SIDE_GAP, top: 0 }
+            ])
+            .png()
+            .toBuffer()
+
+        return width * 2 + SIDE_GAP > MAX_VISION_WIDTH
+            ? sharp(image).resize({ width: MAX_VISION_WIDTH }).png().toBuffer()
+            : image
+    }
+
+    getVisionPrompt(region) {
+        const elements = region.elements
+            .map(el => `- ${el.selector}${el.nodeText ? ` ("${el.nodeText}")` : ''}`)
+            .join('\n')
+
+        return `You are a meticulous UI QA engineer verifying that a web page matches its design.
+The image shows the same region twice: the DESIGN MOCKUP on the left and the IMPLEMENTED PAGE on the right.
+Ignore anti-aliasing, sub-pixel rendering and placeholder copy that is obviously dummy text.
+${elements ? `Page elements in this region:\n${elements}\n` : ''}
+List every visible mismatch between the design and the page. Respond with JSON only, in this exact shape:
+{"findings": [{"category": "spacing | color | font | missing-element | extra-element | size | content | other", "description": "what differs, naming the element", "design": "value or look in the design", "page": "value or look on the page", "severity": "critical | medium | low", "suggestion": "how to make the page match"}]}
+Use "missing-element" for things in the design but not on the page and "extra-element" for the opposite.
+Use "critical" for missing elements and changes a user would notice at a glance, "low" for differences of a few pixels.
+If the region matches, return {"findings": []}.`
+    }
+
+    parseFindings(response) {
+        const json = response.match(/\{[\s\S]*\}/)
+        if (!json) throw new Error('No JSON found in AI response')
+        const { findings = [] } = JSON.parse(json[0])
+
+        return findings
+            .filter(f => f && typeof f.description === 'string')
+            .map(f => ({
+                category: FINDING_CATEGORIES.includes(f.category) ? f.category : 'other',
+                description: f.description,
+                design: f.design || null,
+                page: f.page || null,
+                severity: SEVERITIES.includes(f.severity) ? f.severity : 'low',
+                suggestion: f.suggestion || null
+            }))
+    }
+}
+
+export default new DesignComparatorService()
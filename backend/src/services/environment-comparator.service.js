@@ -0,0 +1,248 @@
+import { logger } from '../utils/logger.js'
+import browserPool from '../utils/browser-pool.js'
+import layoutComparatorService from './layout-comparator.service.js'
+import authRecipeService from './auth-recipe.service.js'
+import { CrawlFrontier, compilePatterns, fetchSitemapUrls, isUrlInScope, normalizeUrl, toRelativePath, mapPathToBase } from '../utils/url-discovery.js'
+
+const LINK_TIMEOUT_MS = 30 * 1000
+const SEVERITY_RANK = { low: 1, medium: 2, critical: 3 }
+const VERDICT_RANK = { blocked: 0, review: 1, ready: 2 }
+
+/**
+ * Environment-wide Comparator
+ * Compares a whole site before a release: paths are given, read from the
+ * live sitemap or crawled from the live base URL, mapped onto both hosts
+ * (keeping each environment's base path) and compared with the layout
+ * comparator under bounded concurrency. The result is a release-readiness
+ * matrix: which pages changed, how much, and the worst severity per page.
+ */
+export class EnvironmentComparatorService {
+    constructor() {
+        this.defaultConfig = {
+            paths: [],
+            discover: null,
+            sitemapUrl: null,
+            maxPages: 20,
+            maxDepth: 1,
+            concurrency: 2,
+            include: [],
+            exclude: []
+        }
+    }
+
+    async compareEnvironments(liveBaseUrl, stageBaseUrl, options = {}) {
+        const startTime = Date.now()
+        const config = { ...this.defaultConfig, ...options }
+        const onProgress = options.onProgress || (() => { })
+
+        logger.info(`🗺️ Environment comparison: ${liveBaseUrl} vs ${stageBaseUrl} (maxPages=${config.maxPages}, concurrency=${config.concurrency})`)
+
+        onProgress('Mapping pages', 2)
+        const { paths, discovery } = await this.discoverPaths(liveBaseUrl, config)
+        if (paths.length === 0) {
+            throw new Error(`No pages found to compare on ${liveBaseUrl}`)
+        }
+
+        const queue = paths.map(path => ({
+            path,
+            liveUrl: mapPathToBase(path, liveBaseUrl),
+            stageUrl: mapPathToBase(path, stageBaseUrl)
+        }))
+        const pages = []
+
+        const worker = async () => {
+            let next
+            while ((next = queue.shift())) {
+                onProgress(`Comparing ${next.path} (${pages.length + 1}/${paths.length})`, 10 + (pages.length / paths.length) * 85, {
+                    pagesCompared: pages.length,
+                    pagesQueued: queue.length
+                })
+                pages.push(await this.comparePage(next, config))
+            }
+        }
+
+        const workerCount = Math.max(1, Math.min(config.concurrency, paths.length))
+        await Promise.all(Array.from({ length: workerCount }, () => worker()))
+
+        onProgress('Building readiness matrix', 97)
+        const report = this.buildReport(pages)
+
+        return {
+            ...report,
+            metadata: {
+                liveBaseUrl,
+                stageBaseUrl,
+                discovery,
+                sitemapUrl: discovery === 'sitemap' ? this.sitemapUrl(liveBaseUrl, config) : null,
+                maxPages: config.maxPages,
+                concurrency: workerCount,
+                viewports: config.viewports ? config.viewports.map(v => v.label) : null,
+                durationMs: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            }
+        }
+    }
+
+    sitemapUrl(liveBaseUrl, config) {
+        return config.sitemapUrl || `${new URL(liveBaseUrl).origin}/sitemap.xml`
+    }
+
+    /**
+     * Relative paths to compare: the given list, the live sitemap, or a crawl
+     * of the live site (also the fallback when the sitemap lists nothing)
+     * @returns {Object} { paths, discovery: 'paths' | 'sitemap' | 'crawl' }
+     */
+    async discoverPaths(liveBaseUrl, config) {
+        const include = compilePatterns(config.include)
+        const exclude = compilePatterns(config.exclude)
+        const origin = new URL(liveBaseUrl).origin
+        const unique = (urls) => [...new Set(urls.map(url => toRelativePath(url, liveBaseUrl)))].slice(0, config.maxPages)
+        const inScope = (url) => isUrlInScope(url, { origin, include, exclude })
+
+        if (config.paths.length > 0) {
+            return { paths: unique(config.paths.map(path => mapPathToBase(path, liveBaseUrl))), discovery: 'paths' }
+        }
+
+        if (config.discover !== 'crawl') {
+            const sitemapUrls = await fetchSitemapUrls(this.sitemapUrl(liveBaseUrl, config))
+            // Sitemaps often list the canonical host; only the path matters here
+            const urls = sitemapUrls
+                .map(url => normalizeUrl(new URL(url).pathname + new URL(url).search, origin))
+                .filter(url => url && inScope(url))
+            if (urls.length > 0 || config.discover === 'sitemap') {
+                return { paths: unique(urls), discovery: 'sitemap' }
+            }
+            logger.info(`No sitemap pages for ${liveBaseUrl}, crawling links instead`)
+        }
+
+        return { paths: unique(await this.crawlLinks(liveBaseUrl, config)), discovery: 'crawl' }
+    }
+
+    /**
+     * Breadth-first link crawl of the live site (no audit, links only)
+     */
+    async crawlLinks(liveBaseUrl, config) {
+        const frontier = new CrawlFrontier(liveBaseUrl, config)
+        const browser = await browserPool.getBrowser()
+        const page = await authRecipeService.openPage(browser, config.liveAuth)
+        const urls = []
+
+        try {
+            await authRecipeService.authenticate(page, liveBaseUrl, config.liveAuth)
+
+            let next
+            while ((next = frontier.next())) {
+                urls.push(next.url)
+                if (next.depth >= config.maxDepth) continue
+                try {
+                    await page.goto(next.url, { waitUntil: 'domcontentloaded', timeout: LINK_TIMEOUT_MS })
+                    const links = await page.evaluate(() => Array.from(document.querySelectorAll('a[href]'), a => a.href))
+                    frontier.add(links, next.depth + 1)
+                } catch (error) {
+                    logger.warn(`Link discovery skipped ${next.url}: ${error.message}`)
+                }
+            }
+        } finally {
+            await page.close().catch(() => { })
+        }
+
+        return urls
+    }
+
+    /**
+     * One row of the matrix. A page that fails to compare blocks the release.
+     */
+    async comparePage({ path, liveUrl, stageUrl }, config) {
+        const { viewport, viewports, ignore, maxElements, liveAuth, stageAuth } = config
+        const options = { maxElements, ignore, liveAuth, stageAuth }
+
+        try {
+            const result = viewports
+                ? await layoutComparatorService.compareLayoutMatrix(liveUrl, stageUrl, viewports, options)
+                : await layoutComparatorService.compareLayout(liveUrl, stageUrl, { ...options, viewport })
+
+            const cell = this.summarizeComparison(result)
+            return {
+                path,
+                liveUrl,
+                stageUrl,
+                ...cell,
+                topDifferences: result.differences
+                    .slice()
+                    .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity])
+                    .slice(0, 5)
+                    .map(({ selector, category, property, liveValue, stageValue, severity, breakpoints }) => ({ selector, category, property, liveValue, stageValue, severity, breakpoints })),
+                visualDiff: {
+                    liveUrl: result.visualDiff.liveUrl,
+                    stageUrl: result.visualDiff.stageUrl,
+                    diffUrl: result.visualDiff.diffUrl
+                },
+                ...(result.viewports && {
+                    viewports: result.viewports.map(v => ({ label: v.label, ...this.summarizeComparison(v.result) }))
+                })
+            }
+        } catch (error) {
+            logger.warn(`Environment comparison failed for ${path}: ${error.message}`)
+            return { path, liveUrl, stageUrl, status: 'error', verdict: 'blocked', worstSeverity: null, error: error.message }
+        }
+    }
+
+    /**
+     * How much a comparison changed and what it means for the release:
+     * critical differences block, any other change (including network and
+     * console regressions) needs review
+     */
+    summarizeComparison(result) {
+        const { differences, visualDiff, summary } = result
+        const worstSeverity = differences.reduce((worst, d) =>
+            !worst || SEVERITY_RANK[d.severity] > SEVERITY_RANK[worst] ? d.severity : worst, null)
+        const changedRegions = visualDiff.regions?.length || 0
+        const mismatchPercent = visualDiff.diffPixels === null || visualDiff.diffPixels === undefined || !visualDiff.width
+            ? null
+            : Math.round((visualDiff.diffPixels / (visualDiff.width * visualDiff.height)) * 10000) / 100
+        const networkRegressions = summary.networkRegressions || 0
+        const changed = differences.length > 0 || changedRegions > 0 || networkRegressions > 0
+
+        return {
+            status: changed ? 'changed' : 'unchanged',
+            verdict: worstSeverity === 'critical' ? 'blocked' : changed ? 'review' : 'ready',
+            worstSeverity,
+            differences: differences.length,
+            criticalIssues: differences.filter(d => d.severity === 'critical').length,
+            changedRegions,
+            mismatchPercent,
+            consoleErrors: summary.consoleErrors || 0,
+            networkRegressions
+        }
+    }
+
+    buildReport(pages) {
+        const sorted = pages.sort((a, b) =>
+            VERDICT_RANK[a.verdict] - VERDICT_RANK[b.verdict] ||
+            (b.mismatchPercent || 0) - (a.mismatchPercent || 0) ||
+            a.path.localeCompare(b.path))
+        const count = (predicate) => sorted.filter(predicate).length
+
+        const summary = {
+            pages: sorted.length,
+            changed: count(p => p.status === 'changed'),
+            unchanged: count(p => p.status === 'unchanged'),
+            failed: count(p => p.status === 'error'),
+            blocked: count(p => p.verdict === 'blocked'),
+            review: count(p => p.verdict === 'review'),
+            ready: count(p => p.verdict === 'ready'),
+            totalDifferences: sorted.reduce((sum, p) => sum + (p.differences || 0), 0),
+            criticalIssues: sorted.reduce((sum, p) => sum + (p.criticalIssues || 0), 0)
+        }
+
+        return {
+            ok: true,
+            readiness: summary.blocked > 0 ? 'blocked' : summary.review > 0 ? 'review' : 'ready',
+            score: Math.round((summary.ready / Math.max(1, summary.pages)) * 100),
+            summary,
+            pages: sorted
+        }
+    }
+}
+
+export default new EnvironmentComparatorService()
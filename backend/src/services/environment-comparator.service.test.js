@@ -0,0 +1,96 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import axios from 'axios'
+import { EnvironmentComparatorService } from './environment-comparator.service.js'
+
+const config = (options = {}) => ({ ...new EnvironmentComparatorService().defaultConfig, ...options })
+
+// Layout comparison result with only what the matrix reads
+const comparison = ({ severities = [], regions = 0, diffPixels = 0, networkRegressions = 0 } = {}) => ({
+    differences: severities.map(severity => ({ selector: 'main', severity })),
+    visualDiff: { regions: Array(regions).fill({}), diffPixels, width: 100, height: 100 },
+    summary: { networkRegressions }
+})
+
+test('discoverPaths takes given paths relative to the live base, deduplicated and capped', async () => {
+    const service = new EnvironmentComparatorService()
+    const discover = (paths, maxPages = 20) => service.discoverPaths('https://example.com/site/', config({ paths, maxPages }))
+
+    assert.deepEqual(await discover(['/pricing', 'pricing', '/blog?page=2', '/']), { paths: ['/pricing', '/blog?page=2', '/'], discovery: 'paths' })
+    assert.deepEqual((await discover(['/a', '/b', '/c'], 2)).paths, ['/a', '/b'])
+})
+
+test('discoverPaths reads sitemap paths whatever host the sitemap lists', async (t) => {
+    const get = t.mock.method(axios, 'get', async () => ({
+        data: `<urlset>
+            <url><loc>https://www.example.com/</loc></url>
+            <url><loc>https://www.example.com/pricing?plan=pro</loc></url>
+            <url><loc>https://www.example.com/admin/users</loc></url>
+        </urlset>`
+    }))
+    const service = new EnvironmentComparatorService()
+
+    const { paths, discovery } = await service.discoverPaths('https://live.example.com/', config({ exclude: ['/admin'] }))
+
+    assert.equal(get.mock.calls[0].arguments[0], 'https://live.example.com/sitemap.xml')
+    assert.equal(discovery, 'sitemap')
+    assert.deepEqual(paths, ['/', '/pricing?plan=pro'])
+})
+
+test('discoverPaths crawls when the sitemap lists nothing, unless the sitemap was asked for', async (t) => {
+    t.mock.method(axios, 'get', async () => { throw new Error('404') })
+    const service = new EnvironmentComparatorService()
+    const crawl = t.mock.method(service, 'crawlLinks', async () => ['https://live.example.com/', 'https://live.example.com/about'])
+
+    assert.deepEqual(await service.discoverPaths('https://live.example.com', config()), { paths: ['/', '/about'], discovery: 'crawl' })
+    assert.deepEqual(await service.discoverPaths('https://live.example.com', config({ discover: 'sitemap' })), { paths: [], discovery: 'sitemap' })
+    assert.equal(crawl.mock.callCount(), 1)
+})
+
+test('compareEnvironments compares each path on both hosts, keeping their base paths', async (t) => {
+    const service = new EnvironmentComparatorService()
+    const comparePage = t.mock.method(service, 'comparePage', async ({ path, liveUrl, stageUrl }) => ({
+        path, liveUrl, stageUrl, ...service.summarizeComparison(comparison())
+    }))
+
+    const report = await service.compareEnvironments('https://example.com', 'https://stage.example.com/preview/', {
+        paths: ['/', '/pricing?plan=pro'],
+        concurrency: 4
+    })
+
+    assert.deepEqual(comparePage.mock.calls.map(c => [c.arguments[0].liveUrl, c.arguments[0].stageUrl]), [
+        ['https://example.com/', 'https://stage.example.com/preview'],
+        ['https://example.com/pricing?plan=pro', 'https://stage.example.com/preview/pricing?plan=pro']
+    ])
+    assert.equal(report.readiness, 'ready')
+    assert.equal(report.metadata.concurrency, 2)
+    assert.equal(report.metadata.discovery, 'paths')
+
+    t.mock.method(axios, 'get', async () => ({ data: '<urlset></urlset>' }))
+    await assert.rejects(service.compareEnvironments('https://example.com', 'https://stage.example.com', { discover: 'sitemap' }), /No pages found to compare on https:\/\/example.com/)
+})
+
+test('buildReport ranks blocked pages first and scores the share of ready ones', () => {
+    const service = new EnvironmentComparatorService()
+    const page = (path, result) => ({ path, ...service.summarizeComparison(result) })
+
+    const report = service.buildReport([
+        page('/about', comparison()),
+        page('/pricing', comparison({ severities: ['low', 'medium'], regions: 1, diffPixels: 250 })),
+        page('/checkout', comparison({ severities: ['medium', 'critical'] })),
+        page('/blog', comparison({ networkRegressions: 1 })),
+        { path: '/broken', status: 'error', verdict: 'blocked', worstSeverity: null, error: 'Timeout' }
+    ])
+
+    assert.deepEqual(report.pages.map(p => [p.path, p.verdict, p.worstSeverity]), [
+        ['/broken', 'blocked', null],
+        ['/checkout', 'blocked', 'critical'],
+        ['/pricing', 'review', 'medium'],
+        ['/blog', 'review', null],
+        ['/about', 'ready', null]
+    ])
+    assert.equal(report.pages[2].mismatchPercent, 2.5)
+    assert.equal(report.readiness, 'blocked')
+    assert.equal(report.score, 20)
+    assert.deepEqual([report.summary.failed, report.summary.blocked, report.summary.criticalIssues], [1, 2, 1])
+})
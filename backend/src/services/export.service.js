@@ -0,0 +1,356 @@
+import crypto from 'crypto'
+import newsletterService from './newsletter.service.js'
+
+const TOOL_NAME = 'Frontend AI Suite'
+const TOOL_VERSION = '1.0.0'
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json'
+
+// Audit severities of every module -> SARIF levels
+const LEVELS = {
+    critical: 'error',
+    error: 'error',
+    serious: 'error',
+    high: 'error',
+    warning: 'warning',
+    alert: 'warning',
+    moderate: 'warning',
+    medium: 'warning',
+    minor: 'note',
+    low: 'note',
+    info: 'note'
+}
+
+const slug = (value) => String(value || 'other').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'other'
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const toLevel = (severity) => LEVELS[String(severity).toLowerCase()] || 'warning'
+
+/**
+ * Audit Result Exporters
+ * Flattens the result of any audit module into findings (rule, level,
+ * message, selector or HTML line) and renders them as JUnit XML (one
+ * testcase per rule) or SARIF 2.1.0 for CI dashboards and code scanning.
+ */
+class ExportService {
+    /**
+     * Findings of an audit result
+     * @param {Object} result - Report as returned by the audit route (or stored in history)
+     * @param {Object} context - { type, url } of the audit (history `type`, e.g. "Accessibility")
+     * @returns {Array} [{ ruleId, ruleName, level, message, url, selector?, line?, snippet?, tags?, help? }]
+     */
+    extractFindings(result, { type, url } = {}) {
+        if (!result) return []
+        const target = url || result.metadata?.url || result.url || null
+
+        switch (type) {
+            case 'Accessibility':
+                return this.fromAccessibility([...(result.errors || []), ...(result.alerts || [])], target)
+            case 'Accessibility Site Scan':
+                return (result.issues || []).flatMap(issue =>
+                    this.fromAccessibility([issue], null).flatMap(finding =>
+                        (issue.pages?.length ? issue.pages : [target]).map(pageUrl => ({ ...finding, url: pageUrl }))))
+            case 'Website Audit':
+                return this.fromUxIssues(result.issues || [], target)
+            case 'Newsletter':
+                return this.fromNewsletterIssues(result.issues || [], result.emailHtml)
+            case 'PageSpeed':
+                return this.fromLighthouseIssues(result.issues || [], target)
+            case 'Advanced Comparison':
+                return this.fromLayoutDifferences(result.differences || [], target)
+            case 'Environment Comparison':
+                // Only the top differences of each page are stored
+                return (result.pages || []).flatMap(page => this.fromLayoutDifferences(page.topDifferences || [], page.stageUrl))
+            case 'Visual Regression':
+                return this.fromBaselineComparison(result.comparison, target)
+            case 'Design Comparison':
+                return this.fromDesignRegions(result.visualDiff?.regions || [], result.meta?.url || target)
+            default:
+                // Unknown module: best effort on a generic `issues` list
+                return this.fromUxIssues(result.issues || [], target)
+        }
+    }
+
+    fromAccessibility(issues, url) {
+        return issues.map(issue => ({
+            ruleId: `a11y/${issue.rule}`,
+            ruleName: issue.rule,
+            level: toLevel(issue.impact || issue.severity),
+            message: issue.description,
+            url,
+            selector: issue.target || issue.element,
+            tags: issue.wcag ? issue.wcag.split(',').map(t => t.trim()).filter(Boolean) : [],
+            help: issue.fix?.why
+        }))
+    }
+
+    fromUxIssues(issues, url) {
+        return issues.map(issue => ({
+            ruleId: `ux/${slug(issue.category || issue.type)}`,
+            ruleName: issue.category || issue.type || 'Issue',
+            level: toLevel(issue.severity),
+            message: issue.description || issue.message || issue.category,
+            url,
+            selector: issue.cssSelector || issue.element,
+            tags: issue.type ? [issue.type] : [],
+            help: issue.recommendation
+        }))
+    }
+
+    /**
+     * Newsletter issues carry HTML line numbers; the ones reported without a
+     * line are located from their snippet in the stored template when possible.
+     */
+    fromNewsletterIssues(issues, html) {
+        const lines = html ? html.split('\n') : []
+
+        return issues.map(issue => {
+            // "Unsupported CSS Feature: "flex"" -> rule "unsupported-css-feature"
+            const ruleName = String(issue.description || issue.type).split(/[:(]/)[0].trim()
+            let { line, snippet } = issue
+            if (!line && html && snippet) {
+                ({ line, snippet } = newsletterService.getLineInfoForRegex(html, new RegExp(escapeRegex(snippet)), lines))
+            }
+
+            return {
+                ruleId: `email/${slug(issue.type)}/${slug(ruleName)}`,
+                ruleName,
+                level: toLevel(issue.severity),
+                message: issue.impact ? `${issue.description}. ${issue.impact}` : issue.description,
+                url: null,
+                line: line || null,
+                snippet: snippet || null,
+                tags: [issue.type, ...(issue.clients || [])].filter(Boolean),
+                help: issue.recommendation
+            }
+        })
+    }
+
+    fromLighthouseIssues(issues, url) {
+        return issues.map(issue => ({
+            ruleId: `lighthouse/${issue.id}`,
+            ruleName: issue.title || issue.id,
+            level: toLevel(issue.severity),
+            message: issue.cause ? `${issue.title}: ${issue.cause}` : issue.title,
+            url: issue.file || url,
+            tags: ['performance'],
+            help: Array.isArray(issue.howToFix) ? issue.howToFix.join(' ') : issue.whyItMatters
+        }))
+    }
+
+    fromLayoutDifferences(differences, url) {
+        return differences.map(diff => ({
+            ruleId: `layout/${slug(diff.category)}-${slug(diff.property)}`,
+            ruleName: `${diff.category} ${diff.property}`,
+            level: toLevel(diff.severity),
+            message: `${diff.property} differs: live "${diff.liveValue}" vs stage "${diff.stageValue}"`,
+            url,
+            selector: diff.selector,
+            tags: [diff.category, diff.section].filter(Boolean),
+            help: diff.recommendation
+        }))
+    }
+
+    /**
+     * Pixel mismatch over the threshold and element changes of a baseline check
+     * (an unreviewed change fails until it is approved)
+     */
+    fromBaselineComparison(comparison, url) {
+        if (!comparison) return []
+
+        const pixels = comparison.mismatchPercent > comparison.threshold
+            ? [{
+                ruleId: 'visual/pixel-mismatch',
+                ruleName: 'Pixel mismatch',
+                level: 'error',
+                message: `${comparison.mismatchPercent}% of pixels differ from the approved baseline (threshold ${comparison.threshold}%)`,
+                url,
+                tags: ['visual'],
+                help: 'Review the change: approve it as the new baseline or fix the regression.'
+            }]
+            : []
+
+        return [
+            ...pixels,
+            ...comparison.elementChanges.map(change => ({
+                ruleId: `visual/${slug(change.category)}-${slug(change.property)}`,
+                ruleName: `${change.category} ${change.property}`,
+                level: toLevel(change.severity),
+                message: `${change.property} changed from "${change.baselineValue}" to "${change.currentValue}"`,
+                url,
+                selector: change.selector,
+                tags: [change.category, change.section].filter(Boolean)
+            }))
+        ]
+    }
+
+    /**
+     * Vision findings of the changed regions; regions that were not described
+     * are reported once each as a plain mismatch
+     */
+    fromDesignRegions(regions, url) {
+        return regions.flatMap(region => {
+            const selector = region.elements[0]?.selector
+            const where = `region ${region.id} (${region.x},${region.y} ${region.width}×${region.height})`
+
+            if (!region.findings) {
+                return [{
+                    ruleId: 'design/pixel-mismatch',
+                    ruleName: 'Design mismatch',
+                    level: 'warning',
+                    message: `${region.changedPixels} pixels differ from the design in ${where}`,
+                    url,
+                    selector,
+                    tags: ['design']
+                }]
+            }
+
+            return region.findings.map(finding => ({
+                ruleId: `design/${finding.category}`,
+                ruleName: `Design ${finding.category.replace('-', ' ')}`,
+                level: toLevel(finding.severity),
+                message: `${finding.description} in ${where}`,
+                url,
+                selector,
+                tags: ['design', finding.category],
+                help: finding.suggestion || undefined
+            }))
+        })
+    }
+
+    /**
+     * Findings grouped by rule, in order of first appearance
+     */
+    groupByRule(findings) {
+        const rules = new Map()
+        for (const finding of findings) {
+            if (!rules.has(finding.ruleId)) rules.set(finding.ruleId, [])
+            rules.get(finding.ruleId).push(finding)
+        }
+        return rules
+    }
+
+    describeLocation(finding) {
+        return [finding.url, finding.selector, finding.line && `line ${finding.line}`].filter(Boolean).join(' › ')
+    }
+
+    /**
+     * JUnit XML: one testcase per rule. Rules with errors or warnings fail and
+     * list every occurrence; notes pass and are reported as system-out.
+     */
+    toJUnit(findings, { type = 'Audit', url = '', timestamp = new Date().toISOString() } = {}) {
+        const rules = this.groupByRule(findings)
+        const classname = `fais.${slug(type)}`
+        let failures = 0
+
+        const cases = Array.from(rules.entries()).map(([ruleId, occurrences]) => {
+            const worst = occurrences.some(f => f.level === 'error') ? 'error' : occurrences.some(f => f.level === 'warning') ? 'warning' : 'note'
+            const details = occurrences.map(f => `- ${f.message}${this.describeLocation(f) ? ` (${this.describeLocation(f)})` : ''}`).join('\n')
+            const name = escapeXml(`${ruleId}: ${occurrences[0].ruleName}`)
+
+            if (worst === 'note') {
+                return `    <testcase classname="${classname}" name="${name}">\n      <system-out>${escapeXml(details)}</system-out>\n    </testcase>`
+            }
+            failures++
+            const message = `${occurrences.length} ${worst === 'error' ? 'error' : 'warning'}${occurrences.length === 1 ? '' : 's'}: ${occurrences[0].message}`
+            return `    <testcase classname="${classname}" name="${name}">\n      <failure type="${worst}" message="${escapeXml(message)}">${escapeXml(details)}</failure>\n    </testcase>`
+        })
+
+        const suiteName = escapeXml(`${type}${url ? ` ${url}` : ''}`)
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="fais" tests="${cases.length}" failures="${failures}" errors="0">`,
+            `  <testsuite name="${suiteName}" tests="${cases.length}" failures="${failures}" errors="0" timestamp="${escapeXml(timestamp)}">`,
+            ...cases,
+            '  </testsuite>',
+            '</testsuites>',
+            ''
+        ].join('\n')
+    }
+
+    /**
+     * SARIF 2.1.0 log with one run. Page findings are located by URL plus the
+     * element selector (as a logical location); email findings by file and line.
+     * @param {Object} context - { type, url, artifactUri } artifactUri names the HTML file of newsletter findings
+     */
+    toSarif(findings, { type = 'Audit', url = null, artifactUri = 'email.html' } = {}) {
+        const rules = this.groupByRule(findings)
+        const ruleIds = Array.from(rules.keys())
+
+        return {
+            $schema: SARIF_SCHEMA,
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: TOOL_NAME,
+                        version: TOOL_VERSION,
+                        rules: ruleIds.map(ruleId => {
+                            const first = rules.get(ruleId)[0]
+                            return {
+                                id: ruleId,
+                                name: first.ruleName,
+                                shortDescription: { text: first.ruleName },
+                                ...(first.help && { help: { text: first.help } }),
+                                defaultConfiguration: { level: first.level },
+                                properties: { tags: Array.from(new Set(rules.get(ruleId).flatMap(f => f.tags || []))) }
+                            }
+                        })
+                    }
+                },
+                automationDetails: { id: `${slug(type)}/${url || artifactUri}` },
+                results: findings.map(finding => {
+                    const uri = finding.line ? artifactUri : (finding.url || url || artifactUri)
+                    return {
+                        ruleId: finding.ruleId,
+                        ruleIndex: ruleIds.indexOf(finding.ruleId),
+                        level: finding.level,
+                        message: { text: finding.message },
+                        locations: [{
+                            physicalLocation: {
+                                artifactLocation: { uri },
+                                region: {
+                                    startLine: finding.line || 1,
+                                    ...(finding.snippet && { snippet: { text: finding.snippet } })
+                                }
+                            },
+                            ...(finding.selector && { logicalLocations: [{ name: finding.selector, kind: 'element' }] })
+                        }],
+                        partialFingerprints: {
+                            'faisFinding/v1': crypto.createHash('sha256')
+                                .update([finding.ruleId, uri, finding.selector, finding.line].join('|'))
+                                .digest('hex')
+                        }
+                    }
+                })
+            }]
+        }
+    }
+
+    /**
+     * Render an audit result in one of the export formats
+     * @returns {Object} { contentType, extension, body }
+     */
+    exportResult(result, format, context = {}) {
+        const findings = this.extractFindings(result, context)
+
+        if (format === 'junit') {
+            return { contentType: 'application/xml', extension: 'xml', body: this.toJUnit(findings, context) }
+        }
+        if (format === 'sarif') {
+            return { contentType: 'application/sarif+json', extension: 'sarif', body: JSON.stringify(this.toSarif(findings, context), null, 2) }
+        }
+        throw new Error(`Unknown export format "${format}"`)
+    }
+}
+
+export const EXPORT_FORMATS = ['junit', 'sarif']
+
+export default new ExportService()
@@ -0,0 +1,127 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import exportService from './export.service.js'
+
+const accessibilityResult = {
+    metadata: { url: 'https://example.com/' },
+    errors: [
+        { rule: 'image-alt', impact: 'critical', description: 'Images must have alternate text', target: 'img.hero', wcag: '1.1.1, wcag2a' },
+        { rule: 'image-alt', impact: 'critical', description: 'Images must have alternate text', target: 'img.logo' }
+    ],
+    alerts: [
+        { rule: 'region', impact: 'moderate', description: 'Content should be in landmarks', target: 'div.banner', fix: { why: 'Screen readers navigate by landmark' } }
+    ]
+}
+
+test('extractFindings maps accessibility issues to rules, levels and selectors', () => {
+    const findings = exportService.extractFindings(accessibilityResult, { type: 'Accessibility' })
+
+    assert.deepEqual(findings.map(f => [f.ruleId, f.level, f.selector, f.url]), [
+        ['a11y/image-alt', 'error', 'img.hero', 'https://example.com/'],
+        ['a11y/image-alt', 'error', 'img.logo', 'https://example.com/'],
+        ['a11y/region', 'warning', 'div.banner', 'https://example.com/']
+    ])
+    assert.deepEqual(findings[0].tags, ['1.1.1', 'wcag2a'])
+    assert.equal(findings[2].help, 'Screen readers navigate by landmark')
+})
+
+test('extractFindings spreads site scan issues over the pages they occur on', () => {
+    const findings = exportService.extractFindings({
+        issues: [{ rule: 'color-contrast', impact: 'serious', description: 'Low contrast', pages: ['https://example.com/a', 'https://example.com/b'] }]
+    }, { type: 'Accessibility Site Scan', url: 'https://example.com/' })
+
+    assert.deepEqual(findings.map(f => f.url), ['https://example.com/a', 'https://example.com/b'])
+})
+
+test('extractFindings locates newsletter issues without a line from their snippet', () => {
+    const emailHtml = '<table>\n<tr><td style="display: flex">Hi</td></tr>\n</table>'
+    const [finding] = exportService.extractFindings({
+        emailHtml,
+        issues: [{ type: 'Compatibility', severity: 'warning', description: 'Unsupported CSS Feature: "flex"', snippet: 'display: flex', clients: ['Outlook'] }]
+    }, { type: 'Newsletter' })
+
+    assert.equal(finding.ruleId, 'email/compatibility/unsupported-css-feature')
+    assert.equal(finding.line, 2)
+    assert.equal(finding.snippet, '<tr><td style="display: flex">Hi</td></tr>')
+    assert.deepEqual(finding.tags, ['Compatibility', 'Outlook'])
+})
+
+test('extractFindings reports undescribed design regions as plain mismatches', () => {
+    const findings = exportService.extractFindings({
+        meta: { url: 'https://example.com/' },
+        visualDiff: {
+            regions: [
+                { id: 1, x: 0, y: 0, width: 100, height: 40, changedPixels: 1200, elements: [{ selector: 'header' }], findings: null },
+                {
+                    id: 2, x: 0, y: 60, width: 300, height: 80, changedPixels: 900, elements: [],
+                    findings: [{ category: 'missing-element', severity: 'critical', description: 'The search button is missing', suggestion: 'Add the button' }]
+                }
+            ]
+        }
+    }, { type: 'Design Comparison' })
+
+    assert.deepEqual(findings.map(f => [f.ruleId, f.level, f.selector]), [
+        ['design/pixel-mismatch', 'warning', 'header'],
+        ['design/missing-element', 'error', undefined]
+    ])
+    assert.equal(findings[1].message, 'The search button is missing in region 2 (0,60 300×80)')
+})
+
+test('extractFindings falls back to a generic issues list for unknown modules', () => {
+    const findings = exportService.extractFindings({ url: 'https://example.com/', issues: [{ category: 'Tap Targets', severity: 'info', message: 'Too close' }] }, { type: 'Something New' })
+
+    assert.deepEqual(findings.map(f => [f.ruleId, f.level, f.message]), [['ux/tap-targets', 'note', 'Too close']])
+    assert.deepEqual(exportService.extractFindings(null, { type: 'Accessibility' }), [])
+})
+
+test('toJUnit has one testcase per rule, failing on errors and warnings only', () => {
+    const findings = [
+        ...exportService.extractFindings(accessibilityResult, { type: 'Accessibility' }),
+        { ruleId: 'ux/hint', ruleName: 'Hint <small>', level: 'note', message: 'Consider "this"', url: 'https://example.com/' }
+    ]
+    const xml = exportService.toJUnit(findings, { type: 'Accessibility', url: 'https://example.com/', timestamp: '2026-01-01T00:00:00.000Z' })
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>/)
+    assert.match(xml, /<testsuites name="fais" tests="3" failures="2" errors="0">/)
+    assert.match(xml, /<testcase classname="fais\.accessibility" name="a11y\/image-alt: image-alt">\s*<failure type="error" message="2 errors: Images must have alternate text">/)
+    assert.match(xml, /<failure type="warning" message="1 warning: Content should be in landmarks">/)
+    assert.match(xml, /name="ux\/hint: Hint &lt;small&gt;">\s*<system-out>- Consider &quot;this&quot; \(https:\/\/example\.com\/\)<\/system-out>/)
+})
+
+test('toSarif lists each rule once and locates results by URL and selector', () => {
+    const findings = exportService.extractFindings(accessibilityResult, { type: 'Accessibility' })
+    const log = exportService.toSarif(findings, { type: 'Accessibility', url: 'https://example.com/' })
+    const [run] = log.runs
+
+    assert.equal(log.version, '2.1.0')
+    assert.deepEqual(run.tool.driver.rules.map(r => [r.id, r.defaultConfiguration.level]), [['a11y/image-alt', 'error'], ['a11y/region', 'warning']])
+    assert.deepEqual(run.tool.driver.rules[0].properties.tags, ['1.1.1', 'wcag2a'])
+    assert.equal(run.automationDetails.id, 'accessibility/https://example.com/')
+    assert.deepEqual(run.results.map(r => r.ruleIndex), [0, 0, 1])
+
+    const [first, second] = run.results
+    assert.equal(first.locations[0].physicalLocation.artifactLocation.uri, 'https://example.com/')
+    assert.deepEqual(first.locations[0].logicalLocations, [{ name: 'img.hero', kind: 'element' }])
+    assert.notEqual(first.partialFingerprints['faisFinding/v1'], second.partialFingerprints['faisFinding/v1'])
+})
+
+test('toSarif locates email findings by file and line', () => {
+    const log = exportService.toSarif([
+        { ruleId: 'email/structure/invalid-table-structure', ruleName: 'Invalid table structure', level: 'error', message: 'Invalid table structure', url: null, line: 7, snippet: '<table><td>' }
+    ], { type: 'Newsletter', artifactUri: 'welcome.html' })
+    const { physicalLocation } = log.runs[0].results[0].locations[0]
+
+    assert.deepEqual(physicalLocation, { artifactLocation: { uri: 'welcome.html' }, region: { startLine: 7, snippet: { text: '<table><td>' } } })
+})
+
+test('exportResult renders the requested format and rejects others', () => {
+    const junit = exportService.exportResult(accessibilityResult, 'junit', { type: 'Accessibility' })
+    assert.equal(junit.contentType, 'application/xml')
+    assert.equal(junit.extension, 'xml')
+
+    const sarif = exportService.exportResult(accessibilityResult, 'sarif', { type: 'Accessibility' })
+    assert.equal(sarif.extension, 'sarif')
+    assert.equal(JSON.parse(sarif.body).runs[0].results.length, 3)
+
+    assert.throws(() => exportService.exportResult(accessibilityResult, 'pdf'), /Unknown export format "pdf"/)
+})
@@ -7,6 +7,7 @@ import { existsSync } from 'fs'
 import AdmZip from 'adm-zip'
 import { logger } from '../utils/logger.js'
 import browserPool from '../utils/browser-pool.js'
+import authRecipeService from './auth-recipe.service.js'
 
 export class ImageOptimizerService {
     constructor() {
@@ -345,15 +346,17 @@ Choose the recommended format for each image based on:
     }
 
     // Existing analysis method (keep for backward compatibility)
-    async analyzeImages(url) {
+    // Options: auth (decrypted auth recipe applied before loading the page)
+    async analyzeImages(url, options = {}) {
         let page = null
 
         try {
             logger.info(`Analyzing images for: ${url}`)
 
             const browser = await browserPool.getBrowser()
-            page = await browser.newPage()
+            page = await authRecipeService.openPage(browser, options.auth)
             await page.setViewport({ width: 1920, height: 1080 })
+            await authRecipeService.authenticate(page, url, options.auth)
 
             // Track network requests for images
             const imageRequests = []
@@ -0,0 +1,225 @@
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+import { EventEmitter } from 'events'
+import { logger } from '../utils/logger.js'
+
+const MAX_STORED_JOBS = 200
+
+// Progress ticks are written at most this often; state changes are written at once
+const PROGRESS_PERSIST_DELAY_MS = 2000
+
+/**
+ * Persistent Job Queue
+ * Runs long audits outside the HTTP request lifecycle. Jobs are stored in
+ * data/jobs.json so status and results survive a server restart; jobs that
+ * were still running when the process died are re-queued on boot.
+ * Every state change is emitted as an 'update' event for live streaming.
+ */
+class JobQueueService extends EventEmitter {
+    constructor() {
+        super()
+        this.setMaxListeners(0)
+        this.baseDir = './data'
+        this.jobsFile = path.join(this.baseDir, 'jobs.json')
+        this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 1
+        this.handlers = new Map()
+        this.jobs = new Map()
+        this.running = 0
+        this.writeChain = Promise.resolve()
+        this.persistTimer = null
+        this.ready = this.restore()
+    }
+
+    async restore() {
+        try {
+            await fs.mkdir(this.baseDir, { recursive: true })
+            const data = await fs.readFile(this.jobsFile, 'utf8').catch(() => '[]')
+            const stored = JSON.parse(data)
+
+            for (const job of stored) {
+                if (job.status === 'running') {
+                    job.status = 'queued'
+                    job.progress = { ...job.progress, stage: 'Re-queued after server restart' }
+                }
+                // Stored before raw Lighthouse reports were left out of job results
+                if (job.result?.rawLighthouseResult) delete job.result.rawLighthouseResult
+                this.jobs.set(job.id, job)
+            }
+
+            logger.info(`Job queue initialized (${this.jobs.size} stored jobs)`)
+        } catch (err) {
+            logger.error('Failed to restore job queue:', err)
+        }
+    }
+
+    /**
+     * Register the function that executes jobs of a given type.
+     * The handler receives (payload, { onProgress, job }) and resolves with the result.
+     * onProgress(stage, percent, partial) may attach partial results to the job.
+     */
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler)
+        this.ready.then(() => this.processQueue())
+    }
+
+    hasHandler(type) {
+        return this.handlers.has(type)
+    }
+
+    async enqueue(type, payload, { userId = null, projectId = null, scheduleId = null } = {}) {
+        await this.ready
+
+        if (!this.handlers.has(type)) {
+            throw new Error(`Unknown job type: ${type}`)
+        }
+
+        const now = new Date().toISOString()
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            userId,
+            projectId,
+            scheduleId,
+            payload,
+            progress: { stage: 'Queued', percent: 0, stages: [] },
+            partial: null,
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null
+        }
+
+        this.jobs.set(job.id, job)
+        await this.persist()
+
+        logger.info(`Job queued: ${type} (${job.id})`)
+        setImmediate(() => this.processQueue())
+
+        return job
+    }
+
+    async getJob(id) {
+        await this.ready
+        return this.jobs.get(id) || null
+    }
+
+    async listJobs({ userId, limit = 50 } = {}) {
+        await this.ready
+        return Array.from(this.jobs.values())
+            .filter(job => !userId || job.userId === userId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit)
+            .map(({ result, payload, ...summary }) => summary)
+    }
+
+    updateProgress(id, stage, percent, partial) {
+        const job = this.jobs.get(id)
+        if (!job || job.status !== 'running') return
+
+        const now = new Date().toISOString()
+        job.progress = {
+            stage,
+            percent: typeof percent === 'number' ? Math.min(100, Math.max(0, Math.round(percent))) : job.progress.percent,
+            stages: [...job.progress.stages, { name: stage, at: now }]
+        }
+        if (partial) {
+            job.partial = { ...job.partial, ...partial }
+        }
+        job.updatedAt = now
+
+        this.emit('update', job)
+        this.schedulePersist()
+    }
+
+    processQueue() {
+        while (this.running < this.concurrency) {
+            const next = Array.from(this.jobs.values())
+                .filter(job => job.status === 'queued' && this.handlers.has(job.type))
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0]
+
+            if (!next) return
+
+            this.running++
+            this.runJob(next).finally(() => {
+                this.running--
+                this.processQueue()
+            })
+        }
+    }
+
+    async runJob(job) {
+        const handler = this.handlers.get(job.type)
+        const startedAt = new Date().toISOString()
+
+        job.status = 'running'
+        job.startedAt = startedAt
+        job.updatedAt = startedAt
+        job.progress = { stage: 'Starting', percent: 0, stages: [{ name: 'Starting', at: startedAt }] }
+        this.emit('update', job)
+        await this.persist()
+
+        logger.info(`Job started: ${job.type} (${job.id})`)
+
+        try {
+            const result = await handler(job.payload, {
+                job,
+                onProgress: (stage, percent, partial) => this.updateProgress(job.id, stage, percent, partial)
+            })
+
+            job.status = 'completed'
+            job.result = result
+            job.progress = { ...job.progress, stage: 'Completed', percent: 100 }
+            logger.info(`Job completed: ${job.type} (${job.id})`)
+        } catch (error) {
+            job.status = 'failed'
+            job.error = { message: error.message }
+            logger.error(`Job failed: ${job.type} (${job.id}):`, error.message)
+        } finally {
+            job.finishedAt = new Date().toISOString()
+            job.updatedAt = job.finishedAt
+            this.emit('update', job)
+            await this.persist()
+        }
+    }
+
+    /**
+     * Coalesce the writes of a burst of progress updates into one
+     */
+    schedulePersist() {
+        if (this.persistTimer) return
+        this.persistTimer = setTimeout(() => this.persist(), PROGRESS_PERSIST_DELAY_MS)
+        this.persistTimer.unref?.()
+    }
+
+    /**
+     * Serialize writes so concurrent progress updates never interleave on disk
+     */
+    persist() {
+        clearTimeout(this.persistTimer)
+        this.persistTimer = null
+
+        this.writeChain = this.writeChain.then(async () => {
+            try {
+                const jobs = Array.from(this.jobs.values())
+                    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+
+                // Drop the oldest finished jobs once the store grows too large
+                const finished = jobs.filter(j => j.status === 'completed' || j.status === 'failed')
+                for (const job of finished.slice(MAX_STORED_JOBS)) {
+                    this.jobs.delete(job.id)
+                }
+
+                await fs.writeFile(this.jobsFile, JSON.stringify(Array.from(this.jobs.values())))
+            } catch (err) {
+                logger.error('Error persisting job queue:', err)
+            }
+        })
+        return this.writeChain
+    }
+}
+
+export default new JobQueueService()
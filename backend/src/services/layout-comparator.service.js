@@ -4,19 +4,37 @@ import { PNG } from 'pngjs'
 import { logger } from '../utils/logger.js'
 import storageService from './storage.service.js'
 import browserPool from '../utils/browser-pool.js'
+import authRecipeService from './auth-recipe.service.js'
+import { applyViewport } from '../utils/viewports.js'
+import { prepareIgnoredContent, applyMasks, isMaskedRect, MASK_COLOR } from '../utils/ignore-regions.js'
+import { NetworkRecorder, diffNetwork } from '../utils/network-diff.js'
+import { captureDomTreeOf, diffDomTrees } from '../utils/dom-tree-diff.js'
+import { captureStylesheetsOf, diffStylesheets } from '../utils/stylesheet-diff.js'
 import {
     shouldIgnoreDiff,
     categorizeProperty,
     captureElementScreenshot,
     matchElements,
     formatDifferenceMessage,
-    calculateColorDistance
+    calculateColorDistance,
+    clusterDiffPixels,
+    mapRegionToElements
 } from '../utils/visual-diff-helpers.js'
 
+// Hatching drawn over masked regions of the diff image (RGB)
+const MASK_OVERLAY = [59, 130, 246]
+
+// Changed regions reported per comparison, context around their crops and tallest crop (px)
+const MAX_DIFF_REGIONS = 20
+const CROP_PADDING = 16
+const MAX_CROP_HEIGHT = 1500
+
+const DESKTOP_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+
 /**
  * Expert Visual & CSS Comparator Service
  * Compares Live vs Stage environments with pixel-accurate diffing,
- * DOM structural analysis, and console audit.
+ * a DOM tree diff, a stylesheet diff, and a network and console diff.
  */
 export class LayoutComparatorService {
     constructor() {
@@ -39,6 +57,7 @@ export class LayoutComparatorService {
         const startTime = Date.now()
         const config = { ...this.defaultConfig, ...options }
         const consoleLogs = { live: [], stage: [] }
+        const onProgress = options.onProgress || (() => { })
 
         logger.info(`🔍 Expert Comparison: ${liveUrl} vs ${stageUrl}`)
 
@@ -48,43 +67,103 @@ export class LayoutComparatorService {
 
         try {
             [livePage, stagePage] = await Promise.all([
-                browser.newPage(),
-                browser.newPage()
+                authRecipeService.openPage(browser, options.liveAuth),
+                authRecipeService.openPage(browser, options.stageAuth)
             ])
 
-            await this.configurePages(livePage, stagePage, config, consoleLogs)
+            const recorders = await this.configurePages(livePage, stagePage, config, consoleLogs)
+
+            if (options.liveAuth || options.stageAuth) {
+                onProgress('Signing in', 5)
+                await Promise.all([
+                    authRecipeService.authenticate(livePage, liveUrl, options.liveAuth),
+                    authRecipeService.authenticate(stagePage, stageUrl, options.stageAuth)
+                ])
+                // The sign-in traffic is not part of the compared page
+                recorders.live.reset()
+                recorders.stage.reset()
+            }
 
             logger.info('📄 Loading environments...')
+            onProgress('Loading environments', 10)
             await this.navigatePages(livePage, stagePage, liveUrl, stageUrl, config)
 
+            // Custom CSS, hidden and frozen elements go in before the layout is stabilized
+            const ignore = options.ignore || null
+            const unmatchedSelectors = new Set()
+            if (ignore) {
+                const unmatched = await Promise.all([
+                    prepareIgnoredContent(livePage, ignore),
+                    prepareIgnoredContent(stagePage, ignore)
+                ])
+                unmatched.flat().forEach(s => unmatchedSelectors.add(s))
+            }
+
             // Perform Page Stabilization
             logger.info('⚖️ Stabilizing environments (Expert Loading Sequence)...')
+            onProgress('Stabilizing environments', 30)
             const [liveScreenshotHeight, stageScreenshotHeight] = await Promise.all([
                 this.stabilizePage(livePage),
                 this.stabilizePage(stagePage)
             ])
 
+            // Paint the masks over both environments; the diff skips the regions of either side
+            const [liveMasks, stageMasks] = await Promise.all([
+                applyMasks(livePage, ignore),
+                applyMasks(stagePage, ignore)
+            ])
+            const masks = { live: liveMasks.regions, stage: stageMasks.regions }
+            if (ignore) {
+                [...liveMasks.unmatched, ...stageMasks.unmatched].forEach(s => unmatchedSelectors.add(s))
+            }
+
             // Capture snapshots
             logger.info('📸 Capturing visual snapshots...')
+            onProgress('Capturing visual snapshots', 50)
             const [liveScreenshot, stageScreenshot] = await Promise.all([
                 livePage.screenshot({ type: 'png', fullPage: true }),
                 stagePage.screenshot({ type: 'png', fullPage: true })
             ])
 
+            const [liveRequests, stageRequests] = await Promise.all([
+                recorders.live.finish(livePage.url()),
+                recorders.stage.finish(stagePage.url())
+            ])
+            const network = diffNetwork({ live: liveRequests, stage: stageRequests }, consoleLogs)
+
             // Perform visual diffing
-            const { diffBuffer, width, height: normalizedHeight } = await this.generateVisualDiff(liveScreenshot, stageScreenshot)
+            const maskRegions = [...masks.live, ...masks.stage]
+            const { diffBuffer, width, height: normalizedHeight, diffPixels, regions: changedRegions } = await this.generateVisualDiff(liveScreenshot, stageScreenshot, { masks: maskRegions, crops: true })
 
             // Extract element data
             logger.info('🔎 Analyzing DOM structures...')
+            onProgress('Analyzing DOM structures', 70)
             const [liveElements, stageElements] = await Promise.all([
                 this.extractElementData(livePage, config.maxElements),
                 this.extractElementData(stagePage, config.maxElements)
             ])
 
+            const [liveTree, stageTree] = await Promise.all([
+                captureDomTreeOf(livePage),
+                captureDomTreeOf(stagePage)
+            ])
+            const domDiff = diffDomTrees(liveTree, stageTree)
+
+            const [liveCss, stageCss] = await Promise.all([
+                captureStylesheetsOf(livePage),
+                captureStylesheetsOf(stagePage)
+            ])
+            const cssDiff = diffStylesheets(liveCss, stageCss)
+
             const matchedPairs = matchElements(liveElements, stageElements)
+            onProgress('Comparing matched elements', 80, {
+                liveElements: liveElements.length,
+                stageElements: stageElements.length,
+                matchedElements: matchedPairs.length
+            })
 
             // Compare elements and detect deep differences
-            const rawDifferences = await this.compareElements(matchedPairs, livePage, stagePage, config)
+            const rawDifferences = await this.compareElements(matchedPairs, livePage, stagePage, { ...config, masks })
 
             // Categorize and generate fix suggestions
             const differences = rawDifferences.map(diff => ({
@@ -94,6 +173,10 @@ export class LayoutComparatorService {
             }))
 
             const summary = this.generateSummary(differences, liveElements.length, stageElements.length, consoleLogs)
+            onProgress('Saving snapshots', 90, {
+                totalDifferences: summary.totalDifferences,
+                criticalIssues: summary.criticalIssues
+            })
 
             // Systemic Audit
             const systemicIssues = this.performSystemicAudit(stageElements)
@@ -106,11 +189,18 @@ export class LayoutComparatorService {
                 storageService.saveScreenshot(`diff-${timestamp}.png`, diffBuffer)
             ])
 
+            const comparedPairs = matchedPairs.filter(pair => !this.isIgnoredPair(pair, masks))
+            const regions = await this.describeRegions(changedRegions, comparedPairs, differences, timestamp)
+
             const result = {
                 ok: true,
                 summary: {
                     ...summary,
-                    systemicIssuesCount: systemicIssues.length
+                    systemicIssuesCount: systemicIssues.length,
+                    changedRegions: regions.length,
+                    networkRegressions: network.summary.regressions,
+                    domChanges: domDiff.summary.totalChanges,
+                    stylesheetChanges: cssDiff.summary.totalChanges
                 },
                 differences,
                 systemicIssues,
@@ -120,33 +210,40 @@ export class LayoutComparatorService {
                     diffUrl: diffUrlPath,
                     width: width,
                     height: normalizedHeight,
+                    diffPixels,
                     liveHeight: liveScreenshotHeight,
-                    stageHeight: stageScreenshotHeight
+                    stageHeight: stageScreenshotHeight,
+                    masks: maskRegions,
+                    regions
                 },
+                ...(ignore && {
+                    ignored: {
+                        regions: maskRegions.length,
+                        hiddenSelectors: ignore.hide.length,
+                        frozenSelectors: ignore.freeze.length,
+                        skippedElements: matchedPairs.filter(pair => this.isIgnoredPair(pair, masks)).length,
+                        unmatchedSelectors: [...unmatchedSelectors]
+                    }
+                }),
                 console: {
                     errors: {
                         live: consoleLogs.live.filter(l => l.type === 'error'),
                         stage: consoleLogs.stage.filter(l => l.type === 'error')
                     }
                 },
+                network,
+                domDiff,
+                cssDiff,
                 meta: {
                     liveUrl,
                     stageUrl,
+                    viewport: config.viewport,
+                    ignore,
                     durationMs: Date.now() - startTime,
                     timestamp: new Date().toISOString()
                 }
             }
 
-            // Log to history
-            await storageService.addAudit({
-                url: stageUrl,
-                type: 'Website Audit',
-                score: result.summary.totalDifferences === 0 ? 100 : Math.max(0, 100 - result.summary.totalDifferences * 2),
-                status: result.summary.criticalIssues > 0 ? 'error' : result.summary.totalDifferences > 5 ? 'warning' : 'pass',
-                issuesFound: result.summary.totalDifferences,
-                criticalIssues: result.summary.criticalIssues
-            })
-
             return result
 
         } catch (error) {
@@ -158,6 +255,103 @@ export class LayoutComparatorService {
         }
     }
 
+    /**
+     * Compare both environments at every viewport of a responsive matrix.
+     * Differences are merged across viewports and tagged with the breakpoints
+     * they occur at; each viewport keeps its own full comparison.
+     * The top-level snapshots, console, network and DOM diffs and systemic audit are the widest viewport's.
+     */
+    async compareLayoutMatrix(liveUrl, stageUrl, viewports, options = {}) {
+        const startTime = Date.now()
+        const onProgress = options.onProgress || (() => { })
+        const runs = []
+
+        for (const [index, viewport] of viewports.entries()) {
+            logger.info(`📱 Comparing at ${viewport.label} (${viewport.width}x${viewport.height})`)
+            const result = await this.compareLayout(liveUrl, stageUrl, {
+                ...options,
+                viewport,
+                onProgress: (stage, percent, extra) => onProgress(
+                    `${stage} (${viewport.label})`,
+                    Math.round(((index + percent / 100) / viewports.length) * 95),
+                    { ...extra, viewport: viewport.label }
+                )
+            })
+            runs.push({ viewport, result })
+        }
+
+        const severityRank = { low: 0, medium: 1, critical: 2 }
+        const merged = new Map()
+        for (const { viewport, result } of runs) {
+            for (const diff of result.differences) {
+                const key = [diff.selector, diff.property, diff.category].join('|')
+                const existing = merged.get(key)
+                if (!existing) {
+                    merged.set(key, { ...diff, breakpoints: [viewport.label] })
+                } else {
+                    existing.breakpoints.push(viewport.label)
+                    if (severityRank[diff.severity] > severityRank[existing.severity]) existing.severity = diff.severity
+                }
+            }
+        }
+        for (const { result } of runs) {
+            result.differences = result.differences.map(diff => ({
+                ...diff,
+                breakpoints: merged.get([diff.selector, diff.property, diff.category].join('|')).breakpoints
+            }))
+        }
+
+        const differences = [...merged.values()]
+        const widest = runs[runs.length - 1].result
+        const noLogs = { live: [], stage: [] }
+
+        return {
+            ...widest,
+            mode: 'responsive',
+            summary: {
+                ...this.generateSummary(differences, 0, 0, noLogs),
+                consoleErrors: Math.max(...runs.map(({ result }) => result.summary.consoleErrors)),
+                systemicIssuesCount: widest.summary.systemicIssuesCount,
+                changedRegions: widest.summary.changedRegions,
+                networkRegressions: widest.summary.networkRegressions,
+                domChanges: widest.summary.domChanges,
+                stylesheetChanges: widest.summary.stylesheetChanges
+            },
+            differences,
+            viewports: runs.map(({ viewport, result }) => ({
+                label: viewport.label,
+                width: viewport.width,
+                height: viewport.height,
+                isMobile: viewport.isMobile,
+                summary: result.summary,
+                result
+            })),
+            meta: {
+                liveUrl,
+                stageUrl,
+                viewports: viewports.map(v => v.label),
+                durationMs: Date.now() - startTime,
+                timestamp: widest.meta.timestamp
+            }
+        }
+    }
+
+    /**
+     * Viewport of a compared page. Screenshots stay at 1x so element rects
+     * line up with snapshot pixels.
+     */
+    async emulateViewport(page, viewport) {
+        await applyViewport(page, {
+            ...viewport,
+            deviceScaleFactor: 1,
+            userAgent: viewport.userAgent || DESKTOP_USER_AGENT
+        })
+    }
+
+    /**
+     * Viewport, console logging and network recording of both pages
+     * @returns {Object} { live, stage } NetworkRecorders
+     */
     async configurePages(livePage, stagePage, config, logs) {
         const setupLogging = (page, type) => {
             page.on('console', msg => {
@@ -171,14 +365,16 @@ export class LayoutComparatorService {
         }
 
         await Promise.all([
-            livePage.setViewport(config.viewport),
-            stagePage.setViewport(config.viewport),
-            livePage.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'),
-            stagePage.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36')
+            this.emulateViewport(livePage, config.viewport),
+            this.emulateViewport(stagePage, config.viewport)
         ])
 
         setupLogging(livePage, 'live')
         setupLogging(stagePage, 'stage')
+
+        const recorders = { live: new NetworkRecorder(livePage), stage: new NetworkRecorder(stagePage) }
+        await Promise.all([recorders.live.start(), recorders.stage.start()])
+        return recorders
     }
 
     async navigatePages(livePage, stagePage, liveUrl, stageUrl, config) {
@@ -296,7 +492,7 @@ export class LayoutComparatorService {
 
             const currentViewport = page.viewport()
             await page.setViewport({
-                width: currentViewport.width,
+                ...currentViewport,
                 height: Math.ceil(fullHeight)
             })
 
@@ -323,7 +519,48 @@ export class LayoutComparatorService {
         }
     }
 
-    async generateVisualDiff(liveBuf, stageBuf) {
+    /**
+     * Changed regions as reported: bounding box, the matched elements behind
+     * the change with their CSS differences, and saved live/stage/diff crops
+     */
+    async describeRegions(changedRegions, matchedPairs, differences, timestamp) {
+        return Promise.all(changedRegions.map(async ({ crops, ...region }, index) => {
+            const elements = mapRegionToElements(region, matchedPairs)
+            const selectors = new Set(elements.map(({ live }) => live.selector))
+
+            const [liveUrl, stageUrl, diffUrl] = crops
+                ? await Promise.all(['live', 'stage', 'diff'].map(side =>
+                    storageService.saveScreenshot(`region-${timestamp}-${index + 1}-${side}.png`, crops[side])
+                ))
+                : [null, null, null]
+
+            return {
+                id: index + 1,
+                ...region,
+                elements: elements.map(({ live, stage, matchType }) => ({
+                    selector: live.selector,
+                    tagName: live.tagName,
+                    nodeText: live.nodeText,
+                    section: live.section,
+                    liveRect: live.rect,
+                    stageRect: stage.rect,
+                    matchType
+                })),
+                differences: differences
+                    .filter(diff => selectors.has(diff.selector))
+                    .map(({ selector, category, property, liveValue, stageValue, severity }) => ({ selector, category, property, liveValue, stageValue, severity })),
+                crops: crops ? { ...crops.rect, liveUrl, stageUrl, diffUrl } : null
+            }
+        }))
+    }
+
+    /**
+     * Pixel diff of two screenshots, padded to the same size. Masked regions
+     * ({ x, y, width, height } in page px) are blanked on both sides before
+     * diffing and hatched on the diff image. Changed pixels are clustered into
+     * `regions`; with `crops`, each region carries PNG crops of both sides and the diff.
+     */
+    async generateVisualDiff(liveBuf, stageBuf, { masks = [], crops = false } = {}) {
         try {
             let img1 = PNG.sync.read(liveBuf)
             let img2 = PNG.sync.read(stageBuf)
@@ -339,20 +576,60 @@ export class LayoutComparatorService {
                 img2 = this.padImage(img2, maxWidth, maxHeight)
             }
 
+            // A region masked on one side only is blanked on both
+            for (const region of masks) {
+                this.fillRegion(img1, region, MASK_COLOR)
+                this.fillRegion(img2, region, MASK_COLOR)
+            }
+
             const diff = new PNG({ width: maxWidth, height: maxHeight })
-            pixelmatch(img1.data, img2.data, diff.data, maxWidth, maxHeight, { threshold: 0.1 })
+            const diffPixels = pixelmatch(img1.data, img2.data, diff.data, maxWidth, maxHeight, { threshold: 0.1 })
+            const regions = clusterDiffPixels(diff, { maxRegions: MAX_DIFF_REGIONS })
+            masks.forEach(region => this.hatchRegion(diff, region))
+
+            if (crops) {
+                for (const region of regions) {
+                    const rect = this.cropRect(region, maxWidth, maxHeight)
+                    region.crops = {
+                        rect,
+                        live: this.cropImage(img1, rect),
+                        stage: this.cropImage(img2, rect),
+                        diff: this.cropImage(diff, rect)
+                    }
+                }
+            }
 
             return {
                 diffBuffer: PNG.sync.write(diff),
                 width: maxWidth,
-                height: maxHeight
+                height: maxHeight,
+                diffPixels,
+                regions
             }
         } catch (e) {
             logger.error('Visual diff failed:', e.message)
-            return { diffBuffer: Buffer.alloc(0), width: 0, height: 0 }
+            return { diffBuffer: Buffer.alloc(0), width: 0, height: 0, diffPixels: null, regions: [] }
+        }
+    }
+
+    // Region plus some context, clipped to the image and capped in height
+    cropRect({ x, y, width, height }, imageWidth, imageHeight) {
+        const left = Math.max(0, x - CROP_PADDING)
+        const top = Math.max(0, y - CROP_PADDING)
+        return {
+            x: left,
+            y: top,
+            width: Math.min(imageWidth, x + width + CROP_PADDING) - left,
+            height: Math.min(imageHeight, y + height + CROP_PADDING, top + MAX_CROP_HEIGHT) - top
         }
     }
 
+    cropImage(img, { x, y, width, height }) {
+        const crop = new PNG({ width, height })
+        PNG.bitblt(img, crop, x, y, width, height, 0, 0)
+        return PNG.sync.write(crop)
+    }
+
     padImage(img, width, height) {
         const newImg = new PNG({ width, height, fill: true })
         newImg.data.fill(255)
@@ -360,6 +637,49 @@ export class LayoutComparatorService {
         return newImg
     }
 
+    // Pixel bounds of a page-px region, clipped to the image
+    regionBounds(img, { x, y, width, height }) {
+        return {
+            left: Math.max(0, Math.floor(x)),
+            top: Math.max(0, Math.floor(y)),
+            right: Math.min(img.width, Math.ceil(x + width)),
+            bottom: Math.min(img.height, Math.ceil(y + height))
+        }
+    }
+
+    fillRegion(img, region, hexColor) {
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(hexColor.slice(i, i + 2), 16))
+        const { left, top, right, bottom } = this.regionBounds(img, region)
+        for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+                const idx = (y * img.width + x) * 4
+                img.data[idx] = r
+                img.data[idx + 1] = g
+                img.data[idx + 2] = b
+                img.data[idx + 3] = 255
+            }
+        }
+    }
+
+    // Diagonal stripes and a 2px border, so reviewers can see what was excluded
+    hatchRegion(img, region) {
+        const { left, top, right, bottom } = this.regionBounds(img, region)
+        const [r, g, b] = MASK_OVERLAY
+        for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+                const border = x < left + 2 || x >= right - 2 || y < top + 2 || y >= bottom - 2
+                const stripe = (x + y) % 12 < 4
+                if (!border && !stripe) continue
+                const idx = (y * img.width + x) * 4
+                const alpha = border ? 1 : 0.5
+                img.data[idx] = Math.round(img.data[idx] * (1 - alpha) + r * alpha)
+                img.data[idx + 1] = Math.round(img.data[idx + 1] * (1 - alpha) + g * alpha)
+                img.data[idx + 2] = Math.round(img.data[idx + 2] * (1 - alpha) + b * alpha)
+                img.data[idx + 3] = 255
+            }
+        }
+    }
+
     async extractElementData(page, maxElements) {
         return await page.evaluate((max) => {
             const elements = []
@@ -410,16 +730,30 @@ export class LayoutComparatorService {
                         borderRadius: style.borderRadius,
                         borderWidth: style.borderWidth
                     },
-                    imageSrc: el.tagName === 'IMG' ? el.src : null
+                    imageSrc: el.tagName === 'IMG' ? el.src : null,
+                    // Inside a masked or hidden element of the comparison's ignore options
+                    ignored: !!el.closest('[data-layout-ignore]')
                 })
             }
             return elements
         }, maxElements)
     }
 
+    /**
+     * Whether a matched pair is left out of the element diff: either side is
+     * inside a masked or hidden element, or mostly covered by a masked region.
+     * `masks` holds each side's regions: { live: [], stage: [] }
+     */
+    isIgnoredPair({ live, stage }, masks = {}) {
+        return !!(live.ignored || stage.ignored ||
+            isMaskedRect(live.rect, masks.live) ||
+            isMaskedRect(stage.rect, masks.stage))
+    }
+
     async compareElements(matchedPairs, livePage, stagePage, config) {
         const differences = []
         for (const { live, stage } of matchedPairs) {
+            if (this.isIgnoredPair({ live, stage }, config.masks)) continue
             const props = Object.keys(live.styles)
 
             for (const prop of props) {
@@ -1,14 +1,85 @@
 import lighthouse from 'lighthouse'
+import { computeMedianRun, filterToValidRuns } from 'lighthouse/core/lib/median-run.js'
 import * as chromeLauncher from 'chrome-launcher'
+import dotenv from 'dotenv'
 import { logger } from '../utils/logger.js'
 import { generateAutoFixReport } from './autofix.service.js'
-import storageService from './storage.service.js'
+
+dotenv.config()
+
+// Most runs one audit may ask for, shared by the API and the CLI
+export const MAX_RUNS = parseInt(process.env.LIGHTHOUSE_MAX_RUNS) || 5
 
 // Helper to safely get nested properties
 const get = (obj, path, defaultValue = null) => {
     return path.split('.').reduce((o, p) => (o ? o[p] : defaultValue), obj) || defaultValue
 }
 
+/**
+ * Transfer size (KB) and request count per resource type from the
+ * `resource-summary` audit: { total, script, image, stylesheet, font, document, media, other, thirdParty }
+ */
+export const extractResourceSummary = (lh) => {
+    const items = get(lh, 'audits.resource-summary.details.items', [])
+    return Object.fromEntries(items.map(item => [
+        item.resourceType === 'third-party' ? 'thirdParty' : item.resourceType,
+        { sizeKB: Math.round((item.transferSize || 0) / 1024 * 10) / 10, requests: item.requestCount || 0 }
+    ]))
+}
+
+// Values whose spread is reported for multi-run audits (ms, CLS unitless, score 0-100)
+const RUN_VALUES = {
+    performance: (lh) => Math.round(get(lh, 'categories.performance.score', 0) * 100),
+    fcp: (lh) => get(lh, 'audits.first-contentful-paint.numericValue', 0),
+    lcp: (lh) => get(lh, 'audits.largest-contentful-paint.numericValue', 0),
+    cls: (lh) => get(lh, 'audits.cumulative-layout-shift.numericValue', 0),
+    tbt: (lh) => get(lh, 'audits.total-blocking-time.numericValue', 0),
+    speedIndex: (lh) => get(lh, 'audits.speed-index.numericValue', 0)
+}
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * The representative run of several, per Lighthouse's methodology: the one
+ * closest to the median FCP and TTI. Runs missing either value are skipped.
+ */
+export const selectMedianRun = (lhrs) => {
+    if (lhrs.length === 1) return lhrs[0]
+    const valid = filterToValidRuns(lhrs)
+    return valid.length > 0 ? computeMedianRun(valid) : lhrs[0]
+}
+
+/**
+ * Spread of the key values across runs:
+ * { count, medianRun (1-based), metrics: { [key]: { values, median, mean, min, max, variance, stddev } } }
+ * Variance and standard deviation are sample statistics (n - 1).
+ */
+export const summarizeRuns = (lhrs, medianLhr) => ({
+    count: lhrs.length,
+    medianRun: lhrs.indexOf(medianLhr) + 1,
+    metrics: Object.fromEntries(Object.entries(RUN_VALUES).map(([key, read]) => {
+        const values = lhrs.map(read)
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length
+        const variance = values.length > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1) : 0
+        const precision = key === 'cls' ? 10000 : 10
+        const round = (value) => Math.round(value * precision) / precision
+
+        return [key, {
+            values: values.map(round),
+            median: round(median(values)),
+            mean: round(mean),
+            min: round(Math.min(...values)),
+            max: round(Math.max(...values)),
+            variance: round(variance),
+            stddev: round(Math.sqrt(variance))
+        }]
+    }))
+})
+
 /**
  * Constants from Google Lighthouse Core (v11+)
  * Used to ensure Score Parity with PageSpeed Insights
@@ -54,10 +125,21 @@ const PSI_CONSTANTS = {
     }
 }
 
-export const runLocalLighthouse = async (url, device = 'mobile') => {
+/**
+ * PageSpeed Insights emulation profile (form factor, screen, throttling, user agent) of a device
+ */
+export const deviceProfile = (device) => device === 'mobile' ? PSI_CONSTANTS.mobile : PSI_CONSTANTS.desktop
+
+/**
+ * Run Lighthouse in a local Chrome. With `runs` > 1 the page is audited that
+ * many times in the same browser and the median run is reported, together
+ * with the spread of its key values (`runs`).
+ * @param {Object} [options] - { runs, onRun(run, total) }
+ */
+export const runLocalLighthouse = async (url, device = 'mobile', { runs = 1, onRun = () => { } } = {}) => {
     let chrome
     try {
-        logger.info(`Starting high-fidelity Lighthouse audit for ${url} (${device})`)
+        logger.info(`Starting high-fidelity Lighthouse audit for ${url} (${device}${runs > 1 ? `, ${runs} runs` : ''})`)
 
         chrome = await chromeLauncher.launch({
             chromeFlags: [
@@ -70,7 +152,7 @@ export const runLocalLighthouse = async (url, device = 'mobile') => {
             ]
         })
 
-        const psiProfile = device === 'mobile' ? PSI_CONSTANTS.mobile : PSI_CONSTANTS.desktop
+        const psiProfile = deviceProfile(device)
 
         const config = {
             extends: 'lighthouse:default',
@@ -95,8 +177,13 @@ export const runLocalLighthouse = async (url, device = 'mobile') => {
             logLevel: 'error',
         }
 
-        const runnerResult = await lighthouse(url, options, config)
-        const lh = runnerResult.lhr
+        const lhrs = []
+        for (let run = 1; run <= runs; run++) {
+            onRun(run, runs)
+            const runnerResult = await lighthouse(url, options, config)
+            lhrs.push(runnerResult.lhr)
+        }
+        const lh = selectMedianRun(lhrs)
 
         const { issues, autoFixSummary, fixPriorityList } = generateAutoFixReport(lh)
 
@@ -169,6 +256,7 @@ export const runLocalLighthouse = async (url, device = 'mobile') => {
             finalScreenshot,
             scores,
             metrics,
+            resources: extractResourceSummary(lh),
             issues,
             autoFixSummary,
             fixPriorityList,
@@ -187,19 +275,10 @@ export const runLocalLighthouse = async (url, device = 'mobile') => {
             })),
             passedAudits,
             waterfallScreenshotFrames,
+            ...(runs > 1 && { runs: summarizeRuns(lhrs, lh) }),
             rawLighthouseResult: lh
         }
 
-        // Log to history
-        await storageService.addAudit({
-            url: url,
-            type: 'PageSpeed',
-            score: result.scores.performance,
-            status: result.scores.performance < 50 ? 'error' : result.scores.performance < 90 ? 'warning' : 'pass',
-            issuesFound: (result.opportunities?.length || 0) + (result.diagnostics?.length || 0),
-            criticalIssues: result.issues?.filter(i => i.severity === 'critical').length || 0
-        }).catch(err => logger.error('Failed to log PageSpeed audit:', err))
-
         return result
 
     } catch (error) {
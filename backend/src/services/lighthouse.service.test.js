@@ -0,0 +1,95 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { selectMedianRun, summarizeRuns } from './lighthouse.service.js'
+
+// Lighthouse result with only the values the run aggregation reads; undefined metrics are left out
+const lhr = ({ score = 0.9, fcp, tti, lcp, cls, tbt, si } = {}) => ({
+    categories: { performance: { score } },
+    audits: Object.fromEntries(Object.entries({
+        'first-contentful-paint': fcp,
+        interactive: tti,
+        'largest-contentful-paint': lcp,
+        'cumulative-layout-shift': cls,
+        'total-blocking-time': tbt,
+        'speed-index': si
+    }).filter(([, value]) => value !== undefined).map(([id, numericValue]) => [id, { numericValue }]))
+})
+
+test('selectMedianRun picks the run closest to the median FCP and TTI', () => {
+    const runs = [
+        lhr({ fcp: 1000, tti: 3000 }),
+        lhr({ fcp: 1200, tti: 3500 }),
+        lhr({ fcp: 1500, tti: 5000 })
+    ]
+
+    assert.equal(selectMedianRun(runs), runs[1])
+})
+
+test('selectMedianRun averages the middle values of an even count and breaks ties on TTI', () => {
+    // Medians are FCP 1200 and TTI 3400: the second and third runs are equally close
+    const runs = [
+        lhr({ fcp: 1000, tti: 3000 }),
+        lhr({ fcp: 1300, tti: 3600 }),
+        lhr({ fcp: 1100, tti: 3200 }),
+        lhr({ fcp: 2000, tti: 4000 })
+    ]
+
+    assert.equal(selectMedianRun(runs), runs[2])
+})
+
+test('selectMedianRun skips runs missing FCP or TTI', () => {
+    const runs = [
+        lhr({ fcp: 1250 }),
+        lhr({ fcp: 1200, tti: 3000 }),
+        lhr({ fcp: 1400, tti: 3800 })
+    ]
+
+    assert.equal(selectMedianRun(runs), runs[1])
+
+    // Nothing valid to choose from, or nothing to choose: the first run
+    const broken = [lhr(), lhr({ tti: 3000 })]
+    assert.equal(selectMedianRun(broken), broken[0])
+    assert.equal(selectMedianRun([broken[1]]), broken[1])
+})
+
+test('summarizeRuns reports the spread of each value over an odd number of runs', () => {
+    const runs = [
+        lhr({ score: 0.9, fcp: 1000, tti: 3000, lcp: 2000, cls: 0.1, tbt: 100, si: 3000 }),
+        lhr({ score: 0.85, fcp: 1200, tti: 3500, lcp: 2500, cls: 0.05, tbt: 200, si: 3200 }),
+        lhr({ score: 0.8, fcp: 1500, tti: 5000, lcp: 3000, cls: 0.1234, tbt: 300, si: 3400 })
+    ]
+    const summary = summarizeRuns(runs, runs[1])
+
+    assert.equal(summary.count, 3)
+    assert.equal(summary.medianRun, 2)
+    assert.deepEqual(Object.keys(summary.metrics), ['performance', 'fcp', 'lcp', 'cls', 'tbt', 'speedIndex'])
+    assert.deepEqual(summary.metrics.performance, { values: [90, 85, 80], median: 85, mean: 85, min: 80, max: 90, variance: 25, stddev: 5 })
+    assert.deepEqual(summary.metrics.lcp, { values: [2000, 2500, 3000], median: 2500, mean: 2500, min: 2000, max: 3000, variance: 250000, stddev: 500 })
+    // CLS keeps four decimals, everything else one
+    assert.deepEqual(summary.metrics.cls, { values: [0.1, 0.05, 0.1234], median: 0.1, mean: 0.0911, min: 0.05, max: 0.1234, variance: 0.0014, stddev: 0.0375 })
+})
+
+test('summarizeRuns takes the mean of the middle values for an even number of runs', () => {
+    const runs = [2000, 2400, 2600, 3000].map(lcp => lhr({ fcp: 1000, tti: 3000, lcp }))
+    const { count, medianRun, metrics } = summarizeRuns(runs, runs[0])
+
+    assert.equal(count, 4)
+    assert.equal(medianRun, 1)
+    assert.equal(metrics.lcp.median, 2500)
+    assert.equal(metrics.lcp.stddev, 416.3)
+})
+
+test('summarizeRuns reads values a run did not report as zero', () => {
+    const runs = [
+        lhr({ fcp: 1000, tti: 3000, lcp: 2000, tbt: 120 }),
+        lhr({ score: null, fcp: 1100 })
+    ]
+    const { metrics } = summarizeRuns(runs, runs[0])
+
+    assert.deepEqual(metrics.lcp.values, [2000, 0])
+    assert.deepEqual(metrics.performance.values, [90, 0])
+    assert.deepEqual(metrics.cls, { values: [0, 0], median: 0, mean: 0, min: 0, max: 0, variance: 0, stddev: 0 })
+
+    // A single run has no spread
+    assert.deepEqual(summarizeRuns([runs[0]], runs[0]).metrics.tbt, { values: [120], median: 120, mean: 120, min: 120, max: 120, variance: 0, stddev: 0 })
+})
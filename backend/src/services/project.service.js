@@ -0,0 +1,42 @@
+import crypto from 'crypto'
+import database from '../db/index.js'
+
+/**
+ * Projects group audits by client or site. They are shared by every user
+ * of the workspace; only the creator (or an admin) may change or delete one.
+ */
+class ProjectService {
+    async listProjects() {
+        return database.listProjects()
+    }
+
+    async getProject(id) {
+        if (!id) return undefined
+        return database.getProject(id)
+    }
+
+    async createProject({ name, url, description }, userId) {
+        return database.createProject({
+            id: crypto.randomUUID(),
+            name,
+            url: url || null,
+            description: description || null,
+            createdBy: userId || null,
+            createdAt: new Date().toISOString()
+        })
+    }
+
+    async updateProject(id, { name, url, description }) {
+        return database.updateProject(id, { name, url, description, updatedAt: new Date().toISOString() })
+    }
+
+    async deleteProject(id) {
+        return database.deleteProject(id)
+    }
+
+    canManage(project, user) {
+        return user?.role === 'admin' || !project.createdBy || project.createdBy === user?.id
+    }
+}
+
+export default new ProjectService()
@@ -0,0 +1,230 @@
+import crypto from 'crypto'
+import cronParser from 'cron-parser'
+import database from '../db/index.js'
+import jobQueue from './job-queue.service.js'
+import { logger } from '../utils/logger.js'
+
+const TICK_MS = 30 * 1000
+const MAX_TARGETS = 20
+
+/**
+ * Recurring Audit Scheduler
+ * Schedules pair a cron expression with a job type and a list of targets.
+ * Every tick, due schedules enqueue one job per target on the job queue, so
+ * scheduled runs go through the same handlers (and history) as manual ones.
+ * Runs missed while the server was down fire once on the next tick.
+ */
+class SchedulerService {
+    constructor() {
+        this.types = new Map()
+        this.timer = null
+        this.ticking = false
+
+        jobQueue.on('update', (job) => {
+            if (job.scheduleId && (job.status === 'completed' || job.status === 'failed')) {
+                this.recordJobOutcome(job).catch(err => logger.error('Failed to record scheduled job outcome:', err))
+            }
+        })
+    }
+
+    /**
+     * Register a schedulable job type with the request parser of its audit route.
+     * parse(body) returns { error } or { params } like the controllers' parse*Request helpers.
+     */
+    registerType(type, parse) {
+        this.types.set(type, parse)
+    }
+
+    getTypes() {
+        return Array.from(this.types.keys())
+    }
+
+    /**
+     * Next run time (ISO) after `from`; throws on an invalid expression or timezone
+     */
+    getNextRun(cron, { timezone, from = new Date() } = {}) {
+        const interval = cronParser.parseExpression(cron, { currentDate: from, ...(timezone && { tz: timezone }) })
+        return interval.next().toDate().toISOString()
+    }
+
+    /**
+     * Turn a schedule's targets + options into job payloads.
+     * A target is a URL string (sent as `url`) or an object merged into the body,
+     * e.g. { liveUrl, stageUrl } for layout comparisons.
+     * @returns {Object} { error } or { payloads }
+     */
+    buildPayloads({ type, targets, options = {} }) {
+        const parse = this.types.get(type)
+        if (!parse) {
+            return { error: { error: 'Unknown audit type', message: `Supported types: ${this.getTypes().join(', ')}` } }
+        }
+        if (!Array.isArray(targets) || targets.length === 0) {
+            return { error: { error: 'Targets are required', message: 'Provide at least one URL (or URL pair) to audit.' } }
+        }
+        if (targets.length > MAX_TARGETS) {
+            return { error: { error: 'Too many targets', message: `A schedule can audit at most ${MAX_TARGETS} targets.` } }
+        }
+
+        const payloads = []
+        for (const target of targets) {
+            const body = typeof target === 'string' ? { ...options, url: target } : { ...options, ...target }
+            const { error, params } = parse(body)
+            if (error) {
+                return { error: { ...error, target } }
+            }
+            payloads.push(params)
+        }
+        return { payloads }
+    }
+
+    start() {
+        if (this.timer) return
+        if (process.env.SCHEDULER_ENABLED === 'false') {
+            logger.info('Audit scheduler disabled (SCHEDULER_ENABLED=false)')
+            return
+        }
+
+        this.timer = setInterval(() => this.tick(), TICK_MS)
+        this.timer.unref()
+        logger.info('Audit scheduler started')
+        this.tick()
+    }
+
+    stop() {
+        clearInterval(this.timer)
+        this.timer = null
+    }
+
+    async tick() {
+        if (this.ticking) return
+        this.ticking = true
+
+        try {
+            const due = await database.listDueSchedules(new Date().toISOString())
+            for (const schedule of due) {
+                await this.runSchedule(schedule)
+            }
+        } catch (err) {
+            logger.error('Scheduler tick failed:', err)
+        } finally {
+            this.ticking = false
+        }
+    }
+
+    /**
+     * Enqueue one job per target and move the schedule to its next run.
+     * `manual` runs (Run now) leave the regular next run untouched.
+     */
+    async runSchedule(schedule, { manual = false } = {}) {
+        const now = new Date()
+        const updates = { lastRunAt: now.toISOString(), updatedAt: now.toISOString() }
+
+        if (!manual) {
+            try {
+                updates.nextRunAt = this.getNextRun(schedule.cron, { timezone: schedule.timezone, from: now })
+            } catch (err) {
+                // The expression stopped parsing (e.g. timezone removed from the runtime); stop retrying
+                logger.error(`Schedule ${schedule.id} has an invalid cron expression, disabling:`, err.message)
+                return database.updateSchedule(schedule.id, { ...updates, enabled: false, nextRunAt: null, lastStatus: 'failed', lastError: err.message })
+            }
+        }
+
+        const { error, payloads } = this.buildPayloads(schedule)
+        if (error) {
+            logger.error(`Schedule ${schedule.id} has invalid targets: ${error.message}`)
+            return database.updateSchedule(schedule.id, { ...updates, lastStatus: 'failed', lastError: error.message })
+        }
+
+        const jobIds = []
+        for (const payload of payloads) {
+            const job = await jobQueue.enqueue(schedule.type, payload, {
+                userId: schedule.userId,
+                projectId: schedule.projectId,
+                scheduleId: schedule.id
+            })
+            jobIds.push(job.id)
+        }
+
+        logger.info(`Schedule "${schedule.name}" enqueued ${jobIds.length} ${schedule.type} job(s)`)
+        const updated = await database.updateSchedule(schedule.id, { ...updates, lastStatus: 'running', lastError: null, lastJobIds: jobIds })
+
+        // Jobs that finished before their ids were stored were skipped by recordJobOutcome
+        return this.settleLastRun(updated)
+    }
+
+    /**
+     * Roll the outcome of a finished job up onto its schedule, if the job is part of the latest batch
+     */
+    async recordJobOutcome(job) {
+        const schedule = await database.getSchedule(job.scheduleId)
+        if (!schedule || !schedule.lastJobIds.includes(job.id)) return
+
+        await this.settleLastRun(schedule)
+    }
+
+    /**
+     * Record the outcome of a schedule's latest batch once none of its jobs is pending.
+     * Returns the schedule, updated when the batch has settled.
+     */
+    async settleLastRun(schedule) {
+        if (!schedule) return schedule
+
+        const jobs = await Promise.all(schedule.lastJobIds.map(id => jobQueue.getJob(id)))
+        if (jobs.some(j => j && (j.status === 'queued' || j.status === 'running'))) return schedule
+
+        const failed = jobs.filter(j => !j || j.status === 'failed')
+        return database.updateSchedule(schedule.id, {
+            lastStatus: failed.length > 0 ? 'failed' : 'completed',
+            lastError: failed.length > 0
+                ? `${failed.length} of ${jobs.length} runs failed: ${failed[0]?.error?.message || 'job no longer available'}`
+                : null
+        })
+    }
+
+    async listSchedules(filters = {}) {
+        return database.listSchedules(filters)
+    }
+
+    async getSchedule(id) {
+        return database.getSchedule(id)
+    }
+
+    async deleteSchedule(id) {
+        return database.deleteSchedule(id)
+    }
+
+    async createSchedule({ name, cron, timezone, type, targets, options, enabled = true }, { userId, projectId } = {}) {
+        const now = new Date().toISOString()
+        return database.createSchedule({
+            id: crypto.randomUUID(),
+            name,
+            cron,
+            timezone: timezone || null,
+            type,
+            targets,
+            options: options || {},
+            enabled,
+            userId: userId || null,
+            projectId: projectId || null,
+            nextRunAt: enabled ? this.getNextRun(cron, { timezone }) : null,
+            lastRunAt: null,
+            lastStatus: null,
+            lastError: null,
+            lastJobIds: [],
+            createdAt: now
+        })
+    }
+
+    async updateSchedule(schedule, updates) {
+        const merged = { ...schedule, ...Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined)) }
+
+        return database.updateSchedule(schedule.id, {
+            ...updates,
+            // Recompute from now whenever the timing or enabled state may have changed
+            nextRunAt: merged.enabled ? this.getNextRun(merged.cron, { timezone: merged.timezone }) : null,
+            updatedAt: new Date().toISOString()
+        })
+    }
+}
+
+export default new SchedulerService()
@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import database from '../db/index.js'
+import jobQueue from './job-queue.service.js'
+import schedulerService from './scheduler.service.js'
+
+const schedule = (lastJobIds) => ({ id: 's1', name: 'Nightly', lastJobIds, lastStatus: 'running', lastError: null })
+
+// Stub the queue's jobs by id and capture schedule updates
+const withJobs = (t, jobs) => {
+    t.mock.method(jobQueue, 'getJob', async (id) => jobs[id] || null)
+    return t.mock.method(database, 'updateSchedule', async (id, updates) => ({ ...schedule([]), ...updates }))
+}
+
+test('getNextRun returns the first matching time after `from`', () => {
+    const from = new Date('2026-03-02T10:15:00.000Z')
+
+    assert.equal(schedulerService.getNextRun('0 2 * * *', { from }), '2026-03-03T02:00:00.000Z')
+    assert.equal(schedulerService.getNextRun('*/30 * * * *', { from }), '2026-03-02T10:30:00.000Z')
+    // 09:00 on weekdays in New York is 14:00 UTC before daylight saving time starts
+    assert.equal(schedulerService.getNextRun('0 9 * * 1-5', { timezone: 'America/New_York', from }), '2026-03-02T14:00:00.000Z')
+})
+
+test('getNextRun throws on invalid expressions and timezones', () => {
+    assert.throws(() => schedulerService.getNextRun('every day'))
+    assert.throws(() => schedulerService.getNextRun('0 2 * * *', { timezone: 'Mars/Olympus_Mons' }))
+})
+
+test('settleLastRun waits while a job of the batch is still pending', async (t) => {
+    const update = withJobs(t, { j1: { status: 'completed' }, j2: { status: 'running' } })
+    const pending = schedule(['j1', 'j2'])
+
+    assert.equal(await schedulerService.settleLastRun(pending), pending)
+    assert.equal(update.mock.callCount(), 0)
+})
+
+test('settleLastRun records a completed batch', async (t) => {
+    const update = withJobs(t, { j1: { status: 'completed' }, j2: { status: 'completed' } })
+
+    const settled = await schedulerService.settleLastRun(schedule(['j1', 'j2']))
+
+    assert.deepEqual(update.mock.calls[0].arguments, ['s1', { lastStatus: 'completed', lastError: null }])
+    assert.equal(settled.lastStatus, 'completed')
+})
+
+test('settleLastRun counts failed and vanished jobs as failures', async (t) => {
+    const update = withJobs(t, { j1: { status: 'failed', error: { message: 'Navigation timeout' } }, j2: { status: 'completed' } })
+
+    await schedulerService.settleLastRun(schedule(['j1', 'j2', 'j3']))
+    assert.deepEqual(update.mock.calls[0].arguments[1], { lastStatus: 'failed', lastError: '2 of 3 runs failed: Navigation timeout' })
+
+    await schedulerService.settleLastRun(schedule(['j3']))
+    assert.equal(update.mock.calls[1].arguments[1].lastError, '1 of 1 runs failed: job no longer available')
+})
+
+test('recordJobOutcome only settles jobs of the latest batch', async (t) => {
+    const update = withJobs(t, { j2: { status: 'completed' } })
+    t.mock.method(database, 'getSchedule', async () => schedule(['j2']))
+
+    await schedulerService.recordJobOutcome({ id: 'j1', scheduleId: 's1', status: 'completed' })
+    assert.equal(update.mock.callCount(), 0)
+
+    await schedulerService.recordJobOutcome({ id: 'j2', scheduleId: 's1', status: 'completed' })
+    assert.equal(update.mock.calls[0].arguments[1].lastStatus, 'completed')
+})
@@ -0,0 +1,238 @@
+import { logger } from '../utils/logger.js'
+import accessibilityService from './accessibility.service.js'
+import { CrawlFrontier, fetchSitemapUrls } from '../utils/url-discovery.js'
+import { extractSuccessCriteria, describeCriterion } from '../utils/wcag-criteria.js'
+
+const LEVEL_ORDER = { A: 1, AA: 2, AAA: 3 }
+
+/**
+ * Site-wide Accessibility Scanner
+ * Runs the axe + custom WCAG checks on every page of a site (crawled from a start URL
+ * or read from a sitemap) with bounded concurrency, de-duplicates issues coming from
+ * shared components and rolls the results up per WCAG success criterion.
+ */
+export class SiteAccessibilityService {
+    constructor() {
+        this.defaultConfig = {
+            maxPages: 10,
+            maxDepth: 2,
+            concurrency: 2,
+            include: [],
+            exclude: [],
+            sitemapUrl: null
+        }
+    }
+
+    async scanSite(startUrl, options = {}) {
+        const startTime = Date.now()
+        const config = { ...this.defaultConfig, ...options }
+        const onProgress = options.onProgress || (() => { })
+
+        logger.info(`♿ Site accessibility scan: ${startUrl || config.sitemapUrl} (maxPages=${config.maxPages}, concurrency=${config.concurrency})`)
+
+        // Sitemap mode audits exactly the listed pages; start URL mode follows links
+        let frontier
+        let sitemapUrlCount = 0
+        if (config.sitemapUrl) {
+            onProgress('Reading sitemap', 2)
+            const sitemapUrls = await fetchSitemapUrls(config.sitemapUrl)
+            if (sitemapUrls.length === 0) {
+                throw new Error(`No page URLs found in sitemap ${config.sitemapUrl}`)
+            }
+            frontier = new CrawlFrontier(startUrl || sitemapUrls[0], { ...config, maxDepth: 0 })
+            sitemapUrlCount = frontier.add(sitemapUrls, 0)
+        } else {
+            frontier = new CrawlFrontier(startUrl, config)
+        }
+
+        const pages = []
+        let inFlight = 0
+
+        const worker = async () => {
+            while (true) {
+                const next = frontier.next()
+                if (!next) {
+                    // Pages still loading may queue more links
+                    if (inFlight === 0) return
+                    await new Promise(r => setTimeout(r, 250))
+                    continue
+                }
+
+                inFlight++
+                onProgress(`Scanning ${new URL(next.url).pathname} (${frontier.dispatched}/${config.maxPages})`, 5 + (pages.length / config.maxPages) * 85, {
+                    pagesScanned: pages.length,
+                    pagesQueued: frontier.queue.length
+                })
+
+                try {
+                    pages.push(await this.scanPage(next, frontier, config))
+                } finally {
+                    inFlight--
+                }
+            }
+        }
+
+        const workerCount = Math.max(1, Math.min(config.concurrency, config.maxPages))
+        await Promise.all(Array.from({ length: workerCount }, () => worker()))
+
+        onProgress('Building WCAG conformance rollup', 95)
+        const report = this.buildReport(pages)
+
+        return {
+            ...report,
+            metadata: {
+                startUrl: startUrl || null,
+                sitemapUrl: config.sitemapUrl,
+                maxPages: config.maxPages,
+                maxDepth: config.sitemapUrl ? 0 : config.maxDepth,
+                concurrency: workerCount,
+                sitemapUrls: sitemapUrlCount,
+                durationMs: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            }
+        }
+    }
+
+    async scanPage({ url, depth }, frontier, config) {
+        try {
+            const result = await accessibilityService.checkAccessibility(url, { screenshots: false, auth: config.auth })
+
+            if (!config.sitemapUrl) frontier.add(result.links, depth + 1)
+
+            const issues = [...result.errors, ...result.alerts].map(({ fix, screenshotUrl, coordinates, ...issue }) => ({
+                ...issue,
+                key: this.getIssueKey(issue),
+                criteria: extractSuccessCriteria(issue.wcag)
+            }))
+
+            return {
+                url,
+                depth,
+                score: result.score,
+                wcagLevel: result.wcagLevel,
+                errorCount: result.errors.length,
+                alertCount: result.alerts.length,
+                issues
+            }
+        } catch (error) {
+            logger.warn(`Accessibility scan skipped ${url}: ${error.message}`)
+            return { url, depth, error: error.message, issues: [] }
+        }
+    }
+
+    /**
+     * Identity of an issue across pages: same rule on the same selector
+     */
+    getIssueKey(issue) {
+        return [issue.rule, issue.target || issue.element].join('|')
+    }
+
+    /**
+     * Merge issues sharing a rule + selector into one entry with the pages it appears on
+     */
+    dedupeIssues(pages) {
+        const grouped = new Map()
+
+        for (const page of pages) {
+            for (const issue of page.issues) {
+                if (!grouped.has(issue.key)) {
+                    grouped.set(issue.key, { ...issue, pages: new Set() })
+                }
+                grouped.get(issue.key).pages.add(page.url)
+            }
+        }
+
+        return Array.from(grouped.values())
+            .map(({ pages: urls, ...issue }) => ({
+                ...issue,
+                pageCount: urls.size,
+                pages: Array.from(urls),
+                shared: urls.size > 1
+            }))
+            .sort((a, b) => b.pageCount - a.pageCount || (a.severity === 'error' ? -1 : 1))
+    }
+
+    /**
+     * Which pages fail which success criteria.
+     * Criteria with errors fail; criteria with only alerts need manual review.
+     */
+    buildCriteriaRollup(pages) {
+        const criteria = new Map()
+
+        for (const page of pages) {
+            for (const issue of page.issues) {
+                for (const id of issue.criteria) {
+                    if (!criteria.has(id)) {
+                        criteria.set(id, { ...describeCriterion(id), failingPages: new Set(), reviewPages: new Set(), issueCount: 0 })
+                    }
+                    const entry = criteria.get(id)
+                    entry.issueCount++
+                    if (issue.severity === 'error') entry.failingPages.add(page.url)
+                    else entry.reviewPages.add(page.url)
+                }
+            }
+        }
+
+        return Array.from(criteria.values())
+            .map(({ failingPages, reviewPages, ...entry }) => ({
+                ...entry,
+                status: failingPages.size > 0 ? 'fail' : 'review',
+                failingPages: Array.from(failingPages),
+                reviewPages: Array.from(reviewPages).filter(url => !failingPages.has(url))
+            }))
+            .sort((a, b) => b.failingPages.length - a.failingPages.length
+                || LEVEL_ORDER[a.level] - LEVEL_ORDER[b.level]
+                || a.id.localeCompare(b.id, undefined, { numeric: true }))
+    }
+
+    /**
+     * Highest level whose criteria all pass across the site
+     */
+    getConformanceLevel(criteria) {
+        const failing = criteria.filter(c => c.status === 'fail')
+        if (failing.some(c => c.level === 'A')) return 'Fail'
+        if (failing.some(c => c.level === 'AA')) return 'A'
+        if (failing.length > 0) return 'AA'
+        return 'AAA'
+    }
+
+    buildReport(pages) {
+        const scanned = pages.filter(p => !p.error)
+        const failed = pages.filter(p => p.error)
+
+        const issues = this.dedupeIssues(scanned)
+        const criteria = this.buildCriteriaRollup(scanned)
+        const failingByPage = new Map(scanned.map(p => [p.url, new Set()]))
+        criteria.forEach(c => c.failingPages.forEach(url => failingByPage.get(url)?.add(c.id)))
+
+        const score = scanned.length > 0
+            ? Math.round(scanned.reduce((sum, p) => sum + p.score, 0) / scanned.length)
+            : 0
+
+        return {
+            ok: true,
+            mode: 'site',
+            score,
+            wcagLevel: this.getConformanceLevel(criteria),
+            summary: {
+                pagesScanned: scanned.length,
+                pagesFailed: failed.length,
+                uniqueIssues: issues.length,
+                sharedIssues: issues.filter(i => i.shared).length,
+                totalOccurrences: scanned.reduce((sum, p) => sum + p.issues.length, 0),
+                failingCriteria: criteria.filter(c => c.status === 'fail').length,
+                reviewCriteria: criteria.filter(c => c.status === 'review').length
+            },
+            criteria,
+            issues,
+            pages: pages
+                .map(({ issues: pageIssues, ...page }) => ({
+                    ...page,
+                    failedCriteria: page.error ? [] : Array.from(failingByPage.get(page.url) || [])
+                }))
+                .sort((a, b) => (a.score ?? 101) - (b.score ?? 101))
+        }
+    }
+}
+
+export default new SiteAccessibilityService()
@@ -0,0 +1,175 @@
+import { logger } from '../utils/logger.js'
+import crawlerService from './crawler.service.js'
+import uxAuditorService from './ux-auditor.service.js'
+import { CrawlFrontier, fetchSitemapUrls, getTemplateKey } from '../utils/url-discovery.js'
+
+/**
+ * Multi-Page Site Auditor
+ * Crawls same-origin pages (links + sitemap.xml) within a page budget and depth limit,
+ * runs the UX audit on each page and rolls the findings up by template and site-wide.
+ */
+export class SiteAuditService {
+    constructor() {
+        this.defaultConfig = {
+            maxPages: 10,
+            maxDepth: 2,
+            include: [],
+            exclude: [],
+            useSitemap: true
+        }
+    }
+
+    async auditSite(startUrl, options = {}) {
+        const startTime = Date.now()
+        const config = { ...this.defaultConfig, ...options }
+        const onProgress = options.onProgress || (() => { })
+
+        logger.info(`🕸️ Site crawl audit: ${startUrl} (maxPages=${config.maxPages}, maxDepth=${config.maxDepth})`)
+
+        const frontier = new CrawlFrontier(startUrl, config)
+
+        let sitemapUrlCount = 0
+        if (config.useSitemap) {
+            onProgress('Reading sitemap.xml', 2)
+            const sitemapUrls = await fetchSitemapUrls(`${frontier.origin}/sitemap.xml`)
+            sitemapUrlCount = frontier.add(sitemapUrls, 1)
+        }
+
+        const pages = []
+        let next
+        while ((next = frontier.next())) {
+            const pathname = new URL(next.url).pathname
+            onProgress(`Auditing ${pathname} (${pages.length + 1}/${config.maxPages})`, 5 + (pages.length / config.maxPages) * 85, {
+                pagesAudited: pages.length,
+                pagesQueued: frontier.queue.length
+            })
+
+            pages.push(await this.auditPage(next, config, frontier))
+        }
+
+        onProgress('Aggregating site report', 95)
+        const report = this.buildReport(pages)
+
+        return {
+            ...report,
+            metadata: {
+                startUrl,
+                maxPages: config.maxPages,
+                maxDepth: config.maxDepth,
+                include: config.include,
+                exclude: config.exclude,
+                sitemapUrls: sitemapUrlCount,
+                durationMs: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            }
+        }
+    }
+
+    async auditPage({ url, depth }, config, frontier) {
+        try {
+            const crawlData = await crawlerService.crawlWebsite(url, { platform: config.platform, auth: config.auth })
+            const auditResults = await uxAuditorService.performFullAudit(crawlData, crawlData.domData.elements)
+            const issues = uxAuditorService.collectIssues(auditResults)
+
+            frontier.add(crawlData.links, depth + 1)
+
+            return {
+                url,
+                depth,
+                template: getTemplateKey(url),
+                score: Math.round(uxAuditorService.calculateScore(issues)),
+                platform: auditResults.platform,
+                loadTime: crawlData.loadTime,
+                issueCount: issues.length,
+                criticalCount: issues.filter(i => i.severity === 'critical').length,
+                issues: issues.map(({ cssFix, ...issue }) => ({ ...issue, key: this.getIssueKey(issue) }))
+            }
+        } catch (error) {
+            logger.warn(`Site audit skipped ${url}: ${error.message}`)
+            return { url, depth, template: getTemplateKey(url), error: error.message, issues: [] }
+        }
+    }
+
+    /**
+     * Identity of an issue across pages: same check, same category, same element
+     */
+    getIssueKey(issue) {
+        return [issue.type, issue.category, issue.element].join('|')
+    }
+
+    /**
+     * Count the pages each issue appears on within a set of pages
+     */
+    groupIssues(pages) {
+        const grouped = new Map()
+
+        for (const page of pages) {
+            for (const issue of page.issues) {
+                if (!grouped.has(issue.key)) {
+                    const { coordinates, screenshotUrl, ...sample } = issue
+                    grouped.set(issue.key, { ...sample, pages: new Set() })
+                }
+                grouped.get(issue.key).pages.add(page.url)
+            }
+        }
+
+        return Array.from(grouped.values())
+            .map(({ pages: urls, ...issue }) => ({ ...issue, pageCount: urls.size, pages: Array.from(urls) }))
+            .sort((a, b) => b.pageCount - a.pageCount)
+    }
+
+    buildReport(pages) {
+        const audited = pages.filter(p => !p.error)
+        const failed = pages.filter(p => p.error)
+
+        // Issues present on every audited page usually live in a shared layout/component
+        const allIssues = this.groupIssues(audited)
+        const siteWideIssues = audited.length > 1
+            ? allIssues.filter(i => i.pageCount === audited.length)
+            : []
+        const siteWideKeys = new Set(siteWideIssues.map(i => i.key))
+
+        const templateMap = new Map()
+        for (const page of audited) {
+            if (!templateMap.has(page.template)) templateMap.set(page.template, [])
+            templateMap.get(page.template).push(page)
+        }
+
+        const templates = Array.from(templateMap.entries()).map(([template, templatePages]) => {
+            const issues = this.groupIssues(templatePages).filter(i => !siteWideKeys.has(i.key))
+            return {
+                template,
+                pageCount: templatePages.length,
+                pages: templatePages.map(p => p.url),
+                avgScore: Math.round(templatePages.reduce((sum, p) => sum + p.score, 0) / templatePages.length),
+                issueCount: issues.length,
+                criticalCount: issues.filter(i => i.severity === 'critical').length,
+                issues
+            }
+        }).sort((a, b) => a.avgScore - b.avgScore)
+
+        const score = audited.length > 0
+            ? Math.round(audited.reduce((sum, p) => sum + p.score, 0) / audited.length)
+            : 0
+
+        return {
+            ok: true,
+            mode: 'crawl',
+            score,
+            summary: {
+                pagesAudited: audited.length,
+                pagesFailed: failed.length,
+                templates: templates.length,
+                uniqueIssues: allIssues.length,
+                siteWideIssues: siteWideIssues.length,
+                criticalIssues: allIssues.filter(i => i.severity === 'critical').length,
+                worstPage: audited.length > 0 ? audited.reduce((w, p) => (p.score < w.score ? p : w)).url : null
+            },
+            siteWideIssues,
+            templates,
+            pages: pages.map(({ issues, ...page }) => page)
+        }
+    }
+}
+
+export default new SiteAuditService()
@@ -1,83 +1,107 @@
+import crypto from 'crypto'
 import fs from 'fs/promises'
 import path from 'path'
 import { logger } from '../utils/logger.js'
+import database from '../db/index.js'
+import trendService from './trend.service.js'
+import webhookService from './webhook.service.js'
 
-class StorageService {
-    constructor() {
-        this.baseDir = './data'
-        this.historyFile = path.join(this.baseDir, 'audit-history.json')
-        this.ensureStorage()
-    }
-
-    async ensureStorage() {
-        try {
-            await fs.mkdir(this.baseDir, { recursive: true })
-            try {
-                await fs.access(this.historyFile)
-            } catch {
-                await fs.writeFile(this.historyFile, JSON.stringify([], null, 2))
-            }
-            logger.info('Storage service initialized')
-        } catch (err) {
-            logger.error('Failed to initialize storage:', err)
-        }
-    }
+// Screenshot and download paths referenced by a stored report
+const collectArtifactPaths = (result) => {
+    const matches = JSON.stringify(result).match(/\/(uploads|downloads)\/[^"\\?#]+/g) || []
+    return Array.from(new Set(matches))
+}
 
+class StorageService {
     /**
      * Log a completed audit
+     * @param {Object} auditData - url, type, score, status, issuesFound, criticalIssues
+     * @param {Object} [result] - Full report payload so the audit can be reopened later
+     * @param {Object} [scope] - { userId, projectId } the audit is recorded under
      */
-    async addAudit(auditData) {
+    async addAudit(auditData, result = null, { userId = null, projectId = null } = {}) {
         try {
-            const history = await this.getAudits()
-            const newAudit = {
-                id: Date.now(),
+            // Compared before inserting so the new run isn't part of its own baseline
+            const regression = await trendService.checkRegression({ ...auditData, projectId, userId })
+            if (regression) {
+                logger.warn(`Score regression on ${auditData.type} ${auditData.url}: ${regression.score} vs baseline ${regression.baseline}`)
+            }
+
+            const audit = await database.addAudit({
+                id: crypto.randomUUID(),
                 date: new Date().toISOString(),
-                ...auditData
+                ...auditData,
+                userId,
+                projectId,
+                hasReport: !!result,
+                ...(regression && { regression })
+            })
+
+            if (result) {
+                await database.saveAuditResult(audit.id, result)
+                for (const artifactPath of collectArtifactPaths(result)) {
+                    await database.addArtifact({
+                        auditId: audit.id,
+                        kind: artifactPath.startsWith('/uploads/screenshots/') ? 'screenshot' : 'file',
+                        path: artifactPath
+                    })
+                }
             }
-            history.unshift(newAudit)
 
-            // Keep only last 100 audits
-            const trimmedHistory = history.slice(0, 100)
-            await fs.writeFile(this.historyFile, JSON.stringify(trimmedHistory, null, 2))
-            return newAudit
+            // Deliveries are queued in the background so webhook receivers never slow down an audit
+            webhookService.notifyAudit(audit, result)
+                .catch(err => logger.error('Failed to queue audit webhooks:', err))
+
+            return audit
         } catch (err) {
             logger.error('Error adding audit to history:', err)
             return null
         }
     }
 
-    async getAudits() {
+    /**
+     * Most recent audits first
+     * @param {Object} [filters] - { limit, offset, type, url, userId, projectId, since, until }
+     */
+    async getAudits(filters = {}) {
         try {
-            const data = await fs.readFile(this.historyFile, 'utf8')
-            return JSON.parse(data)
+            return await database.listAudits(filters)
         } catch (err) {
             logger.error('Error reading audit history:', err)
             return []
         }
     }
 
-    async getStats() {
-        const audits = await this.getAudits()
-        if (audits.length === 0) {
-            return {
-                totalAudits: 0,
-                avgScore: 0,
-                issuesFound: 0,
-                criticalIssues: 0,
-                timeSaved: 0
-            }
-        }
+    async getAudit(id) {
+        return database.getAudit(id)
+    }
 
-        const totalScore = audits.reduce((sum, a) => sum + (a.score || 0), 0)
-        const totalIssues = audits.reduce((sum, a) => sum + (a.issuesFound || 0), 0)
-        const totalCritical = audits.reduce((sum, a) => sum + (a.criticalIssues || 0), 0)
+    /**
+     * Stored audit with its full report and artifacts, or null if unknown
+     */
+    async getAuditReport(id) {
+        const audit = await database.getAudit(id)
+        if (!audit) return null
+
+        const [result, artifacts] = await Promise.all([
+            database.getAuditResult(id),
+            database.listArtifacts(id)
+        ])
+        return { audit, result, artifacts }
+    }
+
+    /**
+     * Totals over the audits matching { type, url, userId, projectId }
+     */
+    async getStats(filters = {}) {
+        const stats = await database.getAuditStats(filters)
 
         return {
-            totalAudits: audits.length,
-            avgScore: parseFloat((totalScore / audits.length).toFixed(1)),
-            issuesFound: totalIssues,
-            criticalIssues: totalCritical,
-            timeSaved: audits.length * 0.5 // Hypothetical 30m saved per audit
+            totalAudits: stats.totalAudits,
+            avgScore: parseFloat(Number(stats.avgScore).toFixed(1)),
+            issuesFound: stats.issuesFound,
+            criticalIssues: stats.criticalIssues,
+            timeSaved: stats.totalAudits * 0.5 // Hypothetical 30m saved per audit
         }
     }
 
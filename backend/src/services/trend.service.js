@@ -0,0 +1,128 @@
+import database from '../db/index.js'
+
+// A run regresses when its score falls this many points below the rolling baseline
+const envThreshold = parseFloat(process.env.REGRESSION_THRESHOLD)
+const DEFAULT_THRESHOLD = Number.isFinite(envThreshold) ? envThreshold : 5
+// Number of preceding runs averaged into the baseline
+const DEFAULT_WINDOW = parseInt(process.env.REGRESSION_WINDOW) || 5
+const MAX_TREND_AUDITS = 1000
+
+// Core Web Vitals recorded on PageSpeed audits (lower is better for all of them)
+export const VITALS = ['lcp', 'fcp', 'tbt', 'cls', 'si']
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits
+
+const average = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null
+
+/**
+ * Score Trends & Regression Detection
+ * Groups historic audits into one time series per URL + audit type and compares
+ * every run with the average of the runs before it.
+ */
+class TrendService {
+    resolveOptions({ threshold, window } = {}) {
+        return {
+            threshold: Number.isFinite(threshold) && threshold >= 0 ? threshold : DEFAULT_THRESHOLD,
+            window: Number.isInteger(window) && window > 0 ? window : DEFAULT_WINDOW
+        }
+    }
+
+    /**
+     * Compare a score with the rolling baseline of earlier runs (oldest first).
+     * @returns {Object|null} { baseline, score, drop, threshold } when the drop exceeds the threshold
+     */
+    detectRegression(previous, score, options = {}) {
+        const { threshold, window } = this.resolveOptions(options)
+        if (typeof score !== 'number') return null
+
+        const baseline = average(previous
+            .map(a => a.score)
+            .filter(s => typeof s === 'number')
+            .slice(-window))
+        if (baseline === null) return null
+
+        const drop = baseline - score
+        if (drop <= threshold) return null
+
+        return { baseline: round(baseline), score, drop: round(drop), threshold }
+    }
+
+    /**
+     * Regression check for an audit about to be recorded, against earlier runs
+     * of the same URL and type - within its project, or the same user's runs
+     * when it has none (like the history scope).
+     */
+    async checkRegression({ url, type, score, projectId, userId }) {
+        if (!url || !type || typeof score !== 'number') return null
+        // Nobody to compare against: an unfiltered lookup would mix in everyone's runs
+        if (!projectId && !userId) return null
+
+        const { window } = this.resolveOptions()
+        const scope = projectId ? { projectId } : { userId }
+        const previous = await database.listAudits({ url, type, ...scope, limit: window })
+        return this.detectRegression(previous.reverse(), score)
+    }
+
+    /**
+     * Time series of score, issue counts and Web Vitals per URL + type.
+     * @param {Object} filters - { url, type, projectId, userId, days, threshold, window }
+     */
+    async getTrends({ url, type, projectId, userId, days, ...options } = {}) {
+        const { threshold, window } = this.resolveOptions(options)
+        const since = days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : undefined
+
+        const audits = await database.listAudits({ url, type, projectId, userId, since, limit: MAX_TREND_AUDITS })
+
+        const groups = new Map()
+        for (const audit of audits.reverse()) {
+            const key = `${audit.type}|${audit.url}`
+            if (!groups.has(key)) {
+                groups.set(key, { key, url: audit.url, type: audit.type, points: [] })
+            }
+            groups.get(key).points.push(audit)
+        }
+
+        const series = Array.from(groups.values()).map((group) => {
+            const points = group.points.map((audit, index) => {
+                const regression = this.detectRegression(group.points.slice(0, index), audit.score, { threshold, window })
+                return {
+                    id: audit.id,
+                    date: audit.date,
+                    score: audit.score,
+                    issuesFound: audit.issuesFound,
+                    criticalIssues: audit.criticalIssues,
+                    ...(audit.vitals && { vitals: audit.vitals }),
+                    regression: !!regression,
+                    ...(regression && { baseline: regression.baseline })
+                }
+            })
+
+            const latest = points[points.length - 1]
+            const latestRegression = this.detectRegression(group.points.slice(0, -1), latest.score, { threshold, window })
+            const baselineScores = group.points.slice(0, -1).map(a => a.score).filter(s => typeof s === 'number').slice(-window)
+            const baseline = baselineScores.length > 0 ? round(average(baselineScores)) : null
+
+            return {
+                key: group.key,
+                url: group.url,
+                type: group.type,
+                runs: points.length,
+                latest: { id: latest.id, date: latest.date, score: latest.score },
+                baseline,
+                change: baseline !== null && typeof latest.score === 'number' ? round(latest.score - baseline) : null,
+                regression: latestRegression,
+                regressionCount: points.filter(p => p.regression).length,
+                points
+            }
+        }).sort((a, b) => b.latest.date.localeCompare(a.latest.date))
+
+        return {
+            threshold,
+            window,
+            series,
+            regressions: series.filter(s => s.regression).map(({ key, url, type, latest, regression }) => ({ key, url, type, latest, ...regression }))
+        }
+    }
+}
+
+export default new TrendService()
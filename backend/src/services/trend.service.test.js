@@ -0,0 +1,87 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import database from '../db/index.js'
+import trendService from './trend.service.js'
+
+const runs = (scores) => scores.map(score => ({ score }))
+
+// Stored audits come back newest first, like database.listAudits
+const stored = (audits) => audits
+    .map((audit, i) => ({ id: `a${i}`, date: new Date(Date.UTC(2026, 0, 1 + i)).toISOString(), issuesFound: 0, criticalIssues: 0, ...audit }))
+    .reverse()
+
+test('detectRegression compares a score with the average of the last runs', () => {
+    assert.equal(trendService.detectRegression(runs([90, 92, 88]), 86, { threshold: 5 }), null)
+    assert.deepEqual(trendService.detectRegression(runs([90, 92, 88]), 80, { threshold: 5 }), { baseline: 90, score: 80, drop: 10, threshold: 5 })
+    // Only the last `window` runs count
+    assert.deepEqual(trendService.detectRegression(runs([40, 90, 90]), 80, { threshold: 5, window: 2 }), { baseline: 90, score: 80, drop: 10, threshold: 5 })
+})
+
+test('detectRegression needs a score and at least one earlier scored run', () => {
+    assert.equal(trendService.detectRegression([], 10), null)
+    assert.equal(trendService.detectRegression(runs([null, undefined]), 10), null)
+    assert.equal(trendService.detectRegression(runs([90]), null), null)
+})
+
+test('resolveOptions falls back to the defaults for invalid values', () => {
+    const defaults = trendService.resolveOptions()
+    assert.deepEqual(trendService.resolveOptions({ threshold: -1, window: 1.5 }), defaults)
+    assert.deepEqual(trendService.resolveOptions({ threshold: 0, window: 3 }), { threshold: 0, window: 3 })
+})
+
+test('getTrends builds one series per URL and type with regressions flagged', async (t) => {
+    const audits = stored([
+        { url: 'https://example.com', type: 'PageSpeed', score: 90, vitals: { lcp: 2000 } },
+        { url: 'https://example.com', type: 'Accessibility', score: 70 },
+        { url: 'https://example.com', type: 'PageSpeed', score: 92 },
+        { url: 'https://example.com', type: 'PageSpeed', score: 70 },
+        { url: 'https://example.com', type: 'Accessibility', score: 75 }
+    ])
+    const listAudits = t.mock.method(database, 'listAudits', async () => [...audits])
+
+    const trends = await trendService.getTrends({ projectId: 'p1', threshold: 5, window: 5 })
+
+    assert.equal(listAudits.mock.calls[0].arguments[0].projectId, 'p1')
+    assert.deepEqual(trends.series.map(s => [s.type, s.runs, s.baseline, s.change]), [
+        ['Accessibility', 2, 70, 5],
+        ['PageSpeed', 3, 91, -21]
+    ])
+
+    const pageSpeed = trends.series[1]
+    assert.deepEqual(pageSpeed.points.map(p => [p.score, p.regression]), [[90, false], [92, false], [70, true]])
+    assert.deepEqual(pageSpeed.points[0].vitals, { lcp: 2000 })
+    assert.equal(pageSpeed.points[2].baseline, 91)
+    assert.equal(pageSpeed.regressionCount, 1)
+
+    assert.deepEqual(trends.regressions.map(r => [r.key, r.baseline, r.drop]), [['PageSpeed|https://example.com', 91, 21]])
+})
+
+test('getTrends passes the period in days as a since filter', async (t) => {
+    const listAudits = t.mock.method(database, 'listAudits', async () => [])
+
+    const before = Date.now()
+    const trends = await trendService.getTrends({ userId: 'u1', days: 7 })
+    const { since, userId } = listAudits.mock.calls[0].arguments[0]
+
+    assert.equal(userId, 'u1')
+    assert.ok(Math.abs(new Date(since).getTime() - (before - 7 * 24 * 60 * 60 * 1000)) < 1000)
+    assert.deepEqual(trends.series, [])
+    assert.deepEqual(trends.regressions, [])
+})
+
+test('checkRegression compares within the project, or the user\'s own runs without one', async (t) => {
+    const listAudits = t.mock.method(database, 'listAudits', async () => stored([{ score: 90 }, { score: 92 }]))
+    const audit = { url: 'https://example.com', type: 'PageSpeed', score: 70 }
+
+    const regression = await trendService.checkRegression({ ...audit, projectId: 'p1', userId: 'u1' })
+    assert.deepEqual(regression, { baseline: 91, score: 70, drop: 21, threshold: trendService.resolveOptions().threshold })
+    assert.equal(listAudits.mock.calls[0].arguments[0].projectId, 'p1')
+    assert.equal(listAudits.mock.calls[0].arguments[0].userId, undefined)
+
+    await trendService.checkRegression({ ...audit, projectId: null, userId: 'u1' })
+    assert.equal(listAudits.mock.calls[1].arguments[0].userId, 'u1')
+    assert.equal(listAudits.mock.calls[1].arguments[0].projectId, undefined)
+
+    assert.equal(await trendService.checkRegression({ ...audit, projectId: null, userId: null }), null)
+    assert.equal(listAudits.mock.calls.length, 2)
+})
@@ -0,0 +1,263 @@
+import { startFlow } from 'lighthouse'
+import { logger } from '../utils/logger.js'
+import browserPool from '../utils/browser-pool.js'
+import { runPageStep, describeStep } from '../utils/page-steps.js'
+import { deviceProfile } from './lighthouse.service.js'
+import accessibilityService from './accessibility.service.js'
+import authRecipeService from './auth-recipe.service.js'
+import storageService from './storage.service.js'
+
+const STEP_TIMEOUT_MS = parseInt(process.env.FLOW_STEP_TIMEOUT_MS) || 30 * 1000
+
+export const MEASURE_MODES = ['navigation', 'timespan', 'snapshot']
+
+// Lighthouse audits reported per measured step (not every mode has every metric)
+const FLOW_METRICS = {
+    fcp: 'first-contentful-paint',
+    lcp: 'largest-contentful-paint',
+    speedIndex: 'speed-index',
+    tbt: 'total-blocking-time',
+    cls: 'cumulative-layout-shift',
+    inp: 'interaction-to-next-paint'
+}
+
+const CATEGORY_KEYS = {
+    performance: 'performance',
+    accessibility: 'accessibility',
+    'best-practices': 'bestPractices',
+    seo: 'seo'
+}
+
+const MAX_FAILED_AUDITS = 5
+
+/**
+ * Scores, metrics and the worst failing audits of one Lighthouse flow step
+ */
+const summarizeLhr = (lhr) => {
+    const scores = {}
+    for (const [id, key] of Object.entries(CATEGORY_KEYS)) {
+        const score = lhr.categories[id]?.score
+        if (score !== null && score !== undefined) scores[key] = Math.round(score * 100)
+    }
+
+    const metrics = {}
+    for (const [key, id] of Object.entries(FLOW_METRICS)) {
+        const value = lhr.audits[id]?.numericValue
+        if (value !== undefined) metrics[key] = key === 'cls' ? Math.round(value * 1000) / 1000 : Math.round(value)
+    }
+
+    const failedAudits = Object.values(lhr.audits)
+        .filter(audit => ['numeric', 'binary', 'metricSavings'].includes(audit.scoreDisplayMode) && audit.score !== null && audit.score < 0.9)
+        .sort((a, b) => a.score - b.score)
+        .slice(0, MAX_FAILED_AUDITS)
+        .map(({ id, title, score, displayValue }) => ({ id, title, score: Math.round(score * 100), displayValue: displayValue || null }))
+
+    return { gatherMode: lhr.gatherMode, scores, metrics, failedAudits }
+}
+
+/**
+ * User Flows
+ * Runs a scripted journey (e.g. open menu → add to cart → checkout) in one
+ * page on the shared browser. Steps can take a screenshot, run the
+ * accessibility checks on the state they leave the page in, and be measured
+ * with Lighthouse user-flow modes:
+ *   navigation - a page load caused by the step (goto, or a click that navigates)
+ *   timespan   - everything the step triggers (layout shifts, blocking time, INP)
+ *   snapshot   - the page state after the step
+ */
+export class UserFlowService {
+    /**
+     * @param {Object} flow - { name, url, device, steps } as validated by parseUserFlowRequest
+     * @param {Object} [options] - { onProgress, auth }
+     * @returns {Object} Per-step report
+     */
+    async runFlow({ name, url, device = 'mobile', steps }, { onProgress = () => { }, auth = null } = {}) {
+        const startTime = Date.now()
+        const profile = deviceProfile(device)
+        const measured = steps.some(step => step.measure)
+
+        logger.info(`🧭 User flow "${name}": ${steps.length} steps from ${url} (${device})`)
+
+        const browser = await browserPool.getBrowser()
+        const page = await authRecipeService.openPage(browser, auth)
+        const report = []
+        let lighthouseError = null
+
+        try {
+            const { width, height, deviceScaleFactor, mobile } = profile.screenEmulation
+            await page.setViewport({ width, height, deviceScaleFactor, isMobile: mobile, hasTouch: mobile })
+            await page.setUserAgent(profile.userAgent)
+
+            if (auth) {
+                onProgress(`Signing in with "${auth.name}"`, 3)
+                await authRecipeService.authenticate(page, url, auth)
+            }
+
+            // Flows measure the page as the browser experiences it (no simulated throttling),
+            // and keep the storage the flow built up (logins, carts) between navigations
+            const flow = measured
+                ? await startFlow(page, {
+                    name,
+                    config: {
+                        extends: 'lighthouse:default',
+                        settings: {
+                            formFactor: profile.formFactor,
+                            screenEmulation: profile.screenEmulation,
+                            emulatedUserAgent: profile.userAgent,
+                            throttlingMethod: 'provided',
+                            disableStorageReset: true,
+                            onlyCategories: Object.keys(CATEGORY_KEYS),
+                            skipAudits: ['screenshot-thumbnails', 'final-screenshot', 'full-page-screenshot']
+                        }
+                    }
+                })
+                : null
+
+            // Steps start on the flow's page unless the first one goes somewhere else
+            if (steps[0].action !== 'goto') {
+                onProgress('Loading start page', 5)
+                await page.goto(url, { waitUntil: 'networkidle2', timeout: STEP_TIMEOUT_MS })
+            }
+
+            for (const [index, step] of steps.entries()) {
+                const stepName = `${index + 1}. ${step.name || describeStep(step)}`
+                onProgress(`Step ${stepName}`, 5 + (index / steps.length) * 85, { step: index + 1, steps: steps.length })
+
+                const entry = { step: index + 1, name: stepName, action: step.action, measure: step.measure || null }
+                const stepStart = Date.now()
+                report.push(entry)
+
+                try {
+                    await this.runStep(flow, page, step, url, stepName)
+                    entry.url = page.url()
+                    entry.durationMs = Date.now() - stepStart
+
+                    if (step.screenshot) {
+                        const buffer = await page.screenshot({ type: 'png' })
+                        entry.screenshotUrl = await storageService.saveScreenshot(`flow-${startTime}-step-${index + 1}.png`, buffer)
+                    }
+                    if (step.accessibility) {
+                        entry.accessibility = await this.checkAccessibility(page)
+                    }
+                } catch (err) {
+                    // Later steps depend on this one, so the flow stops here
+                    entry.error = err.message
+                    entry.durationMs = Date.now() - stepStart
+                    logger.warn(`User flow "${name}" failed at step ${stepName}: ${err.message}`)
+                    break
+                }
+            }
+
+            if (flow) {
+                onProgress('Computing Lighthouse results', 92)
+                try {
+                    const flowResult = await flow.createFlowResult()
+                    for (const { name: lhName, lhr } of flowResult.steps) {
+                        const entry = report.find(e => e.name === lhName)
+                        if (entry) entry.lighthouse = summarizeLhr(lhr)
+                    }
+                } catch (err) {
+                    lighthouseError = err.message
+                    logger.warn(`Lighthouse results of user flow "${name}" unavailable: ${err.message}`)
+                }
+            }
+        } finally {
+            await page.close().catch(() => { })
+        }
+
+        return this.buildReport({ name, url, device, steps, report, lighthouseError, startTime })
+    }
+
+    /**
+     * Run a step, wrapped in the Lighthouse measurement it asks for
+     */
+    async runStep(flow, page, step, baseUrl, stepName) {
+        const options = { timeout: STEP_TIMEOUT_MS }
+
+        if (!flow || !step.measure) {
+            return runPageStep(page, step, baseUrl, options)
+        }
+
+        switch (step.measure) {
+            case 'navigation':
+                if (step.action === 'goto') {
+                    return flow.navigate(new URL(step.url, baseUrl).href, { name: stepName })
+                }
+                // Lighthouse waits for the load itself
+                await flow.startNavigation({ name: stepName })
+                await runPageStep(page, { ...step, waitForNavigation: false }, baseUrl, options)
+                return flow.endNavigation()
+            case 'timespan':
+                await flow.startTimespan({ name: stepName })
+                try {
+                    await runPageStep(page, step, baseUrl, options)
+                } finally {
+                    await flow.endTimespan()
+                }
+                return
+            case 'snapshot':
+                await runPageStep(page, step, baseUrl, options)
+                return flow.snapshot({ name: stepName })
+        }
+    }
+
+    /**
+     * Accessibility checks on the current state of the page, without issue screenshots
+     */
+    async checkAccessibility(page) {
+        const result = await accessibilityService.analyzePage(page, page.url(), { screenshots: false })
+        return {
+            score: result.score,
+            wcagLevel: result.wcagLevel,
+            errorCount: result.errors.length,
+            alertCount: result.alerts.length,
+            errors: result.errors.slice(0, 10).map(({ rule, category, description, wcag, element }) => ({ rule, category, description, wcag, element }))
+        }
+    }
+
+    /**
+     * Flow-level result: the score is the mean of every step's Lighthouse
+     * performance and accessibility scores; a failed step fails the flow.
+     */
+    buildReport({ name, url, device, steps, report, lighthouseError, startTime }) {
+        const failed = report.find(entry => entry.error)
+        const stepScores = report.flatMap(entry => [
+            entry.lighthouse?.scores.performance,
+            entry.accessibility?.score
+        ]).filter(score => typeof score === 'number')
+
+        const score = stepScores.length > 0
+            ? Math.round(stepScores.reduce((sum, s) => sum + s, 0) / stepScores.length)
+            : failed ? 0 : 100
+
+        const failedAudits = report.reduce((sum, entry) => sum + (entry.lighthouse?.failedAudits.length || 0), 0)
+        const accessibilityErrors = report.reduce((sum, entry) => sum + (entry.accessibility?.errorCount || 0), 0)
+        const accessibilityAlerts = report.reduce((sum, entry) => sum + (entry.accessibility?.alertCount || 0), 0)
+
+        return {
+            ok: true,
+            name,
+            score,
+            completed: !failed,
+            failedStep: failed ? failed.step : null,
+            steps: report,
+            summary: {
+                totalSteps: steps.length,
+                completedSteps: report.filter(entry => !entry.error).length,
+                measuredSteps: report.filter(entry => entry.lighthouse).length,
+                failedAudits,
+                accessibilityErrors,
+                accessibilityAlerts,
+                ...(lighthouseError && { lighthouseError })
+            },
+            metadata: {
+                url,
+                device,
+                durationMs: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            }
+        }
+    }
+}
+
+export default new UserFlowService()
@@ -7,20 +7,26 @@ import { logger } from '../utils/logger.js'
 export class UXAuditorService {
 
     /**
-     * Perform full UX audit on crawled data
+     * Perform full UX audit on crawled data.
+     * Options: breakpoints (the page is audited at several viewports, so responsive
+     * issues are measured at each one instead of guessed from a desktop render)
      */
-    async performFullAudit(crawlData, elements) {
+    async performFullAudit(crawlData, elements, { breakpoints = false } = {}) {
         logger.info('Starting comprehensive UX audit')
 
         const results = {
             platform: this.detectPlatform(crawlData.html),
             pageSummary: this.generatePageSummary(elements),
-            layoutIssues: this.detectLayoutIssues(elements),
+            layoutIssues: this.detectLayoutIssues(elements, crawlData.viewport?.width),
             spacingIssues: this.detectSpacingIssues(elements),
             typographyIssues: this.detectTypographyIssues(elements),
             colorIssues: this.detectColorIssues(elements),
             componentIssues: this.detectComponentIssues(elements),
-            responsiveIssues: this.detectResponsiveIssues(elements),
+            responsiveIssues: this.detectResponsiveIssues(elements, {
+                viewport: crawlData.viewport,
+                scrollWidth: crawlData.scrollWidth,
+                guessFromDesktop: !breakpoints
+            }),
             criticalViolations: [],
             recommendedFixes: [],
             finalCSSPatch: ''
@@ -38,6 +44,31 @@ export class UXAuditorService {
         return results
     }
 
+    /**
+     * Flatten the per-category issue lists of an audit
+     */
+    collectIssues(auditResults) {
+        return [
+            ...auditResults.layoutIssues,
+            ...auditResults.spacingIssues,
+            ...auditResults.typographyIssues,
+            ...auditResults.colorIssues,
+            ...auditResults.componentIssues,
+            ...auditResults.responsiveIssues
+        ]
+    }
+
+    /**
+     * Overall UX score: 100 minus weighted deductions per severity
+     */
+    calculateScore(issues) {
+        const criticalCount = issues.filter(i => i.severity === 'critical').length
+        const warningCount = issues.filter(i => i.severity === 'warning').length
+        const minorCount = issues.filter(i => i.severity === 'minor').length
+
+        return Math.max(0, 100 - (criticalCount * 15) - (warningCount * 7) - (minorCount * 3))
+    }
+
     /**
      * Detect platform (WordPress, Shopify, Webflow, etc.)
      */
@@ -78,9 +109,9 @@ export class UXAuditorService {
     }
 
     /**
-     * Detect layout issues
+     * Detect layout issues (overflow is measured against the rendered viewport width)
      */
-    detectLayoutIssues(elements) {
+    detectLayoutIssues(elements, viewportWidth = 1920) {
         const issues = []
 
         // Check for uneven column widths in grids
@@ -136,7 +167,7 @@ export class UXAuditorService {
 
         // Check for horizontal overflow
         const overflowElements = elements.filter(el =>
-            el.x < 0 || (el.x + el.width) > 1920
+            el.x < 0 || (el.x + el.width) > viewportWidth
         )
 
         if (overflowElements.length > 0) {
@@ -146,7 +177,7 @@ export class UXAuditorService {
                 category: 'Horizontal Overflow',
                 description: `${overflowElements.length} elements extend beyond viewport`,
                 element: overflowElements.slice(0, 3).map(el => el.selector || el.tag).join(', '),
-                liveValue: 'Elements exceed 1920px width',
+                liveValue: `Elements exceed ${viewportWidth}px width`,
                 recommendation: 'Add overflow-x: hidden to body and ensure all elements have max-width',
                 cssSelector: 'body',
                 cssFix: `body {\n  overflow-x: hidden;\n}\n\n* {\n  max-width: 100%;\n}`,
@@ -519,15 +550,17 @@ export class UXAuditorService {
     }
 
     /**
-     * Detect responsive issues
+     * Detect responsive issues: guessed from a desktop render, or measured at
+     * the viewport the page was rendered at (horizontal scroll, touch targets)
      */
-    detectResponsiveIssues(elements) {
+    detectResponsiveIssues(elements, { viewport = null, scrollWidth = null, guessFromDesktop = true } = {}) {
         const issues = []
 
-        // Check for fixed widths that might break on mobile
-        const fixedWidthElements = elements.filter(el =>
-            el.width > 768 && !el.selector?.includes('container')
-        )
+        // Check for fixed widths that might break on mobile (only a guess when
+        // the page was rendered at a single desktop width)
+        const fixedWidthElements = guessFromDesktop
+            ? elements.filter(el => el.width > 768 && !el.selector?.includes('container'))
+            : []
 
         if (fixedWidthElements.length > 10) {
             issues.push({
@@ -543,6 +576,48 @@ export class UXAuditorService {
             })
         }
 
+        if (!viewport) return issues
+
+        // The document is wider than the viewport: the page scrolls sideways
+        if (scrollWidth > viewport.width + 1) {
+            const culprits = elements.filter(el => el.x + el.width > viewport.width + 1).sort((a, b) => (b.x + b.width) - (a.x + a.width))
+            issues.push({
+                severity: 'critical',
+                type: 'responsive',
+                category: 'Horizontal Scroll',
+                description: `Page is ${Math.round(scrollWidth)}px wide at a ${viewport.width}px viewport`,
+                element: culprits.slice(0, 3).map(el => el.selector || el.tag).join(', ') || 'page',
+                liveValue: `${Math.round(scrollWidth - viewport.width)}px horizontal scroll`,
+                recommendation: 'Let wide elements shrink (max-width: 100%, flexible grids) or wrap instead of forcing a minimum width',
+                cssSelector: 'html',
+                cssFix: `img, video, iframe, table {\n  max-width: 100%;\n}\n\npre, code {\n  overflow-x: auto;\n}`,
+                ...(culprits[0] && { coordinates: { x: culprits[0].x, y: culprits[0].y, width: culprits[0].width, height: culprits[0].height } })
+            })
+        }
+
+        // Touch viewports: controls below the WCAG 2.5.8 minimum target size (inline links are exempt)
+        if (viewport.hasTouch) {
+            const smallTargets = elements.filter(el =>
+                ['a', 'button', 'input', 'select', 'textarea'].includes(el.tag) &&
+                !(el.tag === 'a' && el.display === 'inline') &&
+                (el.width < 24 || el.height < 24)
+            )
+            if (smallTargets.length > 0) {
+                issues.push({
+                    severity: smallTargets.length > 5 ? 'warning' : 'minor',
+                    type: 'responsive',
+                    category: 'Touch Targets',
+                    description: `${smallTargets.length} controls smaller than 24x24px on a touch screen`,
+                    element: smallTargets.slice(0, 3).map(el => el.selector || el.tag).join(', '),
+                    liveValue: `${Math.round(smallTargets[0].width)}x${Math.round(smallTargets[0].height)}px`,
+                    recommendation: 'Give buttons, links and form controls at least 24x24px (44x44px preferred) of tappable area',
+                    cssSelector: 'a, button, input, select, textarea',
+                    cssFix: `button, .btn, nav a {\n  min-width: 44px;\n  min-height: 44px;\n}`,
+                    coordinates: { x: smallTargets[0].x, y: smallTargets[0].y, width: smallTargets[0].width, height: smallTargets[0].height }
+                })
+            }
+        }
+
         return issues
     }
 
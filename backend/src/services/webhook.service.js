@@ -0,0 +1,321 @@
+import crypto from 'crypto'
+import axios from 'axios'
+import database from '../db/index.js'
+import { logger } from '../utils/logger.js'
+
+// Attempts per delivery (first try included) and the delay before the first retry, doubled after each failure
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5
+const RETRY_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 30 * 1000
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000
+const MAX_LISTED_ISSUES = 20
+
+export const WEBHOOK_EVENTS = {
+    'audit.completed': 'An audit finished and was recorded in history',
+    'score.regressed': 'A score fell below the rolling baseline of earlier runs',
+    'accessibility.critical': 'An accessibility check found critical errors that the previous run of the URL did not have',
+    'layout.critical': 'A live vs stage comparison found critical differences'
+}
+
+const auditSummary = (audit) => ({
+    id: audit.id,
+    date: audit.date,
+    url: audit.url,
+    type: audit.type,
+    score: audit.score,
+    status: audit.status,
+    issuesFound: audit.issuesFound,
+    criticalIssues: audit.criticalIssues,
+    projectId: audit.projectId,
+    userId: audit.userId
+})
+
+const issueKey = (issue) => `${issue.rule}|${issue.element}`
+
+/**
+ * Outbound Webhooks
+ * Webhooks belong to a project (or, when none is set, to their creator's
+ * audits outside any project) and subscribe to events. Each event is POSTed as JSON, signed with the webhook's
+ * secret, and retried with exponential backoff until the receiver answers 2xx.
+ * Every attempt is recorded in the delivery log.
+ */
+class WebhookService {
+    constructor() {
+        this.timers = new Map()
+    }
+
+    /**
+     * Resume deliveries that were waiting for a retry when the server stopped
+     */
+    async start() {
+        const waiting = [
+            ...await database.listWebhookDeliveries({ status: 'pending', limit: 500 }),
+            ...await database.listWebhookDeliveries({ status: 'retrying', limit: 500 })
+        ]
+        for (const delivery of waiting) {
+            this.scheduleAttempt(delivery.id, delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt) - Date.now() : 0)
+        }
+        if (waiting.length > 0) {
+            logger.info(`Resumed ${waiting.length} pending webhook deliveries`)
+        }
+    }
+
+    stop() {
+        for (const timer of this.timers.values()) clearTimeout(timer)
+        this.timers.clear()
+    }
+
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`
+    }
+
+    /**
+     * HMAC-SHA256 over "<timestamp>.<body>", hex encoded.
+     * Receivers recompute it from the X-FAIS-Timestamp header and the raw body.
+     */
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+    }
+
+    /**
+     * Whether a webhook covers audits run under { userId, projectId }: a
+     * project's webhooks that project's audits, the others their creator's
+     * audits outside any project
+     */
+    inScope(webhook, { userId, projectId } = {}) {
+        if (webhook.projectId) return webhook.projectId === String(projectId)
+        return !projectId && !!webhook.createdBy && webhook.createdBy === String(userId)
+    }
+
+    async listWebhooks(filters = {}) {
+        return database.listWebhooks(filters)
+    }
+
+    async getWebhook(id) {
+        return database.getWebhook(id)
+    }
+
+    async createWebhook({ name, url, events, enabled = true }, { userId, projectId } = {}) {
+        return database.createWebhook({
+            id: crypto.randomUUID(),
+            name,
+            url,
+            secret: this.generateSecret(),
+            events,
+            enabled,
+            projectId: projectId || null,
+            createdBy: userId || null,
+            createdAt: new Date().toISOString()
+        })
+    }
+
+    async updateWebhook(id, { rotateSecret, ...updates }) {
+        return database.updateWebhook(id, {
+            ...updates,
+            ...(rotateSecret && { secret: this.generateSecret() }),
+            updatedAt: new Date().toISOString()
+        })
+    }
+
+    async deleteWebhook(id) {
+        const deliveries = await database.listWebhookDeliveries({ webhookId: id, limit: 500 })
+        for (const delivery of deliveries) {
+            clearTimeout(this.timers.get(delivery.id))
+            this.timers.delete(delivery.id)
+        }
+        return database.deleteWebhook(id)
+    }
+
+    async listDeliveries(webhookId, { limit } = {}) {
+        return database.listWebhookDeliveries({ webhookId, limit })
+    }
+
+    async getDelivery(id) {
+        return database.getWebhookDelivery(id)
+    }
+
+    /**
+     * Derive events from a freshly recorded audit and send them.
+     * Called by the storage service after every addAudit.
+     */
+    async notifyAudit(audit, result = null) {
+        const data = { audit: auditSummary(audit) }
+        const scope = { userId: audit.userId, projectId: audit.projectId }
+
+        await this.emit('audit.completed', data, scope)
+
+        if (audit.regression) {
+            await this.emit('score.regressed', { ...data, regression: audit.regression }, scope)
+        }
+
+        if (audit.type === 'Accessibility' && result?.errors) {
+            const issues = await this.findNewCriticalIssues(audit, result.errors)
+            if (issues.length > 0) {
+                await this.emit('accessibility.critical', {
+                    ...data,
+                    newCriticalIssues: issues.length,
+                    issues: issues.slice(0, MAX_LISTED_ISSUES).map(({ rule, description, element, wcag }) => ({ rule, description, element, wcag }))
+                }, scope)
+            }
+        }
+
+        if (audit.type === 'Advanced Comparison' && result?.summary?.criticalIssues > 0) {
+            await this.emit('layout.critical', {
+                ...data,
+                criticalDifferences: result.summary.criticalIssues,
+                differences: (result.differences || [])
+                    .filter(d => d.severity === 'critical')
+                    .slice(0, MAX_LISTED_ISSUES)
+                    .map(({ selector, category, property, liveValue, stageValue }) => ({ selector, category, property, liveValue, stageValue }))
+            }, scope)
+        }
+    }
+
+    /**
+     * Critical errors of this run that the previous stored run of the same URL didn't report
+     */
+    async findNewCriticalIssues(audit, errors) {
+        const critical = errors.filter(e => e.impact === 'critical')
+        if (critical.length === 0) return []
+
+        // Runs recorded after this one may already exist since notifications are sent in the background
+        const [previous] = (await database.listAudits({ url: audit.url, type: audit.type, projectId: audit.projectId || undefined, until: audit.date, limit: 5 }))
+            .filter(a => a.id !== audit.id && a.hasReport)
+        const previousResult = previous ? await database.getAuditResult(previous.id) : null
+        if (!previousResult?.errors) return critical
+
+        const known = new Set(previousResult.errors.filter(e => e.impact === 'critical').map(issueKey))
+        return critical.filter(e => !known.has(issueKey(e)))
+    }
+
+    /**
+     * Queue a delivery of `event` to every enabled webhook subscribed to it that covers the audit's scope
+     */
+    async emit(event, data, scope = {}) {
+        const webhooks = (await database.listWebhooks({ enabled: true }))
+            .filter(w => w.events.includes(event) && this.inScope(w, scope))
+
+        for (const webhook of webhooks) {
+            const delivery = await this.createDelivery(webhook, {
+                id: crypto.randomUUID(),
+                event,
+                createdAt: new Date().toISOString(),
+                data
+            })
+            this.scheduleAttempt(delivery.id, 0)
+        }
+        return webhooks.length
+    }
+
+    /**
+     * Send a `ping` event right away and wait for the first attempt
+     */
+    async sendTest(webhook) {
+        const delivery = await this.createDelivery(webhook, {
+            id: crypto.randomUUID(),
+            event: 'ping',
+            createdAt: new Date().toISOString(),
+            data: { webhook: { id: webhook.id, name: webhook.name }, events: webhook.events }
+        })
+        return this.attempt(delivery.id)
+    }
+
+    /**
+     * Send a logged payload again as a new delivery (same event id, so receivers can dedupe)
+     */
+    async redeliver(delivery) {
+        const webhook = await database.getWebhook(delivery.webhookId)
+        const copy = await this.createDelivery(webhook, delivery.payload)
+        return this.attempt(copy.id)
+    }
+
+    async createDelivery(webhook, payload) {
+        return database.createWebhookDelivery({
+            id: crypto.randomUUID(),
+            webhookId: webhook.id,
+            event: payload.event,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            createdAt: new Date().toISOString()
+        })
+    }
+
+    scheduleAttempt(deliveryId, delayMs) {
+        clearTimeout(this.timers.get(deliveryId))
+        const timer = setTimeout(() => {
+            this.timers.delete(deliveryId)
+            this.attempt(deliveryId).catch(err => logger.error(`Webhook delivery ${deliveryId} crashed:`, err))
+        }, Math.max(0, delayMs))
+        timer.unref()
+        this.timers.set(deliveryId, timer)
+    }
+
+    /**
+     * Wait before the attempt after `attempts` failed ones: RETRY_DELAY_MS, then doubled each time
+     */
+    retryDelay(attempts) {
+        return RETRY_DELAY_MS * 2 ** (attempts - 1)
+    }
+
+    /**
+     * POST the delivery once; on failure schedule the next attempt or give up
+     */
+    async attempt(deliveryId) {
+        const delivery = await database.getWebhookDelivery(deliveryId)
+        if (!delivery || delivery.status === 'delivered' || delivery.status === 'failed') return delivery
+
+        const webhook = await database.getWebhook(delivery.webhookId)
+        if (!webhook) return delivery
+
+        const body = JSON.stringify(delivery.payload)
+        const timestamp = Math.floor(Date.now() / 1000)
+        const attempts = delivery.attempts + 1
+        const startTime = Date.now()
+        let responseStatus = null
+        let error = null
+
+        try {
+            const response = await axios.post(webhook.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'FrontendAISuite-Webhooks/1.0',
+                    'X-FAIS-Event': delivery.event,
+                    'X-FAIS-Delivery': delivery.id,
+                    'X-FAIS-Timestamp': String(timestamp),
+                    'X-FAIS-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+                },
+                timeout: TIMEOUT_MS,
+                maxRedirects: 0,
+                validateStatus: () => true
+            })
+            responseStatus = response.status
+            if (response.status < 200 || response.status >= 300) {
+                error = `Receiver responded with HTTP ${response.status}`
+            }
+        } catch (err) {
+            error = err.code ? `${err.code}: ${err.message}` : err.message
+        }
+
+        const durationMs = Date.now() - startTime
+        const updates = { attempts, responseStatus, durationMs, error, updatedAt: new Date().toISOString() }
+
+        if (!error) {
+            return database.updateWebhookDelivery(delivery.id, { ...updates, status: 'delivered', nextAttemptAt: null })
+        }
+
+        if (attempts >= MAX_ATTEMPTS) {
+            logger.warn(`Webhook delivery ${delivery.id} (${delivery.event} → ${webhook.url}) failed after ${attempts} attempts: ${error}`)
+            return database.updateWebhookDelivery(delivery.id, { ...updates, status: 'failed', nextAttemptAt: null })
+        }
+
+        const delayMs = this.retryDelay(attempts)
+        this.scheduleAttempt(delivery.id, delayMs)
+        return database.updateWebhookDelivery(delivery.id, {
+            ...updates,
+            status: 'retrying',
+            nextAttemptAt: new Date(Date.now() + delayMs).toISOString()
+        })
+    }
+}
+
+export default new WebhookService()
@@ -0,0 +1,72 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import axios from 'axios'
+import database from '../db/index.js'
+import webhookService from './webhook.service.js'
+
+const webhook = { id: 'w1', url: 'https://hooks.example.com/fais', secret: 'whsec_test', events: ['audit.completed'], projectId: null, createdBy: 'u1' }
+const delivery = (attempts) => ({ id: 'd1', webhookId: 'w1', event: 'ping', payload: { event: 'ping' }, status: attempts ? 'retrying' : 'pending', attempts })
+
+// One attempt of a delivery with the database and receiver stubbed; returns the stored update and scheduled retry
+const attemptWith = async (t, { attempts = 0, respond }) => {
+    t.mock.method(database, 'getWebhookDelivery', async () => delivery(attempts))
+    t.mock.method(database, 'getWebhook', async () => webhook)
+    const update = t.mock.method(database, 'updateWebhookDelivery', async (id, updates) => updates)
+    const post = t.mock.method(axios, 'post', respond)
+    const schedule = t.mock.method(webhookService, 'scheduleAttempt', () => { })
+
+    await webhookService.attempt('d1')
+    return { updates: update.mock.calls[0].arguments[1], post: post.mock.calls[0]?.arguments, retry: schedule.mock.calls[0]?.arguments }
+}
+
+test('sign is an HMAC-SHA256 of the timestamp and body', () => {
+    assert.equal(webhookService.sign('whsec_test', 1700000000, '{"event":"ping"}'), 'aa8efe37b751e71157c508c5ac4acb1e9fe5225db98355dfc00f4b680afbc447')
+    assert.notEqual(webhookService.sign('whsec_test', 1700000001, '{"event":"ping"}'), webhookService.sign('whsec_test', 1700000000, '{"event":"ping"}'))
+})
+
+test('retryDelay doubles after every failed attempt', () => {
+    const first = webhookService.retryDelay(1)
+
+    assert.ok(first > 0)
+    assert.deepEqual([2, 3, 4].map(n => webhookService.retryDelay(n)), [first * 2, first * 4, first * 8])
+})
+
+test('inScope limits webhooks without a project to their creator\'s unassigned audits', () => {
+    const project = { ...webhook, projectId: 'p1' }
+
+    assert.ok(webhookService.inScope(project, { userId: 'u2', projectId: 'p1' }))
+    assert.ok(!webhookService.inScope(project, { userId: 'u1', projectId: null }))
+    assert.ok(webhookService.inScope(webhook, { userId: 'u1', projectId: null }))
+    assert.ok(!webhookService.inScope(webhook, { userId: 'u1', projectId: 'p1' }))
+    assert.ok(!webhookService.inScope(webhook, { userId: 'u2' }))
+    assert.ok(!webhookService.inScope({ ...webhook, createdBy: null }, { userId: undefined }))
+})
+
+test('attempt posts the signed payload and marks it delivered on 2xx', async (t) => {
+    const { updates, post, retry } = await attemptWith(t, { respond: async () => ({ status: 204 }) })
+    const [url, body, { headers }] = post
+
+    assert.equal(url, webhook.url)
+    assert.equal(headers['X-FAIS-Delivery'], 'd1')
+    assert.equal(headers['X-FAIS-Signature'], `sha256=${webhookService.sign(webhook.secret, headers['X-FAIS-Timestamp'], body)}`)
+    assert.deepEqual([updates.status, updates.attempts, updates.responseStatus, updates.error], ['delivered', 1, 204, null])
+    assert.equal(retry, undefined)
+})
+
+test('attempt schedules a retry with backoff after a failure', async (t) => {
+    const before = Date.now()
+    const { updates, retry } = await attemptWith(t, { attempts: 1, respond: async () => ({ status: 500 }) })
+
+    assert.deepEqual([updates.status, updates.attempts, updates.error], ['retrying', 2, 'Receiver responded with HTTP 500'])
+    assert.deepEqual(retry, ['d1', webhookService.retryDelay(2)])
+    assert.ok(new Date(updates.nextAttemptAt).getTime() >= before + webhookService.retryDelay(2))
+})
+
+test('attempt gives up after the last attempt', async (t) => {
+    const error = Object.assign(new Error('connect refused'), { code: 'ECONNREFUSED' })
+    const { updates, retry } = await attemptWith(t, { attempts: 4, respond: async () => { throw error } })
+
+    assert.deepEqual([updates.status, updates.attempts, updates.nextAttemptAt], ['failed', 5, null])
+    assert.equal(updates.error, 'ECONNREFUSED: connect refused')
+    assert.equal(retry, undefined)
+})
@@ -0,0 +1,392 @@
+import { buildStableSelector } from './visual-diff-helpers.js'
+
+/**
+ * DOM Tree Diff Utilities
+ * Purpose: Capture the rendered element tree of a page and diff two trees
+ * node by node. Nodes are keyed by stable selectors (buildStableSelector) and
+ * classified as added, removed, moved, text-changed or attribute-changed.
+ */
+
+const CAPTURE_OPTIONS = {
+    maxNodes: 4000,
+    maxDepth: 60,
+    maxText: 200,
+    maxAttribute: 200,
+    skippedTags: ['script', 'style', 'noscript', 'template', 'link', 'meta'],
+    // Attributes that differ between builds without changing the page (styles are diffed separately)
+    volatileAttributes: '^(style|nonce|integrity|data-layout-ignore|data-v-[\\w-]*)$'
+}
+
+// Changes kept in the flat list and in the display tree
+const MAX_CHANGES = 300
+
+// Larger sibling lists are aligned greedily instead of by LCS
+const MAX_ALIGNMENT_CELLS = 250000
+
+const STATUS_PRIORITY = ['added', 'removed', 'moved', 'text-changed', 'attribute-changed']
+
+/**
+ * Runs in the page: the element tree under <body>. Same-origin URLs in
+ * attributes are made relative so both environments compare equal.
+ * Elements inside ignored content (see ignore-regions.js) are leaves.
+ */
+function captureDomTree(buildStableSelector, options) {
+    const volatile = new RegExp(options.volatileAttributes)
+    const origin = location.origin
+    let count = 0
+    let truncated = false
+
+    const stripOrigin = (value) => value.startsWith(origin) ? value.slice(origin.length) || '/' : value
+    const ownText = (el) => Array.from(el.childNodes)
+        .filter(n => n.nodeType === Node.TEXT_NODE)
+        .map(n => n.textContent)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, options.maxText)
+
+    const visit = (el, depth) => {
+        if (count >= options.maxNodes) {
+            truncated = true
+            return null
+        }
+        count++
+
+        const node = { key: buildStableSelector(el) || el.tagName.toLowerCase(), tag: el.tagName.toLowerCase(), children: [] }
+        if (el.hasAttribute('data-layout-ignore')) {
+            node.ignored = true
+            return node
+        }
+
+        node.text = ownText(el)
+        node.attributes = {}
+        for (const { name, value } of Array.from(el.attributes)) {
+            if (!volatile.test(name)) node.attributes[name] = stripOrigin(value).slice(0, options.maxAttribute)
+        }
+
+        if (depth >= options.maxDepth) {
+            if (el.children.length > 0) truncated = true
+            return node
+        }
+        for (const child of Array.from(el.children)) {
+            if (options.skippedTags.includes(child.tagName.toLowerCase()) || child.hasAttribute('data-layout-mask')) continue
+            const captured = visit(child, depth + 1)
+            if (captured) node.children.push(captured)
+        }
+        return node
+    }
+
+    return { root: visit(document.body, 0), nodes: count, truncated }
+}
+
+/**
+ * Element tree of a rendered page
+ * @returns {Promise<Object>} { root, nodes, truncated }
+ */
+export const captureDomTreeOf = (page) =>
+    page.evaluate(`(${captureDomTree})(${buildStableSelector}, ${JSON.stringify(CAPTURE_OPTIONS)})`)
+
+const signatureOf = (node) => {
+    const classes = (node.attributes?.class || '').split(/\s+/).filter(Boolean).sort()
+    return node.tag + (node.attributes?.id ? `#${node.attributes.id}` : '') + classes.map(c => `.${c}`).join('')
+}
+
+const labelOf = (node) => {
+    const classes = (node.attributes?.class || '').split(/\s+/).filter(Boolean).slice(0, 2)
+    return node.tag + (node.attributes?.id ? `#${node.attributes.id}` : '') + classes.map(c => `.${c}`).join('')
+}
+
+/**
+ * Flat list of a captured tree in document order, with parent links
+ */
+const flatten = (root) => {
+    const entries = []
+    const walk = (node, parent, index) => {
+        const entry = { node, parent, index, children: [], match: null, signature: signatureOf(node) }
+        entries.push(entry)
+        entry.children = node.children.map((child, i) => walk(child, entry, i))
+        return entry
+    }
+    if (root) walk(root, null, 0)
+    return entries
+}
+
+const pair = (live, stage) => {
+    live.match = stage
+    stage.match = live
+}
+
+const fingerprintOf = (entry) => `${entry.signature}|${entry.node.text || ''}`
+
+/**
+ * Pair the entries whose fingerprint is unique on both sides
+ */
+const pairUniqueFingerprints = (liveEntries, stageEntries) => {
+    const unique = (entries) => {
+        const map = new Map()
+        entries.filter(e => !e.match).forEach(e => {
+            const key = fingerprintOf(e)
+            map.set(key, map.has(key) ? null : e)
+        })
+        return map
+    }
+    const stage = unique(stageEntries)
+    for (const [key, entry] of unique(liveEntries)) {
+        const candidate = stage.get(key)
+        if (entry && candidate) pair(entry, candidate)
+    }
+}
+
+/**
+ * Match the unmatched entries of two sibling lists: identical siblings
+ * wherever they are (reordering), then the rest in order (LCS by signature)
+ */
+const alignSiblings = (liveChildren, stageChildren) => {
+    pairUniqueFingerprints(liveChildren, stageChildren)
+    const live = liveChildren.filter(e => !e.match)
+    const stage = stageChildren.filter(e => !e.match)
+    if (live.length === 0 || stage.length === 0) return
+
+    if (live.length * stage.length > MAX_ALIGNMENT_CELLS) {
+        const pool = new Map()
+        stage.forEach(e => pool.set(e.signature, [...(pool.get(e.signature) || []), e]))
+        live.forEach(e => {
+            const candidate = pool.get(e.signature)?.shift()
+            if (candidate) pair(e, candidate)
+        })
+        return
+    }
+
+    const lcs = Array.from({ length: live.length + 1 }, () => new Array(stage.length + 1).fill(0))
+    for (let i = live.length - 1; i >= 0; i--) {
+        for (let j = stage.length - 1; j >= 0; j--) {
+            lcs[i][j] = live[i].signature === stage[j].signature
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+        }
+    }
+    let i = 0
+    let j = 0
+    while (i < live.length && j < stage.length) {
+        if (live[i].signature === stage[j].signature) pair(live[i++], stage[j++])
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) i++
+        else j++
+    }
+}
+
+// Children of every matched pair, top-down, so new matches propagate
+const alignMatchedChildren = (liveEntries) => {
+    for (const entry of liveEntries) {
+        if (entry.match) alignSiblings(entry.children, entry.match.children)
+    }
+}
+
+/**
+ * Entries whose position among their matched siblings changed:
+ * the ones outside the longest increasing run of live indexes
+ */
+const reorderedEntries = (stageChildren) => {
+    const matched = stageChildren.filter(e => e.match && e.match.parent === e.parent.match)
+    const indexes = matched.map(e => e.match.index)
+    const lengths = indexes.map(() => 1)
+    const previous = indexes.map(() => -1)
+
+    for (let i = 0; i < indexes.length; i++) {
+        for (let j = 0; j < i; j++) {
+            if (indexes[j] < indexes[i] && lengths[j] + 1 > lengths[i]) {
+                lengths[i] = lengths[j] + 1
+                previous[i] = j
+            }
+        }
+    }
+
+    const inOrder = new Set()
+    let k = lengths.indexOf(Math.max(0, ...lengths))
+    while (k !== -1) {
+        inOrder.add(matched[k])
+        k = previous[k]
+    }
+    return matched.filter(e => !inOrder.has(e))
+}
+
+const countDescendants = (entry) => entry.children.reduce((sum, child) => sum + 1 + countDescendants(child), 0)
+
+const attributeChanges = (live, stage) => {
+    const names = [...new Set([...Object.keys(live.attributes || {}), ...Object.keys(stage.attributes || {})])]
+    return names
+        .filter(name => live.attributes?.[name] !== stage.attributes?.[name])
+        .map(name => ({ name, live: live.attributes?.[name] ?? null, stage: stage.attributes?.[name] ?? null }))
+}
+
+/**
+ * Diff two captured trees
+ * @param {Object} liveTree - { root, nodes, truncated } from captureDomTreeOf
+ * @param {Object} stageTree - Same for stage
+ * @returns {Object} { summary, changes, tree }
+ */
+export const diffDomTrees = (liveTree, stageTree) => {
+    const live = flatten(liveTree.root)
+    const stage = flatten(stageTree.root)
+
+    // 1. Roots, then selectors that are unique on both sides. Positional
+    // (nth-child) selectors shift when siblings change, so they are left to step 2.
+    if (live[0] && stage[0]) pair(live[0], stage[0])
+    const byKey = (entries) => {
+        const map = new Map()
+        entries
+            .filter(e => !e.node.key.includes(':nth-child'))
+            .forEach(e => map.set(e.node.key, map.has(e.node.key) ? null : e))
+        return map
+    }
+    const stageKeys = byKey(stage)
+    for (const [key, entry] of byKey(live)) {
+        const candidate = stageKeys.get(key)
+        if (entry && candidate && !entry.match && !candidate.match) pair(entry, candidate)
+    }
+
+    // 2. Children of matched parents, in order
+    alignMatchedChildren(live)
+
+    // 3. Nodes moved elsewhere: unique signature and text among the unmatched ones
+    pairUniqueFingerprints(live, stage)
+    alignMatchedChildren(live)
+
+    // Classify
+    const reordered = new Set(stage.flatMap(e => reorderedEntries(e.children)))
+    const changes = []
+    const statusOf = new Map()
+
+    for (const entry of stage) {
+        const types = []
+        const change = { selector: entry.node.key, tag: entry.node.tag, label: labelOf(entry.node) }
+
+        if (!entry.match) {
+            // Descendants of an added node are part of it
+            if (entry.parent && !entry.parent.match) continue
+            types.push('added')
+            change.descendants = countDescendants(entry)
+        } else {
+            const from = entry.match
+            change.liveSelector = from.node.key
+            if (entry.parent && from.parent !== entry.parent.match) {
+                types.push('moved')
+                change.from = from.parent?.node.key || null
+                change.to = entry.parent.node.key
+            } else if (reordered.has(entry)) {
+                types.push('moved')
+                change.from = `position ${from.index + 1}`
+                change.to = `position ${entry.index + 1}`
+            }
+            if (!from.node.ignored && !entry.node.ignored) {
+                if ((from.node.text || '') !== (entry.node.text || '')) {
+                    types.push('text-changed')
+                    change.text = { live: from.node.text, stage: entry.node.text }
+                }
+                const attributes = attributeChanges(from.node, entry.node)
+                if (attributes.length > 0) {
+                    types.push('attribute-changed')
+                    change.attributes = attributes
+                }
+            }
+        }
+
+        if (types.length > 0) {
+            const recorded = { type: types[0], types, ...change }
+            changes.push(recorded)
+            statusOf.set(entry, recorded)
+        }
+    }
+
+    for (const entry of live) {
+        if (entry.match || (entry.parent && !entry.parent.match)) continue
+        const recorded = {
+            type: 'removed',
+            types: ['removed'],
+            selector: entry.node.key,
+            tag: entry.node.tag,
+            label: labelOf(entry.node),
+            descendants: countDescendants(entry)
+        }
+        changes.push(recorded)
+        statusOf.set(entry, recorded)
+    }
+
+    const count = (type) => changes.filter(c => c.types.includes(type)).length
+    const summary = {
+        liveNodes: liveTree.nodes,
+        stageNodes: stageTree.nodes,
+        added: count('added'),
+        removed: count('removed'),
+        moved: count('moved'),
+        textChanged: count('text-changed'),
+        attributeChanged: count('attribute-changed'),
+        truncated: liveTree.truncated || stageTree.truncated
+    }
+    summary.totalChanges = changes.length
+
+    const listed = changes
+        .sort((a, b) => STATUS_PRIORITY.indexOf(a.type) - STATUS_PRIORITY.indexOf(b.type))
+        .slice(0, MAX_CHANGES)
+
+    return {
+        summary,
+        changes: listed,
+        tree: buildDisplayTree(stage[0], statusOf, new Set(listed))
+    }
+}
+
+/**
+ * The stage tree with removed live nodes put back under their matched parent,
+ * pruned to the changed nodes and their ancestors. Unchanged siblings are
+ * only counted (`unchangedChildren`).
+ */
+const buildDisplayTree = (root, statusOf, listed) => {
+    if (!root) return null
+
+    const display = (entry, change) => ({
+        selector: entry.node.key,
+        tag: entry.node.tag,
+        label: labelOf(entry.node),
+        text: entry.node.text ? entry.node.text.slice(0, 80) : '',
+        status: change && listed.has(change) ? change.type : 'unchanged',
+        ...(change && listed.has(change) && {
+            types: change.types,
+            ...(change.text && { textChange: change.text }),
+            ...(change.attributes && { attributes: change.attributes }),
+            ...(change.from && { from: change.from, to: change.to }),
+            ...(change.descendants !== undefined && { descendants: change.descendants })
+        }),
+        children: [],
+        unchangedChildren: 0
+    })
+
+    const build = (entry) => {
+        const change = statusOf.get(entry)
+        const node = display(entry, change)
+        if (node.status === 'added') return node
+
+        // Live children that were removed go after the stage node of their previous live sibling
+        const positionOfRemoved = (child) => {
+            for (let k = child.index - 1; k >= 0; k--) {
+                const sibling = child.parent.children[k]
+                if (sibling.match?.parent === entry) return sibling.match.index + 0.5
+            }
+            return -0.5
+        }
+        const removed = entry.match
+            ? entry.match.children.filter(child => statusOf.get(child)?.type === 'removed')
+            : []
+        const slots = entry.children.map(child => ({ position: child.index, child }))
+        removed.forEach(child => slots.push({ position: positionOfRemoved(child), child, removed: true }))
+        slots.sort((a, b) => a.position - b.position)
+
+        for (const { child, removed: isRemoved } of slots) {
+            const built = isRemoved ? display(child, statusOf.get(child)) : build(child)
+            if (built.status !== 'unchanged' || built.children.length > 0) node.children.push(built)
+            else node.unchangedChildren++
+        }
+        return node
+    }
+
+    return build(root)
+}
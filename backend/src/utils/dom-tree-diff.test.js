@@ -0,0 +1,103 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { diffDomTrees } from './dom-tree-diff.js'
+
+// Captured node: key is the stable selector, attributes default to none
+const el = (tag, { key = tag, text = '', attributes = {}, ignored } = {}, children = []) => ({
+    key,
+    tag,
+    text,
+    attributes,
+    children,
+    ...(ignored && { ignored })
+})
+
+const tree = (root) => {
+    let nodes = 0
+    const count = (node) => { nodes++; node.children.forEach(count) }
+    count(root)
+    return { root, nodes, truncated: false }
+}
+
+const item = (n, text = `Item ${n}`) => el('li', { key: `ul > li:nth-child(${n})`, text, attributes: { class: `item-${n}` } })
+
+test('identical trees have no changes', () => {
+    const page = () => tree(el('body', {}, [el('h1', { key: '#title', text: 'Hello', attributes: { id: 'title' } }), el('ul', {}, [item(1), item(2)])]))
+    const { summary, changes, tree: display } = diffDomTrees(page(), page())
+
+    assert.equal(summary.totalChanges, 0)
+    assert.deepEqual(changes, [])
+    assert.equal(display.status, 'unchanged')
+    assert.equal(display.unchangedChildren, 2)
+})
+
+test('text and attribute changes are reported on the matched node', () => {
+    const live = tree(el('body', {}, [el('a', { key: '#cta', text: 'Buy', attributes: { id: 'cta', href: '/buy' } })]))
+    const stage = tree(el('body', {}, [el('a', { key: '#cta', text: 'Buy now', attributes: { id: 'cta', href: '/checkout', target: '_blank' } })]))
+    const { summary, changes } = diffDomTrees(live, stage)
+
+    assert.equal(summary.textChanged, 1)
+    assert.equal(summary.attributeChanged, 1)
+    assert.equal(changes.length, 1)
+    assert.deepEqual(changes[0].types, ['text-changed', 'attribute-changed'])
+    assert.deepEqual(changes[0].text, { live: 'Buy', stage: 'Buy now' })
+    assert.deepEqual(changes[0].attributes, [
+        { name: 'href', live: '/buy', stage: '/checkout' },
+        { name: 'target', live: null, stage: '_blank' }
+    ])
+})
+
+test('added and removed subtrees are reported once, with their descendant count', () => {
+    const live = tree(el('body', {}, [
+        el('aside', { key: '#promo', attributes: { id: 'promo' } }, [el('p', { key: '#promo > p', text: 'Sale' })]),
+        el('main', {})
+    ]))
+    const stage = tree(el('body', {}, [
+        el('main', {}),
+        el('nav', { key: '#menu', attributes: { id: 'menu' } }, [el('a', { key: '#menu > a', text: 'Home' }), el('a', { key: '#menu > a:nth-child(2)', text: 'About' })])
+    ]))
+    const { summary, changes, tree: display } = diffDomTrees(live, stage)
+
+    assert.equal(summary.added, 1)
+    assert.equal(summary.removed, 1)
+    assert.deepEqual(changes.map(c => [c.type, c.selector, c.descendants]), [['added', '#menu', 2], ['removed', '#promo', 1]])
+
+    // The removed node is put back in the display tree before its former next sibling
+    assert.deepEqual(display.children.map(c => [c.selector, c.status]), [['#promo', 'removed'], ['#menu', 'added']])
+    assert.equal(display.unchangedChildren, 1)
+})
+
+test('reordered siblings are reported as moved with their positions', () => {
+    const live = tree(el('body', {}, [el('ul', {}, [item(1, 'A'), item(2, 'B'), item(3, 'C')])]))
+    const stage = tree(el('body', {}, [el('ul', {}, [item(3, 'C'), item(1, 'A'), item(2, 'B')])]))
+    const { summary, changes } = diffDomTrees(live, stage)
+
+    assert.equal(summary.moved, 1)
+    assert.equal(summary.added + summary.removed, 0)
+    assert.deepEqual(changes.map(c => [c.type, c.from, c.to]), [['moved', 'position 3', 'position 1']])
+})
+
+test('nodes moved to another parent keep their identity', () => {
+    const badge = () => el('span', { key: '.badge', text: 'New', attributes: { class: 'badge' } })
+    const live = tree(el('body', {}, [el('header', {}, [badge()]), el('footer', {})]))
+    const stage = tree(el('body', {}, [el('header', {}), el('footer', {}, [badge()])]))
+    const { summary, changes } = diffDomTrees(live, stage)
+
+    assert.equal(summary.totalChanges, 1)
+    assert.deepEqual(changes.map(c => [c.type, c.from, c.to]), [['moved', 'header', 'footer']])
+})
+
+test('ignored nodes are matched but their content is not compared', () => {
+    const live = tree(el('body', {}, [el('div', { key: '#clock', text: '10:00', ignored: true })]))
+    const stage = tree(el('body', {}, [el('div', { key: '#clock', text: '10:05', ignored: true })]))
+
+    assert.equal(diffDomTrees(live, stage).summary.totalChanges, 0)
+})
+
+test('truncated captures are flagged in the summary', () => {
+    const live = { ...tree(el('body')), truncated: true }
+    const { summary } = diffDomTrees(live, tree(el('body')))
+
+    assert.equal(summary.truncated, true)
+    assert.equal(summary.liveNodes, 1)
+})
@@ -0,0 +1,179 @@
+/**
+ * Ignore Region Utilities
+ * Purpose: Keep dynamic content (carousels, timestamps, ads, cookie banners)
+ * out of layout comparisons. An `ignore` option can:
+ *   mask   - selectors or page rectangles { x, y, width, height } painted over
+ *            before screenshots and skipped by the pixel and element diff
+ *   hide   - selectors hidden before the page is stabilized (layout is kept)
+ *   freeze - selectors whose media, animations and DOM are frozen as loaded
+ *   css    - a stylesheet injected into both pages
+ */
+
+export const MAX_IGNORE_ENTRIES = 50
+export const MAX_IGNORE_CSS_LENGTH = 20000
+
+// Painted over masked regions, identical on both pages so they never diff
+export const MASK_COLOR = '#a0a0a0'
+
+// Share of an element's area inside a masked region for the element to be skipped
+const MASKED_AREA_RATIO = 0.5
+
+const invalid = (message) => ({ error: { ok: false, error: 'Invalid ignore options', message } })
+
+const isRect = (entry) => entry && typeof entry === 'object' &&
+    ['x', 'y', 'width', 'height'].every(key => Number.isFinite(Number(entry[key]))) &&
+    Number(entry.width) > 0 && Number(entry.height) > 0
+
+const toRect = ({ x, y, width, height }) => ({ x: Number(x), y: Number(y), width: Number(width), height: Number(height) })
+
+const isSelectorList = (value) => Array.isArray(value) && value.every(s => typeof s === 'string' && s.trim() !== '')
+
+/**
+ * Validate the `ignore` option of a comparison request.
+ * Returns { error } with a 400 payload, or { ignore } (null when nothing is ignored).
+ */
+export const parseIgnoreOptions = (value) => {
+    if (value === undefined || value === null) return { ignore: null }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return invalid('ignore must be an object with mask, hide, freeze and/or css')
+    }
+
+    const { mask = [], hide = [], freeze = [], css = '' } = value
+
+    if (!Array.isArray(mask) || !mask.every(entry => (typeof entry === 'string' && entry.trim() !== '') || isRect(entry))) {
+        return invalid('mask must be a list of selectors or { x, y, width, height } rectangles (CSS px from the top of the page)')
+    }
+    if (!isSelectorList(hide) || !isSelectorList(freeze)) {
+        return invalid('hide and freeze must be lists of selectors')
+    }
+    if (mask.length + hide.length + freeze.length > MAX_IGNORE_ENTRIES) {
+        return invalid(`At most ${MAX_IGNORE_ENTRIES} selectors and rectangles can be ignored`)
+    }
+    if (typeof css !== 'string' || css.length > MAX_IGNORE_CSS_LENGTH) {
+        return invalid(`css must be a stylesheet of at most ${MAX_IGNORE_CSS_LENGTH} characters`)
+    }
+
+    const ignore = {
+        mask: mask.map(entry => typeof entry === 'string' ? entry.trim() : toRect(entry)),
+        hide: hide.map(s => s.trim()),
+        freeze: freeze.map(s => s.trim()),
+        css: css.trim()
+    }
+
+    const empty = !ignore.mask.length && !ignore.hide.length && !ignore.freeze.length && !ignore.css
+    return { ignore: empty ? null : ignore }
+}
+
+/**
+ * Inject the custom CSS, hide and freeze elements. Runs before the page is
+ * stabilized so the stable layout already reflects them.
+ * Invalid selectors are skipped; returns the ones that matched nothing or failed.
+ */
+export const prepareIgnoredContent = async (page, ignore) => {
+    if (!ignore) return []
+
+    // Specific enough to beat the visibility overrides of stabilizePage; visibility
+    // keeps the box, so hiding never shifts the rest of the page
+    const css = [
+        ignore.hide.length && 'html body [data-layout-ignore="hide"], html body [data-layout-ignore="hide"] * { visibility: hidden !important; }',
+        ignore.css
+    ].filter(Boolean).join('\n')
+    if (css) await page.addStyleTag({ content: css })
+
+    return page.evaluate(({ hide, freeze }) => {
+        const unmatched = []
+        const select = (selector) => {
+            try {
+                const nodes = [...document.querySelectorAll(selector)]
+                if (nodes.length === 0) unmatched.push(selector)
+                return nodes
+            } catch (e) {
+                unmatched.push(selector)
+                return []
+            }
+        }
+
+        hide.forEach(selector => select(selector).forEach(el => el.setAttribute('data-layout-ignore', 'hide')))
+
+        // Pause media and animations, then undo every later DOM change (slide rotations, ticking clocks)
+        freeze.forEach(selector => select(selector).forEach(el => {
+            el.querySelectorAll('video, audio').forEach(media => media.pause())
+            if (el.matches('video, audio')) el.pause()
+            el.style.setProperty('animation-play-state', 'paused', 'important')
+            el.querySelectorAll('*').forEach(child => child.style.setProperty('animation-play-state', 'paused', 'important'))
+            el.getAnimations?.({ subtree: true }).forEach(animation => animation.pause())
+
+            const html = el.innerHTML
+            const style = el.getAttribute('style')
+            let restoring = false
+            new MutationObserver(() => {
+                if (restoring) return
+                restoring = true
+                if (el.innerHTML !== html) el.innerHTML = html
+                if (el.getAttribute('style') !== style) el.setAttribute('style', style)
+                Promise.resolve().then(() => { restoring = false })
+            }).observe(el, { subtree: true, childList: true, attributes: true, characterData: true })
+        }))
+
+        return unmatched
+    }, { hide: ignore.hide, freeze: ignore.freeze })
+}
+
+/**
+ * Paint the masked selectors and rectangles over a stabilized page and tag
+ * the masked elements so extractElementData reports them as masked.
+ * @returns {Object} { regions: [{ x, y, width, height, selector? }], unmatched: [selector] }
+ */
+export const applyMasks = async (page, ignore) => {
+    if (!ignore?.mask.length) return { regions: [], unmatched: [] }
+
+    return page.evaluate(({ mask, color }) => {
+        const regions = []
+        const unmatched = []
+
+        for (const entry of mask) {
+            if (typeof entry !== 'string') {
+                regions.push(entry)
+                continue
+            }
+            let nodes = []
+            try {
+                nodes = [...document.querySelectorAll(entry)]
+            } catch (e) { }
+            if (nodes.length === 0) unmatched.push(entry)
+
+            nodes.forEach(el => {
+                if (!el.hasAttribute('data-layout-ignore')) el.setAttribute('data-layout-ignore', 'mask')
+                const rect = el.getBoundingClientRect()
+                if (rect.width > 0 && rect.height > 0) {
+                    regions.push({ x: rect.x + window.scrollX, y: rect.y + window.scrollY, width: rect.width, height: rect.height, selector: entry })
+                }
+            })
+        }
+
+        for (const { x, y, width, height } of regions) {
+            const overlay = document.createElement('div')
+            overlay.setAttribute('data-layout-mask', '')
+            overlay.style.cssText = `position:absolute;left:${x}px;top:${y}px;width:${width}px;height:${height}px;background:${color};z-index:2147483647;pointer-events:none;`
+            // On the root element, so a positioned body cannot offset the overlay
+            document.documentElement.appendChild(overlay)
+        }
+
+        return { regions, unmatched }
+    }, { mask: ignore.mask, color: MASK_COLOR })
+}
+
+/**
+ * Whether most of an element's box lies inside one of the masked regions
+ */
+export const isMaskedRect = (rect, regions = []) => {
+    if (!rect || !regions.length) return false
+    const area = rect.width * rect.height
+    if (area <= 0) return false
+
+    return regions.some(region => {
+        const overlapWidth = Math.min(rect.x + rect.width, region.x + region.width) - Math.max(rect.x, region.x)
+        const overlapHeight = Math.min(rect.y + rect.height, region.y + region.height) - Math.max(rect.y, region.y)
+        return overlapWidth > 0 && overlapHeight > 0 && (overlapWidth * overlapHeight) / area >= MASKED_AREA_RATIO
+    })
+}
@@ -0,0 +1,104 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseIgnoreOptions, applyMasks, isMaskedRect, MASK_COLOR, MAX_IGNORE_ENTRIES } from './ignore-regions.js'
+
+// Just enough of a page for applyMasks: the evaluated function runs against a fake document
+const fakePage = (elements) => {
+    const overlays = []
+    const node = (rect) => ({
+        attributes: {},
+        hasAttribute(name) { return name in this.attributes },
+        setAttribute(name, value) { this.attributes[name] = value },
+        getBoundingClientRect: () => rect,
+        style: {}
+    })
+    const nodes = Object.fromEntries(Object.entries(elements).map(([selector, rects]) => [selector, rects.map(node)]))
+    const document = {
+        querySelectorAll: (selector) => {
+            if (selector.startsWith('[')) throw new SyntaxError('Invalid selector')
+            return nodes[selector] || []
+        },
+        createElement: () => node(null),
+        documentElement: { appendChild: (overlay) => overlays.push(overlay) }
+    }
+
+    return {
+        overlays,
+        nodes,
+        evaluate: async (fn, args) => {
+            Object.assign(globalThis, { document, window: { scrollX: 0, scrollY: 100 } })
+            try {
+                return fn(args)
+            } finally {
+                delete globalThis.document
+                delete globalThis.window
+            }
+        }
+    }
+}
+
+test('parseIgnoreOptions trims selectors and normalizes rectangles', () => {
+    const { ignore } = parseIgnoreOptions({
+        mask: [' .ad ', { x: '0', y: 10, width: 300, height: '50' }],
+        hide: ['#cookie-banner'],
+        css: ' .clock { display: none } '
+    })
+
+    assert.deepEqual(ignore, {
+        mask: ['.ad', { x: 0, y: 10, width: 300, height: 50 }],
+        hide: ['#cookie-banner'],
+        freeze: [],
+        css: '.clock { display: none }'
+    })
+})
+
+test('parseIgnoreOptions treats nothing to ignore as no options', () => {
+    assert.deepEqual(parseIgnoreOptions(undefined), { ignore: null })
+    assert.deepEqual(parseIgnoreOptions({ mask: [], css: '   ' }), { ignore: null })
+})
+
+test('parseIgnoreOptions rejects malformed entries', () => {
+    const messageOf = (value) => parseIgnoreOptions(value).error?.message
+
+    assert.match(messageOf(['.ad']), /ignore must be an object/)
+    assert.match(messageOf({ mask: [{ x: 0, y: 0, width: 0, height: 10 }] }), /mask must be a list/)
+    assert.match(messageOf({ mask: [' '] }), /mask must be a list/)
+    assert.match(messageOf({ freeze: '.carousel' }), /hide and freeze must be lists/)
+    assert.match(messageOf({ hide: Array(MAX_IGNORE_ENTRIES + 1).fill('.x') }), new RegExp(`At most ${MAX_IGNORE_ENTRIES}`))
+    assert.match(messageOf({ css: 42 }), /css must be a stylesheet/)
+})
+
+test('applyMasks paints selectors and rectangles and reports unmatched selectors', async () => {
+    const page = fakePage({
+        '.ad': [{ x: 20, y: 0, width: 300, height: 250 }, { x: 0, y: 0, width: 0, height: 0 }]
+    })
+    const { ignore } = parseIgnoreOptions({ mask: ['.ad', '.missing', '[broken', { x: 0, y: 900, width: 1440, height: 80 }] })
+
+    const { regions, unmatched } = await applyMasks(page, ignore)
+
+    // Selector boxes are in page coordinates (scrolled by 100px here)
+    assert.deepEqual(regions, [
+        { x: 20, y: 100, width: 300, height: 250, selector: '.ad' },
+        { x: 0, y: 900, width: 1440, height: 80 }
+    ])
+    assert.deepEqual(unmatched, ['.missing', '[broken'])
+    assert.deepEqual(page.nodes['.ad'].map(el => el.attributes['data-layout-ignore']), ['mask', 'mask'])
+    assert.equal(page.overlays.length, 2)
+    assert.match(page.overlays[0].style.cssText, new RegExp(`left:20px;top:100px;width:300px;height:250px;background:${MASK_COLOR}`))
+})
+
+test('applyMasks does nothing without masks', async () => {
+    assert.deepEqual(await applyMasks(fakePage({}), null), { regions: [], unmatched: [] })
+    assert.deepEqual(await applyMasks(fakePage({}), parseIgnoreOptions({ hide: ['.x'] }).ignore), { regions: [], unmatched: [] })
+})
+
+test('isMaskedRect needs most of the element inside one masked region', () => {
+    const regions = [{ x: 0, y: 0, width: 100, height: 100 }]
+
+    assert.ok(isMaskedRect({ x: 10, y: 10, width: 50, height: 50 }, regions))
+    assert.ok(isMaskedRect({ x: 50, y: 0, width: 100, height: 100 }, regions))
+    assert.ok(!isMaskedRect({ x: 60, y: 0, width: 100, height: 100 }, regions))
+    assert.ok(!isMaskedRect({ x: 10, y: 10, width: 0, height: 50 }, regions))
+    assert.ok(!isMaskedRect({ x: 10, y: 10, width: 50, height: 50 }, []))
+    assert.ok(!isMaskedRect(null, regions))
+})
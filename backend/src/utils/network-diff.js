@@ -0,0 +1,292 @@
+/**
+ * Network Diff Utilities
+ * Purpose: Record every request a page makes (status, size, timing, domain,
+ * failures) and diff the logs of two environments: new 404s and failed
+ * requests, added scripts, new third-party domains, payload size regressions,
+ * mixed content and console errors that only occur on one side.
+ */
+
+// Growth of a resource or resource type that counts as a payload regression
+const SIZE_REGRESSION_BYTES = 10 * 1024
+const SIZE_REGRESSION_RATIO = 0.2
+
+// Entries listed per category of the diff
+const MAX_LISTED = 25
+
+const NOT_FOUND_STATUSES = [404, 410]
+
+// Content hashes of build outputs (main.3f2a9c1b.js, chunk-8d1e0f4a.css) change every deploy
+const CONTENT_HASH = /([.-])[0-9a-f]{8,}(?=[.-])/gi
+
+/**
+ * Registrable domain of a hostname (last two labels, three for e.g. co.uk)
+ */
+export const siteOf = (hostname) => {
+    const labels = hostname.split('.')
+    if (labels.length <= 2 || /^\d+$/.test(labels[labels.length - 1])) return hostname
+    const secondLevel = labels[labels.length - 2]
+    const take = secondLevel.length <= 3 && labels[labels.length - 1].length === 2 ? 3 : 2
+    return labels.slice(-take).join('.')
+}
+
+/**
+ * Key that identifies the same resource in both environments: first-party
+ * requests by path (the hosts differ), third-party ones by host and path.
+ * Query strings and content hashes are ignored.
+ */
+export const resourceKey = (entry) => {
+    const url = new URL(entry.url)
+    const path = url.pathname.replace(CONTENT_HASH, '$1[hash]')
+    return `${entry.resourceType} ${entry.thirdParty ? url.host : ''}${path}`
+}
+
+// Console messages keyed without hosts, line/column numbers and ids
+const consoleKey = (text) => text
+    .replace(/https?:\/\/[^/\s'"]+/g, '')
+    .replace(/:\d+(:\d+)?/g, '')
+    .replace(/\b\d+\b/g, 'N')
+    .trim()
+
+/**
+ * Records the network activity of a page from the moment it is created.
+ * Transfer sizes come from the DevTools protocol (encoded bytes on the wire).
+ */
+export class NetworkRecorder {
+    constructor(page) {
+        this.page = page
+        this.entries = []
+        this.started = new Map()
+        this.sizes = new Map()
+        this.session = null
+
+        page.on('request', request => {
+            this.started.set(request, Date.now())
+        })
+        page.on('requestfinished', request => this.record(request))
+        page.on('requestfailed', request => this.record(request))
+    }
+
+    async start() {
+        try {
+            this.session = await this.page.createCDPSession()
+            this.session.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+                this.sizes.set(requestId, encodedDataLength)
+            })
+            await this.session.send('Network.enable')
+        } catch {
+            // Sizes fall back to Content-Length
+            this.session = null
+        }
+    }
+
+    /**
+     * Forget everything recorded so far (e.g. the requests of a sign-in)
+     */
+    reset() {
+        this.entries = []
+        this.started.clear()
+    }
+
+    record(request) {
+        const startedAt = this.started.get(request)
+        if (startedAt === undefined) return
+        this.started.delete(request)
+
+        const response = request.response()
+        const failure = request.failure()
+        const contentLength = Number(response?.headers()['content-length'])
+
+        this.entries.push({
+            id: request.id,
+            url: request.url(),
+            method: request.method(),
+            resourceType: request.resourceType(),
+            status: response ? response.status() : null,
+            contentLength: Number.isFinite(contentLength) ? contentLength : 0,
+            durationMs: Date.now() - startedAt,
+            fromCache: response ? response.fromCache() : false,
+            error: failure ? failure.errorText : null,
+            blocked: failure ? /BLOCKED/i.test(failure.errorText) : false
+        })
+    }
+
+    /**
+     * Requests recorded against the page's final URL: data: URLs are dropped,
+     * each entry is tagged third-party and mixed content.
+     */
+    async finish(pageUrl) {
+        if (this.session) await this.session.detach().catch(() => { })
+
+        const page = new URL(pageUrl)
+        const site = siteOf(page.hostname)
+
+        return this.entries
+            .filter(entry => /^https?:/.test(entry.url))
+            .map(({ id, contentLength, ...entry }) => {
+                const url = new URL(entry.url)
+                return {
+                    ...entry,
+                    size: this.sizes.get(id) ?? contentLength,
+                    domain: url.hostname,
+                    thirdParty: siteOf(url.hostname) !== site,
+                    mixedContent: page.protocol === 'https:' && url.protocol === 'http:'
+                }
+            })
+    }
+}
+
+const isBroken = (entry) => entry.error !== null || entry.status >= 400
+
+/**
+ * Totals of a request log
+ */
+export const summarizeRequests = (entries) => {
+    const byType = {}
+    for (const entry of entries) {
+        const type = byType[entry.resourceType] || (byType[entry.resourceType] = { requests: 0, bytes: 0 })
+        type.requests++
+        type.bytes += entry.size
+    }
+
+    return {
+        requests: entries.length,
+        bytes: entries.reduce((sum, e) => sum + e.size, 0),
+        failed: entries.filter(isBroken).length,
+        notFound: entries.filter(e => NOT_FOUND_STATUSES.includes(e.status)).length,
+        blocked: entries.filter(e => e.blocked).length,
+        mixedContent: entries.filter(e => e.mixedContent).length,
+        thirdPartyRequests: entries.filter(e => e.thirdParty).length,
+        thirdPartyDomains: [...new Set(entries.filter(e => e.thirdParty).map(e => e.domain))].sort(),
+        slowestMs: entries.reduce((max, e) => Math.max(max, e.durationMs), 0),
+        byType
+    }
+}
+
+const isSizeRegression = (liveBytes, stageBytes) =>
+    stageBytes - liveBytes >= SIZE_REGRESSION_BYTES && stageBytes > liveBytes * (1 + SIZE_REGRESSION_RATIO)
+
+const brief = ({ url, resourceType, status, size, durationMs, error }) => ({ url, resourceType, status, size, durationMs, error })
+
+/**
+ * Diff the network logs and console messages of two environments
+ * @param {Object} network - { live: entries, stage: entries } from NetworkRecorder.finish
+ * @param {Object} consoleLogs - { live: [{ type, text }], stage: [...] }
+ * @returns {Object} { live, stage, diff, summary }
+ */
+export const diffNetwork = (network, consoleLogs) => {
+    const index = (entries) => {
+        const map = new Map()
+        for (const entry of entries) {
+            const key = resourceKey(entry)
+            if (!map.has(key)) map.set(key, [])
+            map.get(key).push(entry)
+        }
+        return map
+    }
+    const live = index(network.live)
+    const stage = index(network.stage)
+    const liveHas = (key, predicate) => (live.get(key) || []).some(predicate)
+
+    const newNotFound = []
+    const newFailedRequests = []
+    const addedScripts = []
+    const resourceSizeRegressions = []
+
+    for (const [key, entries] of stage) {
+        const entry = entries[0]
+        const brokenOnStage = entries.find(isBroken)
+
+        if (brokenOnStage && !liveHas(key, isBroken)) {
+            const row = {
+                ...brief(brokenOnStage),
+                blocked: brokenOnStage.blocked,
+                liveStatus: live.get(key)?.[0].status ?? null
+            }
+            if (NOT_FOUND_STATUSES.includes(brokenOnStage.status)) newNotFound.push(row)
+            else newFailedRequests.push(row)
+        }
+        if (entry.resourceType === 'script' && !live.has(key)) {
+            addedScripts.push({ ...brief(entry), thirdParty: entry.thirdParty })
+        }
+        if (live.has(key) && !brokenOnStage) {
+            const liveBytes = live.get(key)[0].size
+            if (isSizeRegression(liveBytes, entry.size)) {
+                resourceSizeRegressions.push({ url: entry.url, resourceType: entry.resourceType, liveBytes, stageBytes: entry.size, deltaBytes: entry.size - liveBytes })
+            }
+        }
+    }
+
+    const removedScripts = [...live.entries()]
+        .filter(([key, entries]) => entries[0].resourceType === 'script' && !stage.has(key))
+        .map(([, entries]) => brief(entries[0]))
+
+    const liveSummary = summarizeRequests(network.live)
+    const stageSummary = summarizeRequests(network.stage)
+
+    // Payload per resource type (and in total) that grew on stage
+    const types = [...new Set([...Object.keys(liveSummary.byType), ...Object.keys(stageSummary.byType)])]
+    const payloadRegressions = [
+        { resourceType: 'total', liveBytes: liveSummary.bytes, stageBytes: stageSummary.bytes },
+        ...types.map(type => ({
+            resourceType: type,
+            liveBytes: liveSummary.byType[type]?.bytes || 0,
+            stageBytes: stageSummary.byType[type]?.bytes || 0
+        }))
+    ]
+        .filter(({ liveBytes, stageBytes }) => isSizeRegression(liveBytes, stageBytes))
+        .map(row => ({ ...row, deltaBytes: row.stageBytes - row.liveBytes }))
+
+    const liveMixed = new Set(network.live.filter(e => e.mixedContent).map(resourceKey))
+    const newMixedContent = network.stage
+        .filter(e => e.mixedContent && !liveMixed.has(resourceKey(e)))
+        .map(brief)
+
+    const liveDomains = new Set(liveSummary.thirdPartyDomains)
+    const newThirdPartyDomains = stageSummary.thirdPartyDomains.filter(d => !liveDomains.has(d))
+
+    const liveErrors = new Set(consoleLogs.live.filter(l => l.type === 'error').map(l => consoleKey(l.text)))
+    const seen = new Set()
+    const stageOnlyConsoleErrors = consoleLogs.stage
+        .filter(l => l.type === 'error')
+        .filter(l => {
+            const key = consoleKey(l.text)
+            if (liveErrors.has(key) || seen.has(key)) return false
+            seen.add(key)
+            return true
+        })
+
+    const diff = {
+        newNotFound,
+        newFailedRequests,
+        addedScripts,
+        removedScripts,
+        newThirdPartyDomains,
+        payloadRegressions,
+        resourceSizeRegressions: resourceSizeRegressions.sort((a, b) => b.deltaBytes - a.deltaBytes),
+        newMixedContent,
+        stageOnlyConsoleErrors
+    }
+
+    const summary = {
+        newNotFound: newNotFound.length,
+        newFailedRequests: newFailedRequests.length,
+        addedScripts: addedScripts.length,
+        newThirdPartyDomains: newThirdPartyDomains.length,
+        payloadRegressions: payloadRegressions.length,
+        resourceSizeRegressions: resourceSizeRegressions.length,
+        newMixedContent: newMixedContent.length,
+        stageOnlyConsoleErrors: stageOnlyConsoleErrors.length
+    }
+
+    return {
+        live: liveSummary,
+        stage: stageSummary,
+        diff: Object.fromEntries(Object.entries(diff).map(([key, list]) => [key, list.slice(0, MAX_LISTED)])),
+        summary: {
+            ...summary,
+            regressions: Object.entries(summary)
+                .filter(([key]) => key !== 'resourceSizeRegressions')
+                .reduce((sum, [, count]) => sum + count, 0)
+        }
+    }
+}
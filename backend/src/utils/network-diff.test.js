@@ -0,0 +1,148 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'events'
+import { siteOf, resourceKey, summarizeRequests, diffNetwork, NetworkRecorder } from './network-diff.js'
+
+const entry = (url, overrides = {}) => ({
+    url,
+    method: 'GET',
+    resourceType: 'script',
+    status: 200,
+    size: 1000,
+    durationMs: 20,
+    fromCache: false,
+    error: null,
+    blocked: false,
+    domain: new URL(url).hostname,
+    thirdParty: false,
+    mixedContent: false,
+    ...overrides
+})
+
+const noConsole = { live: [], stage: [] }
+
+test('siteOf keeps the registrable domain', () => {
+    assert.equal(siteOf('www.example.com'), 'example.com')
+    assert.equal(siteOf('cdn.shop.example.co.uk'), 'example.co.uk')
+    assert.equal(siteOf('localhost'), 'localhost')
+    assert.equal(siteOf('192.168.0.10'), '192.168.0.10')
+})
+
+test('resourceKey ignores hosts of first-party requests, queries and content hashes', () => {
+    const live = resourceKey(entry('https://example.com/static/main.3f2a9c1b.js?v=1'))
+    const stage = resourceKey(entry('https://stage.example.com/static/main.8d1e0f4a.js?v=2'))
+    assert.equal(live, stage)
+
+    const thirdParty = resourceKey(entry('https://cdn.vendor.com/lib.js', { thirdParty: true }))
+    assert.equal(thirdParty, 'script cdn.vendor.com/lib.js')
+})
+
+test('summarizeRequests totals requests, bytes and failures', () => {
+    const summary = summarizeRequests([
+        entry('https://example.com/app.js'),
+        entry('https://example.com/logo.png', { resourceType: 'image', size: 500, status: 404 }),
+        entry('https://ads.tracker.com/t.js', { thirdParty: true, domain: 'ads.tracker.com', error: 'net::ERR_BLOCKED_BY_CLIENT', blocked: true, status: null, durationMs: 90 })
+    ])
+
+    assert.equal(summary.requests, 3)
+    assert.equal(summary.bytes, 2500)
+    assert.equal(summary.failed, 2)
+    assert.equal(summary.notFound, 1)
+    assert.equal(summary.blocked, 1)
+    assert.deepEqual(summary.thirdPartyDomains, ['ads.tracker.com'])
+    assert.equal(summary.slowestMs, 90)
+    assert.deepEqual(summary.byType.image, { requests: 1, bytes: 500 })
+})
+
+test('diffNetwork reports requests that only break on stage', () => {
+    const { diff, summary } = diffNetwork({
+        live: [
+            entry('https://example.com/app.js'),
+            entry('https://example.com/hero.png', { resourceType: 'image' }),
+            entry('https://example.com/old.css', { resourceType: 'stylesheet', status: 404 })
+        ],
+        stage: [
+            entry('https://stage.example.com/app.js'),
+            entry('https://stage.example.com/hero.png', { resourceType: 'image', status: 404 }),
+            entry('https://stage.example.com/api/user', { resourceType: 'fetch', status: null, error: 'net::ERR_FAILED' }),
+            entry('https://stage.example.com/old.css', { resourceType: 'stylesheet', status: 404 })
+        ]
+    }, noConsole)
+
+    assert.deepEqual(diff.newNotFound.map(r => [r.url, r.liveStatus]), [['https://stage.example.com/hero.png', 200]])
+    assert.deepEqual(diff.newFailedRequests.map(r => r.error), ['net::ERR_FAILED'])
+    assert.equal(summary.newNotFound, 1)
+    assert.equal(summary.newFailedRequests, 1)
+})
+
+test('diffNetwork lists added and removed scripts and new third-party domains', () => {
+    const { diff, summary } = diffNetwork({
+        live: [entry('https://example.com/legacy.js'), entry('https://example.com/app.js')],
+        stage: [
+            entry('https://stage.example.com/app.js'),
+            entry('https://cdn.analytics.io/a.js', { thirdParty: true, domain: 'cdn.analytics.io' })
+        ]
+    }, noConsole)
+
+    assert.deepEqual(diff.addedScripts.map(s => s.url), ['https://cdn.analytics.io/a.js'])
+    assert.deepEqual(diff.removedScripts.map(s => s.url), ['https://example.com/legacy.js'])
+    assert.deepEqual(diff.newThirdPartyDomains, ['cdn.analytics.io'])
+    assert.equal(summary.addedScripts, 1)
+})
+
+test('diffNetwork flags payload growth past both the byte and ratio thresholds', () => {
+    const { diff, summary } = diffNetwork({
+        live: [entry('https://example.com/app.js', { size: 100 * 1024 }), entry('https://example.com/site.css', { resourceType: 'stylesheet', size: 100 * 1024 })],
+        stage: [entry('https://stage.example.com/app.js', { size: 150 * 1024 }), entry('https://stage.example.com/site.css', { resourceType: 'stylesheet', size: 105 * 1024 })]
+    }, noConsole)
+
+    assert.deepEqual(diff.resourceSizeRegressions.map(r => [r.url, r.deltaBytes]), [['https://stage.example.com/app.js', 50 * 1024]])
+    assert.deepEqual(diff.payloadRegressions.map(r => r.resourceType), ['total', 'script'])
+    // Per-resource regressions are detail of the payload ones and not counted twice
+    assert.equal(summary.regressions, 2)
+})
+
+test('diffNetwork keeps stage-only console errors once, ignoring hosts and line numbers', () => {
+    const { diff } = diffNetwork({ live: [], stage: [] }, {
+        live: [{ type: 'error', text: 'TypeError: x is undefined at https://example.com/app.js:10:5' }],
+        stage: [
+            { type: 'error', text: 'TypeError: x is undefined at https://stage.example.com/app.js:12:7' },
+            { type: 'error', text: 'Failed to load resource 500' },
+            { type: 'error', text: 'Failed to load resource 502' },
+            { type: 'warning', text: 'Deprecated API' }
+        ]
+    })
+
+    assert.deepEqual(diff.stageOnlyConsoleErrors.map(l => l.text), ['Failed to load resource 500'])
+})
+
+test('NetworkRecorder tags third-party and mixed content requests against the page URL', async () => {
+    const page = new EventEmitter()
+    page.createCDPSession = async () => { throw new Error('no CDP') }
+    const request = (url, { status = 200, headers = {}, failure = null } = {}) => ({
+        id: url,
+        url: () => url,
+        method: () => 'GET',
+        resourceType: () => 'image',
+        response: () => failure ? null : { status: () => status, headers: () => headers, fromCache: () => false },
+        failure: () => failure
+    })
+
+    const recorder = new NetworkRecorder(page)
+    await recorder.start()
+    for (const req of [
+        request('https://www.example.com/a.png', { headers: { 'content-length': '300' } }),
+        request('http://cdn.other.net/b.png', { failure: { errorText: 'net::ERR_BLOCKED_BY_CLIENT' } }),
+        request('data:image/png;base64,AAAA')
+    ]) {
+        page.emit('request', req)
+        page.emit(req.failure() ? 'requestfailed' : 'requestfinished', req)
+    }
+
+    const entries = await recorder.finish('https://example.com/')
+    assert.equal(entries.length, 2)
+    assert.deepEqual(entries.map(e => [e.size, e.thirdParty, e.mixedContent, e.blocked]), [
+        [300, false, false, false],
+        [0, true, true, true]
+    ])
+})
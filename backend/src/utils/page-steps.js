@@ -0,0 +1,81 @@
+/**
+ * Page Steps
+ * Purpose: Scripted browser interactions (goto, click, type, ...) shared by
+ * auth recipe login steps and user-flow audits
+ */
+
+export const PAGE_ACTIONS = ['goto', 'click', 'type', 'select', 'hover', 'press', 'scroll', 'waitFor']
+
+// Fields each action needs besides `action`
+export const REQUIRED_FIELDS = {
+    goto: ['url'],
+    click: ['selector'],
+    type: ['selector', 'value'],
+    select: ['selector', 'value'],
+    hover: ['selector'],
+    press: ['key'],
+    scroll: [],
+    waitFor: []
+}
+
+export const describeStep = (step) => `${step.action} ${step.selector || step.url || step.key || (step.timeout ? `${step.timeout}ms` : '')}`.trim()
+
+/**
+ * Run one step on a page. Relative `goto` URLs resolve against `baseUrl`.
+ * scroll goes to `selector`, or by `y` pixels (the page bottom without either);
+ * waitFor waits for `selector`, a `url` fragment or `timeout` ms.
+ */
+export async function runPageStep(page, step, baseUrl, { timeout = 30000 } = {}) {
+    switch (step.action) {
+        case 'goto':
+            await page.goto(new URL(step.url, baseUrl).href, { waitUntil: 'networkidle2', timeout })
+            break
+        case 'click':
+            await page.waitForSelector(step.selector, { visible: true, timeout })
+            if (step.waitForNavigation) {
+                await Promise.all([
+                    page.waitForNavigation({ waitUntil: 'networkidle2', timeout }),
+                    page.click(step.selector)
+                ])
+            } else {
+                await page.click(step.selector)
+            }
+            break
+        case 'type':
+            await page.waitForSelector(step.selector, { visible: true, timeout })
+            // Replace whatever the field holds (e.g. a remembered username)
+            await page.$eval(step.selector, el => { el.value = '' })
+            await page.type(step.selector, step.value)
+            break
+        case 'select':
+            await page.waitForSelector(step.selector, { timeout })
+            await page.select(step.selector, step.value)
+            break
+        case 'hover':
+            await page.waitForSelector(step.selector, { visible: true, timeout })
+            await page.hover(step.selector)
+            break
+        case 'press':
+            await page.keyboard.press(step.key)
+            break
+        case 'scroll':
+            if (step.selector) {
+                await page.waitForSelector(step.selector, { timeout })
+                await page.$eval(step.selector, el => el.scrollIntoView({ block: 'center' }))
+            } else {
+                await page.evaluate(y => window.scrollBy(0, y ?? document.body.scrollHeight), step.y)
+            }
+            break
+        case 'waitFor':
+            if (step.selector) {
+                await page.waitForSelector(step.selector, { timeout })
+            } else if (step.url) {
+                await page.waitForFunction(fragment => window.location.href.includes(fragment), { timeout }, step.url)
+            } else {
+                await new Promise(resolve => setTimeout(resolve, step.timeout))
+            }
+            break
+        default:
+            throw new Error(`Unknown action "${step.action}"`)
+    }
+}
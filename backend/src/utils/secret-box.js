@@ -0,0 +1,55 @@
+import crypto from 'crypto'
+import { logger } from './logger.js'
+
+/**
+ * Secret Box
+ * Purpose: AES-256-GCM encryption of credentials kept in the database.
+ * The key is derived from AUTH_RECIPE_KEY (falling back to JWT_SECRET), so
+ * changing it makes previously stored secrets unreadable.
+ */
+
+const VERSION = 'v1'
+
+let key = null
+
+const getKey = () => {
+    if (!key) {
+        if (!process.env.AUTH_RECIPE_KEY) {
+            logger.warn('AUTH_RECIPE_KEY is not set; stored credentials are encrypted with a key derived from JWT_SECRET')
+        }
+        const material = process.env.AUTH_RECIPE_KEY || process.env.JWT_SECRET || 'fallback-secret-key-123'
+        key = crypto.createHash('sha256').update(material).digest()
+    }
+    return key
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @returns {string} "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts)
+ */
+export const sealJson = (value) => {
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv)
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()])
+    return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':')
+}
+
+/**
+ * Decrypt a value sealed with sealJson
+ * @throws {Error} When the box was sealed with another key or tampered with
+ */
+export const openJson = (sealed) => {
+    const [version, iv, tag, ciphertext] = String(sealed).split(':')
+    if (version !== VERSION || !ciphertext) {
+        throw new Error('Unsupported secret format')
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'))
+    decipher.setAuthTag(Buffer.from(tag, 'base64'))
+    try {
+        const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()])
+        return JSON.parse(plaintext.toString('utf8'))
+    } catch {
+        throw new Error('Stored secret could not be decrypted (was AUTH_RECIPE_KEY changed?)')
+    }
+}
@@ -0,0 +1,32 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { sealJson, openJson } from './secret-box.js'
+
+process.env.AUTH_RECIPE_KEY ||= 'test-auth-recipe-key'
+
+const auth = { basicAuth: { username: 'qa', password: 'päss:word' }, headers: { 'X-Preview': '1' } }
+
+test('openJson returns what sealJson sealed', () => {
+    const sealed = sealJson(auth)
+
+    assert.match(sealed, /^v1:[^:]+:[^:]+:[^:]+$/)
+    assert.ok(!sealed.includes('qa'))
+    assert.deepEqual(openJson(sealed), auth)
+})
+
+test('sealJson uses a fresh IV every time', () => {
+    const [first, second] = [sealJson(auth), sealJson(auth)]
+
+    assert.notEqual(first, second)
+    assert.deepEqual(openJson(first), openJson(second))
+})
+
+test('openJson rejects tampered and unknown boxes', () => {
+    const [version, iv, tag, ciphertext] = sealJson(auth).split(':')
+    const flipped = Buffer.from(ciphertext, 'base64')
+    flipped[0] ^= 1
+
+    assert.throws(() => openJson([version, iv, tag, flipped.toString('base64')].join(':')), /could not be decrypted/)
+    assert.throws(() => openJson(['v2', iv, tag, ciphertext].join(':')), /Unsupported secret format/)
+    assert.throws(() => openJson('not a box'), /Unsupported secret format/)
+})
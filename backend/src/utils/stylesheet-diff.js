@@ -0,0 +1,308 @@
+import axios from 'axios'
+import { logger } from './logger.js'
+import cssDiffer from './css-differ.js'
+
+/**
+ * Stylesheet Diff Utilities
+ * Purpose: Capture the CSS rules a page loaded (document.styleSheets, like
+ * CrawlerService) and diff two pages rule by rule: added/removed selectors,
+ * changed declarations and custom properties, and new or removed media
+ * queries. Changes are grouped with CSSDiffer.groupDifferencesByCategory.
+ */
+
+const CAPTURE_OPTIONS = {
+    maxRules: 20000,
+    maxValue: 300
+}
+
+// Cross-origin sheets can't be read in the page; they are fetched here and parsed there
+const MAX_FETCHED_SHEETS = 20
+const MAX_SHEET_BYTES = 2 * 1024 * 1024
+
+// Changes kept in the report (the summary counts all of them)
+const MAX_CHANGES = 300
+
+const KIND_ORDER = ['media-query-added', 'media-query-removed', 'selector-removed', 'selector-added', 'declaration-changed', 'custom-property-changed']
+const SEVERITY_ORDER = ['critical', 'warning', 'minor']
+
+/**
+ * Runs in the page: every style rule as { context, selector, declarations }.
+ * Shorthands come back expanded and values serialized by the browser, so
+ * equivalent stylesheets compare equal. `context` is the chain of enclosing
+ * at-rules ("@media (max-width: 768px) > @supports (display: grid)").
+ * Sheets whose rules are cross-origin are parsed from `fetched` (href -> text).
+ */
+function captureStylesheets(options, fetched) {
+    const origin = location.origin
+    const rules = []
+    const sheets = []
+    let truncated = false
+
+    const clean = (value) => value.split(origin).join('').replace(/\s+/g, ' ').trim().slice(0, options.maxValue)
+    const declarationsOf = (style) => Array.from(style).map(name => [
+        name,
+        clean(style.getPropertyValue(name)),
+        style.getPropertyPriority(name) === 'important'
+    ])
+
+    const visit = (ruleList, context) => {
+        for (const rule of Array.from(ruleList)) {
+            if (rules.length >= options.maxRules) {
+                truncated = true
+                return
+            }
+            const within = (atRule) => context ? `${context} > ${atRule}` : atRule
+
+            if (rule instanceof CSSStyleRule) {
+                rules.push({ context, selector: rule.selectorText.replace(/\s+/g, ' ').trim(), declarations: declarationsOf(rule.style) })
+                // Nested CSS
+                if (rule.cssRules?.length) visit(rule.cssRules, within(rule.selectorText))
+            } else if (rule instanceof CSSMediaRule) {
+                visit(rule.cssRules, within(`@media ${rule.media.mediaText}`))
+            } else if (rule instanceof CSSSupportsRule) {
+                visit(rule.cssRules, within(`@supports ${rule.conditionText}`))
+            } else if (typeof CSSContainerRule !== 'undefined' && rule instanceof CSSContainerRule) {
+                visit(rule.cssRules, within(`@container ${rule.conditionText}`))
+            } else if (typeof CSSLayerBlockRule !== 'undefined' && rule instanceof CSSLayerBlockRule) {
+                visit(rule.cssRules, within(`@layer ${rule.name}`))
+            } else if (rule instanceof CSSKeyframesRule) {
+                Array.from(rule.cssRules).forEach(frame => rules.push({
+                    context: within(`@keyframes ${rule.name}`),
+                    selector: frame.keyText,
+                    declarations: declarationsOf(frame.style)
+                }))
+            } else if (rule instanceof CSSFontFaceRule) {
+                const style = rule.style
+                const face = [style.getPropertyValue('font-family'), style.getPropertyValue('font-weight'), style.getPropertyValue('font-style')]
+                rules.push({ context: within('@font-face'), selector: clean(face.filter(Boolean).join(' ')), declarations: declarationsOf(style) })
+            } else if (rule instanceof CSSImportRule) {
+                try {
+                    if (rule.styleSheet) visit(rule.styleSheet.cssRules, context)
+                } catch (e) { }
+            }
+        }
+    }
+
+    for (const sheet of Array.from(document.styleSheets)) {
+        const href = sheet.href ? clean(sheet.href) : null
+        let ruleList = null
+        try {
+            ruleList = sheet.cssRules
+        } catch (e) {
+            // Cross-origin: parse the text fetched by the server, if any
+            if (sheet.href && fetched[sheet.href]) {
+                try {
+                    const copy = new CSSStyleSheet()
+                    copy.replaceSync(fetched[sheet.href])
+                    ruleList = copy.cssRules
+                } catch (err) { }
+            }
+        }
+
+        const media = sheet.media?.mediaText
+        const before = rules.length
+        if (ruleList) visit(ruleList, media && media !== 'all' ? `@media ${media}` : '')
+        sheets.push({ href, rules: rules.length - before, readable: !!ruleList })
+    }
+
+    return { sheets, rules, truncated }
+}
+
+const fetchSheet = async (href) => {
+    try {
+        const { data } = await axios.get(href, { timeout: 10000, responseType: 'text', maxContentLength: MAX_SHEET_BYTES })
+        return [href, String(data)]
+    } catch (error) {
+        logger.warn(`Stylesheet fetch failed for ${href}: ${error.message}`)
+        return [href, null]
+    }
+}
+
+/**
+ * CSS rules of a rendered page
+ * @returns {Promise<Object>} { sheets: [{ href, rules, readable }], rules, truncated }
+ */
+export const captureStylesheetsOf = async (page) => {
+    const crossOrigin = await page.evaluate(() => Array.from(document.styleSheets)
+        .filter(sheet => {
+            try {
+                return !sheet.cssRules
+            } catch (e) {
+                return !!sheet.href
+            }
+        })
+        .map(sheet => sheet.href))
+
+    const hrefs = [...new Set(crossOrigin)].slice(0, MAX_FETCHED_SHEETS)
+    const fetched = Object.fromEntries((await Promise.all(hrefs.map(fetchSheet))).filter(([, text]) => text))
+
+    return page.evaluate(`(${captureStylesheets})(${JSON.stringify(CAPTURE_OPTIONS)}, ${JSON.stringify(fetched)})`)
+}
+
+// "font-size" -> "fontSize", the property names CSSDiffer categorizes
+const camelCase = (property) => property.replace(/^-+/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase())
+
+const COLOR_VALUE = /^(#[0-9a-f]{3,8}|rgba?\(|hsla?\(|oklch\(|color-mix\()/i
+
+const categoryOf = (property, value) => {
+    const category = cssDiffer.categorizeProperty(camelCase(property))
+    // Custom properties are named freely; a colour value says more than "--brand"
+    return category === 'other' && property.startsWith('--') && COLOR_VALUE.test(value || '') ? 'color' : category
+}
+
+const severityOf = (property, value) => property.startsWith('--')
+    ? (COLOR_VALUE.test(value || '') ? 'warning' : 'minor')
+    : cssDiffer.determineSeverity({ property: camelCase(property) })
+
+/**
+ * Rules keyed by context and selector. Repeated rules are merged in cascade
+ * order: a later declaration wins unless only the earlier one is !important.
+ */
+const indexRules = (rules) => {
+    const index = new Map()
+    for (const { context, selector, declarations } of rules) {
+        const key = `${context}\u0000${selector}`
+        if (!index.has(key)) index.set(key, { context, selector, declarations: new Map() })
+        const merged = index.get(key).declarations
+        for (const [name, value, important] of declarations) {
+            if (merged.get(name)?.important && !important) continue
+            merged.set(name, { value, important })
+        }
+    }
+    return index
+}
+
+const formatValue = ({ value, important }) => important ? `${value} !important` : value
+
+/**
+ * A rule pretty-printed inside its at-rules, two spaces per level
+ */
+export const prettyPrintRule = ({ context, selector, declarations }) => {
+    const wrappers = context ? context.split(' > ') : []
+    const lines = []
+    wrappers.forEach((atRule, depth) => lines.push(`${'  '.repeat(depth)}${atRule} {`))
+
+    const indent = '  '.repeat(wrappers.length)
+    lines.push(`${indent}${selector} {`)
+    for (const [name, declaration] of declarations) {
+        lines.push(`${indent}  ${name}: ${formatValue(declaration)};`)
+    }
+    lines.push(`${indent}}`)
+
+    wrappers.forEach((_, depth) => lines.push(`${'  '.repeat(wrappers.length - depth - 1)}}`))
+    return lines.join('\n')
+}
+
+// Category most of a rule's declarations fall in
+const dominantCategory = (declarations) => {
+    const counts = {}
+    for (const [name, { value }] of declarations) {
+        const category = categoryOf(name, value)
+        counts[category] = (counts[category] || 0) + 1
+    }
+    return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || 'other'
+}
+
+const mediaContextsOf = (index) => new Set([...index.values()].map(r => r.context).filter(c => c.includes('@media')))
+
+/**
+ * Rule-level diff of two captured stylesheets (see captureStylesheetsOf)
+ * @returns {Object} { summary, grouped: { typography, color, spacing, layout, visual, other } }
+ */
+export const diffStylesheets = (liveCss, stageCss) => {
+    const live = indexRules(liveCss.rules)
+    const stage = indexRules(stageCss.rules)
+    const liveMedia = mediaContextsOf(live)
+    const stageMedia = mediaContextsOf(stage)
+    const changes = []
+
+    // A whole media query that exists on one side only is one change, not one per rule
+    const newMedia = (context, others) => context.includes('@media') && !others.has(context)
+    const reportMedia = (kind, contexts, index) => {
+        for (const context of contexts) {
+            const rules = [...index.values()].filter(r => r.context === context)
+            changes.push({
+                kind,
+                type: 'layout',
+                severity: 'warning',
+                context,
+                selector: null,
+                property: null,
+                rules: rules.length,
+                selectors: rules.slice(0, 10).map(r => r.selector),
+                css: rules.slice(0, 10).map(prettyPrintRule).join('\n')
+            })
+        }
+    }
+    reportMedia('media-query-added', [...stageMedia].filter(c => !liveMedia.has(c)), stage)
+    reportMedia('media-query-removed', [...liveMedia].filter(c => !stageMedia.has(c)), live)
+
+    const ruleChange = (kind, rule) => ({
+        kind,
+        type: dominantCategory(rule.declarations),
+        severity: 'warning',
+        context: rule.context,
+        selector: rule.selector,
+        property: null,
+        declarations: rule.declarations.size,
+        css: prettyPrintRule(rule)
+    })
+
+    for (const [key, rule] of stage) {
+        if (!live.has(key) && !newMedia(rule.context, liveMedia)) changes.push(ruleChange('selector-added', rule))
+    }
+
+    for (const [key, liveRule] of live) {
+        const stageRule = stage.get(key)
+        if (!stageRule) {
+            if (!newMedia(liveRule.context, stageMedia)) changes.push(ruleChange('selector-removed', liveRule))
+            continue
+        }
+
+        const names = new Set([...liveRule.declarations.keys(), ...stageRule.declarations.keys()])
+        for (const name of names) {
+            const before = liveRule.declarations.get(name)
+            const after = stageRule.declarations.get(name)
+            if (before && after && formatValue(before) === formatValue(after)) continue
+
+            changes.push({
+                kind: name.startsWith('--') ? 'custom-property-changed' : 'declaration-changed',
+                type: categoryOf(name, (after || before).value),
+                severity: severityOf(name, (after || before).value),
+                context: liveRule.context,
+                selector: liveRule.selector,
+                property: name,
+                liveValue: before ? formatValue(before) : null,
+                stageValue: after ? formatValue(after) : null
+            })
+        }
+    }
+
+    changes.sort((a, b) =>
+        SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+        KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind))
+
+    const count = (kind) => changes.filter(c => c.kind === kind).length
+    const byCategory = Object.fromEntries(Object.entries(cssDiffer.groupDifferencesByCategory(changes))
+        .map(([category, list]) => [category, list.length]))
+
+    return {
+        summary: {
+            liveSheets: liveCss.sheets.length,
+            stageSheets: stageCss.sheets.length,
+            liveRules: live.size,
+            stageRules: stage.size,
+            unreadableSheets: [...liveCss.sheets, ...stageCss.sheets].filter(s => !s.readable).map(s => s.href),
+            addedSelectors: count('selector-added'),
+            removedSelectors: count('selector-removed'),
+            changedDeclarations: count('declaration-changed'),
+            changedCustomProperties: count('custom-property-changed'),
+            addedMediaQueries: count('media-query-added'),
+            removedMediaQueries: count('media-query-removed'),
+            byCategory,
+            truncated: liveCss.truncated || stageCss.truncated,
+            totalChanges: changes.length
+        },
+        grouped: cssDiffer.groupDifferencesByCategory(changes.slice(0, MAX_CHANGES))
+    }
+}
@@ -0,0 +1,126 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { diffStylesheets, prettyPrintRule } from './stylesheet-diff.js'
+
+// Captured stylesheet: rules are [context, selector, { property: value }] with "!important" suffixes
+const css = (rules, { sheets = [{ href: null, rules: rules.length, readable: true }], truncated = false } = {}) => ({
+    sheets,
+    truncated,
+    rules: rules.map(([context, selector, declarations]) => ({
+        context,
+        selector,
+        declarations: Object.entries(declarations).map(([name, value]) => [name, value.replace(/ !important$/, ''), value.endsWith(' !important')])
+    }))
+})
+
+const changesOf = ({ grouped }) => Object.values(grouped).flat()
+
+test('identical stylesheets have no changes', () => {
+    const sheet = () => css([['', '.btn', { color: 'rgb(0, 0, 0)', 'padding-top': '8px' }]])
+    const { summary } = diffStylesheets(sheet(), sheet())
+
+    assert.equal(summary.totalChanges, 0)
+    assert.equal(summary.liveRules, 1)
+})
+
+test('changed declarations are categorized and given a severity', () => {
+    const live = css([['', '.card', { display: 'block', color: 'rgb(0, 0, 0)', 'font-size': '16px', cursor: 'pointer' }]])
+    const stage = css([['', '.card', { display: 'flex', color: 'rgb(255, 0, 0)', 'font-size': '16px' }]])
+    const { summary, grouped } = diffStylesheets(live, stage)
+
+    assert.equal(summary.changedDeclarations, 3)
+    assert.deepEqual(changesOf({ grouped }).map(c => [c.property, c.type, c.severity]), [
+        ['color', 'color', 'warning'],
+        ['display', 'layout', 'critical'],
+        ['cursor', 'other', 'minor']
+    ])
+    assert.deepEqual(grouped.layout[0], {
+        kind: 'declaration-changed',
+        type: 'layout',
+        severity: 'critical',
+        context: '',
+        selector: '.card',
+        property: 'display',
+        liveValue: 'block',
+        stageValue: 'flex'
+    })
+    assert.equal(grouped.other[0].stageValue, null)
+})
+
+test('added and removed selectors take the category of most of their declarations', () => {
+    const live = css([['', '.old', { margin: '0', padding: '4px', color: 'red' }]])
+    const stage = css([['', '.new', { 'font-family': 'Inter', 'font-weight': '700' }]])
+    const { summary, grouped } = diffStylesheets(live, stage)
+
+    assert.equal(summary.addedSelectors, 1)
+    assert.equal(summary.removedSelectors, 1)
+    assert.deepEqual(grouped.typography.map(c => [c.kind, c.selector, c.declarations]), [['selector-added', '.new', 2]])
+    assert.deepEqual(grouped.spacing.map(c => [c.kind, c.selector]), [['selector-removed', '.old']])
+})
+
+test('repeated rules are merged in cascade order before comparing', () => {
+    const live = css([
+        ['', 'a', { color: 'blue !important' }],
+        ['', 'a', { color: 'green' }]
+    ])
+    const stage = css([['', 'a', { color: 'blue !important' }]])
+
+    assert.equal(diffStylesheets(live, stage).summary.totalChanges, 0)
+})
+
+test('custom properties with colour values count as colour changes', () => {
+    const live = css([['', ':root', { '--brand': '#0055ff', '--radius': '4px' }]])
+    const stage = css([['', ':root', { '--brand': '#ff5500', '--radius': '6px' }]])
+    const { summary, grouped } = diffStylesheets(live, stage)
+
+    assert.equal(summary.changedCustomProperties, 2)
+    assert.deepEqual(grouped.color.map(c => [c.property, c.severity]), [['--brand', 'warning']])
+    assert.deepEqual(grouped.other.map(c => [c.property, c.severity]), [['--radius', 'minor']])
+})
+
+test('a media query on one side only is one change, not one per rule', () => {
+    const mobile = '@media (max-width: 768px)'
+    const live = css([['', 'nav', { display: 'flex' }]])
+    const stage = css([
+        ['', 'nav', { display: 'flex' }],
+        [mobile, 'nav', { display: 'none' }],
+        [mobile, '.menu-toggle', { display: 'block' }]
+    ])
+    const { summary, grouped } = diffStylesheets(live, stage)
+
+    assert.equal(summary.totalChanges, 1)
+    assert.equal(summary.addedMediaQueries, 1)
+    assert.equal(summary.addedSelectors, 0)
+    assert.deepEqual(grouped.layout[0].selectors, ['nav', '.menu-toggle'])
+    assert.equal(grouped.layout[0].rules, 2)
+
+    assert.equal(diffStylesheets(stage, live).summary.removedMediaQueries, 1)
+})
+
+test('unreadable sheets and truncation are reported in the summary', () => {
+    const live = css([], { sheets: [{ href: 'https://cdn.example.com/site.css', rules: 0, readable: false }] })
+    const stage = css([], { truncated: true })
+    const { summary } = diffStylesheets(live, stage)
+
+    assert.deepEqual(summary.unreadableSheets, ['https://cdn.example.com/site.css'])
+    assert.equal(summary.truncated, true)
+})
+
+test('prettyPrintRule nests a rule in its at-rules', () => {
+    const rule = {
+        context: '@media (min-width: 1024px) > @supports (display: grid)',
+        selector: '.grid',
+        declarations: new Map([['display', { value: 'grid', important: false }], ['gap', { value: '16px', important: true }]])
+    }
+
+    assert.equal(prettyPrintRule(rule), [
+        '@media (min-width: 1024px) {',
+        '  @supports (display: grid) {',
+        '    .grid {',
+        '      display: grid;',
+        '      gap: 16px !important;',
+        '    }',
+        '  }',
+        '}'
+    ].join('\n'))
+})
@@ -0,0 +1,192 @@
+import axios from 'axios'
+import { logger } from './logger.js'
+
+/**
+ * URL Discovery Utilities
+ * Purpose: Same-origin link normalization, include/exclude filtering,
+ * sitemap.xml parsing and a breadth-first crawl frontier for multi-page audits
+ */
+
+// Links to assets/downloads rather than HTML pages
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|jpe?g|png|gif|webp|avif|svg|ico|mp4|webm|mp3|wav|docx?|xlsx?|pptx?|csv|xml|json|txt|css|js)$/i
+
+const MAX_SITEMAP_FILES = 5
+
+/**
+ * Resolve an href against a base URL and strip the fragment
+ * @returns {string|null} Absolute http(s) URL, or null if unusable
+ */
+export const normalizeUrl = (href, base) => {
+    try {
+        const url = new URL(href, base)
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null
+        url.hash = ''
+        // Treat /about and /about/ as the same page
+        if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+            url.pathname = url.pathname.slice(0, -1)
+        }
+        return url.toString()
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Compile user patterns into RegExps.
+ * "/regex/" strings are used as-is, "*" acts as a wildcard, anything else is a substring match.
+ */
+export const compilePatterns = (patterns = []) => {
+    const list = Array.isArray(patterns) ? patterns : String(patterns).split(',')
+
+    return list
+        .map(p => String(p).trim())
+        .filter(Boolean)
+        .map(p => {
+            if (p.length > 2 && p.startsWith('/') && p.endsWith('/')) {
+                return new RegExp(p.slice(1, -1), 'i')
+            }
+            const escaped = p.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')
+            return new RegExp(escaped, 'i')
+        })
+}
+
+/**
+ * Check whether a URL belongs to the crawl scope
+ */
+export const isUrlInScope = (url, { origin, include = [], exclude = [] }) => {
+    const parsed = new URL(url)
+    if (parsed.origin !== origin) return false
+    if (NON_PAGE_EXTENSIONS.test(parsed.pathname)) return false
+
+    const target = parsed.pathname + parsed.search
+    if (include.length > 0 && !include.some(re => re.test(target))) return false
+    if (exclude.some(re => re.test(target))) return false
+
+    return true
+}
+
+/**
+ * Fetch page URLs from a sitemap (follows sitemap indexes one level deep)
+ * @returns {Promise<string[]>}
+ */
+export const fetchSitemapUrls = async (sitemapUrl, { limit = 500 } = {}) => {
+    const pageUrls = []
+    const queue = [sitemapUrl]
+    let filesRead = 0
+
+    while (queue.length > 0 && filesRead < MAX_SITEMAP_FILES && pageUrls.length < limit) {
+        const current = queue.shift()
+        filesRead++
+
+        try {
+            const { data } = await axios.get(current, { timeout: 10000, responseType: 'text' })
+            const locs = Array.from(String(data).matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)).map(m => m[1].replace(/&amp;/g, '&'))
+
+            if (/<sitemapindex/i.test(data)) {
+                queue.push(...locs)
+            } else {
+                pageUrls.push(...locs)
+            }
+        } catch (err) {
+            logger.warn(`Sitemap not available at ${current}: ${err.message}`)
+        }
+    }
+
+    return pageUrls.slice(0, limit)
+}
+
+/**
+ * Derive a template key from a URL path so pages built from the same template group together.
+ * Numeric segments become :id; the last segment of nested paths becomes :slug.
+ * e.g. /blog/my-first-post -> /blog/:slug, /products/123 -> /products/:id
+ */
+export const getTemplateKey = (url) => {
+    const segments = new URL(url).pathname.split('/').filter(Boolean)
+    if (segments.length === 0) return '/'
+
+    const generalized = segments.map((segment, i) => {
+        if (/^\d+$/.test(segment)) return ':id'
+        if (i === segments.length - 1 && segments.length > 1) return ':slug'
+        return segment
+    })
+
+    return '/' + generalized.join('/')
+}
+
+/**
+ * Path (with query) of a URL relative to a base URL, so the same page can be
+ * found on another host. A base path prefix (e.g. /preview) is stripped.
+ * e.g. https://stage.example.com/preview/pricing?plan=pro with base https://stage.example.com/preview -> /pricing?plan=pro
+ */
+export const toRelativePath = (url, base) => {
+    const parsed = new URL(url, base)
+    const basePath = new URL(base).pathname.replace(/\/+$/, '')
+    let pathname = parsed.pathname
+    if (basePath && (pathname === basePath || pathname.startsWith(`${basePath}/`))) {
+        pathname = pathname.slice(basePath.length) || '/'
+    }
+    return pathname + parsed.search
+}
+
+/**
+ * The URL of a relative path on another environment, keeping that environment's base path
+ * e.g. /pricing on https://stage.example.com/preview -> https://stage.example.com/preview/pricing
+ */
+export const mapPathToBase = (path, base) => {
+    const baseUrl = new URL(base)
+    const relative = new URL(path.startsWith('/') ? path : `/${path}`, 'http://placeholder')
+    const basePath = baseUrl.pathname.replace(/\/+$/, '')
+    baseUrl.pathname = relative.pathname === '/' && basePath ? basePath : basePath + relative.pathname
+    baseUrl.search = relative.search
+    baseUrl.hash = ''
+    return baseUrl.toString()
+}
+
+/**
+ * Breadth-first crawl frontier with a page budget, depth limit and URL scope
+ */
+export class CrawlFrontier {
+    constructor(startUrl, { maxPages = 10, maxDepth = 2, include = [], exclude = [] } = {}) {
+        const start = normalizeUrl(startUrl)
+        this.origin = new URL(start).origin
+        this.maxPages = maxPages
+        this.maxDepth = maxDepth
+        this.include = compilePatterns(include)
+        this.exclude = compilePatterns(exclude)
+        this.seen = new Set([start])
+        this.queue = [{ url: start, depth: 0 }]
+        this.dispatched = 0
+    }
+
+    /**
+     * Queue links discovered on a page at the given depth
+     * @returns {number} Number of newly queued URLs
+     */
+    add(links = [], depth) {
+        if (depth > this.maxDepth) return 0
+        let added = 0
+
+        for (const link of links) {
+            const url = normalizeUrl(link, this.origin)
+            if (!url || this.seen.has(url)) continue
+            if (!isUrlInScope(url, { origin: this.origin, include: this.include, exclude: this.exclude })) continue
+
+            this.seen.add(url)
+            this.queue.push({ url, depth })
+            added++
+        }
+
+        return added
+    }
+
+    /**
+     * Next page to visit, or null once the budget is spent or the queue is empty
+     */
+    next() {
+        if (this.dispatched >= this.maxPages) return null
+        const item = this.queue.shift()
+        if (!item) return null
+        this.dispatched++
+        return item
+    }
+}
@@ -0,0 +1,89 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import axios from 'axios'
+import {
+    normalizeUrl,
+    compilePatterns,
+    isUrlInScope,
+    fetchSitemapUrls,
+    getTemplateKey,
+    toRelativePath,
+    mapPathToBase,
+    CrawlFrontier
+} from './url-discovery.js'
+
+test('normalizeUrl resolves relative links, drops fragments and trailing slashes', () => {
+    assert.equal(normalizeUrl('/about/#team', 'https://example.com/blog'), 'https://example.com/about')
+    assert.equal(normalizeUrl('pricing?plan=pro', 'https://example.com/'), 'https://example.com/pricing?plan=pro')
+    assert.equal(normalizeUrl('https://example.com/'), 'https://example.com/')
+})
+
+test('normalizeUrl rejects non-http links', () => {
+    assert.equal(normalizeUrl('mailto:team@example.com'), null)
+    assert.equal(normalizeUrl('javascript:void(0)', 'https://example.com'), null)
+    assert.equal(normalizeUrl('not a url'), null)
+})
+
+test('compilePatterns supports regexes, wildcards and substrings', () => {
+    const [regex, wildcard, substring] = compilePatterns(['/^\\/blog\\/\\d+$/', '/docs/*/intro', 'Careers'])
+
+    assert.ok(regex.test('/blog/42'))
+    assert.ok(!regex.test('/blog/post'))
+    assert.ok(wildcard.test('/docs/v2/intro'))
+    assert.ok(substring.test('/jobs/careers'))
+    assert.equal(compilePatterns('/a, ,/b').length, 2)
+})
+
+test('isUrlInScope keeps same-origin pages matching include and not exclude', () => {
+    const scope = { origin: 'https://example.com', include: compilePatterns(['/blog']), exclude: compilePatterns(['draft']) }
+
+    assert.ok(isUrlInScope('https://example.com/blog/hello', scope))
+    assert.ok(!isUrlInScope('https://other.com/blog/hello', scope))
+    assert.ok(!isUrlInScope('https://example.com/about', scope))
+    assert.ok(!isUrlInScope('https://example.com/blog/draft-post', scope))
+    assert.ok(!isUrlInScope('https://example.com/blog/report.pdf', scope))
+})
+
+test('fetchSitemapUrls follows sitemap indexes and respects the limit', async (t) => {
+    const files = {
+        'https://example.com/sitemap.xml': '<sitemapindex><sitemap><loc>https://example.com/pages.xml</loc></sitemap></sitemapindex>',
+        'https://example.com/pages.xml': '<urlset><url><loc>https://example.com/a?x=1&amp;y=2</loc></url><url><loc> https://example.com/b </loc></url></urlset>'
+    }
+    t.mock.method(axios, 'get', async (url) => {
+        if (!files[url]) throw new Error('404')
+        return { data: files[url] }
+    })
+
+    assert.deepEqual(await fetchSitemapUrls('https://example.com/sitemap.xml'), ['https://example.com/a?x=1&y=2', 'https://example.com/b'])
+    assert.deepEqual(await fetchSitemapUrls('https://example.com/sitemap.xml', { limit: 1 }), ['https://example.com/a?x=1&y=2'])
+    assert.deepEqual(await fetchSitemapUrls('https://example.com/missing.xml'), [])
+})
+
+test('getTemplateKey generalizes ids and slugs', () => {
+    assert.equal(getTemplateKey('https://example.com/'), '/')
+    assert.equal(getTemplateKey('https://example.com/about'), '/about')
+    assert.equal(getTemplateKey('https://example.com/blog/my-first-post'), '/blog/:slug')
+    assert.equal(getTemplateKey('https://example.com/products/123/reviews'), '/products/:id/:slug')
+})
+
+test('toRelativePath and mapPathToBase carry a page across base paths', () => {
+    const path = toRelativePath('https://stage.example.com/preview/pricing?plan=pro', 'https://stage.example.com/preview')
+    assert.equal(path, '/pricing?plan=pro')
+    assert.equal(toRelativePath('https://stage.example.com/preview', 'https://stage.example.com/preview/'), '/')
+
+    assert.equal(mapPathToBase(path, 'https://example.com'), 'https://example.com/pricing?plan=pro')
+    assert.equal(mapPathToBase('/', 'https://stage.example.com/preview/'), 'https://stage.example.com/preview')
+    assert.equal(mapPathToBase('team', 'https://stage.example.com/preview'), 'https://stage.example.com/preview/team')
+})
+
+test('CrawlFrontier visits pages breadth-first within its budget and depth', () => {
+    const frontier = new CrawlFrontier('https://example.com/', { maxPages: 3, maxDepth: 1, exclude: ['/admin'] })
+
+    assert.deepEqual(frontier.next(), { url: 'https://example.com/', depth: 0 })
+    assert.equal(frontier.add(['/a', '/a/', '/admin', 'https://other.com/b', '/b#top'], 1), 2)
+    assert.equal(frontier.add(['/c'], 2), 0)
+
+    assert.equal(frontier.next().url, 'https://example.com/a')
+    assert.equal(frontier.next().url, 'https://example.com/b')
+    assert.equal(frontier.next(), null)
+})
@@ -0,0 +1,112 @@
+import { KnownDevices } from 'puppeteer'
+
+/**
+ * Viewport Utilities
+ * Purpose: Breakpoint matrices for responsive audits. A matrix entry is a
+ * width in px, a preset name, a Puppeteer device name (e.g. "iPhone 13") or
+ * a { width, height } object.
+ */
+
+export const DEFAULT_VIEWPORT_MATRIX = [375, 768, 1024, 1440]
+export const MAX_VIEWPORTS = 6
+
+// Named breakpoints (CSS px, rendered at 1x)
+export const VIEWPORT_PRESETS = {
+    mobile: { width: 375, height: 812 },
+    tablet: { width: 768, height: 1024 },
+    laptop: { width: 1024, height: 768 },
+    desktop: { width: 1440, height: 900 },
+    'desktop-hd': { width: 1920, height: 1080 }
+}
+
+// Typical screen height for a bare width
+const heightFor = (width) => Object.values(VIEWPORT_PRESETS).find(p => p.width === width)?.height || (width < 768 ? 812 : 900)
+
+// Phones and portrait tablets get touch and mobile meta-viewport handling
+const withDefaults = ({ label, width, height, deviceScaleFactor = 1, isMobile = width < 1024, hasTouch = width < 1024, userAgent }) => ({
+    label,
+    width,
+    height,
+    deviceScaleFactor,
+    isMobile,
+    hasTouch,
+    ...(userAgent && { userAgent })
+})
+
+const inRange = (width, height) => width >= 320 && width <= 3840 && height >= 240 && height <= 2160
+
+/**
+ * One matrix entry as a full viewport, or null when it is not recognised
+ * @returns {Object|null} { label, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent? }
+ */
+export const resolveViewport = (entry) => {
+    if (typeof entry === 'number' || (typeof entry === 'string' && /^\d+$/.test(entry))) {
+        const width = Number(entry)
+        const height = heightFor(width)
+        return inRange(width, height) ? withDefaults({ label: String(width), width, height }) : null
+    }
+
+    if (typeof entry === 'string') {
+        if (VIEWPORT_PRESETS[entry]) {
+            return withDefaults({ label: entry, ...VIEWPORT_PRESETS[entry] })
+        }
+        const device = KnownDevices[entry]
+        if (device) {
+            const { width, height, deviceScaleFactor, isMobile, hasTouch } = device.viewport
+            return withDefaults({ label: device.name, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent: device.userAgent })
+        }
+        return null
+    }
+
+    if (entry && typeof entry === 'object') {
+        const width = Number(entry.width)
+        const height = Number(entry.height) || heightFor(width)
+        if (!Number.isInteger(width) || !inRange(width, height)) return null
+        return withDefaults({ ...entry, label: entry.label || `${width}x${height}`, width, height })
+    }
+
+    return null
+}
+
+/**
+ * Validate the `viewports` option of an audit request: true for the default
+ * matrix, or a list of entries.
+ * Returns { error } with a 400 payload, or { viewports } (null when not requested).
+ */
+export const parseViewports = (value) => {
+    if (value === undefined || value === null || value === false) return { viewports: null }
+
+    const entries = value === true ? DEFAULT_VIEWPORT_MATRIX : value
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return { error: { error: 'Invalid viewports', message: 'viewports must be true or a list of widths, presets or device names' } }
+    }
+    if (entries.length > MAX_VIEWPORTS) {
+        return { error: { error: 'Invalid viewports', message: `At most ${MAX_VIEWPORTS} viewports can be audited at once` } }
+    }
+
+    const viewports = []
+    for (const entry of entries) {
+        const viewport = resolveViewport(entry)
+        if (!viewport) {
+            return {
+                error: {
+                    error: 'Invalid viewports',
+                    message: `Unknown viewport "${typeof entry === 'object' ? JSON.stringify(entry) : entry}". Use a width between 320 and 3840, one of ${Object.keys(VIEWPORT_PRESETS).join(', ')}, or a device name such as "iPhone 13".`
+                }
+            }
+        }
+        if (!viewports.some(v => v.label === viewport.label)) viewports.push(viewport)
+    }
+
+    // Narrowest first, so reports read mobile → desktop
+    return { viewports: viewports.sort((a, b) => a.width - b.width) }
+}
+
+/**
+ * Size, touch/mobile emulation and (for device presets) user agent of a page
+ */
+export const applyViewport = async (page, viewport) => {
+    const { width, height, deviceScaleFactor = 1, isMobile = false, hasTouch = false, userAgent } = viewport
+    await page.setViewport({ width, height, deviceScaleFactor, isMobile, hasTouch })
+    if (userAgent) await page.setUserAgent(userAgent)
+}
@@ -0,0 +1,47 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseViewports, resolveViewport, DEFAULT_VIEWPORT_MATRIX, MAX_VIEWPORTS } from './viewports.js'
+
+const labels = ({ viewports }) => viewports.map(v => v.label)
+
+test('parseViewports is off unless requested and true means the default matrix', () => {
+    assert.deepEqual(parseViewports(undefined), { viewports: null })
+    assert.deepEqual(parseViewports(false), { viewports: null })
+    assert.deepEqual(labels(parseViewports(true)), DEFAULT_VIEWPORT_MATRIX.map(String))
+})
+
+test('parseViewports resolves widths, presets, devices and sizes, narrowest first', () => {
+    const { viewports } = parseViewports(['desktop', '768', 'iPhone 13', { width: 1280, height: 720 }, 320])
+
+    assert.deepEqual(viewports.map(v => [v.label, v.width, v.height, v.isMobile]), [
+        ['320', 320, 812, true],
+        ['iPhone 13', 390, 844, true],
+        ['768', 768, 1024, true],
+        ['1280x720', 1280, 720, false],
+        ['desktop', 1440, 900, false]
+    ])
+    assert.equal(viewports[1].deviceScaleFactor, 3)
+    assert.match(viewports[1].userAgent, /iPhone/)
+    assert.equal(viewports[0].userAgent, undefined)
+})
+
+test('parseViewports drops duplicates', () => {
+    assert.deepEqual(labels(parseViewports([375, '375', 'mobile'])), ['375', 'mobile'])
+})
+
+test('parseViewports rejects empty, oversized and unknown matrices', () => {
+    assert.equal(parseViewports([]).error.error, 'Invalid viewports')
+    assert.equal(parseViewports('mobile').error.error, 'Invalid viewports')
+    assert.match(parseViewports(Array.from({ length: MAX_VIEWPORTS + 1 }, (_, i) => 400 + i)).error.message, new RegExp(`At most ${MAX_VIEWPORTS}`))
+    assert.match(parseViewports([375, 'watch']).error.message, /Unknown viewport "watch"/)
+    assert.match(parseViewports([{ width: 5000 }]).error.message, /Unknown viewport "\{"width":5000\}"/)
+})
+
+test('resolveViewport keeps sizes within 320-3840 by 240-2160', () => {
+    assert.equal(resolveViewport(319), null)
+    assert.equal(resolveViewport({ width: 1024, height: 200 }), null)
+    assert.equal(resolveViewport({ width: 1024.5 }), null)
+    assert.deepEqual(resolveViewport({ width: 3840, height: 2160, label: '4k' }), {
+        label: '4k', width: 3840, height: 2160, deviceScaleFactor: 1, isMobile: false, hasTouch: false
+    })
+})
@@ -8,16 +8,17 @@ import { logger } from './logger.js'
 /**
  * Build a stable CSS selector for an element with multiple fallback strategies
  * Priority: ID > Unique class combo > Path-based selector
+ * Runs in the page; ids and classes are escaped (e.g. Tailwind's md:flex)
  */
 export const buildStableSelector = (element) => {
     // Strategy 1: Use ID if available
     if (element.id) {
-        return `#${element.id}`
+        return `#${CSS.escape(element.id)}`
     }
 
     // Strategy 2: Try unique class combination
     if (element.className && typeof element.className === 'string') {
-        const classes = element.className.trim().split(/\s+/).filter(c => c)
+        const classes = element.className.trim().split(/\s+/).filter(c => c).map(c => CSS.escape(c))
         if (classes.length > 0) {
             const classSelector = '.' + classes.join('.')
             // Check if this selector is unique
@@ -36,7 +37,7 @@ export const buildStableSelector = (element) => {
         let selector = current.tagName.toLowerCase()
 
         if (current.id) {
-            selector = `#${current.id}`
+            selector = `#${CSS.escape(current.id)}`
             path.unshift(selector)
             break
         }
@@ -44,7 +45,7 @@ export const buildStableSelector = (element) => {
         if (current.className && typeof current.className === 'string') {
             const classes = current.className.trim().split(/\s+/).filter(c => c)
             if (classes.length > 0) {
-                selector += '.' + classes[0]
+                selector += '.' + CSS.escape(classes[0])
             }
         }
 
@@ -316,6 +317,124 @@ export const formatDifferenceMessage = (property, liveValue, stageValue, categor
     return `${emoji} ${property}: Live="${liveValue}" vs Stage="${stageValue}"`
 }
 
+/**
+ * Cluster the changed pixels of a pixelmatch diff image into regions.
+ * Only pixels drawn in the diff colour count (anti-aliasing is ignored);
+ * changed pixels are binned into cells and cells closer than `gap` cells
+ * apart are merged, so a re-styled button is one region rather than dozens.
+ * @param {PNG} diff - Diff image from pixelmatch
+ * @param {object} options - { cellSize, gap, minPixels, maxRegions, diffColor }
+ * @returns {Array} - Regions { x, y, width, height, changedPixels }, largest kept, in reading order
+ */
+export const clusterDiffPixels = (diff, { cellSize = 16, gap = 2, minPixels = 8, maxRegions = 30, diffColor = [255, 0, 0] } = {}) => {
+    const { width, height, data } = diff
+    const cols = Math.ceil(width / cellSize)
+    const rows = Math.ceil(height / cellSize)
+    const counts = new Uint32Array(cols * rows)
+    const bounds = new Int32Array(cols * rows * 4) // minX, minY, maxX, maxY of the cell's changed pixels
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4
+            if (data[idx] !== diffColor[0] || data[idx + 1] !== diffColor[1] || data[idx + 2] !== diffColor[2]) continue
+
+            const cell = Math.floor(y / cellSize) * cols + Math.floor(x / cellSize)
+            const b = cell * 4
+            if (counts[cell] === 0) {
+                bounds[b] = x
+                bounds[b + 1] = y
+                bounds[b + 2] = x
+                bounds[b + 3] = y
+            } else {
+                if (x < bounds[b]) bounds[b] = x
+                if (x > bounds[b + 2]) bounds[b + 2] = x
+                bounds[b + 3] = y
+            }
+            counts[cell]++
+        }
+    }
+
+    const visited = new Uint8Array(cols * rows)
+    const reach = gap + 1
+    const regions = []
+
+    for (let start = 0; start < counts.length; start++) {
+        if (!counts[start] || visited[start]) continue
+
+        const region = { minX: Infinity, minY: Infinity, maxX: -1, maxY: -1, changedPixels: 0 }
+        const stack = [start]
+        visited[start] = 1
+
+        while (stack.length) {
+            const cell = stack.pop()
+            const b = cell * 4
+            region.minX = Math.min(region.minX, bounds[b])
+            region.minY = Math.min(region.minY, bounds[b + 1])
+            region.maxX = Math.max(region.maxX, bounds[b + 2])
+            region.maxY = Math.max(region.maxY, bounds[b + 3])
+            region.changedPixels += counts[cell]
+
+            const col = cell % cols
+            const row = Math.floor(cell / cols)
+            for (let r = Math.max(0, row - reach); r <= Math.min(rows - 1, row + reach); r++) {
+                for (let c = Math.max(0, col - reach); c <= Math.min(cols - 1, col + reach); c++) {
+                    const next = r * cols + c
+                    if (counts[next] && !visited[next]) {
+                        visited[next] = 1
+                        stack.push(next)
+                    }
+                }
+            }
+        }
+
+        if (region.changedPixels >= minPixels) {
+            regions.push({
+                x: region.minX,
+                y: region.minY,
+                width: region.maxX - region.minX + 1,
+                height: region.maxY - region.minY + 1,
+                changedPixels: region.changedPixels
+            })
+        }
+    }
+
+    return regions
+        .sort((a, b) => b.changedPixels - a.changedPixels)
+        .slice(0, maxRegions)
+        .sort((a, b) => a.y - b.y || a.x - b.x)
+}
+
+const overlapArea = (a, b) => {
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x)
+    const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y)
+    return width > 0 && height > 0 ? width * height : 0
+}
+
+/**
+ * Matched elements (from matchElements) behind a changed region, most specific first:
+ * elements overlapping the region on either side, preferring those the region
+ * covers a large share of over page-wide containers.
+ * @returns {Array} - Up to `limit` matched pairs
+ */
+export const mapRegionToElements = (region, matchedPairs, limit = 5) => {
+    const scored = []
+    for (const pair of matchedPairs) {
+        // Best covered side; its area breaks ties in favour of the smaller element
+        let best = { score: 0, area: 0 }
+        for (const rect of [pair.live.rect, pair.stage.rect]) {
+            const area = rect ? rect.width * rect.height : 0
+            const score = area > 0 ? overlapArea(region, rect) / area : 0
+            if (score > best.score) best = { score, area }
+        }
+        if (best.score > 0) scored.push({ pair, ...best })
+    }
+
+    return scored
+        .sort((a, b) => b.score - a.score || a.area - b.area)
+        .slice(0, limit)
+        .map(({ pair }) => pair)
+}
+
 export default {
     buildStableSelector,
     normalizeColor,
@@ -325,5 +444,7 @@ export default {
     categorizeProperty,
     captureElementScreenshot,
     matchElements,
-    formatDifferenceMessage
+    formatDifferenceMessage,
+    clusterDiffPixels,
+    mapRegionToElements
 }
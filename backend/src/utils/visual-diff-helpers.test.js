@@ -0,0 +1,81 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { clusterDiffPixels, mapRegionToElements } from './visual-diff-helpers.js'
+
+// pixelmatch-style diff image with the given rectangles painted, red unless a colour is given
+const diffImage = (width, height, rects) => {
+    const data = new Uint8Array(width * height * 4)
+    for (const { x, y, width: w, height: h, color = [255, 0, 0] } of rects) {
+        for (let py = y; py < y + h; py++) {
+            for (let px = x; px < x + w; px++) {
+                data.set([...color, 255], (py * width + px) * 4)
+            }
+        }
+    }
+    return { width, height, data }
+}
+
+const pair = (selector, live, stage = live) => ({ selector, live: { rect: live }, stage: { rect: stage } })
+
+test('clusterDiffPixels returns distant changes as separate regions in reading order', () => {
+    const diff = diffImage(200, 100, [
+        { x: 150, y: 60, width: 20, height: 10 },
+        { x: 10, y: 10, width: 10, height: 10 }
+    ])
+
+    assert.deepEqual(clusterDiffPixels(diff), [
+        { x: 10, y: 10, width: 10, height: 10, changedPixels: 100 },
+        { x: 150, y: 60, width: 20, height: 10, changedPixels: 200 }
+    ])
+})
+
+test('clusterDiffPixels merges changes fewer than `gap` cells apart', () => {
+    const diff = diffImage(200, 100, [
+        { x: 10, y: 10, width: 10, height: 10 },
+        { x: 60, y: 14, width: 10, height: 10 }
+    ])
+
+    assert.deepEqual(clusterDiffPixels(diff), [{ x: 10, y: 10, width: 60, height: 14, changedPixels: 200 }])
+    assert.equal(clusterDiffPixels(diff, { gap: 0 }).length, 2)
+})
+
+test('clusterDiffPixels ignores anti-aliasing and specks below minPixels', () => {
+    const diff = diffImage(100, 100, [
+        { x: 0, y: 0, width: 40, height: 40, color: [255, 255, 0] },
+        { x: 80, y: 80, width: 2, height: 2 }
+    ])
+
+    assert.deepEqual(clusterDiffPixels(diff), [])
+    assert.equal(clusterDiffPixels(diff, { minPixels: 4 }).length, 1)
+})
+
+test('clusterDiffPixels keeps the largest regions when there are too many', () => {
+    const diff = diffImage(300, 100, [
+        { x: 0, y: 50, width: 10, height: 10 },
+        { x: 100, y: 0, width: 5, height: 5 },
+        { x: 200, y: 10, width: 20, height: 20 }
+    ])
+
+    assert.deepEqual(clusterDiffPixels(diff, { maxRegions: 2 }).map(r => r.changedPixels), [400, 100])
+})
+
+test('mapRegionToElements ranks elements by the share of them the region covers', () => {
+    const region = { x: 0, y: 0, width: 100, height: 100 }
+    const button = pair('.btn', { x: 10, y: 10, width: 40, height: 20 })
+    const page = pair('body', { x: 0, y: 0, width: 1000, height: 2000 })
+    const footer = pair('footer', { x: 0, y: 500, width: 1000, height: 100 })
+    // Moved on stage: the stage side overlaps more
+    const card = pair('.card', { x: 400, y: 400, width: 100, height: 100 }, { x: 50, y: 0, width: 100, height: 100 })
+
+    assert.deepEqual(mapRegionToElements(region, [page, footer, card, button]).map(p => p.selector), ['.btn', '.card', 'body'])
+    assert.deepEqual(mapRegionToElements(region, [page, card, button], 1).map(p => p.selector), ['.btn'])
+})
+
+test('mapRegionToElements prefers smaller elements on a tie, with a side missing its box', () => {
+    const region = { x: 0, y: 0, width: 100, height: 100 }
+    const section = pair('section', { x: 0, y: 0, width: 50, height: 50 })
+    const added = pair('.badge', null, { x: 10, y: 10, width: 20, height: 20 })
+    const hidden = pair('.hidden', { x: 0, y: 0, width: 0, height: 0 })
+
+    assert.deepEqual(mapRegionToElements(region, [section, hidden, added]).map(p => p.selector), ['.badge', 'section'])
+})
@@ -4,9 +4,11 @@ import Sidebar from './components/Sidebar'
 import Header from './components/Header'
 import Dashboard from './pages/Dashboard'
 import WebsiteAuditor from './pages/WebsiteAuditor'
+import AccessibilityChecker from './pages/AccessibilityChecker'
 import LiveStageComparator from './pages/LiveStageComparator'
 import ImageOptimizer from './pages/ImageOptimizer'
 import PageSpeedAnalyzer from './pages/PageSpeedAnalyzer'
+import UserFlows from './pages/UserFlows'
 import AutoDocs from './pages/AutoDocs'
 import NewsletterTester from './pages/NewsletterTester'
 import EmailTemplateGenerator from './pages/EmailTemplateGenerator'
@@ -16,6 +18,7 @@ import Signup from './pages/Signup'
 import ForgotPassword from './pages/ForgotPassword'
 import ProtectedRoute from './components/ProtectedRoute'
 import { AuthProvider, useAuth } from './context/AuthContext'
+import { ProjectProvider } from './context/ProjectContext'
 
 const queryClient = new QueryClient()
 
@@ -52,9 +55,11 @@ function AppContent() {
                                             <Routes>
                                                 <Route path="/" element={<Dashboard />} />
                                                 <Route path="/website-auditor" element={<WebsiteAuditor />} />
+                                                <Route path="/accessibility" element={<AccessibilityChecker />} />
                                                 <Route path="/comparator" element={<LiveStageComparator />} />
                                                 <Route path="/image-optimizer" element={<ImageOptimizer />} />
                                                 <Route path="/pagespeed" element={<PageSpeedAnalyzer />} />
+                                                <Route path="/user-flows" element={<UserFlows />} />
                                                 <Route path="/auto-docs" element={<AutoDocs />} />
                                                 <Route path="/newsletter" element={<NewsletterTester />} />
                                                 <Route path="/email-generator" element={<EmailTemplateGenerator />} />
@@ -76,7 +81,9 @@ function App() {
     return (
         <QueryClientProvider client={queryClient}>
             <AuthProvider>
-                <AppContent />
+                <ProjectProvider>
+                    <AppContent />
+                </ProjectProvider>
             </AuthProvider>
         </QueryClientProvider>
     )
@@ -0,0 +1,94 @@
+import { useEffect, useState } from 'react'
+import { CheckCircle2, Loader2, Clock } from 'lucide-react'
+
+const formatElapsed = (ms) => {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000))
+    const minutes = Math.floor(totalSeconds / 60)
+    const seconds = totalSeconds % 60
+    return minutes > 0 ? `${minutes}m ${seconds.toString().padStart(2, '0')}s` : `${seconds}s`
+}
+
+// "criticalIssues" -> "Critical Issues"
+const formatLabel = (key) => key
+    .replace(/([A-Z])/g, ' $1')
+    .replace(/^./, c => c.toUpperCase())
+
+const formatValue = (key, value) => {
+    if (typeof value === 'number' && /time|ms$/i.test(key)) return `${(value / 1000).toFixed(1)}s`
+    return String(value)
+}
+
+/**
+ * Live step-by-step view of a streaming audit job:
+ * completed stages, the current stage, partial results and elapsed time.
+ */
+export default function AuditProgress({ job, title = 'Audit in progress' }) {
+    const [now, setNow] = useState(Date.now())
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000)
+        return () => clearInterval(timer)
+    }, [])
+
+    const stages = job?.progress?.stages || []
+    const percent = job?.progress?.percent || 0
+    const elapsed = job?.startedAt ? now - new Date(job.startedAt).getTime() : 0
+    const partialEntries = Object.entries(job?.partial || {})
+
+    return (
+        <div className="bg-surface-card border border-surface-border rounded-xl p-6 space-y-5">
+            <div className="flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                    <Loader2 className="w-5 h-5 text-primary animate-spin" />
+                    <h3 className="text-lg font-bold text-white">{title}</h3>
+                </div>
+                <div className="flex items-center gap-2 text-sm text-gray-400 font-mono">
+                    <Clock className="w-4 h-4" />
+                    <span>{job?.startedAt ? formatElapsed(elapsed) : 'Queued'}</span>
+                </div>
+            </div>
+
+            <div className="w-full h-2 bg-surface-dark rounded-full overflow-hidden">
+                <div
+                    className="h-full bg-gradient-to-r from-primary to-accent-purple transition-all duration-500"
+                    style={{ width: `${percent}%` }}
+                />
+            </div>
+
+            <ul className="space-y-2">
+                {stages.map((stage, i) => {
+                    const isCurrent = i === stages.length - 1
+                    return (
+                        <li key={`${stage.name}-${i}`} className="flex items-center gap-3 text-sm">
+                            {isCurrent ? (
+                                <Loader2 className="w-4 h-4 text-primary animate-spin" />
+                            ) : (
+                                <CheckCircle2 className="w-4 h-4 text-status-success" />
+                            )}
+                            <span className={isCurrent ? 'text-white font-medium' : 'text-gray-400'}>{stage.name}</span>
+                            {job?.startedAt && (
+                                <span className="ml-auto text-xs text-gray-500 font-mono">
+                                    +{formatElapsed(new Date(stage.at) - new Date(job.startedAt))}
+                                </span>
+                            )}
+                        </li>
+                    )
+                })}
+                {stages.length === 0 && (
+                    <li className="text-sm text-gray-500">Waiting for a worker...</li>
+                )}
+            </ul>
+
+            {partialEntries.length > 0 && (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 pt-4 border-t border-surface-border">
+                    {partialEntries.map(([key, value]) => (
+                        <div key={key} className="bg-surface-dark rounded-lg p-3">
+                            <div className="text-lg font-bold text-white truncate">{formatValue(key, value)}</div>
+                            <div className="text-xs text-gray-400">{formatLabel(key)}</div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,309 @@
+import { useEffect, useState } from 'react'
+import axios from 'axios'
+import { KeyRound, Pencil, Trash2, Plus, Loader2, Save, X, Play, CheckCircle2, XCircle } from 'lucide-react'
+import { useAuth } from '../context/AuthContext'
+import { useProjects } from '../context/ProjectContext'
+
+const KIND_LABELS = { cookies: 'Cookies', basicAuth: 'Basic auth', headers: 'Headers', steps: 'Login steps' }
+
+// Which field of a step the "target" input fills, per action
+const STEP_TARGETS = {
+    goto: { field: 'url', placeholder: 'URL, e.g. /login' },
+    type: { field: 'selector', placeholder: 'Selector, e.g. #email' },
+    click: { field: 'selector', placeholder: 'Selector, e.g. button[type=submit]' },
+    waitFor: { field: 'selector', placeholder: 'Selector to wait for' }
+}
+
+const emptyStep = { action: 'goto', target: '', value: '', waitForNavigation: false }
+const emptyForm = { name: '', urlPattern: '', username: '', password: '', headers: '', cookies: '', steps: [] }
+
+const parseLines = (text, separator) => text.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+        const at = line.indexOf(separator)
+        return at === -1 ? [line, ''] : [line.slice(0, at).trim(), line.slice(at + 1).trim()]
+    })
+
+// Form state as an API payload; credentials are only sent when any is filled in
+const toPayload = (form) => {
+    const payload = { name: form.name, urlPattern: form.urlPattern.trim() || null }
+    const headers = parseLines(form.headers, ':')
+    const cookies = parseLines(form.cookies, '=')
+    const steps = form.steps.map(({ action, target, value, waitForNavigation }) => ({
+        action,
+        ...(target && { [STEP_TARGETS[action].field]: target }),
+        ...(action === 'type' && { value }),
+        ...(action === 'click' && waitForNavigation && { waitForNavigation: true })
+    }))
+
+    const auth = {
+        ...(form.username && { basicAuth: { username: form.username, password: form.password } }),
+        ...(headers.length > 0 && { headers: Object.fromEntries(headers) }),
+        ...(cookies.length > 0 && { cookies: cookies.map(([name, value]) => ({ name, value })) }),
+        ...(steps.length > 0 && { steps })
+    }
+    return { ...payload, ...auth }
+}
+
+/**
+ * Settings tab for auth recipes: how audits get past a login (cookies,
+ * basic auth, headers or scripted login steps). Credentials are write-only;
+ * the list only shows what each recipe does.
+ */
+export default function AuthRecipesManager() {
+    const { user } = useAuth()
+    const { projectId, currentProject } = useProjects()
+    const [recipes, setRecipes] = useState([])
+    const [actions, setActions] = useState(Object.keys(STEP_TARGETS))
+    const [form, setForm] = useState(emptyForm)
+    const [editing, setEditing] = useState(null)
+    const [testResults, setTestResults] = useState({})
+    const [testing, setTesting] = useState(null)
+    const [isLoading, setIsLoading] = useState(true)
+    const [isSaving, setIsSaving] = useState(false)
+    const [error, setError] = useState(null)
+
+    useEffect(() => {
+        fetchRecipes()
+    }, [projectId])
+
+    const fetchRecipes = async () => {
+        try {
+            const res = await axios.get('/api/auth-recipes', { params: { projectId: projectId || undefined } })
+            setRecipes(res.data.recipes)
+            setActions(res.data.actions)
+        } catch (err) {
+            console.error('Failed to fetch auth recipes:', err)
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const handleError = (err, fallback) => {
+        const data = err.response?.data
+        setError(data?.message ? `${data.error}: ${data.message}` : data?.error || fallback)
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setIsSaving(true)
+        setError(null)
+        try {
+            if (editing) {
+                await axios.patch(`/api/auth-recipes/${editing}`, toPayload(form))
+            } else {
+                await axios.post('/api/auth-recipes', toPayload(form))
+            }
+            setForm(emptyForm)
+            setEditing(null)
+            await fetchRecipes()
+        } catch (err) {
+            handleError(err, 'Failed to save auth recipe')
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    const handleEdit = (recipe) => {
+        setError(null)
+        setEditing(recipe.id)
+        setForm({ ...emptyForm, name: recipe.name, urlPattern: recipe.urlPattern || '' })
+    }
+
+    const handleCancel = () => {
+        setEditing(null)
+        setForm(emptyForm)
+    }
+
+    const handleDelete = async (recipe) => {
+        if (!window.confirm(`Delete auth recipe "${recipe.name}"?`)) return
+        try {
+            setError(null)
+            await axios.delete(`/api/auth-recipes/${recipe.id}`)
+            setRecipes(prev => prev.filter(r => r.id !== recipe.id))
+            if (editing === recipe.id) handleCancel()
+        } catch (err) {
+            handleError(err, 'Failed to delete auth recipe')
+        }
+    }
+
+    const handleTest = async (recipe) => {
+        const url = window.prompt('Page to open after logging in', recipe.urlPattern?.replace(/\*.*$/, '') || 'https://')
+        if (!url) return
+        setTesting(recipe.id)
+        try {
+            const res = await axios.post(`/api/auth-recipes/${recipe.id}/test`, { url })
+            setTestResults(prev => ({ ...prev, [recipe.id]: res.data.result }))
+        } catch (err) {
+            const data = err.response?.data
+            setTestResults(prev => ({ ...prev, [recipe.id]: { ok: false, error: data?.message || data?.error || 'Test failed' } }))
+        } finally {
+            setTesting(null)
+        }
+    }
+
+    const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+    const setStep = (index, changes) => setForm(prev => ({ ...prev, steps: prev.steps.map((step, i) => i === index ? { ...step, ...changes } : step) }))
+    const removeStep = (index) => setForm(prev => ({ ...prev, steps: prev.steps.filter((_, i) => i !== index) }))
+
+    const canManage = (recipe) => user?.role === 'admin' || !recipe.createdBy || recipe.createdBy === user?.id
+    const inputClass = 'w-full bg-surface-dark border border-white/5 rounded-xl py-3 px-4 text-white focus:outline-none focus:ring-2 focus:ring-primary/50 transition-all'
+    const smallInputClass = 'w-full bg-surface-dark border border-white/5 rounded-lg py-2 px-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-primary/50'
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h3 className="text-lg font-bold text-white">Auth Recipes</h3>
+                <p className="text-sm text-gray-400">
+                    How audits {currentProject ? `in ${currentProject.name} ` : ''}get past a login. A recipe runs before every audit of a URL matching its pattern
+                    (use <code className="text-gray-300">*</code> as a wildcard); recipes without a pattern only run when an audit asks for them.
+                    Credentials are stored encrypted and never shown again.
+                </p>
+            </div>
+
+            {error && (
+                <div className="p-3 rounded-xl bg-red-500/10 border border-red-500/20 text-sm text-red-400">{error}</div>
+            )}
+
+            <div className="space-y-3">
+                {isLoading ? (
+                    <div className="flex justify-center py-8"><Loader2 className="w-6 h-6 animate-spin text-gray-500" /></div>
+                ) : recipes.length === 0 ? (
+                    <p className="text-gray-500 text-sm">No auth recipes yet.</p>
+                ) : recipes.map((recipe) => {
+                    const result = testResults[recipe.id]
+                    return (
+                        <div key={recipe.id} className="p-4 bg-white/5 rounded-2xl border border-white/5 space-y-3">
+                            <div className="flex items-start justify-between gap-4">
+                                <div className="flex items-start gap-3 min-w-0">
+                                    <div className="p-2 bg-primary/10 rounded-lg">
+                                        <KeyRound className="w-5 h-5 text-primary" />
+                                    </div>
+                                    <div className="min-w-0">
+                                        <p className="text-sm font-bold text-white truncate">{recipe.name}</p>
+                                        <p className="text-xs text-gray-400 truncate">{recipe.urlPattern || 'Only when selected'}</p>
+                                        <div className="flex flex-wrap gap-1 mt-2">
+                                            {recipe.kinds.map(kind => (
+                                                <span key={kind} className="px-2 py-0.5 rounded-md bg-white/5 text-[10px] text-gray-400">{KIND_LABELS[kind] || kind}</span>
+                                            ))}
+                                            {!recipe.projectId && <span className="px-2 py-0.5 rounded-md bg-primary/10 text-[10px] text-primary">all projects</span>}
+                                        </div>
+                                        {recipe.summary?.steps && (
+                                            <ol className="mt-2 space-y-0.5 text-[11px] font-mono text-gray-500 list-decimal list-inside">
+                                                {recipe.summary.steps.map((step, i) => (
+                                                    <li key={i}>{step.action} {step.selector || step.url || (step.timeout ? `${step.timeout}ms` : '')}{step.action === 'type' ? ` = ${step.value}` : ''}</li>
+                                                ))}
+                                            </ol>
+                                        )}
+                                    </div>
+                                </div>
+                                <div className="flex items-center gap-2 flex-shrink-0">
+                                    <button onClick={() => handleTest(recipe)} disabled={testing === recipe.id} title="Test recipe" className="p-2 text-gray-400 hover:text-primary transition-colors disabled:opacity-50">
+                                        {testing === recipe.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+                                    </button>
+                                    {canManage(recipe) && (
+                                        <>
+                                            <button onClick={() => handleEdit(recipe)} title="Edit recipe" className="p-2 text-gray-400 hover:text-primary transition-colors">
+                                                <Pencil className="w-4 h-4" />
+                                            </button>
+                                            <button onClick={() => handleDelete(recipe)} title="Delete recipe" className="p-2 text-gray-400 hover:text-red-500 transition-colors">
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                            </div>
+                            {result && (
+                                <div className={`flex items-start gap-2 p-2 rounded-lg text-xs ${result.ok ? 'bg-green-500/10 text-green-400' : 'bg-red-500/10 text-red-400'}`}>
+                                    {result.ok ? <CheckCircle2 className="w-4 h-4 flex-shrink-0" /> : <XCircle className="w-4 h-4 flex-shrink-0" />}
+                                    <span className="break-all">
+                                        {result.error || `HTTP ${result.status} · ${result.title || 'untitled'} · ${result.finalUrl}`}
+                                    </span>
+                                </div>
+                            )}
+                        </div>
+                    )
+                })}
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-4 pt-6 border-t border-white/5">
+                <h4 className="text-xs font-bold text-gray-500 uppercase tracking-widest">{editing ? 'Edit Auth Recipe' : 'New Auth Recipe'}</h4>
+                {editing && (
+                    <p className="text-xs text-gray-500">Leave the credentials empty to keep the stored ones; filling any in replaces all of them.</p>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <input type="text" placeholder="Name, e.g. Staging login" value={form.name} onChange={(e) => setField('name', e.target.value)} className={inputClass} required />
+                    <input type="text" placeholder="URL pattern, e.g. https://stage.example.com/*" value={form.urlPattern} onChange={(e) => setField('urlPattern', e.target.value)} className={inputClass} />
+                </div>
+
+                <div className="space-y-2">
+                    <p className="text-[10px] font-bold text-gray-500 uppercase tracking-widest">HTTP basic auth</p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                        <input type="text" placeholder="Username" value={form.username} onChange={(e) => setField('username', e.target.value)} className={smallInputClass} autoComplete="off" />
+                        <input type="password" placeholder="Password" value={form.password} onChange={(e) => setField('password', e.target.value)} className={smallInputClass} autoComplete="new-password" />
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <label className="space-y-2 block">
+                        <span className="block text-[10px] font-bold text-gray-500 uppercase tracking-widest">Headers (Name: value per line)</span>
+                        <textarea rows={3} placeholder="Authorization: Bearer …" value={form.headers} onChange={(e) => setField('headers', e.target.value)} className={`${smallInputClass} font-mono`} />
+                    </label>
+                    <label className="space-y-2 block">
+                        <span className="block text-[10px] font-bold text-gray-500 uppercase tracking-widest">Cookies (name=value per line)</span>
+                        <textarea rows={3} placeholder="session=…" value={form.cookies} onChange={(e) => setField('cookies', e.target.value)} className={`${smallInputClass} font-mono`} />
+                    </label>
+                </div>
+
+                <div className="space-y-2">
+                    <p className="text-[10px] font-bold text-gray-500 uppercase tracking-widest">Login steps</p>
+                    {form.steps.map((step, index) => (
+                        <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                            <span className="col-span-1 text-xs text-gray-500 text-right">{index + 1}.</span>
+                            <select value={step.action} onChange={(e) => setStep(index, { action: e.target.value })} className={`${smallInputClass} col-span-2`}>
+                                {actions.map(action => <option key={action} value={action}>{action}</option>)}
+                            </select>
+                            <input type="text" placeholder={STEP_TARGETS[step.action].placeholder} value={step.target} onChange={(e) => setStep(index, { target: e.target.value })} className={`${smallInputClass} col-span-4`} />
+                            <div className="col-span-4">
+                                {step.action === 'type' && (
+                                    <input type="password" placeholder="Value to type" value={step.value} onChange={(e) => setStep(index, { value: e.target.value })} className={smallInputClass} autoComplete="new-password" />
+                                )}
+                                {step.action === 'click' && (
+                                    <label className="flex items-center gap-2 text-xs text-gray-400">
+                                        <input type="checkbox" checked={step.waitForNavigation} onChange={(e) => setStep(index, { waitForNavigation: e.target.checked })} />
+                                        Wait for navigation
+                                    </label>
+                                )}
+                            </div>
+                            <button type="button" onClick={() => removeStep(index)} title="Remove step" className="col-span-1 p-2 text-gray-400 hover:text-red-500 transition-colors">
+                                <X className="w-4 h-4" />
+                            </button>
+                        </div>
+                    ))}
+                    <button type="button" onClick={() => setField('steps', [...form.steps, emptyStep])} className="flex items-center gap-2 text-xs text-primary hover:underline">
+                        <Plus className="w-3 h-3" />
+                        <span>Add step</span>
+                    </button>
+                </div>
+
+                <div className="flex justify-end gap-2">
+                    {editing && (
+                        <button type="button" onClick={handleCancel} className="flex items-center gap-2 px-6 py-3 bg-white/5 text-gray-300 rounded-xl font-bold hover:bg-white/10 transition-all">
+                            <X className="w-4 h-4" />
+                            <span>Cancel</span>
+                        </button>
+                    )}
+                    <button
+                        type="submit"
+                        disabled={isSaving}
+                        className="flex items-center gap-2 px-6 py-3 bg-primary text-white rounded-xl font-bold hover:shadow-glow transition-all disabled:opacity-50"
+                    >
+                        {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : editing ? <Save className="w-4 h-4" /> : <Plus className="w-4 h-4" />}
+                        <span>{editing ? 'Save Recipe' : 'Add Recipe'}</span>
+                    </button>
+                </div>
+            </form>
+        </div>
+    )
+}
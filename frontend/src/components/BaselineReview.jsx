@@ -0,0 +1,236 @@
+import { useEffect, useState } from 'react'
+import axios from 'axios'
+import { Camera, ThumbsUp, ThumbsDown, Loader2, History, AlertTriangle } from 'lucide-react'
+import { useProjects } from '../context/ProjectContext'
+
+const STATUS_STYLES = {
+    approved: 'bg-green-500/10 text-green-400 border-green-500/30',
+    pending: 'bg-yellow-500/10 text-yellow-400 border-yellow-500/30',
+    rejected: 'bg-red-500/10 text-red-400 border-red-500/30',
+    unchanged: 'bg-primary/10 text-primary border-primary/30',
+    superseded: 'bg-gray-500/10 text-gray-400 border-gray-500/30'
+}
+
+const StatusBadge = ({ status }) => (
+    <span className={`text-[10px] px-1.5 py-0.5 rounded border font-bold uppercase ${STATUS_STYLES[status] || STATUS_STYLES.superseded}`}>
+        {status}
+    </span>
+)
+
+const apiError = (err, fallback) => {
+    const data = err.response?.data
+    return data?.message ? `${data.error}: ${data.message}` : data?.error || fallback
+}
+
+/**
+ * Visual regression review of one URL/viewport: the checked snapshot next to
+ * its approved baseline and the pixel diff, its element changes, approve /
+ * reject for pending changes, and the baseline history.
+ * `result` is a visual-regression check, fresh or reopened from history.
+ */
+export default function BaselineReview({ result }) {
+    const { projectId } = useProjects()
+    const [snapshot, setSnapshot] = useState(null)
+    const [baseline, setBaseline] = useState(null)
+    const [history, setHistory] = useState([])
+    const [note, setNote] = useState('')
+    const [busy, setBusy] = useState(null) // approve, reject, capture
+    const [error, setError] = useState(null)
+
+    const target = { url: result.url, viewport: result.viewport }
+
+    const fetchHistory = async () => {
+        try {
+            const res = await axios.get('/api/baselines', { params: { url: target.url, viewport: target.viewport, limit: 50 } })
+            setHistory(res.data.snapshots)
+        } catch (err) {
+            setHistory([])
+        }
+    }
+
+    // Open a snapshot with the baseline it was compared against (fresh from the API, so
+    // a report reopened from history shows whether it has been reviewed since)
+    const openSnapshot = async (id) => {
+        setError(null)
+        setNote('')
+        try {
+            const { data } = await axios.get(`/api/baselines/${id}`)
+            setSnapshot(data.snapshot)
+            if (data.snapshot.baselineId) {
+                const res = await axios.get(`/api/baselines/${data.snapshot.baselineId}`)
+                setBaseline(res.data.snapshot)
+            } else {
+                setBaseline(null)
+            }
+        } catch (err) {
+            setError(apiError(err, 'Failed to load snapshot'))
+        }
+    }
+
+    useEffect(() => {
+        openSnapshot(result.snapshot.id)
+        fetchHistory()
+    }, [result, projectId, target.url, target.viewport])
+
+    const review = async (decision) => {
+        setBusy(decision)
+        setError(null)
+        try {
+            const { data } = await axios.post(`/api/baselines/${snapshot.id}/${decision}`, { note: note || undefined })
+            setSnapshot(data.snapshot)
+            await fetchHistory()
+        } catch (err) {
+            setError(apiError(err, `Failed to ${decision} the change`))
+        } finally {
+            setBusy(null)
+        }
+    }
+
+    const captureBaseline = async () => {
+        setBusy('capture')
+        setError(null)
+        try {
+            const { data } = await axios.post('/api/baselines', { url: target.url, viewport: target.viewport })
+            setSnapshot(data.baseline)
+            setBaseline(null)
+            await fetchHistory()
+        } catch (err) {
+            setError(apiError(err, 'Failed to capture baseline'))
+        } finally {
+            setBusy(null)
+        }
+    }
+
+    const comparison = snapshot?.comparison
+
+    return (
+        <div className="flex-1 flex gap-4 overflow-hidden">
+            <div className="flex-1 flex flex-col bg-surface-card rounded-2xl border border-surface-border overflow-hidden">
+                <div className="p-3 border-b border-surface-border flex items-center justify-between gap-4">
+                    <div className="flex items-center gap-3 min-w-0">
+                        {snapshot && <StatusBadge status={snapshot.status} />}
+                        <span className="text-xs font-mono text-gray-400 truncate">{target.url} @ {target.viewport}</span>
+                        {comparison && (
+                            <span className="text-xs font-bold text-gray-500 whitespace-nowrap">
+                                {comparison.mismatchPercent}% pixels · {comparison.elementChanges.length} element changes
+                                {(comparison.addedElements > 0 || comparison.removedElements > 0) && ` · +${comparison.addedElements} / -${comparison.removedElements} elements`}
+                            </span>
+                        )}
+                    </div>
+                    <button
+                        onClick={captureBaseline}
+                        disabled={busy}
+                        className="px-3 py-1.5 rounded-lg text-xs font-bold flex items-center gap-2 text-gray-400 hover:text-white border border-surface-border disabled:opacity-50"
+                        title="Capture the page now and approve it as the baseline"
+                    >
+                        {busy === 'capture' ? <Loader2 size={14} className="animate-spin" /> : <Camera size={14} />}
+                        Capture baseline
+                    </button>
+                </div>
+
+                {error && (
+                    <div className="m-3 p-3 rounded-lg bg-red-500/10 border border-red-500/20 text-sm text-red-400 flex items-center gap-2">
+                        <AlertTriangle size={14} /> {error}
+                    </div>
+                )}
+
+                {!snapshot ? (
+                    !error && (
+                        <div className="flex-1 flex items-center justify-center text-gray-500">
+                            <Loader2 size={24} className="animate-spin" />
+                        </div>
+                    )
+                ) : (
+                    <div className="flex-1 overflow-auto p-3 space-y-4">
+                        {snapshot.status === 'pending' && (
+                            <div className="p-3 rounded-lg bg-yellow-500/5 border border-yellow-500/20 flex flex-wrap items-center gap-3">
+                                <p className="text-sm text-yellow-400 flex-1">This page changed since its baseline. Approve the change as the new baseline, or reject it as a regression.</p>
+                                <input
+                                    value={note}
+                                    onChange={(e) => setNote(e.target.value)}
+                                    placeholder="Review note (optional)"
+                                    className="bg-surface-dark border border-surface-border rounded-lg px-3 py-1.5 text-xs text-white focus-ring"
+                                />
+                                <button
+                                    onClick={() => review('approve')}
+                                    disabled={busy}
+                                    className="px-3 py-1.5 rounded-lg text-xs font-bold flex items-center gap-2 bg-green-500/20 text-green-400 hover:bg-green-500/30 disabled:opacity-50"
+                                >
+                                    {busy === 'approve' ? <Loader2 size={14} className="animate-spin" /> : <ThumbsUp size={14} />} Approve
+                                </button>
+                                <button
+                                    onClick={() => review('reject')}
+                                    disabled={busy}
+                                    className="px-3 py-1.5 rounded-lg text-xs font-bold flex items-center gap-2 bg-red-500/20 text-red-400 hover:bg-red-500/30 disabled:opacity-50"
+                                >
+                                    {busy === 'reject' ? <Loader2 size={14} className="animate-spin" /> : <ThumbsDown size={14} />} Reject
+                                </button>
+                            </div>
+                        )}
+                        {snapshot.reviewNote && <p className="text-xs text-gray-400 italic">Review note: {snapshot.reviewNote}</p>}
+
+                        <div className={`grid gap-3 ${comparison ? 'grid-cols-3' : 'grid-cols-1'}`}>
+                            {[
+                                baseline && { label: 'Baseline', src: baseline.screenshot },
+                                { label: comparison ? 'Current' : 'Snapshot', src: snapshot.screenshot },
+                                comparison?.diffUrl && { label: 'Diff', src: comparison.diffUrl }
+                            ].filter(Boolean).map(image => (
+                                <div key={image.label} className="bg-black rounded-lg overflow-hidden border border-surface-border">
+                                    <div className="px-3 py-1 text-[10px] font-bold uppercase tracking-widest text-gray-400 bg-surface-dark">{image.label}</div>
+                                    <img src={image.src} alt={image.label} className="w-full h-auto" />
+                                </div>
+                            ))}
+                        </div>
+
+                        {comparison?.elementChanges.length > 0 && (
+                            <div className="space-y-1">
+                                <p className="text-[10px] font-bold text-gray-500 uppercase tracking-widest">Element changes</p>
+                                {comparison.elementChanges.map((change, i) => (
+                                    <div key={i} className="flex items-center gap-3 text-xs p-2 bg-surface-dark rounded border border-white/5">
+                                        <span className="text-gray-500 w-20 shrink-0">{change.category}</span>
+                                        <code className="text-accent-purple truncate flex-1">{change.selector}</code>
+                                        <span className="text-white">{change.property}</span>
+                                        <code className="text-gray-400">{change.baselineValue}</code>
+                                        <span className="text-gray-600">→</span>
+                                        <code className="text-yellow-400">{change.currentValue}</code>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {/* Baseline history of the URL/viewport */}
+            <div className="w-80 bg-surface-card rounded-2xl border border-surface-border flex flex-col overflow-hidden">
+                <div className="p-3 border-b border-surface-border flex items-center gap-2 text-xs font-bold uppercase text-gray-400">
+                    <History size={14} /> Baseline history
+                </div>
+                <div className="flex-1 overflow-y-auto p-3 space-y-2 custom-scrollbar">
+                    {history.length === 0 ? (
+                        <p className="text-xs text-gray-500 text-center py-10">No snapshots of this page yet.</p>
+                    ) : history.map(item => (
+                        <button
+                            key={item.id}
+                            onClick={() => openSnapshot(item.id)}
+                            className={`w-full text-left p-2 rounded-lg border transition-all ${snapshot?.id === item.id ? 'border-primary bg-primary/5' : 'border-surface-border hover:border-primary/50'}`}
+                        >
+                            <div className="flex items-center justify-between gap-2">
+                                <StatusBadge status={item.status} />
+                                <span className="text-[10px] text-gray-500">{new Date(item.createdAt).toLocaleString()}</span>
+                            </div>
+                            {item.comparison && (
+                                <p className="text-[11px] text-gray-400 mt-1">
+                                    {item.comparison.mismatchPercent}% pixels · {item.comparison.elementChanges.length} element changes
+                                </p>
+                            )}
+                            {item.reviewedAt && item.status !== 'superseded' && (
+                                <p className="text-[10px] text-gray-500 mt-1">Reviewed {new Date(item.reviewedAt).toLocaleString()}</p>
+                            )}
+                        </button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    )
+}
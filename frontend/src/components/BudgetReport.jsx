@@ -0,0 +1,75 @@
+import { Link } from 'react-router-dom'
+import { Gauge, CheckCircle2, XCircle } from 'lucide-react'
+
+const formatValue = (value, unit) => value === null || value === undefined
+    ? 'n/a'
+    : `${value.toLocaleString()}${unit ? ` ${unit}` : ''}`
+
+/**
+ * Pass/fail verdict of a Lighthouse run against the performance budgets
+ * that applied to its URL, with the overage of every exceeded limit.
+ */
+export default function BudgetReport({ budget }) {
+    if (!budget) {
+        return (
+            <div className="flex items-center gap-3 p-4 bg-surface-card border border-surface-border rounded-xl text-sm text-gray-400">
+                <Gauge className="w-4 h-4 flex-shrink-0" />
+                <span className="flex-1">No performance budget applies to this URL.</span>
+                <Link to="/settings?tab=budgets" className="text-primary hover:underline">Define a budget</Link>
+            </div>
+        )
+    }
+
+    return (
+        <div className="bg-surface-card border border-surface-border rounded-xl p-6 space-y-5">
+            <div className="flex items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    <Gauge className="w-5 h-5 text-primary" />
+                    <h3 className="text-lg font-semibold text-white">Performance Budget</h3>
+                </div>
+                <span className={`px-3 py-1 rounded-full text-xs font-bold uppercase tracking-widest ${budget.passed ? 'bg-green-500/10 text-green-400' : 'bg-red-500/10 text-red-400'}`}>
+                    {budget.passed ? 'Within budget' : `${budget.failedChecks} over budget`}
+                </span>
+            </div>
+
+            {budget.budgets.map((report) => (
+                <div key={report.id} className="space-y-2">
+                    <p className="text-sm text-gray-300">
+                        <span className="font-medium text-white">{report.name}</span>
+                        <span className="text-gray-500"> · {report.url || 'every page'}</span>
+                    </p>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-xs text-gray-500 uppercase tracking-wider">
+                                    <th className="py-2 pr-4 font-medium">Limit</th>
+                                    <th className="py-2 pr-4 font-medium">Actual</th>
+                                    <th className="py-2 pr-4 font-medium">Budget</th>
+                                    <th className="py-2 pr-4 font-medium">Overage</th>
+                                    <th className="py-2 font-medium text-right">Result</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-surface-border">
+                                {report.checks.map((check) => (
+                                    <tr key={`${check.group}.${check.key}`}>
+                                        <td className="py-2 pr-4 text-gray-300">{check.label}</td>
+                                        <td className={`py-2 pr-4 font-mono ${check.passed ? 'text-gray-300' : 'text-red-400'}`}>{formatValue(check.actual, check.unit)}</td>
+                                        <td className="py-2 pr-4 font-mono text-gray-500">{check.comparison === 'min' ? '≥' : '≤'} {formatValue(check.limit, check.unit)}</td>
+                                        <td className="py-2 pr-4 font-mono text-red-400">
+                                            {check.overage > 0 ? `${check.comparison === 'min' ? '−' : '+'}${formatValue(check.overage, check.unit)}` : check.actual === null ? 'not measured' : ''}
+                                        </td>
+                                        <td className="py-2 text-right">
+                                            {check.passed
+                                                ? <CheckCircle2 className="w-4 h-4 text-status-success inline" />
+                                                : <XCircle className="w-4 h-4 text-status-error inline" />}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            ))}
+        </div>
+    )
+}
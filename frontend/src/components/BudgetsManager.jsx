@@ -0,0 +1,214 @@
+import { useEffect, useState } from 'react'
+import axios from 'axios'
+import { Gauge, Pencil, Trash2, Plus, Loader2, Save, X } from 'lucide-react'
+import { useAuth } from '../context/AuthContext'
+import { useProjects } from '../context/ProjectContext'
+
+const GROUPS = [
+    { id: 'metrics', title: 'Metrics (max)' },
+    { id: 'resources', title: 'Resources (max)' },
+    { id: 'categories', title: 'Scores (min)' }
+]
+
+const emptyForm = { name: '', url: '', metrics: {}, resources: {}, categories: {} }
+
+// Limits of a budget as the form's string inputs, and back
+const toForm = (budget) => ({
+    name: budget.name,
+    url: budget.url || '',
+    ...Object.fromEntries(GROUPS.map(({ id }) => [id, Object.fromEntries(Object.entries(budget[id] || {}).map(([key, value]) => [key, String(value)]))]))
+})
+
+const toPayload = (form) => ({
+    name: form.name,
+    url: form.url.trim() || null,
+    ...Object.fromEntries(GROUPS.map(({ id }) => [id, Object.fromEntries(Object.entries(form[id]).filter(([, value]) => value !== '').map(([key, value]) => [key, Number(value)]))]))
+})
+
+const formatLimit = (value, unit) => `${value}${unit ? ` ${unit}` : ''}`
+
+/**
+ * Settings tab for performance budgets of the active project. Every
+ * Lighthouse run of a matching URL is checked against them.
+ */
+export default function BudgetsManager() {
+    const { user } = useAuth()
+    const { projectId, currentProject } = useProjects()
+    const [budgets, setBudgets] = useState([])
+    const [limits, setLimits] = useState({})
+    const [form, setForm] = useState(emptyForm)
+    const [editing, setEditing] = useState(null)
+    const [isLoading, setIsLoading] = useState(true)
+    const [isSaving, setIsSaving] = useState(false)
+    const [error, setError] = useState(null)
+
+    useEffect(() => {
+        fetchBudgets()
+    }, [projectId])
+
+    const fetchBudgets = async () => {
+        try {
+            const res = await axios.get('/api/budgets', { params: { projectId: projectId || undefined } })
+            setBudgets(res.data.budgets)
+            setLimits(res.data.limits)
+        } catch (err) {
+            console.error('Failed to fetch budgets:', err)
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const handleError = (err, fallback) => {
+        const data = err.response?.data
+        setError(data?.message ? `${data.error}: ${data.message}` : data?.error || fallback)
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setIsSaving(true)
+        setError(null)
+        try {
+            if (editing) {
+                await axios.patch(`/api/budgets/${editing}`, toPayload(form))
+            } else {
+                await axios.post('/api/budgets', toPayload(form))
+            }
+            setForm(emptyForm)
+            setEditing(null)
+            await fetchBudgets()
+        } catch (err) {
+            handleError(err, 'Failed to save budget')
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    const handleEdit = (budget) => {
+        setError(null)
+        setEditing(budget.id)
+        setForm(toForm(budget))
+    }
+
+    const handleCancel = () => {
+        setEditing(null)
+        setForm(emptyForm)
+    }
+
+    const handleDelete = async (budget) => {
+        if (!window.confirm(`Delete budget "${budget.name}"?`)) return
+        try {
+            setError(null)
+            await axios.delete(`/api/budgets/${budget.id}`)
+            setBudgets(prev => prev.filter(b => b.id !== budget.id))
+            if (editing === budget.id) handleCancel()
+        } catch (err) {
+            handleError(err, 'Failed to delete budget')
+        }
+    }
+
+    const setLimit = (group, key, value) => setForm(prev => ({ ...prev, [group]: { ...prev[group], [key]: value } }))
+
+    const canManage = (budget) => user?.role === 'admin' || !budget.createdBy || budget.createdBy === user?.id
+    const inputClass = 'w-full bg-surface-dark border border-white/5 rounded-xl py-3 px-4 text-white focus:outline-none focus:ring-2 focus:ring-primary/50 transition-all'
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h3 className="text-lg font-bold text-white">Performance Budgets</h3>
+                <p className="text-sm text-gray-400">
+                    Limits every Lighthouse run {currentProject ? `in ${currentProject.name} ` : ''}is checked against.
+                    Leave the URL empty for every page, or use <code className="text-gray-300">*</code> as a wildcard (e.g. <code className="text-gray-300">https://example.com/blog/*</code>).
+                </p>
+            </div>
+
+            {error && (
+                <div className="p-3 rounded-xl bg-red-500/10 border border-red-500/20 text-sm text-red-400">{error}</div>
+            )}
+
+            <div className="space-y-3">
+                {isLoading ? (
+                    <div className="flex justify-center py-8"><Loader2 className="w-6 h-6 animate-spin text-gray-500" /></div>
+                ) : budgets.length === 0 ? (
+                    <p className="text-gray-500 text-sm">No budgets yet.</p>
+                ) : budgets.map((budget) => (
+                    <div key={budget.id} className="p-4 bg-white/5 rounded-2xl border border-white/5">
+                        <div className="flex items-start justify-between gap-4">
+                            <div className="flex items-start gap-3 min-w-0">
+                                <div className="p-2 bg-primary/10 rounded-lg">
+                                    <Gauge className="w-5 h-5 text-primary" />
+                                </div>
+                                <div className="min-w-0">
+                                    <p className="text-sm font-bold text-white truncate">{budget.name}</p>
+                                    <p className="text-xs text-gray-400 truncate">{budget.url || 'Every page'}</p>
+                                    <div className="flex flex-wrap gap-1 mt-2">
+                                        {GROUPS.flatMap(({ id }) => Object.entries(budget[id] || {}).map(([key, value]) => (
+                                            <span key={`${id}.${key}`} className="px-2 py-0.5 rounded-md bg-white/5 text-[10px] text-gray-400">
+                                                {limits[id]?.[key]?.label || key} {id === 'categories' ? '≥' : '≤'} {formatLimit(value, limits[id]?.[key]?.unit)}
+                                            </span>
+                                        )))}
+                                        {!budget.projectId && <span className="px-2 py-0.5 rounded-md bg-primary/10 text-[10px] text-primary">all projects</span>}
+                                    </div>
+                                </div>
+                            </div>
+                            {canManage(budget) && (
+                                <div className="flex items-center gap-2 flex-shrink-0">
+                                    <button onClick={() => handleEdit(budget)} title="Edit budget" className="p-2 text-gray-400 hover:text-primary transition-colors">
+                                        <Pencil className="w-4 h-4" />
+                                    </button>
+                                    <button onClick={() => handleDelete(budget)} title="Delete budget" className="p-2 text-gray-400 hover:text-red-500 transition-colors">
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-4 pt-6 border-t border-white/5">
+                <h4 className="text-xs font-bold text-gray-500 uppercase tracking-widest">{editing ? 'Edit Budget' : 'New Budget'}</h4>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <input type="text" placeholder="Name, e.g. Homepage mobile" value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} className={inputClass} required />
+                    <input type="text" placeholder="URL or pattern (optional)" value={form.url} onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))} className={inputClass} />
+                </div>
+                {GROUPS.map(({ id, title }) => (
+                    <div key={id} className="space-y-2">
+                        <p className="text-[10px] font-bold text-gray-500 uppercase tracking-widest">{title}</p>
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                            {Object.entries(limits[id] || {}).map(([key, { label, unit }]) => (
+                                <label key={key} className="block p-2 rounded-xl bg-surface-dark/60 border border-white/5">
+                                    <span className="block text-[11px] text-gray-400 truncate" title={label}>{label}{unit ? ` (${unit})` : ''}</span>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max={id === 'categories' ? 100 : undefined}
+                                        step="any"
+                                        value={form[id][key] ?? ''}
+                                        onChange={(e) => setLimit(id, key, e.target.value)}
+                                        className="w-full bg-transparent text-sm text-white focus:outline-none"
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                ))}
+                <div className="flex justify-end gap-2">
+                    {editing && (
+                        <button type="button" onClick={handleCancel} className="flex items-center gap-2 px-6 py-3 bg-white/5 text-gray-300 rounded-xl font-bold hover:bg-white/10 transition-all">
+                            <X className="w-4 h-4" />
+                            <span>Cancel</span>
+                        </button>
+                    )}
+                    <button
+                        type="submit"
+                        disabled={isSaving}
+                        className="flex items-center gap-2 px-6 py-3 bg-primary text-white rounded-xl font-bold hover:shadow-glow transition-all disabled:opacity-50"
+                    >
+                        {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : editing ? <Save className="w-4 h-4" /> : <Plus className="w-4 h-4" />}
+                        <span>{editing ? 'Save Budget' : 'Add Budget'}</span>
+                    </button>
+                </div>
+            </form>
+        </div>
+    )
+}
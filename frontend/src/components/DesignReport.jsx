@@ -0,0 +1,125 @@
+import { useState } from 'react'
+import { PenTool, Sparkles, Info, Lightbulb } from 'lucide-react'
+import DiffRegionsView from './DiffRegionsView'
+
+const CATEGORY_LABELS = {
+    spacing: 'Spacing',
+    color: 'Color',
+    font: 'Font',
+    'missing-element': 'Missing element',
+    'extra-element': 'Extra element',
+    size: 'Size',
+    content: 'Content',
+    other: 'Other'
+}
+
+const SEVERITY_CLASSES = {
+    critical: 'bg-red-500/10 text-red-400',
+    medium: 'bg-yellow-500/10 text-yellow-500',
+    low: 'bg-gray-500/10 text-gray-400'
+}
+
+/**
+ * Design mockup vs rendered page: overall mismatch, the changed regions with
+ * design/page crops, and the vision model's findings for the selected region.
+ */
+export default function DesignReport({ report }) {
+    const [selectedRegion, setSelectedRegion] = useState(null)
+    const { summary, visualDiff, ai, meta } = report
+    const regions = visualDiff.regions
+    const region = regions.find(r => r.id === selectedRegion) || regions[0]
+
+    return (
+        <div className="flex-1 flex flex-col gap-4 overflow-hidden">
+            <div className="shrink-0 p-4 rounded-xl border border-surface-border bg-surface-card flex items-center gap-6">
+                <div className="flex items-center gap-3 min-w-0">
+                    <PenTool size={28} className="text-primary shrink-0" />
+                    <div className="min-w-0">
+                        <p className="text-lg font-bold text-white truncate">{meta.designName || 'Design'} vs {meta.url}</p>
+                        <p className="text-xs text-gray-400">
+                            {meta.designWidth}×{meta.designHeight} @{meta.designScale}x · rendered at {meta.viewport.width}px
+                            {!meta.fullPage && visualDiff.pageHeight > visualDiff.designHeight && ` · page cut at ${visualDiff.designHeight}px of ${visualDiff.pageHeight}px`}
+                        </p>
+                    </div>
+                </div>
+                <div className="flex gap-6 ml-auto text-center">
+                    {[
+                        { label: 'Mismatch', value: summary.mismatchPercent === null ? '—' : `${summary.mismatchPercent}%` },
+                        { label: 'Regions', value: summary.changedRegions },
+                        { label: 'Findings', value: ai.available ? summary.findings : '—' },
+                        { label: 'Critical', value: ai.available ? summary.criticalIssues : '—' }
+                    ].map(stat => (
+                        <div key={stat.label}>
+                            <p className="text-xl font-bold text-white">{stat.value}</p>
+                            <p className="text-[10px] uppercase tracking-widest text-gray-500">{stat.label}</p>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {ai.available && summary.findings > 0 && (
+                <div className="shrink-0 flex gap-2 flex-wrap">
+                    {Object.entries(summary.byCategory).filter(([, count]) => count > 0).map(([category, count]) => (
+                        <span key={category} className="text-[10px] px-2 py-1 rounded border border-surface-border bg-surface-dark text-gray-300 font-bold uppercase">
+                            {CATEGORY_LABELS[category]} {count}
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            <div className="flex-1 flex gap-4 overflow-hidden">
+                <div className="flex-1 flex flex-col bg-surface-card rounded-2xl border border-surface-border overflow-hidden">
+                    <DiffRegionsView
+                        regions={regions}
+                        selectedId={region?.id}
+                        onSelect={setSelectedRegion}
+                        labels={{ live: 'Design', stage: 'Page' }}
+                    />
+                </div>
+
+                <div className="w-80 shrink-0 bg-surface-card rounded-2xl border border-surface-border p-4 overflow-y-auto custom-scrollbar space-y-3">
+                    <p className="text-[10px] font-bold text-gray-500 uppercase tracking-widest flex items-center gap-1.5">
+                        <Sparkles size={12} /> {region ? `Region ${region.id} findings` : 'Findings'}
+                    </p>
+
+                    {!ai.available ? (
+                        <div className="flex gap-2 text-xs text-gray-400 p-2 bg-surface-dark rounded border border-white/5">
+                            <Info size={14} className="shrink-0 mt-0.5" />
+                            <span>{ai.message || 'AI analysis is not available.'} The pixel diff above is still complete.</span>
+                        </div>
+                    ) : !region ? (
+                        <p className="text-xs text-gray-500">The page matches the design pixel for pixel.</p>
+                    ) : region.findings === null ? (
+                        <p className="text-xs text-gray-500">
+                            {region.analysisError ? `Analysis failed: ${region.analysisError}` : 'Only the largest regions are described; this one was not analyzed.'}
+                        </p>
+                    ) : region.findings.length === 0 ? (
+                        <p className="text-xs text-gray-500">No visible mismatch in this region (rendering noise only).</p>
+                    ) : region.findings.map((finding, i) => (
+                        <div key={i} className="p-2 bg-surface-dark rounded border border-white/5 space-y-1.5">
+                            <div className="flex items-center gap-2">
+                                <span className="text-[10px] font-bold uppercase text-primary">{CATEGORY_LABELS[finding.category]}</span>
+                                <span className={`ml-auto text-[10px] px-1.5 py-0.5 rounded font-bold uppercase ${SEVERITY_CLASSES[finding.severity]}`}>
+                                    {finding.severity}
+                                </span>
+                            </div>
+                            <p className="text-xs text-white">{finding.description}</p>
+                            {(finding.design || finding.page) && (
+                                <p className="text-[11px]">
+                                    <span className="text-gray-400">{finding.design || '—'}</span>
+                                    <span className="text-gray-600"> → </span>
+                                    <span className="text-yellow-500">{finding.page || '—'}</span>
+                                </p>
+                            )}
+                            {finding.suggestion && (
+                                <p className="text-[11px] text-gray-400 flex gap-1.5">
+                                    <Lightbulb size={12} className="shrink-0 mt-0.5 text-yellow-500" /> {finding.suggestion}
+                                </p>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,170 @@
+import { useState } from 'react'
+import { ScanSearch, SplitSquareHorizontal, Layers, Map as MapIcon } from 'lucide-react'
+
+// Bounding box of an element, relative to the region's crop
+const boxStyle = (rect, crop) => ({
+    left: `${((rect.x - crop.x) / crop.width) * 100}%`,
+    top: `${((rect.y - crop.y) / crop.height) * 100}%`,
+    width: `${(rect.width / crop.width) * 100}%`,
+    height: `${(rect.height / crop.height) * 100}%`
+})
+
+/**
+ * Changed regions of a layout comparison: the clustered pixel changes with
+ * live/stage/diff crops, the matched elements behind each change drawn as
+ * bounding boxes, and their CSS property differences. `labels` names the two
+ sides (a design comparison shows Design and Page).
+ */
+export default function DiffRegionsView({ regions, selectedId, onSelect, labels = { live: 'Live', stage: 'Stage' } }) {
+    const [mode, setMode] = useState('slider') // slider, overlay, diff
+    const [sliderPos, setSliderPos] = useState(50)
+    const [opacity, setOpacity] = useState(50)
+    const [hoveredElement, setHoveredElement] = useState(null)
+
+    if (!regions?.length) {
+        return (
+            <div className="flex-1 flex flex-col items-center justify-center text-gray-500 bg-black">
+                <ScanSearch size={32} className="mb-2 opacity-20" />
+                <p className="text-xs">No changed pixel regions between {labels.live.toLowerCase()} and {labels.stage.toLowerCase()}.</p>
+            </div>
+        )
+    }
+
+    const region = regions.find(r => r.id === selectedId) || regions[0]
+    const crop = region.crops
+
+    return (
+        <div className="flex-1 flex overflow-hidden">
+            {/* Region list */}
+            <div className="w-56 shrink-0 overflow-y-auto border-r border-surface-border p-2 space-y-2 custom-scrollbar">
+                {regions.map(r => (
+                    <button
+                        key={r.id}
+                        onClick={() => onSelect(r.id)}
+                        className={`w-full text-left p-2 rounded-lg border transition-all ${r === region ? 'border-primary bg-primary/5' : 'border-surface-border hover:border-primary/50'}`}
+                    >
+                        {r.crops?.diffUrl && (
+                            <img src={r.crops.diffUrl} className="w-full max-h-20 object-contain bg-black rounded mb-1" />
+                        )}
+                        <div className="flex items-center justify-between text-[10px]">
+                            <span className="font-bold text-white">Region {r.id}</span>
+                            <span className="text-gray-500">{r.changedPixels.toLocaleString()} px</span>
+                        </div>
+                        <p className="text-[10px] text-gray-500 truncate">
+                            {r.differences.length} CSS differences · {r.elements[0]?.selector || 'no matched element'}
+                        </p>
+                    </button>
+                ))}
+            </div>
+
+            {/* Selected region */}
+            <div className="flex-1 flex flex-col overflow-hidden">
+                <div className="p-2 border-b border-surface-border flex items-center justify-between gap-3">
+                    <div className="flex bg-surface-dark p-1 rounded-lg border border-surface-border">
+                        {[
+                            { id: 'slider', label: 'Slider', icon: SplitSquareHorizontal },
+                            { id: 'overlay', label: 'Overlay', icon: Layers },
+                            { id: 'diff', label: 'Diff', icon: MapIcon }
+                        ].map(m => (
+                            <button
+                                key={m.id}
+                                onClick={() => setMode(m.id)}
+                                className={`px-2.5 py-1 rounded text-[10px] font-bold flex items-center gap-1.5 transition-all ${mode === m.id ? 'bg-primary text-white' : 'text-gray-400 hover:text-white'}`}
+                            >
+                                <m.icon size={12} />
+                                {m.label}
+                            </button>
+                        ))}
+                    </div>
+                    {mode === 'slider' && (
+                        <input type="range" min={0} max={100} value={sliderPos} onChange={(e) => setSliderPos(Number(e.target.value))} className="flex-1 max-w-xs" title={`${labels.stage} ← → ${labels.live}`} />
+                    )}
+                    {mode === 'overlay' && (
+                        <input type="range" min={0} max={100} value={opacity} onChange={(e) => setOpacity(Number(e.target.value))} className="flex-1 max-w-xs" title={`${labels.stage} opacity over ${labels.live}`} />
+                    )}
+                    <span className="text-[10px] font-mono text-gray-500">
+                        {region.x},{region.y} · {region.width}×{region.height}
+                    </span>
+                </div>
+
+                <div className="flex-1 overflow-auto bg-black p-4 flex justify-center items-start">
+                    {crop ? (
+                        <div className="relative inline-block max-w-full overflow-hidden">
+                            {mode === 'diff' ? (
+                                <img src={crop.diffUrl} className="block max-w-full h-auto" />
+                            ) : (
+                                <>
+                                    <img src={crop.liveUrl} className="block max-w-full h-auto" />
+                                    <img
+                                        src={crop.stageUrl}
+                                        className="absolute inset-0 w-full h-full"
+                                        style={mode === 'slider' ? { clipPath: `inset(0 ${100 - sliderPos}% 0 0)` } : { opacity: opacity / 100 }}
+                                    />
+                                    {mode === 'slider' && (
+                                        <div className="absolute top-0 bottom-0 w-0.5 bg-white pointer-events-none" style={{ left: `${sliderPos}%` }} />
+                                    )}
+                                </>
+                            )}
+
+                            {/* Element bounding boxes: live solid, stage dashed */}
+                            {region.elements.map((el, i) => (
+                                <div key={i} className={hoveredElement === null || hoveredElement === i ? '' : 'opacity-20'}>
+                                    <div className="absolute border-2 border-accent-purple pointer-events-none" style={boxStyle(el.liveRect, crop)} />
+                                    <div className="absolute border-2 border-dashed border-yellow-400 pointer-events-none" style={boxStyle(el.stageRect, crop)} />
+                                </div>
+                            ))}
+
+                            {mode !== 'diff' && (
+                                <>
+                                    <span className="absolute top-1 left-1 px-1.5 py-0.5 text-[9px] font-bold uppercase bg-yellow-400 text-black rounded">{labels.stage}</span>
+                                    <span className="absolute top-1 right-1 px-1.5 py-0.5 text-[9px] font-bold uppercase bg-accent-purple text-white rounded">{labels.live}</span>
+                                </>
+                            )}
+                        </div>
+                    ) : (
+                        <p className="text-xs text-gray-500 py-10">No crops were saved for this region.</p>
+                    )}
+                </div>
+
+                {/* Elements and CSS differences behind the change */}
+                <div className="max-h-56 overflow-y-auto border-t border-surface-border p-3 space-y-3 custom-scrollbar">
+                    <div>
+                        <p className="text-[10px] font-bold text-gray-500 uppercase tracking-widest mb-1">Matched elements</p>
+                        {region.elements.length === 0 ? (
+                            <p className="text-xs text-gray-500">No compared element overlaps this region.</p>
+                        ) : region.elements.map((el, i) => (
+                            <div
+                                key={i}
+                                onMouseEnter={() => setHoveredElement(i)}
+                                onMouseLeave={() => setHoveredElement(null)}
+                                className="flex items-center gap-3 text-xs p-1.5 rounded hover:bg-surface-dark"
+                            >
+                                <code className="text-accent-purple truncate flex-1">{el.selector}</code>
+                                {el.nodeText && <span className="text-gray-500 truncate max-w-[40%]">{el.nodeText}</span>}
+                                <span className="text-[10px] text-gray-600">{el.section}</span>
+                            </div>
+                        ))}
+                    </div>
+
+                    {region.differences.length > 0 && (
+                        <div>
+                            <p className="text-[10px] font-bold text-gray-500 uppercase tracking-widest mb-1">CSS differences</p>
+                            {region.differences.map((diff, i) => (
+                                <div key={i} className="flex items-center gap-3 text-xs p-1.5 bg-surface-dark rounded border border-white/5 mb-1">
+                                    <code className="text-gray-400 truncate w-1/3">{diff.selector}</code>
+                                    <span className="text-white">{diff.property}</span>
+                                    <code className="text-gray-400">{diff.liveValue}</code>
+                                    <span className="text-gray-600">→</span>
+                                    <code className="text-red-400">{diff.stageValue}</code>
+                                    <span className={`ml-auto text-[10px] px-1.5 py-0.5 rounded font-bold uppercase ${diff.severity === 'critical' ? 'bg-red-500/10 text-red-400' : 'bg-yellow-500/10 text-yellow-500'}`}>
+                                        {diff.severity}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,137 @@
+import { useState } from 'react'
+import { ChevronRight, ChevronDown, ListTree } from 'lucide-react'
+
+const STATUSES = {
+    added: { label: 'Added', className: 'bg-green-500/10 text-green-400 border-green-500/30' },
+    removed: { label: 'Removed', className: 'bg-red-500/10 text-red-400 border-red-500/30' },
+    moved: { label: 'Moved', className: 'bg-blue-500/10 text-blue-400 border-blue-500/30' },
+    'text-changed': { label: 'Text', className: 'bg-yellow-500/10 text-yellow-500 border-yellow-500/30' },
+    'attribute-changed': { label: 'Attributes', className: 'bg-accent-purple/10 text-accent-purple border-accent-purple/30' }
+}
+
+const TreeNode = ({ node, depth, filter }) => {
+    const [open, setOpen] = useState(depth < 6)
+    const hasChildren = node.children.length > 0
+    const changed = node.status !== 'unchanged'
+    const visible = !filter || node.types?.includes(filter)
+
+    return (
+        <div>
+            <div
+                className={`flex items-start gap-1.5 py-0.5 pr-2 rounded hover:bg-surface-dark ${visible ? '' : 'opacity-40'}`}
+                style={{ paddingLeft: depth * 14 }}
+            >
+                <button
+                    onClick={() => setOpen(!open)}
+                    className={`mt-0.5 text-gray-500 hover:text-white ${hasChildren ? '' : 'invisible'}`}
+                >
+                    {open ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                </button>
+                <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 text-[11px]">
+                        <code className={`truncate ${node.status === 'removed' ? 'text-red-400 line-through' : changed ? 'text-white' : 'text-gray-500'}`} title={node.selector}>
+                            &lt;{node.label}&gt;
+                        </code>
+                        {node.types?.map(type => (
+                            <span key={type} className={`text-[9px] px-1 rounded border font-bold uppercase shrink-0 ${STATUSES[type].className}`}>
+                                {STATUSES[type].label}
+                            </span>
+                        ))}
+                        {node.descendants > 0 && <span className="text-[10px] text-gray-600 shrink-0">+{node.descendants} inside</span>}
+                        {!changed && node.text && <span className="text-[10px] text-gray-600 truncate">{node.text}</span>}
+                    </div>
+
+                    {changed && (
+                        <div className="text-[10px] space-y-0.5 mt-0.5">
+                            {node.from && (
+                                <p className="text-blue-400">from <code>{node.from}</code> to <code>{node.to}</code></p>
+                            )}
+                            {node.textChange && (
+                                <p>
+                                    <span className="text-gray-400 line-through">{node.textChange.live || '(empty)'}</span>
+                                    <span className="text-gray-600"> → </span>
+                                    <span className="text-yellow-500">{node.textChange.stage || '(empty)'}</span>
+                                </p>
+                            )}
+                            {node.attributes?.map(attr => (
+                                <p key={attr.name} className="font-mono truncate" title={`${attr.live ?? '(none)'} → ${attr.stage ?? '(none)'}`}>
+                                    <span className="text-accent-purple">{attr.name}</span>
+                                    <span className="text-gray-600">: </span>
+                                    <span className="text-gray-400">{attr.live ?? '(none)'}</span>
+                                    <span className="text-gray-600"> → </span>
+                                    <span className="text-white">{attr.stage ?? '(none)'}</span>
+                                </p>
+                            ))}
+                            {(node.status === 'added' || node.status === 'removed') && node.text && (
+                                <p className="text-gray-500 truncate">{node.text}</p>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {open && (
+                <>
+                    {node.children.map((child, i) => <TreeNode key={i} node={child} depth={depth + 1} filter={filter} />)}
+                    {node.unchangedChildren > 0 && (
+                        <p className="text-[10px] text-gray-600 py-0.5" style={{ paddingLeft: (depth + 1) * 14 + 18 }}>
+                            {node.unchangedChildren} unchanged element{node.unchangedChildren === 1 ? '' : 's'}
+                        </p>
+                    )}
+                </>
+            )}
+        </div>
+    )
+}
+
+/**
+ * Structural diff of the two rendered DOMs as a collapsible tree: the stage
+ * tree with removed live nodes put back in place, pruned to the changed nodes
+ * and their ancestors.
+ */
+export default function DomTreeDiff({ domDiff }) {
+    const [filter, setFilter] = useState(null)
+
+    if (!domDiff?.tree || domDiff.summary.totalChanges === 0) {
+        return (
+            <div className="flex-1 flex flex-col items-center justify-center text-gray-500 bg-black">
+                <ListTree size={32} className="mb-2 opacity-20" />
+                <p className="text-xs">{domDiff ? 'Both environments render the same element tree.' : 'This comparison has no DOM tree diff.'}</p>
+            </div>
+        )
+    }
+
+    const { summary } = domDiff
+    const counts = {
+        added: summary.added,
+        removed: summary.removed,
+        moved: summary.moved,
+        'text-changed': summary.textChanged,
+        'attribute-changed': summary.attributeChanged
+    }
+
+    return (
+        <div className="flex-1 flex flex-col overflow-hidden">
+            <div className="p-2 border-b border-surface-border flex items-center gap-2 flex-wrap">
+                {Object.entries(counts).map(([type, count]) => (
+                    <button
+                        key={type}
+                        onClick={() => setFilter(filter === type ? null : type)}
+                        disabled={count === 0}
+                        className={`text-[10px] px-2 py-1 rounded border font-bold uppercase transition-all disabled:opacity-30 ${STATUSES[type].className} ${filter === type ? 'ring-1 ring-white/40' : ''}`}
+                    >
+                        {STATUSES[type].label} {count}
+                    </button>
+                ))}
+                <span className="ml-auto text-[10px] text-gray-500">
+                    {summary.liveNodes} live · {summary.stageNodes} stage elements
+                    {summary.truncated && ' (truncated)'}
+                    {summary.totalChanges > domDiff.changes.length && ` · first ${domDiff.changes.length} of ${summary.totalChanges} changes shown`}
+                </span>
+            </div>
+            <div className="flex-1 overflow-auto p-2 custom-scrollbar">
+                <TreeNode node={domDiff.tree} depth={0} filter={filter} />
+            </div>
+        </div>
+    )
+}
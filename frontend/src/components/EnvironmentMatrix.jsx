@@ -0,0 +1,138 @@
+import { ShieldCheck, AlertTriangle, XCircle, CheckCircle2, ArrowUpRight } from 'lucide-react'
+
+const VERDICTS = {
+    blocked: { label: 'Blocked', icon: XCircle, className: 'bg-red-500/10 text-red-400 border-red-500/30' },
+    review: { label: 'Review', icon: AlertTriangle, className: 'bg-yellow-500/10 text-yellow-400 border-yellow-500/30' },
+    ready: { label: 'Ready', icon: CheckCircle2, className: 'bg-green-500/10 text-green-400 border-green-500/30' }
+}
+
+const SEVERITY_CLASSES = {
+    critical: 'text-red-400',
+    medium: 'text-yellow-400',
+    low: 'text-gray-400'
+}
+
+const VerdictBadge = ({ verdict }) => {
+    const { label, icon: Icon, className } = VERDICTS[verdict]
+    return (
+        <span className={`inline-flex items-center gap-1 text-[10px] px-1.5 py-0.5 rounded border font-bold uppercase ${className}`}>
+            <Icon size={10} /> {label}
+        </span>
+    )
+}
+
+/**
+ * Release-readiness matrix of an environment-wide comparison: one row per
+ * mapped page with how much it changed and its worst severity (one cell per
+ * breakpoint in responsive mode). `onOpen(page)` opens a page in the comparator.
+ */
+export default function EnvironmentMatrix({ report, onOpen }) {
+    const { summary, pages, metadata } = report
+    const breakpoints = metadata.viewports || null
+    const verdict = VERDICTS[report.readiness]
+
+    return (
+        <div className="flex-1 flex flex-col gap-4 overflow-hidden">
+            <div className={`shrink-0 p-4 rounded-xl border flex items-center gap-6 ${verdict.className}`}>
+                <div className="flex items-center gap-3">
+                    <ShieldCheck size={28} />
+                    <div>
+                        <p className="text-lg font-bold">Release {report.readiness === 'ready' ? 'ready' : report.readiness === 'review' ? 'needs review' : 'blocked'}</p>
+                        <p className="text-xs opacity-80">
+                            {summary.pages} pages mapped by {metadata.discovery} · {metadata.liveBaseUrl} vs {metadata.stageBaseUrl}
+                        </p>
+                    </div>
+                </div>
+                <div className="flex gap-6 ml-auto text-center">
+                    {[
+                        { label: 'Blocked', value: summary.blocked },
+                        { label: 'Review', value: summary.review },
+                        { label: 'Ready', value: summary.ready },
+                        { label: 'Differences', value: summary.totalDifferences },
+                        { label: 'Failed', value: summary.failed }
+                    ].map(stat => (
+                        <div key={stat.label}>
+                            <p className="text-xl font-bold text-white">{stat.value}</p>
+                            <p className="text-[10px] uppercase tracking-widest opacity-80">{stat.label}</p>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <div className="flex-1 overflow-auto bg-surface-card rounded-2xl border border-surface-border custom-scrollbar">
+                <table className="w-full text-xs">
+                    <thead className="sticky top-0 bg-surface-dark text-gray-500 uppercase text-[10px] tracking-widest">
+                        <tr>
+                            <th className="text-left p-3">Page</th>
+                            <th className="text-left p-3">Verdict</th>
+                            {breakpoints ? (
+                                breakpoints.map(label => <th key={label} className="text-center p-3">{label}</th>)
+                            ) : (
+                                <>
+                                    <th className="text-right p-3">Differences</th>
+                                    <th className="text-right p-3">Pixels changed</th>
+                                    <th className="text-right p-3">Regions</th>
+                                    <th className="text-left p-3">Worst severity</th>
+                                </>
+                            )}
+                            <th className="p-3" />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {pages.map(page => (
+                            <tr key={page.path} className="border-t border-surface-border hover:bg-surface-dark/50">
+                                <td className="p-3 max-w-xs">
+                                    <div className="flex items-center gap-3">
+                                        {page.visualDiff?.diffUrl && (
+                                            <img src={page.visualDiff.diffUrl} className="w-16 h-10 object-cover object-top rounded border border-white/10 bg-black" />
+                                        )}
+                                        <div className="min-w-0">
+                                            <code className="text-white truncate block">{page.path}</code>
+                                            {page.error && <p className="text-red-400 truncate" title={page.error}>{page.error}</p>}
+                                            {page.topDifferences?.[0] && (
+                                                <p className="text-gray-500 truncate">
+                                                    {page.topDifferences[0].selector} · {page.topDifferences[0].property}
+                                                </p>
+                                            )}
+                                        </div>
+                                    </div>
+                                </td>
+                                <td className="p-3"><VerdictBadge verdict={page.verdict} /></td>
+                                {breakpoints ? (
+                                    breakpoints.map(label => {
+                                        const cell = page.viewports?.find(v => v.label === label)
+                                        return (
+                                            <td key={label} className="p-3 text-center">
+                                                {cell ? (
+                                                    <span className={`font-mono ${SEVERITY_CLASSES[cell.worstSeverity] || 'text-green-400'}`} title={`${cell.differences} differences, ${cell.mismatchPercent ?? '?'}% pixels, worst: ${cell.worstSeverity || 'none'}`}>
+                                                        {cell.differences} · {cell.mismatchPercent ?? '?'}%
+                                                    </span>
+                                                ) : <span className="text-gray-600">—</span>}
+                                            </td>
+                                        )
+                                    })
+                                ) : (
+                                    <>
+                                        <td className="p-3 text-right font-mono text-white">{page.differences ?? '—'}</td>
+                                        <td className="p-3 text-right font-mono text-gray-300">{page.mismatchPercent !== null && page.mismatchPercent !== undefined ? `${page.mismatchPercent}%` : '—'}</td>
+                                        <td className="p-3 text-right font-mono text-gray-300">{page.changedRegions ?? '—'}</td>
+                                        <td className={`p-3 font-bold uppercase text-[10px] ${SEVERITY_CLASSES[page.worstSeverity] || 'text-gray-600'}`}>{page.worstSeverity || '—'}</td>
+                                    </>
+                                )}
+                                <td className="p-3 text-right">
+                                    <button
+                                        onClick={() => onOpen(page)}
+                                        className="inline-flex items-center gap-1 text-primary hover:text-white font-bold"
+                                        title="Compare this page in detail"
+                                    >
+                                        Open <ArrowUpRight size={12} />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,67 @@
+import { EyeOff } from 'lucide-react'
+
+export const EMPTY_IGNORE = { mask: '', hide: '', freeze: '', css: '' }
+
+const lines = (text) => text.split('\n').map(l => l.trim()).filter(Boolean)
+
+// "x, y, width, height" lines are rectangles, anything else a selector
+const RECT_LINE = /^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)$/
+
+/**
+ * The panel's text fields as the `ignore` option of a comparison (undefined when empty)
+ */
+export const toIgnoreOptions = (fields) => {
+    const mask = lines(fields.mask).map(line => {
+        const rect = line.match(RECT_LINE)
+        return rect ? { x: Number(rect[1]), y: Number(rect[2]), width: Number(rect[3]), height: Number(rect[4]) } : line
+    })
+    const ignore = { mask, hide: lines(fields.hide), freeze: lines(fields.freeze), css: fields.css.trim() }
+    const empty = !mask.length && !ignore.hide.length && !ignore.freeze.length && !ignore.css
+    return empty ? undefined : ignore
+}
+
+/**
+ * An `ignore` option (e.g. from a stored report) back into the panel's text fields
+ */
+export const fromIgnoreOptions = (ignore) => ignore ? {
+    mask: (ignore.mask || []).map(entry => typeof entry === 'string' ? entry : `${entry.x}, ${entry.y}, ${entry.width}, ${entry.height}`).join('\n'),
+    hide: (ignore.hide || []).join('\n'),
+    freeze: (ignore.freeze || []).join('\n'),
+    css: ignore.css || ''
+} : EMPTY_IGNORE
+
+const FIELDS = [
+    { id: 'mask', label: 'Mask', hint: 'Selectors or x, y, width, height rectangles (page px). Painted over and left out of the diff.', placeholder: '.ad-slot\n#live-chat\n0, 0, 1440, 48' },
+    { id: 'hide', label: 'Hide', hint: 'Selectors hidden before capture. The space they take is kept.', placeholder: '.cookie-banner\n.countdown' },
+    { id: 'freeze', label: 'Freeze', hint: 'Selectors whose media, animations and content stay as loaded.', placeholder: '.carousel\ntime.updated' },
+    { id: 'css', label: 'Inject CSS', hint: 'Stylesheet added to both environments.', placeholder: '.timestamp { visibility: hidden; }' }
+]
+
+/**
+ * Ignore regions and dynamic-content masking of a layout comparison
+ */
+export default function IgnoreRegionsPanel({ value, onChange }) {
+    return (
+        <div className="bg-surface-card border border-surface-border p-3 rounded-xl shrink-0">
+            <div className="flex items-center gap-2 text-xs font-bold uppercase text-gray-400 mb-2">
+                <EyeOff size={14} /> Ignore dynamic content
+            </div>
+            <div className="grid grid-cols-4 gap-3">
+                {FIELDS.map(field => (
+                    <div key={field.id}>
+                        <label className="block text-[10px] font-bold text-gray-500 uppercase tracking-widest mb-1">{field.label}</label>
+                        <textarea
+                            rows={3}
+                            value={value[field.id]}
+                            onChange={(e) => onChange({ ...value, [field.id]: e.target.value })}
+                            placeholder={field.placeholder}
+                            spellCheck={false}
+                            className="w-full bg-surface-dark border border-surface-border rounded-lg px-2 py-1.5 text-xs font-mono text-white placeholder-gray-600 focus-ring"
+                        />
+                        <p className="text-[10px] text-gray-500 mt-1">{field.hint}</p>
+                    </div>
+                ))}
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,68 @@
+import { Repeat } from 'lucide-react'
+
+const METRICS = [
+    { key: 'performance', label: 'Performance score', unit: '' },
+    { key: 'fcp', label: 'First Contentful Paint', unit: 'ms' },
+    { key: 'lcp', label: 'Largest Contentful Paint', unit: 'ms' },
+    { key: 'tbt', label: 'Total Blocking Time', unit: 'ms' },
+    { key: 'speedIndex', label: 'Speed Index', unit: 'ms' },
+    { key: 'cls', label: 'Cumulative Layout Shift', unit: '' }
+]
+
+const format = (value, unit) => `${Math.round(value * 1000) / 1000}${unit ? ` ${unit}` : ''}`
+
+/**
+ * Spread of a multi-run Lighthouse audit: which run is reported, and the
+ * median, range and standard deviation of each key value across runs.
+ */
+export default function LighthouseRunSpread({ runs }) {
+    if (!runs) return null
+
+    return (
+        <div className="bg-surface-card border border-surface-border rounded-xl p-6 space-y-4">
+            <div className="flex items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                    <Repeat className="w-5 h-5 text-primary" />
+                    <h3 className="text-lg font-semibold text-white">Run Variability</h3>
+                </div>
+                <span className="text-xs text-gray-400">
+                    Median of {runs.count} runs · run {runs.medianRun} reported
+                </span>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-xs text-gray-500 uppercase tracking-wider">
+                            <th className="py-2 pr-4 font-medium">Metric</th>
+                            <th className="py-2 pr-4 font-medium">Median</th>
+                            <th className="py-2 pr-4 font-medium">Range</th>
+                            <th className="py-2 pr-4 font-medium">Std dev</th>
+                            <th className="py-2 font-medium">Runs</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-surface-border">
+                        {METRICS.filter(({ key }) => runs.metrics[key]).map(({ key, label, unit }) => {
+                            const stats = runs.metrics[key]
+                            // Relative spread flags noisy metrics (more than 10% of the mean)
+                            const noisy = stats.mean > 0 && stats.stddev / stats.mean > 0.1
+                            return (
+                                <tr key={key}>
+                                    <td className="py-2 pr-4 text-gray-300">{label}</td>
+                                    <td className="py-2 pr-4 font-mono text-white">{format(stats.median, unit)}</td>
+                                    <td className="py-2 pr-4 font-mono text-gray-400">{format(stats.min, unit)} – {format(stats.max, unit)}</td>
+                                    <td className={`py-2 pr-4 font-mono ${noisy ? 'text-status-warning' : 'text-gray-400'}`}>±{format(stats.stddev, unit)}</td>
+                                    <td className="py-2 font-mono text-xs text-gray-500">
+                                        {stats.values.map((value, i) => (
+                                            <span key={i} className={`mr-2 ${i + 1 === runs.medianRun ? 'text-primary font-bold' : ''}`}>{format(value, '')}</span>
+                                        ))}
+                                    </td>
+                                </tr>
+                            )
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,138 @@
+import { CheckCircle2, Globe, FileWarning, FileCode, Scale, ShieldAlert, Terminal, XCircle } from 'lucide-react'
+
+const formatBytes = (bytes) => bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.round(bytes / 1024)} KB`
+
+const shortUrl = (url) => {
+    const { host, pathname } = new URL(url)
+    return `${host}${pathname}`
+}
+
+const Section = ({ icon: Icon, title, count, tone = 'text-yellow-500', children }) => count > 0 ? (
+    <div>
+        <p className={`text-[10px] font-bold uppercase tracking-widest mb-1.5 flex items-center gap-1.5 ${tone}`}>
+            <Icon size={12} /> {title} ({count})
+        </p>
+        <div className="space-y-1">{children}</div>
+    </div>
+) : null
+
+const Row = ({ children, title }) => (
+    <div className="flex items-center gap-2 text-[11px] p-1.5 bg-surface-dark rounded border border-white/5" title={title}>
+        {children}
+    </div>
+)
+
+/**
+ * Network and console diff of a layout comparison: what stage requests or
+ * logs that live doesn't (new 404s, failed requests, added scripts and
+ * domains, heavier payloads, mixed content, console errors).
+ */
+export default function NetworkDiffPanel({ network }) {
+    if (!network) {
+        return <p className="text-xs text-gray-500 text-center py-10">This comparison has no network log.</p>
+    }
+
+    const { live, stage, diff, summary } = network
+
+    return (
+        <div className="space-y-4 animate-in fade-in slide-in-from-right-2">
+            <div className="grid grid-cols-2 gap-2">
+                {[{ label: 'Live', totals: live }, { label: 'Stage', totals: stage }].map(({ label, totals }) => (
+                    <div key={label} className="p-2 bg-black/40 rounded-lg border border-white/5">
+                        <p className="text-[10px] font-bold text-gray-500 uppercase mb-1">{label}</p>
+                        <p className="text-sm font-bold text-white">{totals.requests} requests</p>
+                        <p className="text-[10px] text-gray-400">
+                            {formatBytes(totals.bytes)} · {totals.failed} failed · {totals.thirdPartyDomains.length} third-party domains
+                        </p>
+                    </div>
+                ))}
+            </div>
+
+            {summary.regressions === 0 && summary.resourceSizeRegressions === 0 ? (
+                <div className="text-center py-6">
+                    <CheckCircle2 size={32} className="mx-auto mb-2 text-green-500 opacity-20" />
+                    <p className="text-xs text-gray-500">Stage makes no new failing, added or heavier requests, and logs no new console errors.</p>
+                </div>
+            ) : (
+                <>
+                    <Section icon={FileWarning} title="New 404s" count={summary.newNotFound} tone="text-red-400">
+                        {diff.newNotFound.map((r, i) => (
+                            <Row key={i} title={r.url}>
+                                <span className="font-mono text-red-400">{r.status}</span>
+                                <code className="truncate flex-1 text-gray-300">{shortUrl(r.url)}</code>
+                                <span className="text-gray-600">{r.resourceType}</span>
+                            </Row>
+                        ))}
+                    </Section>
+
+                    <Section icon={XCircle} title="New failed requests" count={summary.newFailedRequests} tone="text-red-400">
+                        {diff.newFailedRequests.map((r, i) => (
+                            <Row key={i} title={r.url}>
+                                <span className="font-mono text-red-400">{r.status || (r.blocked ? 'blocked' : 'failed')}</span>
+                                <code className="truncate flex-1 text-gray-300">{shortUrl(r.url)}</code>
+                                {r.error && <span className="text-gray-600 truncate max-w-[35%]">{r.error}</span>}
+                            </Row>
+                        ))}
+                    </Section>
+
+                    <Section icon={Terminal} title="Stage-only console errors" count={summary.stageOnlyConsoleErrors} tone="text-red-400">
+                        {diff.stageOnlyConsoleErrors.map((log, i) => (
+                            <Row key={i}>
+                                <code className="text-red-300 break-all">{log.text}</code>
+                            </Row>
+                        ))}
+                    </Section>
+
+                    <Section icon={ShieldAlert} title="New mixed content" count={summary.newMixedContent}>
+                        {diff.newMixedContent.map((r, i) => (
+                            <Row key={i} title={r.url}>
+                                <code className="truncate flex-1 text-gray-300">{r.url}</code>
+                            </Row>
+                        ))}
+                    </Section>
+
+                    <Section icon={FileCode} title="Added scripts" count={summary.addedScripts}>
+                        {diff.addedScripts.map((r, i) => (
+                            <Row key={i} title={r.url}>
+                                <code className="truncate flex-1 text-gray-300">{shortUrl(r.url)}</code>
+                                {r.thirdParty && <span className="text-[9px] px-1 rounded bg-yellow-500/10 text-yellow-500 font-bold uppercase">3rd party</span>}
+                                <span className="text-gray-600">{formatBytes(r.size)}</span>
+                            </Row>
+                        ))}
+                    </Section>
+
+                    <Section icon={Globe} title="New third-party domains" count={summary.newThirdPartyDomains}>
+                        <Row>
+                            <code className="text-gray-300">{diff.newThirdPartyDomains.join(', ')}</code>
+                        </Row>
+                    </Section>
+
+                    <Section icon={Scale} title="Payload regressions" count={summary.payloadRegressions + summary.resourceSizeRegressions}>
+                        {diff.payloadRegressions.map((r, i) => (
+                            <Row key={`type-${i}`}>
+                                <span className="text-white font-bold flex-1">{r.resourceType === 'total' ? 'Total payload' : `All ${r.resourceType}`}</span>
+                                <span className="text-gray-400">{formatBytes(r.liveBytes)} → {formatBytes(r.stageBytes)}</span>
+                                <span className="text-yellow-500 font-mono">+{formatBytes(r.deltaBytes)}</span>
+                            </Row>
+                        ))}
+                        {diff.resourceSizeRegressions.map((r, i) => (
+                            <Row key={`resource-${i}`} title={r.url}>
+                                <code className="truncate flex-1 text-gray-300">{shortUrl(r.url)}</code>
+                                <span className="text-gray-400">{formatBytes(r.liveBytes)} → {formatBytes(r.stageBytes)}</span>
+                                <span className="text-yellow-500 font-mono">+{formatBytes(r.deltaBytes)}</span>
+                            </Row>
+                        ))}
+                    </Section>
+
+                    {diff.removedScripts.length > 0 && (
+                        <p className="text-[10px] text-gray-500">
+                            {diff.removedScripts.length} script{diff.removedScripts.length === 1 ? '' : 's'} loaded on live {diff.removedScripts.length === 1 ? 'is' : 'are'} gone on stage: {diff.removedScripts.map(r => shortUrl(r.url)).join(', ')}
+                        </p>
+                    )}
+                </>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,119 @@
+import { useState } from 'react'
+import { Folder, ChevronDown, Check, Plus, Trash2 } from 'lucide-react'
+import { useProjects } from '../context/ProjectContext'
+import { useAuth } from '../context/AuthContext'
+
+/**
+ * Sidebar dropdown for picking the active project (client/site).
+ * New audits and the dashboard follow the selection.
+ */
+export default function ProjectSwitcher() {
+    const { user } = useAuth()
+    const { projects, currentProject, selectProject, createProject, deleteProject } = useProjects()
+    const [open, setOpen] = useState(false)
+    const [newName, setNewName] = useState('')
+    const [error, setError] = useState(null)
+
+    const handleSelect = (id) => {
+        selectProject(id)
+        setOpen(false)
+    }
+
+    const handleCreate = async (e) => {
+        e.preventDefault()
+        if (!newName.trim()) return
+        try {
+            setError(null)
+            await createProject({ name: newName.trim() })
+            setNewName('')
+            setOpen(false)
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to create project')
+        }
+    }
+
+    const handleDelete = async (e, project) => {
+        e.stopPropagation()
+        if (!window.confirm(`Delete project "${project.name}"? Its audits are kept but become unassigned.`)) return
+        try {
+            setError(null)
+            await deleteProject(project.id)
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to delete project')
+        }
+    }
+
+    const canManage = (project) => user?.role === 'admin' || !project.createdBy || project.createdBy === user?.id
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setOpen(!open)}
+                className="w-full flex items-center gap-3 px-4 py-3 rounded-lg bg-surface-dark border border-surface-border text-left hover:border-primary/50 transition-all"
+            >
+                <Folder className="w-4 h-4 text-primary flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                    <p className="text-[10px] text-gray-500 uppercase tracking-wider">Project</p>
+                    <p className="text-sm font-medium text-white truncate">{currentProject?.name || 'All projects'}</p>
+                </div>
+                <ChevronDown className={`w-4 h-4 text-gray-400 transition-transform ${open ? 'rotate-180' : ''}`} />
+            </button>
+
+            {open && (
+                <div className="absolute left-0 right-0 mt-2 z-20 bg-surface-card border border-surface-border rounded-lg shadow-xl overflow-hidden">
+                    <ul className="max-h-64 overflow-y-auto py-1">
+                        <li>
+                            <button
+                                onClick={() => handleSelect(null)}
+                                className="w-full flex items-center gap-2 px-4 py-2 text-sm text-gray-300 hover:bg-surface-dark hover:text-white"
+                            >
+                                <span className="flex-1 text-left">All projects</span>
+                                {!currentProject && <Check className="w-4 h-4 text-primary" />}
+                            </button>
+                        </li>
+                        {projects.map((project) => (
+                            <li key={project.id} className="group">
+                                <div
+                                    onClick={() => handleSelect(project.id)}
+                                    className="flex items-center gap-2 px-4 py-2 text-sm text-gray-300 hover:bg-surface-dark hover:text-white cursor-pointer"
+                                >
+                                    <span className="flex-1 truncate">{project.name}</span>
+                                    {currentProject?.id === project.id && <Check className="w-4 h-4 text-primary" />}
+                                    {canManage(project) && (
+                                        <button
+                                            onClick={(e) => handleDelete(e, project)}
+                                            className="opacity-0 group-hover:opacity-100 p-1 text-gray-500 hover:text-red-500 transition-all"
+                                            title="Delete project"
+                                        >
+                                            <Trash2 className="w-3.5 h-3.5" />
+                                        </button>
+                                    )}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+
+                    <form onSubmit={handleCreate} className="flex items-center gap-2 p-2 border-t border-surface-border">
+                        <input
+                            type="text"
+                            value={newName}
+                            onChange={(e) => setNewName(e.target.value)}
+                            placeholder="New project name"
+                            maxLength={100}
+                            className="flex-1 min-w-0 px-3 py-1.5 text-sm bg-surface-dark border border-surface-border rounded-md text-white placeholder-gray-500 focus:outline-none focus:border-primary"
+                        />
+                        <button
+                            type="submit"
+                            disabled={!newName.trim()}
+                            className="p-1.5 bg-primary text-white rounded-md disabled:opacity-50"
+                            title="Create project"
+                        >
+                            <Plus className="w-4 h-4" />
+                        </button>
+                    </form>
+                    {error && <p className="px-4 pb-2 text-xs text-red-400">{error}</p>}
+                </div>
+            )}
+        </div>
+    )
+}
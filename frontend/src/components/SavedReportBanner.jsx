@@ -0,0 +1,34 @@
+import { Link } from 'react-router-dom'
+import { History, Loader2, AlertCircle, X } from 'lucide-react'
+
+/**
+ * Shown above a module's results while it displays a report reopened from history
+ */
+export default function SavedReportBanner({ report, basePath, className = '' }) {
+    if (!report.loading && !report.error && !report.audit) return null
+
+    if (report.loading) {
+        return (
+            <div className={`flex items-center gap-3 p-4 bg-surface-card border border-surface-border rounded-xl text-sm text-gray-400 ${className}`}>
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Loading saved report...
+            </div>
+        )
+    }
+
+    return (
+        <div className={`flex items-center gap-3 p-4 rounded-xl border text-sm ${className} ${report.error ? 'bg-red-500/10 border-red-500/30 text-red-400' : 'bg-primary/10 border-primary/30 text-gray-300'}`}>
+            {report.error ? <AlertCircle className="w-4 h-4 flex-shrink-0" /> : <History className="w-4 h-4 flex-shrink-0 text-primary" />}
+            <span className="flex-1 truncate">
+                {report.error || (
+                    <>
+                        Saved {report.audit.type} report for <span className="text-white font-medium">{report.audit.url}</span> from {new Date(report.audit.date).toLocaleString()}
+                    </>
+                )}
+            </span>
+            <Link to={basePath} className="flex items-center gap-1 text-gray-400 hover:text-white transition-colors" title="Close saved report">
+                <X className="w-4 h-4" />
+            </Link>
+        </div>
+    )
+}
@@ -0,0 +1,266 @@
+import { useEffect, useState } from 'react'
+import axios from 'axios'
+import { CalendarClock, Play, Trash2, Plus, Loader2, CheckCircle2, XCircle, Clock } from 'lucide-react'
+import { useAuth } from '../context/AuthContext'
+import { useProjects } from '../context/ProjectContext'
+
+const CRON_PRESETS = [
+    { label: 'Nightly (02:00)', cron: '0 2 * * *' },
+    { label: 'Hourly', cron: '0 * * * *' },
+    { label: 'Weekdays (09:00)', cron: '0 9 * * 1-5' },
+    { label: 'Weekly (Mon 06:00)', cron: '0 6 * * 1' }
+]
+
+const TYPE_LABELS = {
+    'lighthouse': 'PageSpeed',
+    'accessibility': 'Accessibility',
+    'accessibility-site': 'Accessibility (site)',
+    'website': 'UX Audit',
+    'website-crawl': 'UX Audit (site)',
+    'compare-layout': 'Live vs Stage'
+}
+
+const STATUS_STYLES = {
+    completed: { icon: CheckCircle2, className: 'text-status-success' },
+    failed: { icon: XCircle, className: 'text-status-error' },
+    running: { icon: Loader2, className: 'text-primary animate-spin' }
+}
+
+const emptyForm = { name: '', cron: CRON_PRESETS[0].cron, timezone: '', type: 'lighthouse', targets: '', device: 'mobile', runs: '1' }
+
+const formatDate = (date) => date ? new Date(date).toLocaleString() : '—'
+
+// One target per line; layout comparisons take "liveUrl stageUrl" pairs
+const parseTargets = (text, type) => text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+        if (type !== 'compare-layout') return line
+        const [liveUrl, stageUrl] = line.split(/\s+/)
+        return { liveUrl, stageUrl }
+    })
+
+/**
+ * Settings tab for recurring audits: create cron schedules for the active
+ * project, toggle them, trigger a run and see how the last run went.
+ */
+export default function SchedulesManager() {
+    const { user } = useAuth()
+    const { projectId, currentProject } = useProjects()
+    const [schedules, setSchedules] = useState([])
+    const [types, setTypes] = useState(Object.keys(TYPE_LABELS))
+    const [form, setForm] = useState(emptyForm)
+    const [isLoading, setIsLoading] = useState(true)
+    const [isSaving, setIsSaving] = useState(false)
+    const [error, setError] = useState(null)
+
+    useEffect(() => {
+        fetchSchedules()
+    }, [projectId])
+
+    const fetchSchedules = async () => {
+        try {
+            const res = await axios.get('/api/schedules', { params: { projectId: projectId || undefined } })
+            setSchedules(res.data.schedules)
+            setTypes(res.data.types)
+        } catch (err) {
+            console.error('Failed to fetch schedules:', err)
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const handleError = (err, fallback) => {
+        const data = err.response?.data
+        setError(data?.message ? `${data.error}: ${data.message}` : data?.error || fallback)
+    }
+
+    const handleCreate = async (e) => {
+        e.preventDefault()
+        setIsSaving(true)
+        setError(null)
+        try {
+            await axios.post('/api/schedules', {
+                name: form.name,
+                cron: form.cron,
+                timezone: form.timezone || undefined,
+                type: form.type,
+                targets: parseTargets(form.targets, form.type),
+                options: form.type === 'lighthouse' ? { device: form.device, runs: Number(form.runs) } : {}
+            })
+            setForm(emptyForm)
+            await fetchSchedules()
+        } catch (err) {
+            handleError(err, 'Failed to create schedule')
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    const handleToggle = async (schedule) => {
+        try {
+            setError(null)
+            await axios.patch(`/api/schedules/${schedule.id}`, { enabled: !schedule.enabled })
+            await fetchSchedules()
+        } catch (err) {
+            handleError(err, 'Failed to update schedule')
+        }
+    }
+
+    const handleRun = async (schedule) => {
+        try {
+            setError(null)
+            await axios.post(`/api/schedules/${schedule.id}/run`)
+            await fetchSchedules()
+        } catch (err) {
+            handleError(err, 'Failed to run schedule')
+        }
+    }
+
+    const handleDelete = async (schedule) => {
+        if (!window.confirm(`Delete schedule "${schedule.name}"? Audits it already recorded are kept.`)) return
+        try {
+            setError(null)
+            await axios.delete(`/api/schedules/${schedule.id}`)
+            setSchedules(prev => prev.filter(s => s.id !== schedule.id))
+        } catch (err) {
+            handleError(err, 'Failed to delete schedule')
+        }
+    }
+
+    const canManage = (schedule) => user?.role === 'admin' || !schedule.userId || schedule.userId === user?.id
+    const updateForm = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }))
+    const inputClass = 'w-full bg-surface-dark border border-white/5 rounded-xl py-3 px-4 text-white focus:outline-none focus:ring-2 focus:ring-primary/50 transition-all'
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h3 className="text-lg font-bold text-white">Scheduled Audits</h3>
+                <p className="text-sm text-gray-400">
+                    Re-run audits automatically on a cron schedule. Results land in the audit history
+                    {currentProject ? ` of ${currentProject.name}` : ''} and feed the score trends.
+                </p>
+            </div>
+
+            {error && (
+                <div className="p-3 rounded-xl bg-red-500/10 border border-red-500/20 text-sm text-red-400">{error}</div>
+            )}
+
+            <div className="space-y-3">
+                {isLoading ? (
+                    <div className="flex justify-center py-8"><Loader2 className="w-6 h-6 animate-spin text-gray-500" /></div>
+                ) : schedules.length === 0 ? (
+                    <p className="text-gray-500 text-sm">No schedules yet.</p>
+                ) : schedules.map((schedule) => {
+                    const status = STATUS_STYLES[schedule.lastStatus]
+                    return (
+                        <div key={schedule.id} className="p-4 bg-white/5 rounded-2xl border border-white/5">
+                            <div className="flex items-start justify-between gap-4">
+                                <div className="flex items-start gap-3 min-w-0">
+                                    <div className="p-2 bg-primary/10 rounded-lg">
+                                        <CalendarClock className="w-5 h-5 text-primary" />
+                                    </div>
+                                    <div className="min-w-0">
+                                        <p className="text-sm font-bold text-white truncate">{schedule.name}</p>
+                                        <p className="text-xs text-gray-400">
+                                            {TYPE_LABELS[schedule.type] || schedule.type} · <code className="text-gray-300">{schedule.cron}</code>
+                                            {schedule.timezone && ` (${schedule.timezone})`} · {schedule.targets.length} target{schedule.targets.length === 1 ? '' : 's'}
+                                        </p>
+                                    </div>
+                                </div>
+                                <div className="flex items-center gap-2 flex-shrink-0">
+                                    <button
+                                        onClick={() => handleToggle(schedule)}
+                                        disabled={!canManage(schedule)}
+                                        className={`px-3 py-1.5 rounded-lg text-[10px] font-bold uppercase tracking-widest transition-all disabled:opacity-50 ${schedule.enabled ? 'bg-green-500/10 text-green-400' : 'bg-white/5 text-gray-500'}`}
+                                    >
+                                        {schedule.enabled ? 'Enabled' : 'Paused'}
+                                    </button>
+                                    <button onClick={() => handleRun(schedule)} title="Run now" className="p-2 text-gray-400 hover:text-primary transition-colors">
+                                        <Play className="w-4 h-4" />
+                                    </button>
+                                    {canManage(schedule) && (
+                                        <button onClick={() => handleDelete(schedule)} title="Delete schedule" className="p-2 text-gray-400 hover:text-red-500 transition-colors">
+                                            <Trash2 className="w-4 h-4" />
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                            <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-2 text-xs text-gray-500">
+                                <span className="flex items-center gap-1"><Clock className="w-3 h-3" /> Next: {schedule.enabled ? formatDate(schedule.nextRunAt) : 'paused'}</span>
+                                <span>Last run: {formatDate(schedule.lastRunAt)}</span>
+                                {status && (
+                                    <span className="flex items-center gap-1">
+                                        <status.icon className={`w-3 h-3 ${status.className}`} />
+                                        <span className="capitalize">{schedule.lastStatus}</span>
+                                    </span>
+                                )}
+                            </div>
+                            {schedule.lastError && (
+                                <p className="mt-2 text-xs text-red-400 break-words">{schedule.lastError}</p>
+                            )}
+                        </div>
+                    )
+                })}
+            </div>
+
+            <form onSubmit={handleCreate} className="space-y-4 pt-6 border-t border-white/5">
+                <h4 className="text-xs font-bold text-gray-500 uppercase tracking-widest">New Schedule</h4>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <input type="text" placeholder="Name, e.g. Nightly homepage" value={form.name} onChange={updateForm('name')} className={inputClass} required />
+                    <select value={form.type} onChange={updateForm('type')} className={inputClass}>
+                        {types.map(type => <option key={type} value={type}>{TYPE_LABELS[type] || type}</option>)}
+                    </select>
+                    <div className="space-y-2">
+                        <input type="text" placeholder="Cron, e.g. 0 2 * * *" value={form.cron} onChange={updateForm('cron')} className={`${inputClass} font-mono`} required />
+                        <div className="flex flex-wrap gap-2">
+                            {CRON_PRESETS.map(preset => (
+                                <button
+                                    key={preset.cron}
+                                    type="button"
+                                    onClick={() => setForm(prev => ({ ...prev, cron: preset.cron }))}
+                                    className={`px-2 py-1 rounded-md text-[10px] font-bold transition-all ${form.cron === preset.cron ? 'bg-primary text-white' : 'bg-white/5 text-gray-400 hover:text-white'}`}
+                                >
+                                    {preset.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <input type="text" placeholder="Timezone (optional), e.g. Europe/Berlin" value={form.timezone} onChange={updateForm('timezone')} className={inputClass} />
+                </div>
+                <textarea
+                    rows={3}
+                    placeholder={form.type === 'compare-layout' ? 'One pair per line: https://live.example.com https://stage.example.com' : 'One URL per line'}
+                    value={form.targets}
+                    onChange={updateForm('targets')}
+                    className={`${inputClass} font-mono text-sm`}
+                    required
+                />
+                {form.type === 'lighthouse' && (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <select value={form.device} onChange={updateForm('device')} className={inputClass}>
+                            <option value="mobile">Mobile</option>
+                            <option value="desktop">Desktop</option>
+                        </select>
+                        <select value={form.runs} onChange={updateForm('runs')} className={inputClass}>
+                            <option value="1">Single run</option>
+                            <option value="3">Median of 3 runs</option>
+                            <option value="5">Median of 5 runs</option>
+                        </select>
+                    </div>
+                )}
+                <div className="flex justify-end">
+                    <button
+                        type="submit"
+                        disabled={isSaving}
+                        className="flex items-center gap-2 px-6 py-3 bg-primary text-white rounded-xl font-bold hover:shadow-glow transition-all disabled:opacity-50"
+                    >
+                        {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                        <span>Create Schedule</span>
+                    </button>
+                </div>
+            </form>
+        </div>
+    )
+}
@@ -0,0 +1,68 @@
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine, CartesianGrid, Legend } from 'recharts'
+
+const VITAL_LINES = [
+    { key: 'lcp', label: 'LCP', color: '#8B5CF6' },
+    { key: 'fcp', label: 'FCP', color: '#14B8A6' },
+    { key: 'tbt', label: 'TBT', color: '#F59E0B' },
+    { key: 'si', label: 'Speed Index', color: '#3B82F6' }
+]
+
+const formatDay = (date) => new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+
+const tooltipStyle = {
+    contentStyle: { background: '#1F2937', border: '1px solid #374151', borderRadius: 8, fontSize: 12 },
+    labelStyle: { color: '#9ca3af' }
+}
+
+// Red dot on runs that dropped below the rolling baseline
+function RegressionDot({ cx, cy, payload }) {
+    if (cx == null || cy == null) return null
+    return payload.regression
+        ? <circle cx={cx} cy={cy} r={5} fill="#EF4444" stroke="#fff" strokeWidth={1} />
+        : <circle cx={cx} cy={cy} r={2.5} fill="#3B82F6" />
+}
+
+/**
+ * Line charts for one URL + audit type series from /api/audit/trends:
+ * score (with baseline and regressions) and, for PageSpeed runs, Web Vitals.
+ */
+export default function ScoreTrendChart({ series, height = 180, showVitals = true }) {
+    const data = series.points.map(point => ({
+        ...point,
+        day: formatDay(point.date),
+        ...point.vitals
+    }))
+    const hasVitals = showVitals && data.some(point => point.vitals)
+
+    return (
+        <div className="space-y-4">
+            <ResponsiveContainer width="100%" height={height}>
+                <LineChart data={data} margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+                    <CartesianGrid stroke="#374151" strokeDasharray="3 3" />
+                    <XAxis dataKey="day" tick={{ fill: '#6b7280', fontSize: 11 }} />
+                    <YAxis domain={[0, 100]} tick={{ fill: '#6b7280', fontSize: 11 }} />
+                    <Tooltip {...tooltipStyle} formatter={(value, name) => [value, name === 'score' ? 'Score' : name]} />
+                    {series.baseline !== null && (
+                        <ReferenceLine y={series.baseline} stroke="#6b7280" strokeDasharray="4 4" label={{ value: 'baseline', fill: '#6b7280', fontSize: 10, position: 'insideTopLeft' }} />
+                    )}
+                    <Line type="monotone" dataKey="score" stroke="#3B82F6" strokeWidth={2} dot={<RegressionDot />} isAnimationActive={false} />
+                </LineChart>
+            </ResponsiveContainer>
+
+            {hasVitals && (
+                <ResponsiveContainer width="100%" height={height}>
+                    <LineChart data={data} margin={{ top: 5, right: 10, left: 0, bottom: 0 }}>
+                        <CartesianGrid stroke="#374151" strokeDasharray="3 3" />
+                        <XAxis dataKey="day" tick={{ fill: '#6b7280', fontSize: 11 }} />
+                        <YAxis tick={{ fill: '#6b7280', fontSize: 11 }} unit="ms" width={60} />
+                        <Tooltip {...tooltipStyle} formatter={(value, name) => [`${value} ms`, name]} />
+                        <Legend wrapperStyle={{ fontSize: 11 }} />
+                        {VITAL_LINES.map(({ key, label, color }) => (
+                            <Line key={key} type="monotone" dataKey={key} name={label} stroke={color} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                        ))}
+                    </LineChart>
+                </ResponsiveContainer>
+            )}
+        </div>
+    )
+}
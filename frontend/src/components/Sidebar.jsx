@@ -2,9 +2,11 @@ import { NavLink } from 'react-router-dom'
 import {
     LayoutDashboard,
     Layout,
+    Accessibility,
     GitCompare,
     Image,
     Gauge,
+    Route,
     BookOpen,
     Mail,
     Settings,
@@ -13,13 +15,16 @@ import {
     Sparkles as EmailSparkle
 } from 'lucide-react'
 import { useAuth } from '../context/AuthContext'
+import ProjectSwitcher from './ProjectSwitcher'
 
 const navItems = [
     { path: '/', icon: LayoutDashboard, label: 'Dashboard' },
     { path: '/website-auditor', icon: Layout, label: 'Website Auditor' },
+    { path: '/accessibility', icon: Accessibility, label: 'Accessibility' },
     { path: '/comparator', icon: GitCompare, label: 'Live vs Stage' },
     { path: '/image-optimizer', icon: Image, label: 'Image Optimizer' },
     { path: '/pagespeed', icon: Gauge, label: 'PageSpeed' },
+    { path: '/user-flows', icon: Route, label: 'User Flows' },
     { path: '/auto-docs', icon: BookOpen, label: 'Auto Docs' },
     { path: '/newsletter', icon: Mail, label: 'Newsletter' },
     { path: '/email-generator', icon: EmailSparkle, label: 'Email Generator' },
@@ -42,6 +47,11 @@ export default function Sidebar() {
                 </div>
             </div>
 
+            {/* Project */}
+            <div className="px-4 pt-4">
+                <ProjectSwitcher />
+            </div>
+
             {/* Navigation */}
             <nav className="flex-1 p-4 overflow-y-auto">
                 <ul className="space-y-1">
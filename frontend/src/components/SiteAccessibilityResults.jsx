@@ -0,0 +1,177 @@
+import { useState } from 'react'
+import { ShieldCheck, Repeat, Globe, AlertCircle, ChevronDown, ChevronRight, ExternalLink } from 'lucide-react'
+import ScoreGauge from './ScoreGauge'
+
+const getSeverityColor = (severity) => severity === 'error'
+    ? 'bg-red-500/20 text-red-400 border-red-500/50'
+    : 'bg-yellow-500/20 text-yellow-400 border-yellow-500/50'
+
+const getLevelColor = (level) => {
+    switch (level) {
+        case 'AAA':
+        case 'AA': return 'text-status-success'
+        case 'A': return 'text-status-warning'
+        default: return 'text-status-error'
+    }
+}
+
+const getScoreColor = (score) => score >= 80 ? 'text-status-success' : score >= 60 ? 'text-status-warning' : 'text-status-error'
+
+const getPath = (url) => {
+    try {
+        return new URL(url).pathname
+    } catch {
+        return url
+    }
+}
+
+/**
+ * Site-wide accessibility report: WCAG success criteria x pages conformance rollup,
+ * issues shared across pages (usually one component to fix) and per-page levels.
+ */
+export default function SiteAccessibilityResults({ results }) {
+    const [openCriterion, setOpenCriterion] = useState(null)
+
+    if (!results) return null
+
+    const { summary, criteria = [], issues = [], pages = [] } = results
+    const sharedIssues = issues.filter(i => i.shared)
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-surface-card border border-surface-border rounded-xl p-6 flex flex-col md:flex-row items-center gap-8">
+                <ScoreGauge score={results.score} />
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 flex-1 w-full">
+                    <div className="bg-surface-dark rounded-lg p-4">
+                        <div className={`text-2xl font-bold ${getLevelColor(results.wcagLevel)}`}>
+                            {results.wcagLevel === 'Fail' ? 'Fail' : `WCAG ${results.wcagLevel}`}
+                        </div>
+                        <div className="text-xs text-gray-400">Site conformance</div>
+                    </div>
+                    <div className="bg-surface-dark rounded-lg p-4">
+                        <div className="text-2xl font-bold text-white">{summary.pagesScanned}</div>
+                        <div className="text-xs text-gray-400">Pages scanned{summary.pagesFailed > 0 ? ` (${summary.pagesFailed} failed)` : ''}</div>
+                    </div>
+                    <div className="bg-surface-dark rounded-lg p-4">
+                        <div className="text-2xl font-bold text-status-error">{summary.failingCriteria}</div>
+                        <div className="text-xs text-gray-400">Failing criteria ({summary.reviewCriteria} to review)</div>
+                    </div>
+                    <div className="bg-surface-dark rounded-lg p-4">
+                        <div className="text-2xl font-bold text-white">{summary.uniqueIssues}</div>
+                        <div className="text-xs text-gray-400">Unique issues ({summary.totalOccurrences} occurrences)</div>
+                    </div>
+                </div>
+            </div>
+
+            <div className="bg-surface-card border border-surface-border rounded-xl p-6 space-y-3">
+                <div className="flex items-center gap-2">
+                    <ShieldCheck className="w-5 h-5 text-primary" />
+                    <h3 className="text-lg font-bold text-white">WCAG Conformance by Criterion</h3>
+                </div>
+                {criteria.length === 0 && (
+                    <p className="text-sm text-gray-500">No success criteria violated on the scanned pages.</p>
+                )}
+                {criteria.map(criterion => {
+                    const affected = criterion.status === 'fail' ? criterion.failingPages : criterion.reviewPages
+                    return (
+                        <div key={criterion.id} className="border border-surface-border rounded-lg overflow-hidden">
+                            <button
+                                onClick={() => setOpenCriterion(openCriterion === criterion.id ? null : criterion.id)}
+                                className="w-full flex items-center gap-3 p-4 hover:bg-surface-dark transition-colors text-left"
+                            >
+                                {openCriterion === criterion.id ? <ChevronDown className="w-4 h-4 text-gray-400" /> : <ChevronRight className="w-4 h-4 text-gray-400" />}
+                                <span className="font-mono text-sm text-white w-14">{criterion.id}</span>
+                                <span className="text-sm text-white flex-1">{criterion.name}</span>
+                                <span className="text-xs text-gray-400">Level {criterion.level}</span>
+                                <span className="text-xs text-gray-400 w-20 text-right">{affected.length}/{summary.pagesScanned} pages</span>
+                                <span className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase border ${getSeverityColor(criterion.status === 'fail' ? 'error' : 'alert')}`}>
+                                    {criterion.status}
+                                </span>
+                            </button>
+                            {openCriterion === criterion.id && (
+                                <ul className="p-4 pt-0 space-y-1">
+                                    {affected.map(url => (
+                                        <li key={url} className="text-xs text-gray-400 font-mono truncate">{url}</li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )
+                })}
+            </div>
+
+            {sharedIssues.length > 0 && (
+                <div className="bg-surface-card border border-surface-border rounded-xl p-6 space-y-3">
+                    <div className="flex items-center gap-2">
+                        <Repeat className="w-5 h-5 text-accent-purple" />
+                        <h3 className="text-lg font-bold text-white">Shared Component Issues</h3>
+                        <span className="text-xs text-gray-400">Same rule on the same selector across pages</span>
+                    </div>
+                    {sharedIssues.map(issue => (
+                        <div key={issue.key} className="flex items-start gap-3 p-3 bg-surface-dark rounded-lg border border-surface-border">
+                            <span className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase border ${getSeverityColor(issue.severity)}`}>
+                                {issue.severity}
+                            </span>
+                            <div className="flex-1 min-w-0">
+                                <p className="text-sm text-white font-medium">{issue.description}</p>
+                                <p className="text-xs text-gray-500 font-mono truncate mt-1">{issue.target}</p>
+                                {issue.criteria.length > 0 && (
+                                    <p className="text-xs text-gray-400 mt-1">WCAG {issue.criteria.join(', ')} · {issue.rule}</p>
+                                )}
+                            </div>
+                            <span className="text-xs text-gray-400 whitespace-nowrap">
+                                {issue.pageCount}/{summary.pagesScanned} pages
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="bg-surface-card border border-surface-border rounded-xl overflow-hidden">
+                <div className="p-6 border-b border-surface-border flex items-center gap-2">
+                    <Globe className="w-5 h-5 text-accent-teal" />
+                    <h3 className="text-lg font-bold text-white">Scanned Pages</h3>
+                </div>
+                <table className="w-full">
+                    <thead className="bg-surface-dark/50">
+                        <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">URL</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Level</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Failed Criteria</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Issues</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Score</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-surface-border">
+                        {pages.map(page => (
+                            <tr key={page.url} className="hover:bg-surface-dark transition-colors">
+                                <td className="px-6 py-3 text-sm text-white max-w-xs truncate">
+                                    <a href={page.url} target="_blank" rel="noreferrer" className="flex items-center gap-2 hover:text-primary" title={page.url}>
+                                        <span className="truncate">{getPath(page.url)}</span>
+                                        <ExternalLink className="w-3 h-3 flex-shrink-0" />
+                                    </a>
+                                </td>
+                                <td className={`px-6 py-3 text-sm font-bold ${page.error ? 'text-gray-600' : getLevelColor(page.wcagLevel)}`}>
+                                    {page.error ? '—' : page.wcagLevel}
+                                </td>
+                                <td className="px-6 py-3 text-xs text-gray-400 font-mono">
+                                    {page.failedCriteria.length > 0 ? page.failedCriteria.join(', ') : '—'}
+                                </td>
+                                <td className="px-6 py-3 text-sm text-gray-400">
+                                    {page.error ? (
+                                        <span className="flex items-center gap-1 text-status-error" title={page.error}>
+                                            <AlertCircle className="w-4 h-4" /> Failed
+                                        </span>
+                                    ) : `${page.errorCount} errors, ${page.alertCount} alerts`}
+                                </td>
+                                <td className={`px-6 py-3 text-lg font-bold ${page.error ? 'text-gray-600' : getScoreColor(page.score)}`}>
+                                    {page.error ? '—' : page.score}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    )
+}
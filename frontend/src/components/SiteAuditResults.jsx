@@ -0,0 +1,155 @@
+import { useState } from 'react'
+import { Globe, Layers, Repeat, AlertCircle, ChevronDown, ChevronRight, ExternalLink } from 'lucide-react'
+import ScoreGauge from './ScoreGauge'
+
+const getSeverityColor = (severity) => {
+    switch (severity) {
+        case 'critical': return 'bg-red-500/20 text-red-400 border-red-500/50'
+        case 'warning': return 'bg-yellow-500/20 text-yellow-400 border-yellow-500/50'
+        case 'minor': return 'bg-blue-500/20 text-blue-400 border-blue-500/50'
+        default: return 'bg-gray-500/20 text-gray-400 border-gray-500/50'
+    }
+}
+
+const getScoreColor = (score) => score >= 80 ? 'text-status-success' : score >= 60 ? 'text-status-warning' : 'text-status-error'
+
+function IssueRow({ issue, totalPages }) {
+    return (
+        <div className="flex items-start gap-3 p-3 bg-surface-dark rounded-lg border border-surface-border">
+            <span className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase border ${getSeverityColor(issue.severity)}`}>
+                {issue.severity}
+            </span>
+            <div className="flex-1 min-w-0">
+                <p className="text-sm text-white font-medium">{issue.category || issue.type}</p>
+                <p className="text-xs text-gray-400">{issue.description}</p>
+                {issue.element && <p className="text-xs text-gray-500 font-mono truncate mt-1">{issue.element}</p>}
+            </div>
+            <span className="text-xs text-gray-400 whitespace-nowrap">
+                {issue.pageCount}/{totalPages} pages
+            </span>
+        </div>
+    )
+}
+
+/**
+ * Site-level report of a multi-page crawl: page list, per-template rollup
+ * and issues that repeat on every page.
+ */
+export default function SiteAuditResults({ results }) {
+    const [openTemplate, setOpenTemplate] = useState(null)
+
+    if (!results) return null
+
+    const { summary, siteWideIssues = [], templates = [], pages = [] } = results
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-surface-card border border-surface-border rounded-xl p-6 flex flex-col md:flex-row items-center gap-8">
+                <ScoreGauge score={results.score} />
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 flex-1 w-full">
+                    <div className="bg-surface-dark rounded-lg p-4">
+                        <div className="text-2xl font-bold text-white">{summary.pagesAudited}</div>
+                        <div className="text-xs text-gray-400">Pages audited{summary.pagesFailed > 0 ? ` (${summary.pagesFailed} failed)` : ''}</div>
+                    </div>
+                    <div className="bg-surface-dark rounded-lg p-4">
+                        <div className="text-2xl font-bold text-white">{summary.templates}</div>
+                        <div className="text-xs text-gray-400">Templates</div>
+                    </div>
+                    <div className="bg-surface-dark rounded-lg p-4">
+                        <div className="text-2xl font-bold text-white">{summary.uniqueIssues}</div>
+                        <div className="text-xs text-gray-400">Unique issues ({summary.criticalIssues} critical)</div>
+                    </div>
+                    <div className="bg-surface-dark rounded-lg p-4">
+                        <div className="text-2xl font-bold text-accent-purple">{summary.siteWideIssues}</div>
+                        <div className="text-xs text-gray-400">On every page</div>
+                    </div>
+                </div>
+            </div>
+
+            {siteWideIssues.length > 0 && (
+                <div className="bg-surface-card border border-surface-border rounded-xl p-6 space-y-3">
+                    <div className="flex items-center gap-2">
+                        <Repeat className="w-5 h-5 text-accent-purple" />
+                        <h3 className="text-lg font-bold text-white">Site-wide Issues</h3>
+                        <span className="text-xs text-gray-400">Fix once in the shared layout to clear them everywhere</span>
+                    </div>
+                    {siteWideIssues.map(issue => (
+                        <IssueRow key={issue.key} issue={issue} totalPages={summary.pagesAudited} />
+                    ))}
+                </div>
+            )}
+
+            <div className="bg-surface-card border border-surface-border rounded-xl p-6 space-y-3">
+                <div className="flex items-center gap-2">
+                    <Layers className="w-5 h-5 text-primary" />
+                    <h3 className="text-lg font-bold text-white">Issues by Template</h3>
+                </div>
+                {templates.map(template => (
+                    <div key={template.template} className="border border-surface-border rounded-lg overflow-hidden">
+                        <button
+                            onClick={() => setOpenTemplate(openTemplate === template.template ? null : template.template)}
+                            className="w-full flex items-center gap-3 p-4 hover:bg-surface-dark transition-colors text-left"
+                        >
+                            {openTemplate === template.template ? <ChevronDown className="w-4 h-4 text-gray-400" /> : <ChevronRight className="w-4 h-4 text-gray-400" />}
+                            <span className="font-mono text-sm text-white flex-1">{template.template}</span>
+                            <span className="text-xs text-gray-400">{template.pageCount} page{template.pageCount === 1 ? '' : 's'}</span>
+                            <span className="text-xs text-gray-400">{template.issueCount} issues</span>
+                            <span className={`text-lg font-bold w-10 text-right ${getScoreColor(template.avgScore)}`}>{template.avgScore}</span>
+                        </button>
+                        {openTemplate === template.template && (
+                            <div className="p-4 pt-0 space-y-2">
+                                {template.issues.length === 0 ? (
+                                    <p className="text-sm text-gray-500">No template-specific issues.</p>
+                                ) : template.issues.map(issue => (
+                                    <IssueRow key={issue.key} issue={issue} totalPages={template.pageCount} />
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <div className="bg-surface-card border border-surface-border rounded-xl overflow-hidden">
+                <div className="p-6 border-b border-surface-border flex items-center gap-2">
+                    <Globe className="w-5 h-5 text-accent-teal" />
+                    <h3 className="text-lg font-bold text-white">Crawled Pages</h3>
+                </div>
+                <table className="w-full">
+                    <thead className="bg-surface-dark/50">
+                        <tr>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">URL</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Template</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Depth</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Issues</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Score</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-surface-border">
+                        {pages.map(page => (
+                            <tr key={page.url} className="hover:bg-surface-dark transition-colors">
+                                <td className="px-6 py-3 text-sm text-white max-w-xs truncate">
+                                    <a href={page.url} target="_blank" rel="noreferrer" className="flex items-center gap-2 hover:text-primary">
+                                        <span className="truncate">{page.url}</span>
+                                        <ExternalLink className="w-3 h-3 flex-shrink-0" />
+                                    </a>
+                                </td>
+                                <td className="px-6 py-3 text-xs text-gray-400 font-mono">{page.template}</td>
+                                <td className="px-6 py-3 text-sm text-gray-400">{page.depth}</td>
+                                <td className="px-6 py-3 text-sm text-gray-400">
+                                    {page.error ? (
+                                        <span className="flex items-center gap-1 text-status-error" title={page.error}>
+                                            <AlertCircle className="w-4 h-4" /> Failed
+                                        </span>
+                                    ) : `${page.issueCount} (${page.criticalCount} critical)`}
+                                </td>
+                                <td className={`px-6 py-3 text-lg font-bold ${page.error ? 'text-gray-600' : getScoreColor(page.score)}`}>
+                                    {page.error ? '—' : page.score}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,112 @@
+import { useState } from 'react'
+import { FileCode, ChevronRight, ChevronDown } from 'lucide-react'
+
+const CATEGORIES = ['typography', 'color', 'spacing', 'layout', 'visual', 'other']
+
+const KINDS = {
+    'selector-added': { label: 'Added', className: 'bg-green-500/10 text-green-400 border-green-500/30' },
+    'selector-removed': { label: 'Removed', className: 'bg-red-500/10 text-red-400 border-red-500/30' },
+    'declaration-changed': { label: 'Declaration', className: 'bg-yellow-500/10 text-yellow-500 border-yellow-500/30' },
+    'custom-property-changed': { label: 'Variable', className: 'bg-accent-purple/10 text-accent-purple border-accent-purple/30' },
+    'media-query-added': { label: 'New @media', className: 'bg-blue-500/10 text-blue-400 border-blue-500/30' },
+    'media-query-removed': { label: 'Removed @media', className: 'bg-red-500/10 text-red-400 border-red-500/30' }
+}
+
+const SEVERITY_CLASSES = {
+    critical: 'text-red-400',
+    warning: 'text-yellow-500',
+    minor: 'text-gray-500'
+}
+
+const Change = ({ change }) => {
+    const [open, setOpen] = useState(false)
+    const kind = KINDS[change.kind]
+
+    return (
+        <div className="p-2 bg-surface-dark rounded border border-white/5 text-[11px]">
+            <div className="flex items-center gap-2">
+                <span className={`text-[9px] px-1 rounded border font-bold uppercase shrink-0 ${kind.className}`}>{kind.label}</span>
+                <code className="text-white truncate" title={change.selector || change.context}>
+                    {change.selector || change.context}
+                </code>
+                {change.property && (
+                    <>
+                        <code className="text-accent-purple shrink-0">{change.property}</code>
+                        <code className="text-gray-400 truncate">{change.liveValue ?? '(none)'}</code>
+                        <span className="text-gray-600">→</span>
+                        <code className="text-white truncate">{change.stageValue ?? '(none)'}</code>
+                    </>
+                )}
+                {change.rules > 0 && <span className="text-gray-500 shrink-0">{change.rules} rules</span>}
+                {change.declarations > 0 && <span className="text-gray-500 shrink-0">{change.declarations} declarations</span>}
+                <span className={`ml-auto text-[10px] font-bold uppercase shrink-0 ${SEVERITY_CLASSES[change.severity]}`}>{change.severity}</span>
+                {change.css && (
+                    <button onClick={() => setOpen(!open)} className="text-gray-500 hover:text-white shrink-0">
+                        {open ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                    </button>
+                )}
+            </div>
+            {change.selector && change.context && <p className="text-[10px] text-gray-500 mt-0.5 truncate">in {change.context}</p>}
+            {open && <pre className="mt-2 p-2 bg-black rounded text-[10px] text-gray-300 overflow-x-auto">{change.css}</pre>}
+        </div>
+    )
+}
+
+/**
+ * Rule-level diff of the stylesheets both environments loaded: added and
+ * removed selectors, changed declarations and custom properties, and new or
+ * removed media queries, grouped by category.
+ */
+export default function StylesheetDiff({ cssDiff }) {
+    const [category, setCategory] = useState(null)
+
+    if (!cssDiff || cssDiff.summary.totalChanges === 0) {
+        return (
+            <div className="flex-1 flex flex-col items-center justify-center text-gray-500 bg-black">
+                <FileCode size={32} className="mb-2 opacity-20" />
+                <p className="text-xs">{cssDiff ? 'Both environments load the same CSS rules.' : 'This comparison has no stylesheet diff.'}</p>
+            </div>
+        )
+    }
+
+    const { summary, grouped } = cssDiff
+    const shown = CATEGORIES.filter(c => grouped[c].length > 0 && (!category || c === category))
+    const kept = CATEGORIES.reduce((sum, c) => sum + grouped[c].length, 0)
+
+    return (
+        <div className="flex-1 flex flex-col overflow-hidden">
+            <div className="p-2 border-b border-surface-border flex items-center gap-2 flex-wrap">
+                {CATEGORIES.map(c => (
+                    <button
+                        key={c}
+                        onClick={() => setCategory(category === c ? null : c)}
+                        disabled={summary.byCategory[c] === 0}
+                        className={`text-[10px] px-2 py-1 rounded border border-surface-border font-bold uppercase transition-all disabled:opacity-30 ${category === c ? 'bg-primary/20 text-primary border-primary/30' : 'text-gray-400 hover:text-white'}`}
+                    >
+                        {c} {summary.byCategory[c]}
+                    </button>
+                ))}
+                <span className="ml-auto text-[10px] text-gray-500">
+                    {summary.liveRules} live · {summary.stageRules} stage rules
+                    {summary.truncated && ' (truncated)'}
+                    {summary.totalChanges > kept && ` · first ${kept} of ${summary.totalChanges} changes shown`}
+                </span>
+            </div>
+            <div className="flex-1 overflow-auto p-3 space-y-4 custom-scrollbar">
+                {summary.unreadableSheets.length > 0 && (
+                    <p className="text-[10px] text-yellow-500">
+                        Not compared (could not be read): {summary.unreadableSheets.join(', ')}
+                    </p>
+                )}
+                {shown.map(c => (
+                    <div key={c}>
+                        <p className="text-[10px] font-bold text-gray-500 uppercase tracking-widest mb-1.5">{c} ({grouped[c].length})</p>
+                        <div className="space-y-1">
+                            {grouped[c].map((change, i) => <Change key={i} change={change} />)}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    )
+}
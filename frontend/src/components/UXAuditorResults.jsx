@@ -1,8 +1,9 @@
 import { useState } from 'react'
-import { CheckCircle, XCircle, AlertCircle, Copy, Check, Download, Maximize2, Zap, ArrowUpRight } from 'lucide-react'
+import { CheckCircle, XCircle, AlertCircle, Copy, Check, Download, Maximize2, Zap, ArrowUpRight, Smartphone, Monitor } from 'lucide-react'
 
 export default function UXAuditorResults({ results }) {
     const [activeTab, setActiveTab] = useState('all')
+    const [breakpoint, setBreakpoint] = useState(null) // label of the viewport issues are filtered to
     const [copiedIndex, setCopiedIndex] = useState(null)
     const [copiedCSS, setCopiedCSS] = useState(false)
 
@@ -79,7 +80,11 @@ export default function UXAuditorResults({ results }) {
         URL.revokeObjectURL(url)
     }
 
-    const activeIssues = getActiveIssues()
+    const activeIssues = breakpoint
+        ? getActiveIssues().filter(issue => issue.breakpoints?.includes(breakpoint))
+        : getActiveIssues()
+    const activeViewport = results.viewports?.find(v => v.label === breakpoint)
+    const fullScreenshotUrl = activeViewport?.screenshotUrl || results.fullScreenshotUrl
 
     return (
         <div className="space-y-6">
@@ -125,6 +130,37 @@ export default function UXAuditorResults({ results }) {
                 </div>
             </div>
 
+            {/* Responsive matrix: one card per breakpoint, click to filter issues */}
+            {results.viewports && (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {results.viewports.map(viewport => {
+                        const Icon = viewport.isMobile ? Smartphone : Monitor
+                        const selected = breakpoint === viewport.label
+                        return (
+                            <button
+                                key={viewport.label}
+                                onClick={() => setBreakpoint(selected ? null : viewport.label)}
+                                className={`text-left bg-surface-card border rounded-xl p-4 transition-all ${selected ? 'border-primary' : 'border-surface-border hover:border-primary/50'}`}
+                            >
+                                <div className="flex items-center justify-between">
+                                    <span className="flex items-center gap-2 text-sm font-medium text-white">
+                                        <Icon className="w-4 h-4 text-primary" /> {viewport.label}
+                                    </span>
+                                    <span className={`text-lg font-semibold ${viewport.score >= 80 ? 'text-green-400' : viewport.score >= 60 ? 'text-yellow-400' : 'text-red-400'}`}>
+                                        {viewport.score}
+                                    </span>
+                                </div>
+                                <div className="text-xs text-gray-500 mt-1">{viewport.width}x{viewport.height}</div>
+                                <div className="text-xs text-gray-400 mt-2">
+                                    {viewport.issuesFound} issues · {viewport.criticalIssues} critical
+                                    {viewport.horizontalScroll && <span className="block text-red-400">Scrolls horizontally</span>}
+                                </div>
+                            </button>
+                        )
+                    })}
+                </div>
+            )}
+
             {/* Tabs */}
             <div className="flex gap-2 overflow-x-auto pb-2">
                 {tabs.map(tab => (
@@ -146,7 +182,7 @@ export default function UXAuditorResults({ results }) {
                 {activeIssues.length === 0 ? (
                     <div className="bg-surface-card border border-surface-border rounded-xl p-8 text-center">
                         <CheckCircle className="w-12 h-12 text-green-400 mx-auto mb-3" />
-                        <p className="text-gray-400">No issues found in this category!</p>
+                        <p className="text-gray-400">No issues found in this category{breakpoint ? ` at ${breakpoint}` : ''}!</p>
                     </div>
                 ) : (
                     activeIssues.map((issue, index) => (
@@ -196,18 +232,20 @@ export default function UXAuditorResults({ results }) {
             )}
 
             {/* Full Page Analysis Preview */}
-            {(results.fullScreenshotUrl || results.screenshot) && (
+            {(fullScreenshotUrl || results.screenshot) && (
                 <div className="bg-surface-card border border-surface-border rounded-xl overflow-hidden shadow-2xl">
                     <div className="p-4 bg-gradient-to-r from-primary to-accent-purple flex items-center justify-between">
                         <div className="flex items-center gap-2">
                             <div className="w-2 h-2 rounded-full bg-green-400 animate-pulse" />
                             <h3 className="text-lg font-semibold text-white">Pixel-Perfect Scan Result</h3>
                         </div>
-                        <span className="text-xs text-white/70 font-mono">{results.metadata?.url}</span>
+                        <span className="text-xs text-white/70 font-mono">
+                            {results.metadata?.url}{results.viewports && ` @ ${activeViewport?.label || results.viewports[results.viewports.length - 1].label}`}
+                        </span>
                     </div>
                     <div className="p-1 bg-surface-dark relative max-h-[600px] overflow-y-auto scrollbar-thin">
                         <img
-                            src={results.fullScreenshotUrl || (results.screenshot?.startsWith('http') ? results.screenshot : `data:image/png;base64,${results.screenshot}`)}
+                            src={fullScreenshotUrl || (results.screenshot?.startsWith('http') ? results.screenshot : `data:image/png;base64,${results.screenshot}`)}
                             alt="Full Page Scan"
                             className="w-full h-auto"
                         />
@@ -239,6 +277,11 @@ function IssueCard({ issue, index, copiedIndex, onCopy, getSeverityColor, getSev
                                 <span className="inline-block px-2 py-1 rounded text-xs font-medium bg-white/10 mb-2">
                                     {issue.category || issue.type}
                                 </span>
+                                {issue.breakpoints?.map(label => (
+                                    <span key={label} className="inline-block ml-1 px-2 py-1 rounded text-xs font-mono bg-primary/10 text-primary mb-2">
+                                        {label}
+                                    </span>
+                                ))}
                                 <h4 className="font-semibold text-white">{issue.description}</h4>
                             </div>
                             <span className={`text-xs px-2 py-1 rounded uppercase font-medium ${getSeverityColor(issue.severity)}`}>
@@ -0,0 +1,64 @@
+import { useEffect, useState } from 'react'
+import axios from 'axios'
+import { TrendingUp, TrendingDown, AlertTriangle } from 'lucide-react'
+import ScoreTrendChart from './ScoreTrendChart'
+import { useProjects } from '../context/ProjectContext'
+
+/**
+ * Score history of one URL for a module's audit type, shown under its results.
+ * `refreshKey` refetches after a new run has been recorded; `showEmpty` renders a
+ * hint instead of nothing while there are fewer than two runs.
+ */
+export default function UrlTrendPanel({ url, type, refreshKey, className = '', showEmpty = false }) {
+    const { projectId } = useProjects()
+    const [series, setSeries] = useState(null)
+
+    useEffect(() => {
+        setSeries(null)
+        if (!url || !type) return
+        let cancelled = false
+
+        axios.get('/api/audit/trends', { params: { url, type, projectId: projectId || undefined } })
+            .then(({ data }) => {
+                if (!cancelled) setSeries(data.series[0] || null)
+            })
+            .catch((err) => console.error('Failed to fetch trends:', err))
+
+        return () => { cancelled = true }
+    }, [url, type, projectId, refreshKey])
+
+    // A single run has no trend to show yet
+    if (!series || series.runs < 2) {
+        return showEmpty
+            ? <p className="text-xs text-gray-500 text-center py-10">Run this audit again to start a score trend.</p>
+            : null
+    }
+
+    const improving = series.change !== null && series.change >= 0
+
+    return (
+        <div className={`bg-surface-card border border-surface-border rounded-xl p-6 ${className}`}>
+            <div className="flex items-center justify-between mb-4">
+                <div>
+                    <h3 className="text-lg font-bold text-white">Score Trend</h3>
+                    <p className="text-xs text-gray-400">{series.runs} runs of {series.type} for this URL</p>
+                </div>
+                {series.change !== null && (
+                    <div className={`flex items-center gap-1 text-sm font-medium ${improving ? 'text-status-success' : 'text-status-error'}`}>
+                        {improving ? <TrendingUp className="w-4 h-4" /> : <TrendingDown className="w-4 h-4" />}
+                        {series.change > 0 ? '+' : ''}{series.change} vs baseline {series.baseline}
+                    </div>
+                )}
+            </div>
+
+            {series.regression && (
+                <div className="flex items-center gap-2 mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-sm text-red-400">
+                    <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                    Regression: latest score {series.regression.score} is {series.regression.drop} points below the rolling baseline of {series.regression.baseline}.
+                </div>
+            )}
+
+            <ScoreTrendChart series={series} />
+        </div>
+    )
+}
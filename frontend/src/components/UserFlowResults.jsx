@@ -0,0 +1,145 @@
+import { CheckCircle2, XCircle, Camera, Accessibility, Gauge, Clock } from 'lucide-react'
+
+const MODE_LABELS = { navigation: 'Navigation', timespan: 'Timespan', snapshot: 'Snapshot' }
+
+const METRICS = [
+    { key: 'fcp', label: 'FCP', unit: 'ms' },
+    { key: 'lcp', label: 'LCP', unit: 'ms' },
+    { key: 'speedIndex', label: 'Speed Index', unit: 'ms' },
+    { key: 'tbt', label: 'TBT', unit: 'ms' },
+    { key: 'inp', label: 'INP', unit: 'ms' },
+    { key: 'cls', label: 'CLS', unit: '' }
+]
+
+const scoreColor = (score) => score >= 90 ? 'text-status-success' : score >= 50 ? 'text-status-warning' : 'text-status-error'
+
+/**
+ * Per-step report of a user flow: outcome, Lighthouse scores and metrics
+ * of measured steps, accessibility findings and screenshots.
+ */
+export default function UserFlowResults({ results }) {
+    const { summary } = results
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-surface-card border border-surface-border rounded-xl p-6 flex flex-wrap items-center justify-between gap-6">
+                <div>
+                    <p className="text-xs text-gray-500 uppercase tracking-wider">{results.metadata.device} · {results.metadata.url}</p>
+                    <h3 className="text-xl font-bold text-white">{results.name}</h3>
+                    <p className={`text-sm mt-1 ${results.completed ? 'text-status-success' : 'text-status-error'}`}>
+                        {results.completed
+                            ? `All ${summary.totalSteps} steps completed`
+                            : `Stopped at step ${results.failedStep} of ${summary.totalSteps}`}
+                    </p>
+                </div>
+                <div className="flex gap-8 text-center">
+                    <div>
+                        <p className={`text-3xl font-bold ${scoreColor(results.score)}`}>{results.score}</p>
+                        <p className="text-xs text-gray-500">Flow score</p>
+                    </div>
+                    <div>
+                        <p className="text-3xl font-bold text-white">{summary.measuredSteps}</p>
+                        <p className="text-xs text-gray-500">Measured steps</p>
+                    </div>
+                    <div>
+                        <p className="text-3xl font-bold text-white">{summary.accessibilityErrors}</p>
+                        <p className="text-xs text-gray-500">A11y errors</p>
+                    </div>
+                </div>
+            </div>
+
+            {summary.lighthouseError && (
+                <div className="p-3 rounded-xl bg-red-500/10 border border-red-500/20 text-sm text-red-400">
+                    Lighthouse results are unavailable: {summary.lighthouseError}
+                </div>
+            )}
+
+            <ol className="space-y-4">
+                {results.steps.map((step) => (
+                    <li key={step.step} className={`bg-surface-card border rounded-xl p-5 space-y-4 ${step.error ? 'border-red-500/50' : 'border-surface-border'}`}>
+                        <div className="flex items-start justify-between gap-4">
+                            <div className="flex items-start gap-3 min-w-0">
+                                {step.error
+                                    ? <XCircle className="w-5 h-5 text-status-error flex-shrink-0 mt-0.5" />
+                                    : <CheckCircle2 className="w-5 h-5 text-status-success flex-shrink-0 mt-0.5" />}
+                                <div className="min-w-0">
+                                    <p className="font-medium text-white">{step.name}</p>
+                                    {step.url && <p className="text-xs text-gray-500 truncate">{step.url}</p>}
+                                    {step.error && <p className="text-sm text-red-400 mt-1 break-words">{step.error}</p>}
+                                </div>
+                            </div>
+                            <div className="flex items-center gap-2 flex-shrink-0 text-xs text-gray-400">
+                                {step.measure && <span className="px-2 py-0.5 rounded-md bg-primary/10 text-primary">{MODE_LABELS[step.measure]}</span>}
+                                {step.durationMs !== undefined && (
+                                    <span className="flex items-center gap-1"><Clock className="w-3 h-3" />{(step.durationMs / 1000).toFixed(1)}s</span>
+                                )}
+                            </div>
+                        </div>
+
+                        {step.lighthouse && (
+                            <div className="space-y-3">
+                                <div className="flex items-center gap-2 text-xs font-bold text-gray-500 uppercase tracking-widest">
+                                    <Gauge className="w-4 h-4" /> Lighthouse
+                                </div>
+                                <div className="flex flex-wrap gap-4">
+                                    {Object.entries(step.lighthouse.scores).map(([key, score]) => (
+                                        <div key={key} className="text-center">
+                                            <p className={`text-xl font-bold ${scoreColor(score)}`}>{score}</p>
+                                            <p className="text-[11px] text-gray-500">{key}</p>
+                                        </div>
+                                    ))}
+                                    {METRICS.filter(({ key }) => step.lighthouse.metrics[key] !== undefined).map(({ key, label, unit }) => (
+                                        <div key={key} className="text-center">
+                                            <p className="text-xl font-mono text-white">{step.lighthouse.metrics[key]}{unit && <span className="text-xs text-gray-500"> {unit}</span>}</p>
+                                            <p className="text-[11px] text-gray-500">{label}</p>
+                                        </div>
+                                    ))}
+                                </div>
+                                {step.lighthouse.failedAudits.length > 0 && (
+                                    <ul className="text-sm text-gray-400 space-y-1">
+                                        {step.lighthouse.failedAudits.map(audit => (
+                                            <li key={audit.id} className="flex justify-between gap-4">
+                                                <span>{audit.title}</span>
+                                                <span className="font-mono text-xs text-gray-500 flex-shrink-0">{audit.displayValue || `${audit.score}/100`}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+
+                        {step.accessibility && (
+                            <div className="space-y-2">
+                                <div className="flex items-center gap-2 text-xs font-bold text-gray-500 uppercase tracking-widest">
+                                    <Accessibility className="w-4 h-4" /> Accessibility
+                                    <span className={`normal-case tracking-normal font-normal ${scoreColor(step.accessibility.score)}`}>
+                                        {step.accessibility.score} · WCAG {step.accessibility.wcagLevel} · {step.accessibility.errorCount} errors, {step.accessibility.alertCount} alerts
+                                    </span>
+                                </div>
+                                {step.accessibility.errors.length > 0 && (
+                                    <ul className="text-sm text-gray-400 space-y-1">
+                                        {step.accessibility.errors.map((issue, i) => (
+                                            <li key={i} className="truncate">
+                                                <span className="text-red-400">{issue.description}</span>
+                                                {issue.element && <code className="ml-2 text-xs text-gray-500">{issue.element}</code>}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+
+                        {step.screenshotUrl && (
+                            <div className="space-y-2">
+                                <div className="flex items-center gap-2 text-xs font-bold text-gray-500 uppercase tracking-widest">
+                                    <Camera className="w-4 h-4" /> Screenshot
+                                </div>
+                                <img src={step.screenshotUrl} alt={`Page after ${step.name}`} className="max-h-96 rounded-lg border border-surface-border" />
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ol>
+        </div>
+    )
+}
@@ -0,0 +1,299 @@
+import { useEffect, useState } from 'react'
+import axios from 'axios'
+import { Webhook, Send, Trash2, Plus, Loader2, RefreshCw, KeyRound, Copy, ChevronDown, CheckCircle2, XCircle, Clock } from 'lucide-react'
+import { useAuth } from '../context/AuthContext'
+import { useProjects } from '../context/ProjectContext'
+
+const DELIVERY_STYLES = {
+    delivered: { icon: CheckCircle2, className: 'text-status-success' },
+    failed: { icon: XCircle, className: 'text-status-error' },
+    retrying: { icon: Clock, className: 'text-status-warning' },
+    pending: { icon: Loader2, className: 'text-primary animate-spin' }
+}
+
+const emptyForm = { name: '', url: '', events: ['audit.completed'] }
+
+/**
+ * Delivery log of one webhook with redelivery
+ */
+function DeliveryLog({ webhook, refreshKey, onError }) {
+    const [deliveries, setDeliveries] = useState(null)
+
+    const fetchDeliveries = async () => {
+        try {
+            const res = await axios.get(`/api/webhooks/${webhook.id}/deliveries`, { params: { limit: 25 } })
+            setDeliveries(res.data.deliveries)
+        } catch (err) {
+            console.error('Failed to fetch deliveries:', err)
+        }
+    }
+
+    useEffect(() => {
+        fetchDeliveries()
+    }, [webhook.id, refreshKey])
+
+    const handleRedeliver = async (delivery) => {
+        try {
+            await axios.post(`/api/webhooks/${webhook.id}/deliveries/${delivery.id}/redeliver`)
+            await fetchDeliveries()
+        } catch (err) {
+            onError(err, 'Failed to redeliver')
+        }
+    }
+
+    if (!deliveries) {
+        return <div className="flex justify-center py-4"><Loader2 className="w-4 h-4 animate-spin text-gray-500" /></div>
+    }
+    if (deliveries.length === 0) {
+        return <p className="text-xs text-gray-500 py-2">No deliveries yet. Send a test event to check the receiver.</p>
+    }
+
+    return (
+        <div className="space-y-1">
+            <div className="flex justify-end">
+                <button onClick={fetchDeliveries} className="flex items-center gap-1 text-[10px] text-gray-500 hover:text-white uppercase tracking-widest">
+                    <RefreshCw className="w-3 h-3" /> Refresh
+                </button>
+            </div>
+            {deliveries.map((delivery) => {
+                const style = DELIVERY_STYLES[delivery.status] || DELIVERY_STYLES.pending
+                return (
+                    <div key={delivery.id} className="flex items-center gap-3 p-2 rounded-lg bg-surface-dark/60 text-xs">
+                        <style.icon className={`w-3.5 h-3.5 flex-shrink-0 ${style.className}`} />
+                        <code className="text-gray-300 w-40 truncate">{delivery.event}</code>
+                        <span className="text-gray-500 w-36">{new Date(delivery.createdAt).toLocaleString()}</span>
+                        <span className="text-gray-400 flex-1 truncate" title={delivery.error || ''}>
+                            {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : ''}
+                            {delivery.error && !delivery.responseStatus ? delivery.error : ''}
+                            {delivery.attempts > 1 ? ` · ${delivery.attempts} attempts` : ''}
+                            {delivery.status === 'retrying' && delivery.nextAttemptAt ? ` · next retry ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}` : ''}
+                        </span>
+                        {(delivery.status === 'failed' || delivery.status === 'delivered') && (
+                            <button onClick={() => handleRedeliver(delivery)} title="Redeliver" className="text-gray-500 hover:text-primary transition-colors">
+                                <RefreshCw className="w-3.5 h-3.5" />
+                            </button>
+                        )}
+                    </div>
+                )
+            })}
+        </div>
+    )
+}
+
+/**
+ * Settings tab for outbound webhooks of the active project: signed event
+ * notifications to other systems, with a test ping and the delivery log.
+ */
+export default function WebhooksManager() {
+    const { user } = useAuth()
+    const { projectId, currentProject } = useProjects()
+    const [webhooks, setWebhooks] = useState([])
+    const [events, setEvents] = useState({})
+    const [form, setForm] = useState(emptyForm)
+    const [expanded, setExpanded] = useState(null)
+    const [refreshKey, setRefreshKey] = useState(0)
+    const [isLoading, setIsLoading] = useState(true)
+    const [isSaving, setIsSaving] = useState(false)
+    const [testing, setTesting] = useState(null)
+    const [error, setError] = useState(null)
+
+    useEffect(() => {
+        fetchWebhooks()
+    }, [projectId])
+
+    const fetchWebhooks = async () => {
+        try {
+            const res = await axios.get('/api/webhooks', { params: { projectId: projectId || undefined } })
+            setWebhooks(res.data.webhooks)
+            setEvents(res.data.events)
+        } catch (err) {
+            console.error('Failed to fetch webhooks:', err)
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const handleError = (err, fallback) => {
+        const data = err.response?.data
+        setError(data?.message ? `${data.error}: ${data.message}` : data?.error || fallback)
+    }
+
+    const handleCreate = async (e) => {
+        e.preventDefault()
+        setIsSaving(true)
+        setError(null)
+        try {
+            const res = await axios.post('/api/webhooks', form)
+            setForm(emptyForm)
+            setExpanded(res.data.webhook.id)
+            await fetchWebhooks()
+        } catch (err) {
+            handleError(err, 'Failed to create webhook')
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    const handleUpdate = async (webhook, updates) => {
+        try {
+            setError(null)
+            await axios.patch(`/api/webhooks/${webhook.id}`, updates)
+            await fetchWebhooks()
+        } catch (err) {
+            handleError(err, 'Failed to update webhook')
+        }
+    }
+
+    const handleTest = async (webhook) => {
+        setTesting(webhook.id)
+        setError(null)
+        try {
+            const res = await axios.post(`/api/webhooks/${webhook.id}/test`)
+            if (res.data.delivery.status !== 'delivered') {
+                setError(`Test event not delivered: ${res.data.delivery.error}`)
+            }
+            setExpanded(webhook.id)
+            setRefreshKey(key => key + 1)
+        } catch (err) {
+            handleError(err, 'Failed to send test event')
+        } finally {
+            setTesting(null)
+        }
+    }
+
+    const handleDelete = async (webhook) => {
+        if (!window.confirm(`Delete webhook "${webhook.name}"? Its delivery log is deleted as well.`)) return
+        try {
+            setError(null)
+            await axios.delete(`/api/webhooks/${webhook.id}`)
+            setWebhooks(prev => prev.filter(w => w.id !== webhook.id))
+        } catch (err) {
+            handleError(err, 'Failed to delete webhook')
+        }
+    }
+
+    const toggleEvent = (event) => setForm(prev => ({
+        ...prev,
+        events: prev.events.includes(event) ? prev.events.filter(e => e !== event) : [...prev.events, event]
+    }))
+
+    const canManage = (webhook) => user?.role === 'admin' || !webhook.createdBy || webhook.createdBy === user?.id
+    const inputClass = 'w-full bg-surface-dark border border-white/5 rounded-xl py-3 px-4 text-white focus:outline-none focus:ring-2 focus:ring-primary/50 transition-all'
+
+    return (
+        <div className="space-y-8">
+            <div>
+                <h3 className="text-lg font-bold text-white">Webhooks</h3>
+                <p className="text-sm text-gray-400">
+                    POST signed JSON events to other systems when audits {currentProject ? `in ${currentProject.name} ` : ''}finish.
+                    Verify the <code className="text-gray-300">X-FAIS-Signature</code> header (HMAC-SHA256 of <code className="text-gray-300">timestamp.body</code>) with the webhook secret.
+                </p>
+            </div>
+
+            {error && (
+                <div className="p-3 rounded-xl bg-red-500/10 border border-red-500/20 text-sm text-red-400">{error}</div>
+            )}
+
+            <div className="space-y-3">
+                {isLoading ? (
+                    <div className="flex justify-center py-8"><Loader2 className="w-6 h-6 animate-spin text-gray-500" /></div>
+                ) : webhooks.length === 0 ? (
+                    <p className="text-gray-500 text-sm">No webhooks yet.</p>
+                ) : webhooks.map((webhook) => (
+                    <div key={webhook.id} className="p-4 bg-white/5 rounded-2xl border border-white/5">
+                        <div className="flex items-start justify-between gap-4">
+                            <div className="flex items-start gap-3 min-w-0">
+                                <div className="p-2 bg-accent-purple/10 rounded-lg">
+                                    <Webhook className="w-5 h-5 text-accent-purple" />
+                                </div>
+                                <div className="min-w-0">
+                                    <p className="text-sm font-bold text-white truncate">{webhook.name}</p>
+                                    <p className="text-xs text-gray-400 truncate">{webhook.url}</p>
+                                    <div className="flex flex-wrap gap-1 mt-2">
+                                        {webhook.events.map(event => (
+                                            <span key={event} className="px-2 py-0.5 rounded-md bg-white/5 text-[10px] text-gray-400 font-mono">{event}</span>
+                                        ))}
+                                        {!webhook.projectId && <span className="px-2 py-0.5 rounded-md bg-primary/10 text-[10px] text-primary">my audits outside projects</span>}
+                                    </div>
+                                </div>
+                            </div>
+                            <div className="flex items-center gap-2 flex-shrink-0">
+                                <button
+                                    onClick={() => handleUpdate(webhook, { enabled: !webhook.enabled })}
+                                    disabled={!canManage(webhook)}
+                                    className={`px-3 py-1.5 rounded-lg text-[10px] font-bold uppercase tracking-widest transition-all disabled:opacity-50 ${webhook.enabled ? 'bg-green-500/10 text-green-400' : 'bg-white/5 text-gray-500'}`}
+                                >
+                                    {webhook.enabled ? 'Active' : 'Paused'}
+                                </button>
+                                {canManage(webhook) && (
+                                    <>
+                                        <button onClick={() => handleTest(webhook)} disabled={testing === webhook.id} title="Send test event" className="p-2 text-gray-400 hover:text-primary transition-colors">
+                                            {testing === webhook.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+                                        </button>
+                                        <button onClick={() => handleDelete(webhook)} title="Delete webhook" className="p-2 text-gray-400 hover:text-red-500 transition-colors">
+                                            <Trash2 className="w-4 h-4" />
+                                        </button>
+                                        <button onClick={() => setExpanded(expanded === webhook.id ? null : webhook.id)} title="Deliveries" className="p-2 text-gray-400 hover:text-white transition-colors">
+                                            <ChevronDown className={`w-4 h-4 transition-transform ${expanded === webhook.id ? 'rotate-180' : ''}`} />
+                                        </button>
+                                    </>
+                                )}
+                            </div>
+                        </div>
+
+                        {expanded === webhook.id && (
+                            <div className="mt-4 pt-4 border-t border-white/5 space-y-4">
+                                {canManage(webhook) && (
+                                    <div className="flex items-center gap-2 text-xs">
+                                        <KeyRound className="w-3.5 h-3.5 text-gray-500" />
+                                        <span className="text-gray-500">Secret</span>
+                                        <code className="flex-1 truncate text-gray-300">{webhook.secret}</code>
+                                        <button onClick={() => navigator.clipboard.writeText(webhook.secret)} title="Copy secret" className="p-1 text-gray-500 hover:text-white">
+                                            <Copy className="w-3.5 h-3.5" />
+                                        </button>
+                                        <button
+                                            onClick={() => window.confirm('Issue a new secret? Receivers must be updated before they can verify new events.') && handleUpdate(webhook, { rotateSecret: true })}
+                                            className="px-2 py-1 rounded-md bg-white/5 text-[10px] font-bold text-gray-400 hover:text-white uppercase tracking-widest"
+                                        >
+                                            Rotate
+                                        </button>
+                                    </div>
+                                )}
+                                <DeliveryLog webhook={webhook} refreshKey={refreshKey} onError={handleError} />
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <form onSubmit={handleCreate} className="space-y-4 pt-6 border-t border-white/5">
+                <h4 className="text-xs font-bold text-gray-500 uppercase tracking-widest">New Webhook</h4>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <input type="text" placeholder="Name, e.g. Slack relay" value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} className={inputClass} required />
+                    <input type="url" placeholder="https://hooks.example.com/audits" value={form.url} onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))} className={inputClass} required />
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    {Object.entries(events).map(([event, description]) => (
+                        <label key={event} className="flex items-start gap-3 p-3 rounded-xl bg-surface-dark/60 border border-white/5 cursor-pointer hover:border-primary/30">
+                            <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} className="mt-0.5 accent-primary" />
+                            <span>
+                                <code className="block text-xs text-white">{event}</code>
+                                <span className="text-[11px] text-gray-500">{description}</span>
+                            </span>
+                        </label>
+                    ))}
+                </div>
+                <div className="flex justify-end">
+                    <button
+                        type="submit"
+                        disabled={isSaving || form.events.length === 0}
+                        className="flex items-center gap-2 px-6 py-3 bg-primary text-white rounded-xl font-bold hover:shadow-glow transition-all disabled:opacity-50"
+                    >
+                        {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                        <span>Add Webhook</span>
+                    </button>
+                </div>
+            </form>
+        </div>
+    )
+}
@@ -0,0 +1,77 @@
+import { createContext, useContext, useState, useEffect } from 'react'
+import axios from 'axios'
+import { useAuth } from './AuthContext'
+
+const ProjectContext = createContext()
+
+export const useProjects = () => useContext(ProjectContext)
+
+// Every request carries the active project so new audits are recorded under it
+const applyProjectHeader = (projectId) => {
+    if (projectId) {
+        axios.defaults.headers.common['X-Project-Id'] = projectId
+        localStorage.setItem('projectId', projectId)
+    } else {
+        delete axios.defaults.headers.common['X-Project-Id']
+        localStorage.removeItem('projectId')
+    }
+}
+
+export const ProjectProvider = ({ children }) => {
+    const { user } = useAuth()
+    const [projects, setProjects] = useState([])
+    const [projectId, setProjectId] = useState(() => {
+        const stored = localStorage.getItem('projectId')
+        applyProjectHeader(stored)
+        return stored
+    })
+
+    useEffect(() => {
+        if (user) fetchProjects()
+    }, [user])
+
+    const selectProject = (id) => {
+        applyProjectHeader(id || null)
+        setProjectId(id || null)
+    }
+
+    const fetchProjects = async () => {
+        try {
+            const res = await axios.get('/api/projects')
+            setProjects(res.data.projects)
+            // Drop a selection that was deleted elsewhere
+            if (projectId && !res.data.projects.some(p => p.id === projectId)) {
+                selectProject(null)
+            }
+        } catch (err) {
+            console.error('Failed to fetch projects:', err)
+        }
+    }
+
+    const createProject = async (data) => {
+        const res = await axios.post('/api/projects', data)
+        setProjects(prev => [...prev, res.data.project].sort((a, b) => a.name.localeCompare(b.name)))
+        selectProject(res.data.project.id)
+        return res.data.project
+    }
+
+    const updateProject = async (id, updates) => {
+        const res = await axios.patch(`/api/projects/${id}`, updates)
+        setProjects(prev => prev.map(p => p.id === id ? res.data.project : p))
+        return res.data.project
+    }
+
+    const deleteProject = async (id) => {
+        await axios.delete(`/api/projects/${id}`)
+        setProjects(prev => prev.filter(p => p.id !== id))
+        if (projectId === id) selectProject(null)
+    }
+
+    const currentProject = projects.find(p => p.id === projectId) || null
+
+    return (
+        <ProjectContext.Provider value={{ projects, currentProject, projectId, selectProject, createProject, updateProject, deleteProject, fetchProjects }}>
+            {children}
+        </ProjectContext.Provider>
+    )
+}
@@ -1,16 +1,38 @@
 import { useState } from 'react'
 import { Play, Loader2, AlertCircle } from 'lucide-react'
-import axios from 'axios'
+import { runAuditJob } from '../utils/jobs'
 import ResultsViewer from '../components/ResultsViewer'
+import AuditProgress from '../components/AuditProgress'
+import SiteAccessibilityResults from '../components/SiteAccessibilityResults'
+import UrlTrendPanel from '../components/UrlTrendPanel'
+import SavedReportBanner from '../components/SavedReportBanner'
+import { useStoredReport } from '../utils/reports'
 
 export default function AccessibilityChecker() {
     const [url, setUrl] = useState('')
     const [isLoading, setIsLoading] = useState(false)
     const [results, setResults] = useState(null)
+    const [job, setJob] = useState(null)
+    const [mode, setMode] = useState('single') // single, site
+    const [siteOptions, setSiteOptions] = useState({
+        sitemapUrl: '',
+        maxPages: 10,
+        maxDepth: 2,
+        concurrency: 2
+    })
+
+    const [trend, setTrend] = useState(null) // { url, type } of the audit on screen
+
+    const savedReport = useStoredReport((result, audit) => {
+        setMode(result.mode === 'site' ? 'site' : 'single')
+        setUrl(result.metadata?.startUrl || result.metadata?.url || audit.url || '')
+        setResults(result)
+        setTrend({ url: audit.url, type: audit.type })
+    })
 
     const handleRunTest = async () => {
         // Validate URL before proceeding
-        if (!url || url.trim() === '') {
+        if ((!url || url.trim() === '') && !(mode === 'site' && siteOptions.sitemapUrl.trim())) {
             setResults({
                 error: true,
                 message: 'Please enter a URL to check.'
@@ -19,17 +41,32 @@ export default function AccessibilityChecker() {
         }
 
         // Auto-add https:// if no protocol specified
-        let processedUrl = url.trim()
-        if (!processedUrl.startsWith('http://') && !processedUrl.startsWith('https://')) {
-            processedUrl = 'https://' + processedUrl
+        const withProtocol = (value) => {
+            const trimmed = value.trim()
+            if (!trimmed) return null
+            return trimmed.startsWith('http://') || trimmed.startsWith('https://') ? trimmed : 'https://' + trimmed
         }
+        const processedUrl = withProtocol(url)
 
         setIsLoading(true)
         setResults(null)
+        setJob(null)
+        setTrend(null)
 
         try {
-            const response = await axios.post('/api/audit/accessibility', { url: processedUrl })
-            setResults(response.data)
+            const data = mode === 'site'
+                ? await runAuditJob('accessibility-site', {
+                    url: processedUrl,
+                    sitemapUrl: withProtocol(siteOptions.sitemapUrl),
+                    maxPages: siteOptions.maxPages,
+                    maxDepth: siteOptions.maxDepth,
+                    concurrency: siteOptions.concurrency
+                }, { onUpdate: setJob })
+                : await runAuditJob('accessibility', { url: processedUrl }, { onUpdate: setJob })
+            setResults(data)
+            setTrend(mode === 'site'
+                ? { url: processedUrl || withProtocol(siteOptions.sitemapUrl), type: 'Accessibility Site Scan' }
+                : { url: processedUrl, type: 'Accessibility' })
         } catch (error) {
             console.error('Accessibility check failed:', error)
             setResults({
@@ -49,8 +86,20 @@ export default function AccessibilityChecker() {
             </div>
 
             <div className="bg-surface-card border border-surface-border rounded-xl p-6 space-y-4">
+                <div className="flex bg-surface-dark p-1 rounded-lg border border-surface-border w-fit">
+                    {[{ id: 'single', label: 'Single Page' }, { id: 'site', label: 'Whole Site' }].map(m => (
+                        <button
+                            key={m.id}
+                            onClick={() => setMode(m.id)}
+                            className={`px-4 py-1.5 rounded text-sm font-medium transition-all ${mode === m.id ? 'bg-primary text-white' : 'text-gray-400 hover:text-white'}`}
+                        >
+                            {m.label}
+                        </button>
+                    ))}
+                </div>
+
                 <div>
-                    <label className="block text-sm font-medium text-gray-300 mb-2">Website URL</label>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">{mode === 'site' ? 'Start URL' : 'Website URL'}</label>
                     <input
                         type="text"
                         value={url}
@@ -60,26 +109,80 @@ export default function AccessibilityChecker() {
                     />
                 </div>
 
+                {mode === 'site' && (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4 bg-surface-dark/50 border border-surface-border rounded-lg">
+                        <div className="md:col-span-2">
+                            <label className="block text-sm font-medium text-gray-300 mb-2">Sitemap URL (Optional - scans exactly the listed pages)</label>
+                            <input
+                                type="text"
+                                value={siteOptions.sitemapUrl}
+                                onChange={(e) => setSiteOptions({ ...siteOptions, sitemapUrl: e.target.value })}
+                                placeholder="https://example.com/sitemap.xml"
+                                className="w-full px-4 py-2 bg-surface-dark border border-surface-border rounded-lg text-white placeholder-gray-500 focus-ring"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">Page Budget</label>
+                            <input
+                                type="number"
+                                min="1"
+                                max="50"
+                                value={siteOptions.maxPages}
+                                onChange={(e) => setSiteOptions({ ...siteOptions, maxPages: e.target.value })}
+                                className="w-full px-4 py-2 bg-surface-dark border border-surface-border rounded-lg text-white focus-ring"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">Max Link Depth</label>
+                            <input
+                                type="number"
+                                min="0"
+                                max="5"
+                                value={siteOptions.maxDepth}
+                                onChange={(e) => setSiteOptions({ ...siteOptions, maxDepth: e.target.value })}
+                                disabled={!!siteOptions.sitemapUrl.trim()}
+                                className="w-full px-4 py-2 bg-surface-dark border border-surface-border rounded-lg text-white focus-ring disabled:opacity-50"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">Parallel Pages</label>
+                            <select
+                                value={siteOptions.concurrency}
+                                onChange={(e) => setSiteOptions({ ...siteOptions, concurrency: e.target.value })}
+                                className="w-full px-4 py-2 bg-surface-dark border border-surface-border rounded-lg text-white focus-ring"
+                            >
+                                {[1, 2, 3, 4].map(n => <option key={n} value={n}>{n}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                )}
+
                 <button
                     onClick={handleRunTest}
-                    disabled={!url || isLoading}
+                    disabled={(!url && !(mode === 'site' && siteOptions.sitemapUrl)) || isLoading}
                     className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-accent-teal to-primary text-white rounded-lg font-medium hover:shadow-glow transition-all btn-lift disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                     {isLoading ? (
                         <>
                             <Loader2 className="w-5 h-5 animate-spin" />
-                            <span>Analyzing Accessibility...</span>
+                            <span>{job?.progress?.stage ? `${job.progress.stage}...` : 'Analyzing Accessibility...'}</span>
                         </>
                     ) : (
                         <>
                             <Play className="w-5 h-5" />
-                            <span>Run Accessibility Test</span>
+                            <span>{mode === 'site' ? 'Scan Whole Site' : 'Run Accessibility Test'}</span>
                         </>
                     )}
                 </button>
             </div>
 
-            {results && !results.error && <ResultsViewer results={results} type="accessibility" />}
+            <SavedReportBanner report={savedReport} basePath="/accessibility" />
+
+            {isLoading && <AuditProgress job={job} title={mode === 'site' ? 'Site-wide accessibility scan in progress' : 'Accessibility scan in progress'} />}
+
+            {results && !results.error && results.mode === 'site' && <SiteAccessibilityResults results={results} />}
+            {results && !results.error && results.mode !== 'site' && <ResultsViewer results={results} type="accessibility" />}
+            {results && !results.error && trend && <UrlTrendPanel {...trend} refreshKey={results} />}
 
             {results && results.error && (
                 <div className="bg-surface-card border border-red-500/50 rounded-xl p-6">
@@ -1,7 +1,13 @@
 import { useState, useEffect } from 'react'
-import { ArrowRight, TrendingUp, AlertCircle, CheckCircle, Clock, ExternalLink } from 'lucide-react'
-import { Link } from 'react-router-dom'
+import { ArrowRight, TrendingUp, TrendingDown, AlertCircle, AlertTriangle, CheckCircle, Clock, ExternalLink, FileText } from 'lucide-react'
+import { Link, useNavigate } from 'react-router-dom'
 import axios from 'axios'
+import { getReportLink } from '../utils/reports'
+import { useProjects } from '../context/ProjectContext'
+import ScoreTrendChart from '../components/ScoreTrendChart'
+
+// Series shown as charts on the dashboard (most recently audited first)
+const MAX_TREND_CHARTS = 4
 
 export default function Dashboard() {
     const [stats, setStats] = useState({
@@ -12,14 +18,20 @@ export default function Dashboard() {
         timeSaved: 0
     })
     const [recentAudits, setRecentAudits] = useState([])
+    const [trends, setTrends] = useState({ series: [], regressions: [] })
     const [loading, setLoading] = useState(true)
+    const [onlyMine, setOnlyMine] = useState(false)
+    const navigate = useNavigate()
+    const { projectId, currentProject } = useProjects()
 
     useEffect(() => {
         const fetchDashboardData = async () => {
             try {
-                const [statsRes, historyRes] = await Promise.all([
-                    axios.get('/api/audit/dashboard/stats'),
-                    axios.get('/api/audit/dashboard/history')
+                const params = { projectId: projectId || undefined, userId: onlyMine ? 'me' : undefined }
+                const [statsRes, historyRes, trendsRes] = await Promise.all([
+                    axios.get('/api/audit/dashboard/stats', { params }),
+                    axios.get('/api/audit/dashboard/history', { params }),
+                    axios.get('/api/audit/trends', { params: { ...params, days: 90 } })
                 ])
 
                 const statsData = statsRes.data
@@ -27,6 +39,7 @@ export default function Dashboard() {
 
                 if (statsData.ok) setStats(statsData.stats)
                 if (historyData.ok) setRecentAudits(historyData.history)
+                if (trendsRes.data.ok) setTrends(trendsRes.data)
             } catch (err) {
                 console.error('Failed to fetch dashboard data:', err)
             } finally {
@@ -35,7 +48,7 @@ export default function Dashboard() {
         }
 
         fetchDashboardData()
-    }, [])
+    }, [projectId, onlyMine])
 
     const formatDate = (dateStr) => {
         const date = new Date(dateStr)
@@ -65,7 +78,11 @@ export default function Dashboard() {
                 <h1 className="text-3xl font-bold text-white mb-2">
                     Quality Dashboard 👋
                 </h1>
-                <p className="text-gray-400">Real-time snapshots of your frontend health.</p>
+                <p className="text-gray-400">
+                    {currentProject
+                        ? <>Real-time snapshots of <span className="text-white font-medium">{currentProject.name}</span>.</>
+                        : 'Real-time snapshots of your frontend health.'}
+                </p>
             </div>
 
             {/* Quick Actions */}
@@ -155,11 +172,73 @@ export default function Dashboard() {
                 </div>
             </div>
 
+            {/* Score Trends */}
+            {trends.series.some(series => series.runs > 1) && (
+                <div className="bg-surface-card border border-surface-border rounded-xl overflow-hidden">
+                    <div className="p-6 border-b border-surface-border flex justify-between items-center">
+                        <h2 className="text-xl font-bold text-white">Score Trends</h2>
+                        <span className="text-xs text-gray-400">Last 90 days · regression = drop of more than {trends.threshold} points vs last {trends.window} runs</span>
+                    </div>
+
+                    {trends.regressions.length > 0 && (
+                        <div className="p-6 border-b border-surface-border space-y-2">
+                            {trends.regressions.map((regression) => {
+                                const reportLink = getReportLink({ id: regression.latest.id, type: regression.type, hasReport: true })
+                                return (
+                                    <div key={regression.key} className="flex items-center gap-3 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-sm">
+                                        <AlertTriangle className="w-4 h-4 text-red-400 flex-shrink-0" />
+                                        <span className="flex-1 text-gray-300 truncate">
+                                            <span className="text-white font-medium">{regression.url}</span> ({regression.type}) dropped to {regression.score}, {regression.drop} below its baseline of {regression.baseline}
+                                        </span>
+                                        {reportLink && (
+                                            <Link to={reportLink} className="text-red-400 hover:text-white text-xs font-medium whitespace-nowrap">View report</Link>
+                                        )}
+                                    </div>
+                                )
+                            })}
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 p-6">
+                        {trends.series.filter(series => series.runs > 1).slice(0, MAX_TREND_CHARTS).map((series) => (
+                            <div key={series.key} className="bg-surface-dark/50 border border-surface-border rounded-lg p-4">
+                                <div className="flex items-start justify-between gap-4 mb-3">
+                                    <div className="min-w-0">
+                                        <p className="text-sm font-medium text-white truncate">{series.url}</p>
+                                        <p className="text-xs text-gray-400">{series.type} · {series.runs} runs</p>
+                                    </div>
+                                    {series.change !== null && (
+                                        <span className={`flex items-center gap-1 text-xs font-medium whitespace-nowrap ${series.change >= 0 ? 'text-status-success' : 'text-status-error'}`}>
+                                            {series.change >= 0 ? <TrendingUp className="w-4 h-4" /> : <TrendingDown className="w-4 h-4" />}
+                                            {series.change > 0 ? '+' : ''}{series.change}
+                                        </span>
+                                    )}
+                                </div>
+                                <ScoreTrendChart series={series} height={140} showVitals={false} />
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             {/* Recent Audits */}
             <div className="bg-surface-card border border-surface-border rounded-xl overflow-hidden">
                 <div className="p-6 border-b border-surface-border flex justify-between items-center">
                     <h2 className="text-xl font-bold text-white">Audit History</h2>
-                    <span className="text-xs text-gray-400">Last 100 audits</span>
+                    <div className="flex items-center gap-4">
+                        <div className="flex bg-surface-dark rounded-lg p-1 text-xs">
+                            {[{ mine: false, label: 'Everyone' }, { mine: true, label: 'Only mine' }].map(({ mine, label }) => (
+                                <button
+                                    key={label}
+                                    onClick={() => setOnlyMine(mine)}
+                                    className={`px-3 py-1 rounded-md transition-colors ${onlyMine === mine ? 'bg-primary text-white' : 'text-gray-400 hover:text-white'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        <span className="text-xs text-gray-400">Last 100 audits</span>
+                    </div>
                 </div>
                 <div className="overflow-x-auto">
                     {recentAudits.length === 0 ? (
@@ -180,38 +259,58 @@ export default function Dashboard() {
                                 </tr>
                             </thead>
                             <tbody className="divide-y divide-surface-border">
-                                {recentAudits.map((audit) => (
-                                    <tr key={audit.id} className="hover:bg-surface-dark transition-colors group">
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-white font-medium max-w-xs truncate">{audit.url}</td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">
-                                            <span className="flex items-center gap-2">
-                                                {audit.type}
-                                            </span>
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap">
-                                            <span className={`text-lg font-bold ${audit.score >= 80 ? 'text-status-success' :
-                                                audit.score >= 60 ? 'text-status-warning' :
-                                                    'text-status-error'
-                                                }`}>
-                                                {audit.score}
-                                            </span>
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap">
-                                            <span className={`px-2 py-0.5 rounded-md text-[10px] font-bold uppercase tracking-wider ${audit.status === 'pass' ? 'bg-status-success/10 text-status-success border border-status-success/20' :
-                                                audit.status === 'warning' ? 'bg-status-warning/10 text-status-warning border border-status-warning/20' :
-                                                    'bg-status-error/10 text-status-error border border-status-error/20'
-                                                }`}>
-                                                {audit.status}
-                                            </span>
-                                        </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">{formatDate(audit.date)}</td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm">
-                                            <a href={audit.url} target="_blank" rel="noreferrer" className="text-gray-500 hover:text-white transition-colors">
-                                                <ExternalLink className="w-4 h-4" />
-                                            </a>
-                                        </td>
-                                    </tr>
-                                ))}
+                                {recentAudits.map((audit) => {
+                                    const reportLink = getReportLink(audit)
+                                    return (
+                                        <tr
+                                            key={audit.id}
+                                            onClick={() => reportLink && navigate(reportLink)}
+                                            className={`hover:bg-surface-dark transition-colors group ${reportLink ? 'cursor-pointer' : ''}`}
+                                            title={reportLink ? 'Open saved report' : undefined}
+                                        >
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-white font-medium max-w-xs truncate">{audit.url}</td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">
+                                                <span className="flex items-center gap-2">
+                                                    {audit.type}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <span className={`text-lg font-bold ${audit.score >= 80 ? 'text-status-success' :
+                                                    audit.score >= 60 ? 'text-status-warning' :
+                                                        'text-status-error'
+                                                    }`}>
+                                                    {audit.score}
+                                                </span>
+                                                {audit.regression && (
+                                                    <span className="inline-flex items-center ml-2 text-status-error" title={`Regression: ${audit.regression.drop} points below baseline ${audit.regression.baseline}`}>
+                                                        <TrendingDown className="w-4 h-4" />
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <span className={`px-2 py-0.5 rounded-md text-[10px] font-bold uppercase tracking-wider ${audit.status === 'pass' ? 'bg-status-success/10 text-status-success border border-status-success/20' :
+                                                    audit.status === 'warning' ? 'bg-status-warning/10 text-status-warning border border-status-warning/20' :
+                                                        'bg-status-error/10 text-status-error border border-status-error/20'
+                                                    }`}>
+                                                    {audit.status}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">{formatDate(audit.date)}</td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                <div className="flex items-center gap-3">
+                                                    {reportLink && (
+                                                        <Link to={reportLink} onClick={(e) => e.stopPropagation()} className="text-gray-500 hover:text-primary transition-colors" title="Open saved report">
+                                                            <FileText className="w-4 h-4" />
+                                                        </Link>
+                                                    )}
+                                                    <a href={audit.url} target="_blank" rel="noreferrer" onClick={(e) => e.stopPropagation()} className="text-gray-500 hover:text-white transition-colors">
+                                                        <ExternalLink className="w-4 h-4" />
+                                                    </a>
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    )
+                                })}
                             </tbody>
                         </table>
                     )}
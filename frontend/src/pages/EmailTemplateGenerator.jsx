@@ -1,6 +1,8 @@
 import { useState, useRef } from 'react';
 import { Upload, Download, Copy, CheckCircle, AlertCircle, Zap, Eye, Code, Settings, ShieldCheck, Mail, Monitor, Smartphone, Moon, Sun } from 'lucide-react';
 import axios from 'axios';
+import SavedReportBanner from '../components/SavedReportBanner';
+import { useStoredReport } from '../utils/reports';
 
 /**
  * PRODUCTION-GRADE EMAIL TEMPLATE GENERATOR - DARK EDITION
@@ -20,6 +22,12 @@ export default function EmailTemplateGenerator() {
     const [success, setSuccess] = useState(null);
     const fileInputRef = useRef(null);
 
+    const savedReport = useStoredReport((result) => {
+        setHtml(result.html);
+        setMetrics(result.metrics);
+        setActiveTab('editor');
+    });
+
     // Handle file upload & analysis
     const handleFileUpload = async (e) => {
         const file = e.target.files?.[0];
@@ -197,6 +205,8 @@ export default function EmailTemplateGenerator() {
                 </div>
 
                 {/* Alerts */}
+                <SavedReportBanner report={savedReport} basePath="/email-generator" className="mb-8" />
+
                 {error && (
                     <div className="mb-8 bg-rose-500/10 border border-rose-500/20 p-6 rounded-3xl flex items-start gap-4 shadow-2xl animate-in slide-in-from-top-4 duration-500">
                         <div className="p-2 bg-rose-500/20 rounded-xl">
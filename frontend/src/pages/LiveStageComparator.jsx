@@ -21,23 +21,97 @@ import {
     Maximize2,
     Layers,
     Map as MapIcon,
-    Focus
+    Focus,
+    MonitorSmartphone,
+    BadgeCheck,
+    GitCompare,
+    EyeOff,
+    ScanSearch,
+    Network,
+    ListTree,
+    FileCode,
+    PenTool,
+    ImagePlus
 } from 'lucide-react'
-import axios from 'axios'
+import { runAuditJob } from '../utils/jobs'
+import AuditProgress from '../components/AuditProgress'
+import SavedReportBanner from '../components/SavedReportBanner'
+import UrlTrendPanel from '../components/UrlTrendPanel'
+import BaselineReview from '../components/BaselineReview'
+import DiffRegionsView from '../components/DiffRegionsView'
+import EnvironmentMatrix from '../components/EnvironmentMatrix'
+import NetworkDiffPanel from '../components/NetworkDiffPanel'
+import DomTreeDiff from '../components/DomTreeDiff'
+import StylesheetDiff from '../components/StylesheetDiff'
+import DesignReport from '../components/DesignReport'
+import IgnoreRegionsPanel, { EMPTY_IGNORE, toIgnoreOptions, fromIgnoreOptions } from '../components/IgnoreRegionsPanel'
+import { useStoredReport } from '../utils/reports'
 
 export default function LiveStageComparator() {
     // --- State ---
+    const [mode, setMode] = useState('compare') // compare (live vs stage), site (every mapped page of both environments), baseline (page vs its approved baseline), design (mockup vs page)
     const [liveUrl, setLiveUrl] = useState('')
     const [stageUrl, setStageUrl] = useState('')
     const [isLoading, setIsLoading] = useState(false)
-    const [viewport, setViewport] = useState('desktop')
+    const [job, setJob] = useState(null)
+    const [viewport, setViewport] = useState('desktop') // desktop, tablet, mobile, responsive
+    const [breakpoint, setBreakpoint] = useState(null) // label of the viewport shown in responsive mode
     const [results, setResults] = useState(null)
-    const [viewMode, setViewMode] = useState('side-by-side') // side-by-side, slider, diff-map
+    const [viewMode, setViewMode] = useState('side-by-side') // side-by-side, slider, diff-map, regions, dom, css
+    const [selectedRegion, setSelectedRegion] = useState(null) // id of the changed region shown in regions mode
     const [activeSection, setActiveSection] = useState('all')
     const [activeCategory, setActiveCategory] = useState('all')
     const [selectedDiffIndex, setSelectedDiffIndex] = useState(null)
     const [sliderPos, setSliderPos] = useState(50)
-    const [inspectorTab, setInspectorTab] = useState('inspector') // inspector, system
+    const [inspectorTab, setInspectorTab] = useState('inspector') // inspector, system, network, trend
+    const [trendUrl, setTrendUrl] = useState(null) // history URL of the comparison on screen
+    const [ignoreFields, setIgnoreFields] = useState(EMPTY_IGNORE)
+    const [showIgnore, setShowIgnore] = useState(false)
+    const [siteOptions, setSiteOptions] = useState({ paths: '', discover: 'auto', maxPages: 20, concurrency: 2 })
+    const [designFile, setDesignFile] = useState(null)
+    const [designOptions, setDesignOptions] = useState({ designScale: 1, fullPage: false, analyze: true })
+
+    const savedReport = useStoredReport((result, audit) => {
+        // Visual regression checks reopen in baseline mode
+        if (result.snapshot && 'comparison' in result) {
+            setMode('baseline')
+            setLiveUrl(result.url)
+            setViewport(['desktop', 'tablet', 'mobile'].includes(result.viewport) ? result.viewport : 'desktop')
+            setResults(result)
+            setTrendUrl(audit.url)
+            return
+        }
+        // Environment comparisons reopen as the readiness matrix
+        if (result.readiness && result.pages) {
+            setMode('site')
+            setLiveUrl(result.metadata?.liveBaseUrl || '')
+            setStageUrl(result.metadata?.stageBaseUrl || '')
+            setViewport(result.metadata?.viewports ? 'responsive' : 'desktop')
+            setResults(result)
+            setTrendUrl(audit.url)
+            return
+        }
+        // Design comparisons reopen with their report (the mockup has to be uploaded again to rerun)
+        if (result.meta?.designWidth) {
+            setMode('design')
+            setLiveUrl(result.meta.url)
+            setDesignOptions({ designScale: result.meta.designScale, fullPage: result.meta.fullPage, analyze: true })
+            setIgnoreFields(fromIgnoreOptions(result.meta.ignore))
+            setResults(result)
+            setTrendUrl(audit.url)
+            return
+        }
+        setMode('compare')
+        setLiveUrl(result.meta?.liveUrl || '')
+        setStageUrl(result.meta?.stageUrl || '')
+        setSelectedDiffIndex(null)
+        setSelectedRegion(null)
+        setBreakpoint(null)
+        if (result.mode === 'responsive') setViewport('responsive')
+        setIgnoreFields(fromIgnoreOptions(result.meta?.ignore))
+        setResults(result)
+        setTrendUrl(audit.url)
+    })
 
     // --- Refs for Synced Scrolling ---
     const leftPaneRef = useRef(null)
@@ -51,36 +125,140 @@ export default function LiveStageComparator() {
         mobile: { width: 375, height: 812 }
     }
 
+    // Responsive mode holds one full comparison per breakpoint (the widest by default)
+    const activeViewport = results?.viewports?.find(v => v.label === breakpoint) || results?.viewports?.[results.viewports.length - 1]
+    const view = activeViewport?.result || results
+    const snapshotWidth = view?.visualDiff?.width || viewportSizes.desktop.width
+
     const filteredDiffs = useMemo(() => {
-        if (!results) return []
-        return results.differences.filter(d => {
+        if (!view?.differences) return []
+        return view.differences.filter(d => {
             const matchesSection = activeSection === 'all' || d.section === activeSection
             const matchesCategory = activeCategory === 'all' || d.category === activeCategory
             return matchesSection && matchesCategory
         })
-    }, [results, activeSection, activeCategory])
+    }, [view, activeSection, activeCategory])
 
     const sections = useMemo(() => {
-        if (!results) return []
-        return ['all', ...new Set(results.differences.map(d => d.section))]
-    }, [results])
+        if (!view?.differences) return []
+        return ['all', ...new Set(view.differences.map(d => d.section))]
+    }, [view])
 
     // --- Handlers ---
+    const switchMode = (next) => {
+        setMode(next)
+        setResults(null)
+        setTrendUrl(null)
+        if (next === 'baseline' && viewport === 'responsive') setViewport('desktop')
+    }
+
+    const handleCheckBaseline = async () => {
+        setIsLoading(true)
+        setResults(null)
+        setJob(null)
+        setTrendUrl(null)
+
+        try {
+            const data = await runAuditJob('visual-regression', { url: liveUrl, viewport }, { onUpdate: setJob })
+            setResults(data)
+            setTrendUrl(liveUrl)
+        } catch (error) {
+            console.error('Visual regression check failed:', error)
+            const data = error.response?.data
+            setResults({ error: true, message: data?.message ? `${data.error}: ${data.message}` : data?.error || error.message || 'Failed to check the baseline.' })
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const handleCompareSite = async () => {
+        setIsLoading(true)
+        setResults(null)
+        setJob(null)
+        setTrendUrl(null)
+
+        try {
+            const paths = siteOptions.paths.split('\n').map(p => p.trim()).filter(Boolean)
+            const data = await runAuditJob('compare-layout-site', {
+                liveBaseUrl: liveUrl,
+                stageBaseUrl: stageUrl,
+                paths,
+                ...(paths.length === 0 && siteOptions.discover !== 'auto' && { discover: siteOptions.discover }),
+                maxPages: siteOptions.maxPages,
+                concurrency: siteOptions.concurrency,
+                ignore: toIgnoreOptions(ignoreFields),
+                ...(viewport === 'responsive' ? { viewports: true } : { viewport: viewportSizes[viewport] })
+            }, { onUpdate: setJob })
+
+            setResults(data)
+            setTrendUrl(`${liveUrl} vs ${stageUrl}`)
+        } catch (error) {
+            console.error('Environment comparison failed:', error)
+            const data = error.response?.data
+            setResults({ error: true, message: data?.message ? `${data.error}: ${data.message}` : data?.error || error.message || 'Failed to compare environments.' })
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    // The design is uploaded with the job submission
+    const handleCompareDesign = async () => {
+        setIsLoading(true)
+        setResults(null)
+        setJob(null)
+        setTrendUrl(null)
+
+        try {
+            const formData = new FormData()
+            formData.append('design', designFile)
+            formData.append('url', liveUrl)
+            formData.append('designScale', designOptions.designScale)
+            formData.append('fullPage', designOptions.fullPage)
+            formData.append('analyze', designOptions.analyze)
+            const ignore = toIgnoreOptions(ignoreFields)
+            if (ignore) formData.append('ignore', JSON.stringify(ignore))
+
+            const data = await runAuditJob('compare-design', formData, { onUpdate: setJob })
+            setResults(data)
+            setTrendUrl(liveUrl)
+        } catch (error) {
+            console.error('Design comparison failed:', error)
+            const data = error.response?.data
+            setResults({ error: true, message: data?.message ? `${data.error}: ${data.message}` : data?.error || error.message || 'Failed to compare the design.' })
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    // Drill into one page of the readiness matrix
+    const openSitePage = (page) => {
+        setMode('compare')
+        setLiveUrl(page.liveUrl)
+        setStageUrl(page.stageUrl)
+        setResults(null)
+        setTrendUrl(null)
+    }
+
     const handleCompare = async () => {
         setIsLoading(true)
         setResults(null)
+        setJob(null)
         setSelectedDiffIndex(null)
+        setSelectedRegion(null)
+        setBreakpoint(null)
+        setTrendUrl(null)
 
         try {
-            const response = await axios.post('/api/audit/compare-layout', {
+            const data = await runAuditJob('compare-layout', {
                 liveUrl,
                 stageUrl,
                 screenshot: true,
-                viewport: viewportSizes[viewport]
-            })
+                ignore: toIgnoreOptions(ignoreFields),
+                ...(viewport === 'responsive' ? { viewports: true } : { viewport: viewportSizes[viewport] })
+            }, { onUpdate: setJob })
 
-            const data = response.data
             setResults(data)
+            setTrendUrl(`${liveUrl} vs ${stageUrl}`)
 
             // Auto-focus first difference
             if (data.differences?.length > 0) {
@@ -88,7 +266,8 @@ export default function LiveStageComparator() {
             }
         } catch (error) {
             console.error('Comparison failed:', error)
-            setResults({ error: true, message: error.response?.data?.error || error.message || 'Failed to compare environments.' })
+            const data = error.response?.data
+            setResults({ error: true, message: data?.message ? `${data.error}: ${data.message}` : data?.error || error.message || 'Failed to compare environments.' })
         } finally {
             setIsLoading(false)
         }
@@ -145,47 +324,198 @@ export default function LiveStageComparator() {
         <div className="flex flex-col h-[calc(100vh-100px)] overflow-hidden space-y-4">
             {/* Header / Config Bar */}
             <div className="bg-surface-card border border-surface-border p-3 rounded-xl flex items-center justify-between gap-4 shrink-0">
-                <div className="flex-1 grid grid-cols-2 gap-3">
+                <div className="flex bg-surface-dark p-1 rounded-lg border border-surface-border">
+                    {[
+                        { id: 'compare', label: 'Live vs Stage', icon: GitCompare },
+                        { id: 'site', label: 'Whole site', icon: Network },
+                        { id: 'baseline', label: 'Baseline', icon: BadgeCheck },
+                        { id: 'design', label: 'Design', icon: PenTool }
+                    ].map(m => (
+                        <button
+                            key={m.id}
+                            onClick={() => switchMode(m.id)}
+                            disabled={isLoading}
+                            className={`px-2.5 py-1.5 rounded transition-all text-xs font-bold flex items-center gap-1.5 whitespace-nowrap ${mode === m.id ? 'bg-primary text-white' : 'text-gray-400 hover:text-white'}`}
+                        >
+                            <m.icon size={14} />
+                            {m.label}
+                        </button>
+                    ))}
+                </div>
+
+                <div className={`flex-1 grid gap-3 ${mode === 'baseline' || mode === 'design' ? 'grid-cols-1' : 'grid-cols-2'}`}>
                     <input
                         value={liveUrl}
                         onChange={(e) => setLiveUrl(e.target.value)}
-                        placeholder="Live URL..."
-                        className="bg-surface-dark border border-surface-border rounded-lg px-3 py-2 text-sm font-mono text-white focus-ring"
-                    />
-                    <input
-                        value={stageUrl}
-                        onChange={(e) => setStageUrl(e.target.value)}
-                        placeholder="Stage URL..."
+                        placeholder={mode === 'compare' ? 'Live URL...' : mode === 'site' ? 'Live base URL...' : 'Page URL...'}
                         className="bg-surface-dark border border-surface-border rounded-lg px-3 py-2 text-sm font-mono text-white focus-ring"
                     />
+                    {mode !== 'baseline' && mode !== 'design' && (
+                        <input
+                            value={stageUrl}
+                            onChange={(e) => setStageUrl(e.target.value)}
+                            placeholder={mode === 'site' ? 'Stage base URL...' : 'Stage URL...'}
+                            className="bg-surface-dark border border-surface-border rounded-lg px-3 py-2 text-sm font-mono text-white focus-ring"
+                        />
+                    )}
                 </div>
 
                 <div className="flex items-center gap-2">
-                    <div className="flex bg-surface-dark p-1 rounded-lg border border-surface-border">
-                        {['desktop', 'tablet', 'mobile'].map(v => (
-                            <button
-                                key={v}
-                                onClick={() => setViewport(v)}
-                                className={`p - 1.5 rounded transition - all ${viewport === v ? 'bg-primary text-white' : 'text-gray-400 hover:text-white'} `}
-                                title={v.toUpperCase()}
-                            >
-                                {v === 'desktop' ? <Monitor size={16} /> : v === 'tablet' ? <TabletIcon size={16} /> : <Smartphone size={16} />}
-                            </button>
-                        ))}
-                    </div>
+                    {mode !== 'baseline' && (
+                        <button
+                            onClick={() => setShowIgnore(!showIgnore)}
+                            className={`p-2 rounded-lg border transition-all relative ${showIgnore ? 'bg-primary/20 text-primary border-primary/30' : 'text-gray-400 hover:text-white border-surface-border'}`}
+                            title="Ignore regions and dynamic content"
+                        >
+                            <EyeOff size={16} />
+                            {toIgnoreOptions(ignoreFields) && <span className="absolute -top-1 -right-1 w-2 h-2 rounded-full bg-primary" />}
+                        </button>
+                    )}
+                    {mode !== 'design' && (
+                        <div className="flex bg-surface-dark p-1 rounded-lg border border-surface-border">
+                            {(mode !== 'baseline' ? ['desktop', 'tablet', 'mobile', 'responsive'] : ['desktop', 'tablet', 'mobile']).map(v => (
+                                <button
+                                    key={v}
+                                    onClick={() => setViewport(v)}
+                                    className={`p - 1.5 rounded transition - all ${viewport === v ? 'bg-primary text-white' : 'text-gray-400 hover:text-white'} `}
+                                    title={v === 'responsive' ? 'ALL BREAKPOINTS (375, 768, 1024, 1440)' : v.toUpperCase()}
+                                >
+                                    {v === 'desktop' ? <Monitor size={16} /> : v === 'tablet' ? <TabletIcon size={16} /> : v === 'mobile' ? <Smartphone size={16} /> : <MonitorSmartphone size={16} />}
+                                </button>
+                            ))}
+                        </div>
+                    )}
 
                     <button
-                        onClick={handleCompare}
-                        disabled={isLoading || !liveUrl || !stageUrl}
+                        onClick={mode === 'compare' ? handleCompare : mode === 'site' ? handleCompareSite : mode === 'design' ? handleCompareDesign : handleCheckBaseline}
+                        disabled={isLoading || !liveUrl || (mode === 'design' ? !designFile : mode !== 'baseline' && !stageUrl)}
                         className="bg-primary hover:bg-primary-hover text-white px-4 py-2 rounded-lg font-bold flex items-center gap-2 disabled:opacity-50 text-sm h-[38px]"
                     >
                         {isLoading ? <Loader2 className="animate-spin" size={16} /> : <Play size={16} />}
-                        Analyze
+                        {isLoading && job?.progress?.stage ? `${job.progress.percent}%` : 'Analyze'}
                     </button>
                 </div>
             </div>
 
-            {!results ? (
+            {mode === 'site' && (
+                <div className="bg-surface-card border border-surface-border p-3 rounded-xl shrink-0 grid grid-cols-4 gap-3">
+                    <div className="col-span-2">
+                        <label className="block text-[10px] font-bold text-gray-500 uppercase tracking-widest mb-1">Paths</label>
+                        <textarea
+                            rows={3}
+                            value={siteOptions.paths}
+                            onChange={(e) => setSiteOptions({ ...siteOptions, paths: e.target.value })}
+                            placeholder={'/\n/pricing\n/blog'}
+                            spellCheck={false}
+                            className="w-full bg-surface-dark border border-surface-border rounded-lg px-2 py-1.5 text-xs font-mono text-white placeholder-gray-600 focus-ring"
+                        />
+                        <p className="text-[10px] text-gray-500 mt-1">One path per line, mapped onto both base URLs. Leave empty to discover pages on the live site.</p>
+                    </div>
+                    <div>
+                        <label className="block text-[10px] font-bold text-gray-500 uppercase tracking-widest mb-1">Discovery</label>
+                        <select
+                            value={siteOptions.discover}
+                            onChange={(e) => setSiteOptions({ ...siteOptions, discover: e.target.value })}
+                            disabled={siteOptions.paths.trim() !== ''}
+                            className="w-full bg-surface-dark border border-surface-border rounded-lg px-2 py-1.5 text-xs text-white focus-ring disabled:opacity-50"
+                        >
+                            <option value="auto">Sitemap, then crawl</option>
+                            <option value="sitemap">Sitemap only</option>
+                            <option value="crawl">Crawl links</option>
+                        </select>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                        <div>
+                            <label className="block text-[10px] font-bold text-gray-500 uppercase tracking-widest mb-1">Max pages</label>
+                            <input
+                                type="number"
+                                min={1}
+                                max={50}
+                                value={siteOptions.maxPages}
+                                onChange={(e) => setSiteOptions({ ...siteOptions, maxPages: Number(e.target.value) })}
+                                className="w-full bg-surface-dark border border-surface-border rounded-lg px-2 py-1.5 text-xs text-white focus-ring"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-[10px] font-bold text-gray-500 uppercase tracking-widest mb-1">Parallel</label>
+                            <input
+                                type="number"
+                                min={1}
+                                max={4}
+                                value={siteOptions.concurrency}
+                                onChange={(e) => setSiteOptions({ ...siteOptions, concurrency: Number(e.target.value) })}
+                                className="w-full bg-surface-dark border border-surface-border rounded-lg px-2 py-1.5 text-xs text-white focus-ring"
+                            />
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {mode === 'design' && (
+                <div className="bg-surface-card border border-surface-border p-3 rounded-xl shrink-0 grid grid-cols-4 gap-3 items-end">
+                    <div className="col-span-2">
+                        <label className="block text-[10px] font-bold text-gray-500 uppercase tracking-widest mb-1">Design mockup</label>
+                        <label className="flex items-center gap-2 bg-surface-dark border border-dashed border-surface-border rounded-lg px-3 py-2 text-xs text-gray-300 cursor-pointer hover:border-primary/50">
+                            <ImagePlus size={14} className="text-gray-500" />
+                            <span className="truncate">{designFile ? designFile.name : 'Choose a PNG, JPG or WebP export...'}</span>
+                            <input
+                                type="file"
+                                accept="image/png,image/jpeg,image/webp"
+                                onChange={(e) => setDesignFile(e.target.files[0] || null)}
+                                className="hidden"
+                            />
+                        </label>
+                    </div>
+                    <div>
+                        <label className="block text-[10px] font-bold text-gray-500 uppercase tracking-widest mb-1">Export scale</label>
+                        <select
+                            value={designOptions.designScale}
+                            onChange={(e) => setDesignOptions({ ...designOptions, designScale: Number(e.target.value) })}
+                            className="w-full bg-surface-dark border border-surface-border rounded-lg px-2 py-1.5 text-xs text-white focus-ring"
+                        >
+                            <option value={1}>1x (page width = image width)</option>
+                            <option value={2}>2x (retina export)</option>
+                            <option value={3}>3x</option>
+                        </select>
+                    </div>
+                    <div className="space-y-1 text-xs text-gray-300">
+                        <label className="flex items-center gap-2">
+                            <input type="checkbox" checked={designOptions.fullPage} onChange={(e) => setDesignOptions({ ...designOptions, fullPage: e.target.checked })} />
+                            Compare the whole page
+                        </label>
+                        <label className="flex items-center gap-2">
+                            <input type="checkbox" checked={designOptions.analyze} onChange={(e) => setDesignOptions({ ...designOptions, analyze: e.target.checked })} />
+                            Describe mismatches with AI
+                        </label>
+                    </div>
+                </div>
+            )}
+
+            {mode !== 'baseline' && showIgnore && <IgnoreRegionsPanel value={ignoreFields} onChange={setIgnoreFields} />}
+
+            <SavedReportBanner report={savedReport} basePath="/comparator" className="shrink-0" />
+
+            {isLoading ? (
+                <AuditProgress job={job} title={mode === 'compare' ? 'Comparing environments' : mode === 'site' ? 'Comparing every page' : mode === 'design' ? 'Comparing page to design' : 'Checking against baseline'} />
+            ) : !results && mode === 'baseline' ? (
+                <div className="flex-1 flex flex-col items-center justify-center text-gray-500 bg-surface-card/50 rounded-2xl border border-dashed border-surface-border">
+                    <BadgeCheck size={48} className="mb-4 opacity-20" />
+                    <p className="text-lg font-medium">Enter a URL to check it against its approved baseline</p>
+                    <p className="text-sm">The first check of a page and viewport becomes its baseline; later changes wait for your review.</p>
+                </div>
+            ) : !results && mode === 'site' ? (
+                <div className="flex-1 flex flex-col items-center justify-center text-gray-500 bg-surface-card/50 rounded-2xl border border-dashed border-surface-border">
+                    <Network size={48} className="mb-4 opacity-20" />
+                    <p className="text-lg font-medium">Enter both base URLs to compare the whole site</p>
+                    <p className="text-sm">Every mapped page is compared and rolled up into a release-readiness matrix.</p>
+                </div>
+            ) : !results && mode === 'design' ? (
+                <div className="flex-1 flex flex-col items-center justify-center text-gray-500 bg-surface-card/50 rounded-2xl border border-dashed border-surface-border">
+                    <PenTool size={48} className="mb-4 opacity-20" />
+                    <p className="text-lg font-medium">Upload a design mockup and enter the page URL</p>
+                    <p className="text-sm">The page is rendered at the mockup's width and every mismatching region is described.</p>
+                </div>
+            ) : !results ? (
                 <div className="flex-1 flex flex-col items-center justify-center text-gray-500 bg-surface-card/50 rounded-2xl border border-dashed border-surface-border">
                     <Focus size={48} className="mb-4 opacity-20" />
                     <p className="text-lg font-medium">Enter URLs to start pixel-accurate comparison</p>
@@ -197,10 +527,33 @@ export default function LiveStageComparator() {
                     <p className="font-bold">Audit Failed</p>
                     <p className="text-sm opacity-80">{results.message}</p>
                 </div>
+            ) : mode === 'baseline' ? (
+                <BaselineReview result={results} />
+            ) : mode === 'site' ? (
+                <EnvironmentMatrix report={results} onOpen={openSitePage} />
+            ) : mode === 'design' ? (
+                <DesignReport report={results} />
             ) : (
                 <div className="flex-1 flex gap-4 overflow-hidden">
                     {/* Main Side-by-Side Area */}
                     <div className="flex-1 flex flex-col bg-surface-card rounded-2xl border border-surface-border overflow-hidden">
+                        {/* Breakpoint tabs (responsive mode) */}
+                        {results.viewports && (
+                            <div className="px-3 pt-3 flex gap-2 overflow-x-auto">
+                                {results.viewports.map(v => (
+                                    <button
+                                        key={v.label}
+                                        onClick={() => { setBreakpoint(v.label); setSelectedDiffIndex(null); setSelectedRegion(null) }}
+                                        className={`px-3 py-1.5 rounded-lg text-xs font-bold flex items-center gap-2 whitespace-nowrap transition-all ${v === activeViewport ? 'bg-primary/20 text-primary border border-primary/30' : 'text-gray-400 hover:text-white border border-surface-border'}`}
+                                    >
+                                        {v.isMobile ? <Smartphone size={12} /> : <Monitor size={12} />}
+                                        {v.label}
+                                        <span className="text-[10px] font-mono opacity-70">{v.summary.totalDifferences}</span>
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+
                         {/* Control Bar for Viewport */}
                         <div className="p-3 border-b border-surface-border flex items-center justify-between">
                             <div className="flex gap-2">
@@ -229,7 +582,10 @@ export default function LiveStageComparator() {
                                 {[
                                     { id: 'side-by-side', icon: Layers, label: 'Dual View' },
                                     { id: 'slider', icon: ArrowLeftRight, label: 'Slider' },
-                                    { id: 'diff-map', icon: MapIcon, label: 'Diff Map' }
+                                    { id: 'diff-map', icon: MapIcon, label: 'Diff Map' },
+                                    { id: 'regions', icon: ScanSearch, label: `Regions${view.visualDiff.regions ? ` (${view.visualDiff.regions.length})` : ''}` },
+                                    { id: 'dom', icon: ListTree, label: `DOM Tree${view.domDiff ? ` (${view.domDiff.summary.totalChanges})` : ''}` },
+                                    { id: 'css', icon: FileCode, label: `Stylesheets${view.cssDiff ? ` (${view.cssDiff.summary.totalChanges})` : ''}` }
                                 ].map(mode => (
                                     <button
                                         key={mode.id}
@@ -246,6 +602,15 @@ export default function LiveStageComparator() {
                                 <span className="text-xs font-bold text-gray-500">
                                     {filteredDiffs.length} Differences Found
                                 </span>
+                                {view.ignored && (
+                                    <span
+                                        className={`text-[10px] font-bold flex items-center gap-1 ${view.ignored.unmatchedSelectors.length ? 'text-yellow-400' : 'text-gray-500'}`}
+                                        title={view.ignored.unmatchedSelectors.length ? `Matched nothing: ${view.ignored.unmatchedSelectors.join(', ')}` : 'Masked regions are hatched on the diff map'}
+                                    >
+                                        <EyeOff size={12} />
+                                        {view.ignored.regions} masked · {view.ignored.skippedElements} skipped
+                                    </span>
+                                )}
                                 <div className="flex gap-1">
                                     <button
                                         disabled={selectedDiffIndex <= 0}
@@ -278,8 +643,8 @@ export default function LiveStageComparator() {
                                         <div className="sticky top-0 left-0 z-20 px-3 py-1 bg-yellow-400 text-black text-[10px] font-bold uppercase tracking-widest">Staging</div>
                                         <div className="relative inline-block w-full" id="stage-container">
                                             <img
-                                                src={results.visualDiff.stageUrl ? `${results.visualDiff.stageUrl} `
-                                                    : `data: image / png; base64, ${results.visualDiff.stage} `}
+                                                src={view.visualDiff.stageUrl ? `${view.visualDiff.stageUrl} `
+                                                    : `data: image / png; base64, ${view.visualDiff.stage} `}
                                                 className="max-w-none w-full h-auto block"
                                             />
                                             {/* Overlays */}
@@ -289,10 +654,10 @@ export default function LiveStageComparator() {
                                                     onClick={() => setSelectedDiffIndex(i)}
                                                     className={`absolute cursor - pointer transition - all ${selectedDiffIndex === i ? 'ring-2 ring-white ring-offset-2 z-10' : 'hover:opacity-100'} `}
                                                     style={{
-                                                        left: `${(diff.stageRect.x / 1440) * 100}% `,
-                                                        top: `${(diff.stageRect.y / results.visualDiff.stageHeight) * 100}% `,
-                                                        width: `${(diff.stageRect.width / 1440) * 100}% `,
-                                                        height: `${(diff.stageRect.height / results.visualDiff.stageHeight) * 100}% `,
+                                                        left: `${(diff.stageRect.x / snapshotWidth) * 100}% `,
+                                                        top: `${(diff.stageRect.y / view.visualDiff.stageHeight) * 100}% `,
+                                                        width: `${(diff.stageRect.width / snapshotWidth) * 100}% `,
+                                                        height: `${(diff.stageRect.height / view.visualDiff.stageHeight) * 100}% `,
                                                         backgroundColor: getHighlightColor(diff.category),
                                                         border: `1px solid ${getHighlightBorder(diff.category)} `
                                                     }}
@@ -310,8 +675,8 @@ export default function LiveStageComparator() {
                                         <div className="sticky top-0 right-0 z-20 px-3 py-1 bg-accent-purple text-white text-[10px] font-bold uppercase tracking-widest text-right">Production (Live)</div>
                                         <div className="relative inline-block w-full" id="live-container">
                                             <img
-                                                src={results.visualDiff.liveUrl ? `${results.visualDiff.liveUrl} `
-                                                    : `data: image / png; base64, ${results.visualDiff.live} `}
+                                                src={view.visualDiff.liveUrl ? `${view.visualDiff.liveUrl} `
+                                                    : `data: image / png; base64, ${view.visualDiff.live} `}
                                                 className="max-w-none w-full h-auto block"
                                             />
                                             {/* Overlays */}
@@ -321,10 +686,10 @@ export default function LiveStageComparator() {
                                                     onClick={() => setSelectedDiffIndex(i)}
                                                     className={`absolute cursor - pointer transition - all ${selectedDiffIndex === i ? 'ring-2 ring-white ring-offset-2 z-10' : 'hover:opacity-100'} `}
                                                     style={{
-                                                        left: `${(diff.liveRect.x / 1440) * 100}% `,
-                                                        top: `${(diff.liveRect.y / results.visualDiff.liveHeight) * 100}% `,
-                                                        width: `${(diff.liveRect.width / 1440) * 100}% `,
-                                                        height: `${(diff.liveRect.height / results.visualDiff.liveHeight) * 100}% `,
+                                                        left: `${(diff.liveRect.x / snapshotWidth) * 100}% `,
+                                                        top: `${(diff.liveRect.y / view.visualDiff.liveHeight) * 100}% `,
+                                                        width: `${(diff.liveRect.width / snapshotWidth) * 100}% `,
+                                                        height: `${(diff.liveRect.height / view.visualDiff.liveHeight) * 100}% `,
                                                         backgroundColor: getHighlightColor(diff.category),
                                                         border: `1px solid ${getHighlightBorder(diff.category)} `
                                                     }}
@@ -340,14 +705,14 @@ export default function LiveStageComparator() {
                                     <div className="absolute inset-0 bg-black overflow-auto">
                                         <div className="relative inline-block w-full h-full">
                                             {/* Background (Live) */}
-                                            <img src={`data: image / png; base64, ${results.visualDiff.live} `} className="w-full h-auto" />
+                                            <img src={`data: image / png; base64, ${view.visualDiff.live} `} className="w-full h-auto" />
 
                                             {/* Foreground (Stage) */}
                                             <div
                                                 className="absolute inset-0 pointer-events-none overflow-hidden"
                                                 style={{ clipPath: `inset(0 ${100 - sliderPos} % 0 0)` }}
                                             >
-                                                <img src={`data: image / png; base64, ${results.visualDiff.stage} `} className="w-full h-auto" />
+                                                <img src={`data: image / png; base64, ${view.visualDiff.stage} `} className="w-full h-auto" />
                                             </div>
 
                                             {/* Slider Handle */}
@@ -382,13 +747,37 @@ export default function LiveStageComparator() {
 
                             {viewMode === 'diff-map' && (
                                 <div className="flex-1 h-full bg-black overflow-auto p-4 flex items-center justify-center">
-                                    <img
-                                        src={results.visualDiff.diffUrl ? `${results.visualDiff.diffUrl} `
-                                            : `data: image / png; base64, ${results.visualDiff.diff} `}
-                                        className="max-w-full h-auto shadow-2xl border border-white/10"
-                                    />
+                                    <div className="relative inline-block max-w-full">
+                                        <img
+                                            src={view.visualDiff.diffUrl ? `${view.visualDiff.diffUrl} `
+                                                : `data: image / png; base64, ${view.visualDiff.diff} `}
+                                            className="max-w-full h-auto shadow-2xl border border-white/10 block"
+                                        />
+                                        {/* Changed regions: click to inspect */}
+                                        {view.visualDiff.regions?.map(region => (
+                                            <button
+                                                key={region.id}
+                                                onClick={() => { setSelectedRegion(region.id); setViewMode('regions') }}
+                                                className="absolute border-2 border-red-500 hover:bg-red-500/20 transition-all"
+                                                style={{
+                                                    left: `${(region.x / view.visualDiff.width) * 100}%`,
+                                                    top: `${(region.y / view.visualDiff.height) * 100}%`,
+                                                    width: `${(region.width / view.visualDiff.width) * 100}%`,
+                                                    height: `${(region.height / view.visualDiff.height) * 100}%`
+                                                }}
+                                                title={`Region ${region.id}: ${region.changedPixels} changed pixels`}
+                                            />
+                                        ))}
+                                    </div>
                                 </div>
                             )}
+
+                            {viewMode === 'regions' && (
+                                <DiffRegionsView regions={view.visualDiff.regions} selectedId={selectedRegion} onSelect={setSelectedRegion} />
+                            )}
+
+                            {viewMode === 'dom' && <DomTreeDiff domDiff={view.domDiff} />}
+                            {viewMode === 'css' && <StylesheetDiff cssDiff={view.cssDiff} />}
                         </div>
                     </div>
 
@@ -409,7 +798,7 @@ export default function LiveStageComparator() {
                                     >
                                         <span className="capitalize">{s}</span>
                                         <span className="bg-surface-dark px-1.5 py-0.5 rounded border border-surface-border">
-                                            {s === 'all' ? results.differences.length : results.differences.filter(d => d.section === s).length}
+                                            {s === 'all' ? view.differences.length : view.differences.filter(d => d.section === s).length}
                                         </span>
                                     </button>
                                 ))}
@@ -424,13 +813,14 @@ export default function LiveStageComparator() {
                                     Property Inspector
                                 </h3>
                                 <div className="flex bg-surface-dark mt-3 p-1 rounded-lg border border-surface-border">
-                                    {['inspector', 'system'].map(tab => (
+                                    {['inspector', 'system', 'network', 'trend'].map(tab => (
                                         <button
                                             key={tab}
                                             onClick={() => setInspectorTab(tab)}
                                             className={`flex - 1 py - 1 rounded - md text - [10px] font - bold uppercase tracking - wider transition - all ${inspectorTab === tab ? 'bg-primary/20 text-primary border border-primary/30' : 'text-gray-500 hover:text-white'} `}
                                         >
-                                            {tab === 'inspector' ? 'Styles' : 'System Audit'}
+                                            {tab === 'inspector' ? 'Styles' : tab === 'system' ? 'System Audit' : tab === 'network' ? 'Network' : 'Trend'}
+                                            {tab === 'network' && view.summary?.networkRegressions > 0 && ` (${view.summary.networkRegressions})`}
                                         </button>
                                     ))}
                                 </div>
@@ -446,6 +836,11 @@ export default function LiveStageComparator() {
                                                     style={{ backgroundColor: getHighlightBorder(filteredDiffs[selectedDiffIndex].category) }}
                                                 />
                                                 <h4 className="text-sm font-bold text-white flex-1">{filteredDiffs[selectedDiffIndex].property}</h4>
+                                                {filteredDiffs[selectedDiffIndex].breakpoints && (
+                                                    <span className="text-[10px] font-mono text-gray-500" title="Breakpoints with this difference">
+                                                        {filteredDiffs[selectedDiffIndex].breakpoints.join(' · ')}
+                                                    </span>
+                                                )}
                                                 <span className={`text - [10px] px - 1.5 py - 0.5 rounded font - bold uppercase ${filteredDiffs[selectedDiffIndex].severity === 'critical' ? 'bg-red-500/10 text-red-400' : 'bg-yellow-500/10 text-yellow-500'} `}>
                                                     {filteredDiffs[selectedDiffIndex].severity}
                                                 </span>
@@ -491,10 +886,14 @@ export default function LiveStageComparator() {
                                             <p className="text-xs">Click a highlighted area on the preview to inspect styles.</p>
                                         </div>
                                     )
+                                ) : inspectorTab === 'network' ? (
+                                    <NetworkDiffPanel network={view.network} />
+                                ) : inspectorTab === 'trend' ? (
+                                    <UrlTrendPanel url={trendUrl} type="Advanced Comparison" refreshKey={results} className="!p-0 !border-0" showEmpty />
                                 ) : (
                                     <div className="space-y-4 animate-in fade-in slide-in-from-right-2">
-                                        {results.systemicIssues && results.systemicIssues.length > 0 ? (
-                                            results.systemicIssues.map((issue, i) => (
+                                        {view.systemicIssues && view.systemicIssues.length > 0 ? (
+                                            view.systemicIssues.map((issue, i) => (
                                                 <div key={i} className="p-3 bg-surface-dark border border-surface-border rounded-lg">
                                                     <div className="flex items-center gap-2 mb-2">
                                                         <AlertTriangle size={12} className={issue.severity === 'medium' ? 'text-yellow-500' : 'text-primary'} />
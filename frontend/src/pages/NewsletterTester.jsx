@@ -1,6 +1,9 @@
 import { useState } from 'react'
 import { Play, Loader2, Mail, ShieldCheck, Monitor, Sun, Moon, AlertCircle, CheckCircle, Info, ChevronRight, Share2, Zap, Smartphone } from 'lucide-react'
 import axios from 'axios'
+import SavedReportBanner from '../components/SavedReportBanner'
+import UrlTrendPanel from '../components/UrlTrendPanel'
+import { useStoredReport } from '../utils/reports'
 
 export default function NewsletterTester() {
     const [emailHtml, setEmailHtml] = useState('')
@@ -11,6 +14,18 @@ export default function NewsletterTester() {
     const [testDarkMode, setTestDarkMode] = useState(true)
     const [checkSpam, setCheckSpam] = useState(true)
 
+    const savedReport = useStoredReport((result, audit) => {
+        const { emailHtml: savedHtml, ...report } = result
+        setEmailHtml(savedHtml || '')
+        if (audit.type === 'Newsletter Fix') {
+            setResults(null)
+            setFixResults(report)
+        } else {
+            setFixResults(null)
+            setResults(report)
+        }
+    })
+
     const handleTest = async () => {
         setIsLoading(true)
         setResults(null)
@@ -137,6 +152,8 @@ export default function NewsletterTester() {
                 </div>
             </div>
 
+            <SavedReportBanner report={savedReport} basePath="/newsletter" />
+
             {fixResults && (
                 <div className="bg-surface-card border-2 border-accent-teal/50 rounded-xl p-8 space-y-6 animate-in fade-in slide-in-from-top-4 duration-500">
                     <div className="flex items-center justify-between">
@@ -338,6 +355,9 @@ export default function NewsletterTester() {
                 </div>
             )}
 
+            {/* Every tested template is recorded under the same history URL */}
+            {results && !results.error && <UrlTrendPanel url="Email Template" type="Newsletter" refreshKey={results} />}
+
             {results && results.error && (
                 <div className="bg-surface-card border border-red-500/50 rounded-xl p-6">
                     <p className="text-red-400">{results.message}</p>
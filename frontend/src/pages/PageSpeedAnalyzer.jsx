@@ -1,26 +1,44 @@
 import { useState } from 'react'
 import { Play, Loader2, AlertCircle } from 'lucide-react'
-import axios from 'axios'
+import { runAuditJob } from '../utils/jobs'
 import ResultsViewer from '../components/ResultsViewer'
+import SavedReportBanner from '../components/SavedReportBanner'
+import UrlTrendPanel from '../components/UrlTrendPanel'
+import BudgetReport from '../components/BudgetReport'
+import LighthouseRunSpread from '../components/LighthouseRunSpread'
+import { useStoredReport } from '../utils/reports'
 
 export default function PageSpeedAnalyzer() {
     const [url, setUrl] = useState('')
+    const [device, setDevice] = useState('mobile')
+    const [runs, setRuns] = useState(1) // > 1 reports the median run and the spread across runs
     const [isLoading, setIsLoading] = useState(false)
     const [results, setResults] = useState(null)
+    const [job, setJob] = useState(null)
+    const [trendUrl, setTrendUrl] = useState(null) // URL of the audit on screen
+
+    const savedReport = useStoredReport((result, audit) => {
+        setUrl(audit.url || '')
+        setResults(result)
+        setTrendUrl(audit.url)
+    })
 
     const handleAnalyze = async () => {
         setIsLoading(true)
         setResults(null)
+        setJob(null)
+        setTrendUrl(null)
 
         try {
-            const response = await axios.get('/api/pagespeed', {
-                params: {
-                    url: url,
-                    device: 'mobile'
-                }
-            })
+            const data = await runAuditJob('lighthouse', {
+                url: url,
+                device,
+                runs
+            }, { onUpdate: setJob })
 
-            setResults(response.data)
+            setResults(data)
+            // Same protocol defaulting as the server, so the trend matches the stored URL
+            setTrendUrl(/^https?:\/\//i.test(url) ? url : 'https://' + url)
         } catch (error) {
             console.error('Performance analysis failed:', error)
             setResults({
@@ -51,6 +69,32 @@ export default function PageSpeedAnalyzer() {
                     />
                 </div>
 
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Device</label>
+                        <select
+                            value={device}
+                            onChange={(e) => setDevice(e.target.value)}
+                            className="w-full px-4 py-3 bg-surface-dark border border-surface-border rounded-lg text-white focus-ring"
+                        >
+                            <option value="mobile">Mobile</option>
+                            <option value="desktop">Desktop</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Runs</label>
+                        <select
+                            value={runs}
+                            onChange={(e) => setRuns(Number(e.target.value))}
+                            className="w-full px-4 py-3 bg-surface-dark border border-surface-border rounded-lg text-white focus-ring"
+                        >
+                            <option value={1}>Single run</option>
+                            <option value={3}>Median of 3 runs</option>
+                            <option value={5}>Median of 5 runs</option>
+                        </select>
+                    </div>
+                </div>
+
                 <button
                     onClick={handleAnalyze}
                     disabled={!url || isLoading}
@@ -59,7 +103,7 @@ export default function PageSpeedAnalyzer() {
                     {isLoading ? (
                         <>
                             <Loader2 className="w-5 h-5 animate-spin" />
-                            <span>Analyzing Performance...</span>
+                            <span>{job?.progress?.stage ? `${job.progress.stage}...` : 'Analyzing Performance...'}</span>
                         </>
                     ) : (
                         <>
@@ -70,7 +114,12 @@ export default function PageSpeedAnalyzer() {
                 </button>
             </div>
 
+            <SavedReportBanner report={savedReport} basePath="/pagespeed" />
+
+            {results && !results.error && <BudgetReport budget={results.budget} />}
             {results && !results.error && <ResultsViewer results={results} type="pagespeed" />}
+            {results && !results.error && <LighthouseRunSpread runs={results.runs} />}
+            {results && !results.error && trendUrl && <UrlTrendPanel url={trendUrl} type="PageSpeed" refreshKey={results} />}
 
             {results && results.error && (
                 <div className="bg-surface-card border border-red-500/50 rounded-xl p-6">
@@ -1,11 +1,17 @@
 import { useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
-import { User, Shield, Activity, Bell, Save, Loader2, LogOut, CheckCircle2, AlertCircle } from 'lucide-react'
+import { User, Shield, Activity, Bell, CalendarClock, Webhook, Gauge, KeyRound, Save, Loader2, LogOut, CheckCircle2, AlertCircle } from 'lucide-react'
 import axios from 'axios'
+import SchedulesManager from '../components/SchedulesManager'
+import WebhooksManager from '../components/WebhooksManager'
+import BudgetsManager from '../components/BudgetsManager'
+import AuthRecipesManager from '../components/AuthRecipesManager'
 
 const Settings = () => {
     const { user, updateProfile, logout } = useAuth()
-    const [activeTab, setActiveTab] = useState('account')
+    const [searchParams] = useSearchParams()
+    const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'account') // ?tab= links straight to a tab
     const [isLoading, setIsLoading] = useState(false)
     const [message, setMessage] = useState({ type: '', text: '' })
 
@@ -56,6 +62,10 @@ const Settings = () => {
         { id: 'account', label: 'Account', icon: User },
         { id: 'security', label: 'Security', icon: Shield },
         { id: 'sessions', label: 'Sessions', icon: Activity },
+        { id: 'schedules', label: 'Schedules', icon: CalendarClock },
+        { id: 'webhooks', label: 'Webhooks', icon: Webhook },
+        { id: 'budgets', label: 'Budgets', icon: Gauge },
+        { id: 'auth', label: 'Auth Recipes', icon: KeyRound },
         { id: 'notifications', label: 'Notifications', icon: Bell },
     ]
 
@@ -205,6 +215,13 @@ const Settings = () => {
                     </div>
                 )}
 
+                {activeTab === 'schedules' && <SchedulesManager />}
+
+                {activeTab === 'webhooks' && <WebhooksManager />}
+
+                {activeTab === 'budgets' && <BudgetsManager />}
+                {activeTab === 'auth' && <AuthRecipesManager />}
+
                 {activeTab === 'notifications' && (
                     <div className="text-center py-12 space-y-4">
                         <div className="w-16 h-16 bg-white/5 rounded-full flex items-center justify-center mx-auto mb-4">
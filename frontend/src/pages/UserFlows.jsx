@@ -0,0 +1,172 @@
+import { useEffect, useState } from 'react'
+import axios from 'axios'
+import { Play, Loader2, AlertCircle } from 'lucide-react'
+import { runAuditJob } from '../utils/jobs'
+import { useProjects } from '../context/ProjectContext'
+import AuditProgress from '../components/AuditProgress'
+import UserFlowResults from '../components/UserFlowResults'
+import UrlTrendPanel from '../components/UrlTrendPanel'
+import SavedReportBanner from '../components/SavedReportBanner'
+import { useStoredReport } from '../utils/reports'
+
+const EXAMPLE_STEPS = [
+    { name: 'Home', action: 'goto', url: '/', measure: 'navigation' },
+    { name: 'Open menu', action: 'click', selector: 'button[aria-label="Menu"]', measure: 'timespan', screenshot: true },
+    { name: 'Menu open', action: 'waitFor', selector: 'nav', measure: 'snapshot', accessibility: true },
+    { name: 'Cart', action: 'goto', url: '/cart', measure: 'navigation', accessibility: true }
+]
+
+export default function UserFlows() {
+    const { projectId } = useProjects()
+    const [name, setName] = useState('Checkout journey')
+    const [url, setUrl] = useState('')
+    const [device, setDevice] = useState('mobile')
+    const [authRecipeId, setAuthRecipeId] = useState('')
+    const [authRecipes, setAuthRecipes] = useState([])
+    const [stepsJson, setStepsJson] = useState(JSON.stringify(EXAMPLE_STEPS, null, 2))
+    const [isLoading, setIsLoading] = useState(false)
+    const [results, setResults] = useState(null)
+    const [job, setJob] = useState(null)
+    const [trendUrl, setTrendUrl] = useState(null)
+
+    useEffect(() => {
+        axios.get('/api/auth-recipes', { params: { projectId: projectId || undefined } })
+            .then(res => setAuthRecipes(res.data.recipes))
+            .catch(() => setAuthRecipes([]))
+    }, [projectId])
+
+    const savedReport = useStoredReport((result, audit) => {
+        setName(result.name)
+        setUrl(result.metadata?.url || audit.url || '')
+        setDevice(result.metadata?.device || 'mobile')
+        setResults(result)
+        setTrendUrl(audit.url)
+    })
+
+    const handleRun = async () => {
+        let steps
+        try {
+            steps = JSON.parse(stepsJson)
+        } catch (err) {
+            setResults({ error: true, message: `Steps are not valid JSON: ${err.message}` })
+            return
+        }
+
+        const trimmed = url.trim()
+        const processedUrl = trimmed.startsWith('http://') || trimmed.startsWith('https://') ? trimmed : 'https://' + trimmed
+
+        setIsLoading(true)
+        setResults(null)
+        setJob(null)
+        setTrendUrl(null)
+
+        try {
+            const data = await runAuditJob('user-flow', {
+                name,
+                url: processedUrl,
+                device,
+                steps,
+                authRecipeId: authRecipeId || undefined
+            }, { onUpdate: setJob })
+            setResults(data)
+            setTrendUrl(processedUrl)
+        } catch (error) {
+            console.error('User flow failed:', error)
+            const data = error.response?.data
+            setResults({
+                error: true,
+                message: data?.message ? `${data.error}: ${data.message}` : data?.error || error.message || 'Failed to run the user flow.'
+            })
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const inputClass = 'w-full px-4 py-3 bg-surface-dark border border-surface-border rounded-lg text-white placeholder-gray-500 focus-ring'
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h1 className="text-3xl font-bold text-white mb-2">User Flows</h1>
+                <p className="text-gray-400">Audit multi-step journeys: measure interactions with Lighthouse and check every state they leave the page in</p>
+            </div>
+
+            <div className="bg-surface-card border border-surface-border rounded-xl p-6 space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Flow Name</label>
+                        <input type="text" value={name} onChange={(e) => setName(e.target.value)} className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Start URL</label>
+                        <input type="text" value={url} onChange={(e) => setUrl(e.target.value)} placeholder="shop.example.com" className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Device</label>
+                        <select value={device} onChange={(e) => setDevice(e.target.value)} className={inputClass}>
+                            <option value="mobile">Mobile</option>
+                            <option value="desktop">Desktop</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Login</label>
+                        <select value={authRecipeId} onChange={(e) => setAuthRecipeId(e.target.value)} className={inputClass}>
+                            <option value="">Auto (recipe matching the URL, if any)</option>
+                            {authRecipes.map(recipe => <option key={recipe.id} value={recipe.id}>{recipe.name}</option>)}
+                        </select>
+                    </div>
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">Steps (JSON)</label>
+                    <textarea
+                        rows={14}
+                        value={stepsJson}
+                        onChange={(e) => setStepsJson(e.target.value)}
+                        spellCheck={false}
+                        className={`${inputClass} font-mono text-sm`}
+                    />
+                    <p className="text-xs text-gray-500 mt-2">
+                        Actions: <code>goto</code> (url), <code>click</code> (selector, waitForNavigation), <code>type</code> / <code>select</code> (selector, value),
+                        {' '}<code>hover</code> (selector), <code>press</code> (key), <code>scroll</code> (selector or y), <code>waitFor</code> (selector, url or timeout).
+                        Add <code>measure</code> (<code>navigation</code>, <code>timespan</code>, <code>snapshot</code>), <code>screenshot</code> or <code>accessibility</code> to report on a step.
+                    </p>
+                </div>
+
+                <button
+                    onClick={handleRun}
+                    disabled={!url || isLoading}
+                    className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-accent-teal to-primary text-white rounded-lg font-medium hover:shadow-glow transition-all btn-lift disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {isLoading ? (
+                        <>
+                            <Loader2 className="w-5 h-5 animate-spin" />
+                            <span>{job?.progress?.stage ? `${job.progress.stage}...` : 'Running flow...'}</span>
+                        </>
+                    ) : (
+                        <>
+                            <Play className="w-5 h-5" />
+                            <span>Run Flow</span>
+                        </>
+                    )}
+                </button>
+            </div>
+
+            <SavedReportBanner report={savedReport} basePath="/user-flows" />
+
+            {isLoading && <AuditProgress job={job} title="User flow in progress" />}
+
+            {results && !results.error && <UserFlowResults results={results} />}
+            {results && !results.error && trendUrl && <UrlTrendPanel url={trendUrl} type="User Flow" refreshKey={results} />}
+
+            {results && results.error && (
+                <div className="bg-surface-card border border-red-500/50 rounded-xl p-6">
+                    <div className="flex items-center gap-3 text-red-400">
+                        <AlertCircle className="w-6 h-6" />
+                        <p>{results.message}</p>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
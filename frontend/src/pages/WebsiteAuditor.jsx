@@ -1,13 +1,37 @@
 import { useState } from 'react'
 import { Play, Loader2, AlertCircle, Sparkles } from 'lucide-react'
-import axios from 'axios'
+import { runAuditJob } from '../utils/jobs'
 import UXAuditorResults from '../components/UXAuditorResults'
+import AuditProgress from '../components/AuditProgress'
+import SiteAuditResults from '../components/SiteAuditResults'
+import UrlTrendPanel from '../components/UrlTrendPanel'
+import SavedReportBanner from '../components/SavedReportBanner'
+import { useStoredReport } from '../utils/reports'
 
 export default function WebsiteAuditor() {
     const [url, setUrl] = useState('')
     const [platform, setPlatform] = useState('custom')
+    const [mode, setMode] = useState('single') // single, crawl
+    const [responsive, setResponsive] = useState(false)
+    const [crawlOptions, setCrawlOptions] = useState({
+        maxPages: 10,
+        maxDepth: 2,
+        include: '',
+        exclude: '',
+        useSitemap: true
+    })
     const [isLoading, setIsLoading] = useState(false)
     const [results, setResults] = useState(null)
+    const [job, setJob] = useState(null)
+    const [trend, setTrend] = useState(null) // { url, type } of the audit on screen
+
+    const savedReport = useStoredReport((result, audit) => {
+        setMode(result.mode === 'crawl' ? 'crawl' : 'single')
+        setResponsive(Boolean(result.viewports))
+        setUrl(audit.url || '')
+        setResults(result)
+        setTrend({ url: audit.url, type: audit.type })
+    })
 
     const handleRunAudit = async () => {
         // Validate URL before proceeding
@@ -27,10 +51,25 @@ export default function WebsiteAuditor() {
 
         setIsLoading(true)
         setResults(null)
+        setJob(null)
+        setTrend(null)
 
         try {
-            const response = await axios.post('/api/audit/website', { url: processedUrl, platform })
-            setResults(response.data)
+            const data = mode === 'crawl'
+                ? await runAuditJob('website-crawl', {
+                    url: processedUrl,
+                    platform,
+                    ...crawlOptions,
+                    include: crawlOptions.include.split(',').map(p => p.trim()).filter(Boolean),
+                    exclude: crawlOptions.exclude.split(',').map(p => p.trim()).filter(Boolean)
+                }, { onUpdate: setJob })
+                : await runAuditJob('website', {
+                    url: processedUrl,
+                    platform,
+                    viewports: responsive || undefined
+                }, { onUpdate: setJob })
+            setResults(data)
+            setTrend({ url: processedUrl, type: mode === 'crawl' ? 'Site Crawl' : 'Website Audit' })
         } catch (error) {
             console.error('Audit failed:', error)
             setResults({
@@ -76,6 +115,18 @@ export default function WebsiteAuditor() {
 
             {/* Input Section */}
             <div className="bg-surface-card border border-surface-border rounded-xl p-6 space-y-4">
+                <div className="flex bg-surface-dark p-1 rounded-lg border border-surface-border w-fit">
+                    {[{ id: 'single', label: 'Single Page' }, { id: 'crawl', label: 'Crawl Site' }].map(m => (
+                        <button
+                            key={m.id}
+                            onClick={() => setMode(m.id)}
+                            className={`px-4 py-1.5 rounded text-sm font-medium transition-all ${mode === m.id ? 'bg-primary text-white' : 'text-gray-400 hover:text-white'}`}
+                        >
+                            {m.label}
+                        </button>
+                    ))}
+                </div>
+
                 <div>
                     <label className="block text-sm font-medium text-gray-300 mb-2">
                         🌐 Website URL
@@ -109,6 +160,72 @@ export default function WebsiteAuditor() {
                     </select>
                 </div>
 
+                {mode === 'single' && (
+                    <label className="flex items-center gap-2 text-sm text-gray-300">
+                        <input
+                            type="checkbox"
+                            checked={responsive}
+                            onChange={(e) => setResponsive(e.target.checked)}
+                        />
+                        Audit at every breakpoint (375, 768, 1024 and 1440px) and tag issues with where they occur
+                    </label>
+                )}
+
+                {mode === 'crawl' && (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4 bg-surface-dark/50 border border-surface-border rounded-lg">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">Page Budget</label>
+                            <input
+                                type="number"
+                                min="1"
+                                max="50"
+                                value={crawlOptions.maxPages}
+                                onChange={(e) => setCrawlOptions({ ...crawlOptions, maxPages: e.target.value })}
+                                className="w-full px-4 py-2 bg-surface-dark border border-surface-border rounded-lg text-white focus-ring"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">Max Link Depth</label>
+                            <input
+                                type="number"
+                                min="0"
+                                max="5"
+                                value={crawlOptions.maxDepth}
+                                onChange={(e) => setCrawlOptions({ ...crawlOptions, maxDepth: e.target.value })}
+                                className="w-full px-4 py-2 bg-surface-dark border border-surface-border rounded-lg text-white focus-ring"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">Include Patterns</label>
+                            <input
+                                type="text"
+                                value={crawlOptions.include}
+                                onChange={(e) => setCrawlOptions({ ...crawlOptions, include: e.target.value })}
+                                placeholder="/blog/*, /products/*"
+                                className="w-full px-4 py-2 bg-surface-dark border border-surface-border rounded-lg text-white placeholder-gray-500 focus-ring"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">Exclude Patterns</label>
+                            <input
+                                type="text"
+                                value={crawlOptions.exclude}
+                                onChange={(e) => setCrawlOptions({ ...crawlOptions, exclude: e.target.value })}
+                                placeholder="/tag/*, /wp-admin"
+                                className="w-full px-4 py-2 bg-surface-dark border border-surface-border rounded-lg text-white placeholder-gray-500 focus-ring"
+                            />
+                        </div>
+                        <label className="flex items-center gap-2 text-sm text-gray-300 md:col-span-2">
+                            <input
+                                type="checkbox"
+                                checked={crawlOptions.useSitemap}
+                                onChange={(e) => setCrawlOptions({ ...crawlOptions, useSitemap: e.target.checked })}
+                            />
+                            Seed the crawl from sitemap.xml
+                        </label>
+                    </div>
+                )}
+
                 <button
                     onClick={handleRunAudit}
                     disabled={!url || isLoading}
@@ -117,12 +234,12 @@ export default function WebsiteAuditor() {
                     {isLoading ? (
                         <>
                             <Loader2 className="w-6 h-6 animate-spin" />
-                            <span>Performing Deep Analysis...</span>
+                            <span>{job?.progress?.stage ? `${job.progress.stage}...` : 'Performing Deep Analysis...'}</span>
                         </>
                     ) : (
                         <>
                             <Play className="w-6 h-6" />
-                            <span>Run UX Audit</span>
+                            <span>{mode === 'crawl' ? 'Crawl & Audit Site' : 'Run UX Audit'}</span>
                         </>
                     )}
                 </button>
@@ -132,8 +249,14 @@ export default function WebsiteAuditor() {
                 </div>
             </div>
 
+            <SavedReportBanner report={savedReport} basePath="/website-auditor" />
+
+            {isLoading && <AuditProgress job={job} title={mode === 'crawl' ? 'Site crawl in progress' : 'UX audit in progress'} />}
+
             {/* Results */}
-            {results && !results.error && <UXAuditorResults results={results} />}
+            {results && !results.error && results.mode === 'crawl' && <SiteAuditResults results={results} />}
+            {results && !results.error && results.mode !== 'crawl' && <UXAuditorResults results={results} />}
+            {results && !results.error && trend && <UrlTrendPanel {...trend} refreshKey={results} />}
 
             {results && results.error && (
                 <div className="bg-surface-card border border-red-500/50 rounded-xl p-6">
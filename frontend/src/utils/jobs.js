@@ -0,0 +1,84 @@
+import axios from 'axios'
+
+const POLL_INTERVAL_MS = 2000
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Same shape as the `progress` events streamed by /api/jobs/:id/events
+const toSnapshot = (job) => ({
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    partial: job.partial || null,
+    startedAt: job.startedAt,
+    elapsedMs: job.startedAt ? new Date(job.finishedAt || Date.now()) - new Date(job.startedAt) : 0
+})
+
+/**
+ * Follow a job over Server-Sent Events.
+ * Resolves with the result, rejects with the job error, or rejects with
+ * `{ streamUnavailable: true }` when the stream drops so the caller can poll instead.
+ */
+function streamJob(jobId, streamToken, onUpdate) {
+    return new Promise((resolve, reject) => {
+        // Job-scoped token from the submit response, never the session token
+        const query = streamToken ? `?token=${encodeURIComponent(streamToken)}` : ''
+        const source = new EventSource(`/api/jobs/${jobId}/events${query}`)
+
+        source.addEventListener('progress', (e) => {
+            if (onUpdate) onUpdate(JSON.parse(e.data))
+        })
+        source.addEventListener('completed', (e) => {
+            const data = JSON.parse(e.data)
+            source.close()
+            if (onUpdate) onUpdate(data)
+            resolve(data.result)
+        })
+        source.addEventListener('failed', (e) => {
+            const data = JSON.parse(e.data)
+            source.close()
+            if (onUpdate) onUpdate(data)
+            reject(new Error(data.error?.message || 'Audit job failed'))
+        })
+        source.onerror = () => {
+            source.close()
+            reject({ streamUnavailable: true })
+        }
+    })
+}
+
+async function pollJob(jobId, onUpdate, intervalMs) {
+    while (true) {
+        const { data } = await axios.get(`/api/jobs/${jobId}`)
+        const job = data.job
+
+        if (onUpdate) onUpdate(toSnapshot(job))
+
+        if (job.status === 'completed') return job.result
+        if (job.status === 'failed') throw new Error(job.error?.message || 'Audit job failed')
+
+        await wait(intervalMs)
+    }
+}
+
+/**
+ * Submit a background audit job and follow it until it finishes.
+ * Streams live progress over SSE and falls back to polling if the stream is unavailable.
+ * `onUpdate` receives { status, progress, partial, startedAt, elapsedMs } on every change.
+ * `body` is FormData for types that take an upload (compare-design).
+ */
+export async function runAuditJob(type, body, { onUpdate, intervalMs = POLL_INTERVAL_MS } = {}) {
+    const submitRes = await axios.post(`/api/jobs/${type}`, body)
+    const { jobId, streamToken } = submitRes.data
+
+    if (typeof EventSource !== 'undefined') {
+        try {
+            return await streamJob(jobId, streamToken, onUpdate)
+        } catch (err) {
+            if (!err?.streamUnavailable) throw err
+        }
+    }
+
+    return pollJob(jobId, onUpdate, intervalMs)
+}
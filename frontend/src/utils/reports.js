@@ -0,0 +1,70 @@
+import { useEffect, useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import axios from 'axios'
+
+// History entry type -> page whose results viewer renders that report
+const REPORT_PAGES = {
+    'Website Audit': '/website-auditor',
+    'Site Crawl': '/website-auditor',
+    'Accessibility': '/accessibility',
+    'Accessibility Site Scan': '/accessibility',
+    'PageSpeed': '/pagespeed',
+    'User Flow': '/user-flows',
+    'Advanced Comparison': '/comparator',
+    'Visual Regression': '/comparator',
+    'Environment Comparison': '/comparator',
+    'Design Comparison': '/comparator',
+    'Newsletter': '/newsletter',
+    'Newsletter Fix': '/newsletter',
+    'Email Validation': '/email-generator'
+}
+
+/**
+ * Link that reopens a stored audit, or null if it has no stored report/viewer
+ */
+export function getReportLink(audit) {
+    const page = REPORT_PAGES[audit.type]
+    if (!page || !audit.hasReport) return null
+    return `${page}?report=${encodeURIComponent(audit.id)}`
+}
+
+/**
+ * Load the report referenced by `?report=<id>` and hand it to the page.
+ * `onLoad(result, audit)` should put the result into the page's own state so it
+ * renders in the same viewer used when the audit ran.
+ */
+export function useStoredReport(onLoad) {
+    const [searchParams] = useSearchParams()
+    const reportId = searchParams.get('report')
+    const [state, setState] = useState({ loading: false, error: null, audit: null })
+
+    useEffect(() => {
+        if (!reportId) {
+            setState({ loading: false, error: null, audit: null })
+            return
+        }
+
+        let cancelled = false
+        setState({ loading: true, error: null, audit: null })
+
+        axios.get(`/api/audit/history/${encodeURIComponent(reportId)}`)
+            .then(({ data }) => {
+                if (cancelled) return
+                if (!data.result) {
+                    setState({ loading: false, error: 'This audit was recorded before full reports were stored.', audit: data.audit })
+                    return
+                }
+                onLoad(data.result, data.audit)
+                setState({ loading: false, error: null, audit: data.audit })
+            })
+            .catch((err) => {
+                if (cancelled) return
+                setState({ loading: false, error: err.response?.data?.error || err.message, audit: null })
+            })
+
+        return () => { cancelled = true }
+        // onLoad is recreated every render; only refetch when the id changes
+    }, [reportId])
+
+    return state
+}